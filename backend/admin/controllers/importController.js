@@ -0,0 +1,387 @@
+/**
+ * Controlador para a importação de arquivos de eventos
+ *
+ * Recebe arquivos NDJSON, JSON ou CSV pelo painel administrativo e os
+ * importa em segundo plano para a coleção de eventos (ver logs/eventImporter).
+ * O andamento e o relatório de erros ficam na importação (models/importJobModel).
+ *
+ * @module admin/controllers/importController
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const ImportJob = require('../../models/importJobModel');
+const Source = require('../../models/sourceModel');
+const eventImporter = require('../../logs/eventImporter');
+
+// Tamanho máximo do arquivo enviado (em MB)
+const MAX_FILE_SIZE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 500;
+
+// Quantidade de importações listadas
+const LIST_LIMIT = 50;
+
+// Importações em execução neste processo (as demais com status running foram interrompidas)
+const runningJobs = new Set();
+
+/**
+ * Configuração do Multer para os arquivos de importação
+ */
+const storage = multer.diskStorage({
+  destination: function(req, file, cb) {
+    const uploadDir = path.join(__dirname, '../../uploads/imports');
+
+    // Cria o diretório se não existir
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+
+    cb(null, uploadDir);
+  },
+  filename: function(req, file, cb) {
+    // Gera um nome único para o arquivo
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    cb(null, 'import-' + uniqueSuffix + ext);
+  }
+});
+
+/**
+ * Configuração do upload
+ */
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024
+  }
+});
+
+/**
+ * Objeto que contém os métodos do controlador de importações
+ */
+const importController = {
+  /**
+   * Middleware para upload do arquivo (campo "file"), com erros em JSON
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @param {Function} next - Próximo middleware
+   */
+  uploadFile: (req, res, next) => {
+    upload.single('file')(req, res, error => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `Arquivo acima do tamanho máximo (${MAX_FILE_SIZE_MB} MB)`
+            : error.message
+        });
+      }
+      next();
+    });
+  },
+
+  /**
+   * Cria uma importação a partir do arquivo enviado e a inicia em segundo plano
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a importação criada ou mensagem de erro
+   */
+  createImport: async (req, res) => {
+    const file = req.file;
+
+    try {
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Envie o arquivo no campo "file" (multipart/form-data).'
+        });
+      }
+
+      const { format: requestedFormat, delimiter, sourceId } = req.body;
+      const format = requestedFormat || eventImporter.detectFormat(file.originalname);
+
+      if (!eventImporter.FORMATS.includes(format)) {
+        importController._removeFile(file.path);
+        return res.status(400).json({
+          success: false,
+          message: `Formato não reconhecido. Informe format (${eventImporter.FORMATS.join(', ')}) ou use a extensão .ndjson, .jsonl, .json ou .csv.`
+        });
+      }
+
+      // Valida as opções antes de aceitar a importação
+      const mapping = eventImporter.parseMapping(importController._parseOption(req.body.mapping));
+      const eventTypeMap = eventImporter.parsePairs(importController._parseOption(req.body.eventTypeMap), 'eventTypeMap');
+
+      if (sourceId && (!mongoose.Types.ObjectId.isValid(sourceId) || !(await Source.exists({ _id: sourceId })))) {
+        importController._removeFile(file.path);
+        return res.status(400).json({
+          success: false,
+          message: 'sourceId inválido: fonte não encontrada.'
+        });
+      }
+
+      const job = await ImportJob.create({
+        fileName: file.originalname,
+        filePath: file.path,
+        format,
+        mapping,
+        eventTypeMap,
+        delimiter: delimiter || null,
+        sourceId: sourceId || null,
+        dryRun: req.body.dryRun === 'true' || req.body.dryRun === true,
+        createdBy: req.user ? req.user.id : null
+      });
+
+      importController._runJob(job._id);
+
+      return res.status(202).json({
+        success: true,
+        message: job.dryRun ? 'Validação do arquivo iniciada' : 'Importação iniciada',
+        job: importController._toPublicJob(job.toObject())
+      });
+    } catch (error) {
+      if (file) importController._removeFile(file.path);
+
+      if (error.isValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao criar importação:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao criar importação',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Lista as importações mais recentes
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as importações ou mensagem de erro
+   */
+  listImports: async (req, res) => {
+    try {
+      const jobs = await ImportJob.find()
+        .select('-report.errors')
+        .sort({ createdAt: -1 })
+        .limit(LIST_LIMIT)
+        .lean();
+
+      return res.status(200).json({
+        success: true,
+        count: jobs.length,
+        jobs: jobs.map(importController._toPublicJob)
+      });
+    } catch (error) {
+      console.error('Erro ao listar importações:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao listar importações',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Obtém uma importação com o relatório (contagens e erros)
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a importação ou mensagem de erro
+   */
+  getImport: async (req, res) => {
+    try {
+      const job = await importController._findJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Importação não encontrada'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        job: importController._toPublicJob(job.toObject())
+      });
+    } catch (error) {
+      console.error('Erro ao buscar importação:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar importação',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Continua uma importação que falhou ou foi interrompida (ex: reinício do servidor)
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a importação ou mensagem de erro
+   */
+  resumeImport: async (req, res) => {
+    try {
+      const job = await importController._findJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Importação não encontrada'
+        });
+      }
+
+      const jobId = String(job._id);
+      const resumable = ['failed', 'interrupted'].includes(job.status) ||
+        (['queued', 'running'].includes(job.status) && !runningJobs.has(jobId));
+
+      if (!resumable) {
+        return res.status(409).json({
+          success: false,
+          message: `A importação não pode ser retomada (situação: ${job.status})`
+        });
+      }
+
+      if (!fs.existsSync(job.filePath)) {
+        return res.status(410).json({
+          success: false,
+          message: 'O arquivo da importação não está mais disponível. Envie-o novamente.'
+        });
+      }
+
+      importController._runJob(job._id);
+
+      return res.status(202).json({
+        success: true,
+        message: `Importação retomada a partir do registro ${job.position + 1}`,
+        job: importController._toPublicJob(job.toObject())
+      });
+    } catch (error) {
+      console.error('Erro ao retomar importação:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao retomar importação',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Executa (ou continua) uma importação, gravando o progresso a cada lote
+   *
+   * @param {ObjectId} jobId - ID da importação
+   * @returns {Promise<void>}
+   * @private
+   */
+  _runJob: async (jobId) => {
+    const id = String(jobId);
+    if (runningJobs.has(id)) return;
+    runningJobs.add(id);
+
+    try {
+      // A data de início é mantida quando a importação é retomada
+      await ImportJob.updateOne({ _id: jobId, startedAt: null }, { startedAt: new Date() });
+      const job = await ImportJob.findByIdAndUpdate(jobId, {
+        status: 'running',
+        error: null
+      }, { new: true }).lean();
+
+      const report = await eventImporter.importEvents({
+        filePath: job.filePath,
+        format: job.format,
+        mapping: job.mapping,
+        eventTypeMap: job.eventTypeMap,
+        delimiter: job.delimiter,
+        sourceId: job.sourceId,
+        dryRun: job.dryRun,
+        resumeFrom: job.position,
+        previousReport: job.position > 0 ? job.report : null,
+        onProgress: partial => ImportJob.updateOne({ _id: jobId }, {
+          position: partial.position,
+          report: partial
+        })
+      });
+
+      await ImportJob.updateOne({ _id: jobId }, {
+        status: 'completed',
+        position: report.position,
+        report,
+        finishedAt: new Date()
+      });
+
+      importController._removeFile(job.filePath);
+    } catch (error) {
+      console.error(`Erro na importação ${id}:`, error);
+      await ImportJob.updateOne({ _id: jobId }, {
+        status: 'failed',
+        error: error.message
+      }).catch(() => {});
+    } finally {
+      runningJobs.delete(id);
+    }
+  },
+
+  /**
+   * Lê uma opção enviada como texto no formulário (lista "a=b,c=d" ou JSON)
+   *
+   * @param {String|Object} value - Valor recebido
+   * @returns {String|Object} Valor convertido
+   * @private
+   */
+  _parseOption: (value) => {
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        const parseError = new Error(`JSON inválido nas opções: ${error.message}`);
+        parseError.isValidationError = true;
+        throw parseError;
+      }
+    }
+    return value;
+  },
+
+  /**
+   * Remove os dados internos da importação antes de enviá-la na API
+   *
+   * @param {Object} job - Importação
+   * @returns {Object} Importação sem o caminho do arquivo no servidor
+   * @private
+   */
+  _toPublicJob: (job) => {
+    const { filePath, __v, ...publicJob } = job;
+    return publicJob;
+  },
+
+  /**
+   * Remove um arquivo enviado, ignorando falhas
+   *
+   * @param {String} filePath - Caminho do arquivo
+   * @private
+   */
+  _removeFile: (filePath) => {
+    fs.promises.unlink(filePath).catch(() => {});
+  },
+
+  /**
+   * Busca uma importação pelo ID, tratando IDs malformados como inexistentes
+   *
+   * @param {String} id - ID da importação
+   * @returns {Promise<Object|null>} Importação encontrada
+   * @private
+   */
+  _findJob: async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return ImportJob.findById(id);
+  }
+};
+
+module.exports = importController;
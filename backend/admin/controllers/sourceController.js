@@ -0,0 +1,305 @@
+/**
+ * Controlador para gerenciamento das fontes de eventos
+ *
+ * Este controlador permite cadastrar as lojas que enviam eventos e
+ * gerenciar suas chaves de escrita (rotação e revogação) através do
+ * painel administrativo.
+ *
+ * @module admin/controllers/sourceController
+ */
+
+const mongoose = require('mongoose');
+const Source = require('../../models/sourceModel');
+const sourceRegistry = require('../../logs/sourceRegistry');
+
+// Período padrão em que a chave anterior continua aceita após uma rotação
+const DEFAULT_GRACE_PERIOD_HOURS = 24;
+
+/**
+ * Objeto que contém os métodos do controlador de fontes
+ */
+const sourceController = {
+  /**
+   * Cadastra uma nova fonte com sua primeira chave de escrita
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a fonte criada ou mensagem de erro
+   */
+  createSource: async (req, res) => {
+    try {
+      const { name, environment, description } = req.body;
+
+      const source = new Source({
+        name,
+        environment,
+        description,
+        writeKeys: [{ key: Source.generateWriteKey() }],
+        createdBy: req.user ? req.user.id : null
+      });
+
+      await source.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Fonte criada com sucesso',
+        source
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao criar fonte:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao criar fonte',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Lista as fontes cadastradas
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as fontes ou mensagem de erro
+   */
+  getAllSources: async (req, res) => {
+    try {
+      const sources = await Source.find().sort({ createdAt: -1 });
+
+      return res.status(200).json({
+        success: true,
+        count: sources.length,
+        sources
+      });
+    } catch (error) {
+      console.error('Erro ao listar fontes:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao listar fontes',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Obtém uma fonte pelo ID
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a fonte encontrada ou mensagem de erro
+   */
+  getSourceById: async (req, res) => {
+    try {
+      const source = await sourceController._findSource(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fonte não encontrada'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        source
+      });
+    } catch (error) {
+      console.error('Erro ao buscar fonte:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar fonte',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Atualiza os dados de uma fonte (nome, ambiente, descrição, ativa/inativa)
+   *
+   * Desativar uma fonte recusa todas as suas chaves de uma vez.
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a fonte atualizada ou mensagem de erro
+   */
+  updateSource: async (req, res) => {
+    try {
+      const source = await sourceController._findSource(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fonte não encontrada'
+        });
+      }
+
+      const { name, environment, description, isActive } = req.body;
+
+      if (name !== undefined) source.name = name;
+      if (environment !== undefined) source.environment = environment;
+      if (description !== undefined) source.description = description;
+      if (isActive !== undefined) source.isActive = isActive === true || isActive === 'true';
+
+      await source.save();
+      sourceRegistry.invalidate();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Fonte atualizada com sucesso',
+        source
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao atualizar fonte:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao atualizar fonte',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Gera uma nova chave de escrita para a fonte
+   *
+   * As chaves anteriores continuam aceitas durante o período de transição
+   * (gracePeriodHours), para que as lojas possam publicar a nova chave
+   * sem perder eventos. Com gracePeriodHours = 0, elas são revogadas na hora.
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a nova chave ou mensagem de erro
+   */
+  rotateKey: async (req, res) => {
+    try {
+      const source = await sourceController._findSource(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fonte não encontrada'
+        });
+      }
+
+      const gracePeriodHours = req.body.gracePeriodHours !== undefined
+        ? Number(req.body.gracePeriodHours)
+        : DEFAULT_GRACE_PERIOD_HOURS;
+
+      if (isNaN(gracePeriodHours) || gracePeriodHours < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'gracePeriodHours deve ser um número maior ou igual a zero'
+        });
+      }
+
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000);
+
+      // Encerra as chaves ainda aceitas (sem estender expirações já mais próximas)
+      source.writeKeys.forEach(writeKey => {
+        if (!Source.isKeyUsable(writeKey, now)) return;
+
+        if (gracePeriodHours === 0) {
+          writeKey.revokedAt = now;
+        } else if (!writeKey.expiresAt || writeKey.expiresAt > expiresAt) {
+          writeKey.expiresAt = expiresAt;
+        }
+      });
+
+      const key = Source.generateWriteKey();
+      source.writeKeys.push({ key });
+
+      await source.save();
+      sourceRegistry.invalidate();
+
+      return res.status(201).json({
+        success: true,
+        message: gracePeriodHours === 0
+          ? 'Nova chave gerada; as chaves anteriores foram revogadas'
+          : `Nova chave gerada; as chaves anteriores expiram em ${expiresAt.toISOString()}`,
+        writeKey: key,
+        source
+      });
+    } catch (error) {
+      console.error('Erro ao rotacionar chave de escrita:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao rotacionar chave de escrita',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Revoga uma chave de escrita imediatamente
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a fonte atualizada ou mensagem de erro
+   */
+  revokeKey: async (req, res) => {
+    try {
+      const source = await sourceController._findSource(req.params.id);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fonte não encontrada'
+        });
+      }
+
+      const writeKey = mongoose.Types.ObjectId.isValid(req.params.keyId)
+        ? source.writeKeys.id(req.params.keyId)
+        : null;
+
+      if (!writeKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chave de escrita não encontrada'
+        });
+      }
+
+      if (!writeKey.revokedAt) {
+        writeKey.revokedAt = new Date();
+        await source.save();
+        sourceRegistry.invalidate();
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Chave de escrita revogada com sucesso',
+        source
+      });
+    } catch (error) {
+      console.error('Erro ao revogar chave de escrita:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao revogar chave de escrita',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Busca uma fonte pelo ID, tratando IDs malformados como inexistentes
+   *
+   * @param {String} id - ID da fonte
+   * @returns {Promise<Object|null>} Fonte encontrada
+   * @private
+   */
+  _findSource: async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Source.findById(id);
+  }
+};
+
+module.exports = sourceController;
@@ -11,6 +11,8 @@ const express = require('express');
 const router = express.Router();
 const userRoutes = require('./userRoutes');
 const productRoutes = require('./productRoutes');
+const sourceRoutes = require('./sourceRoutes');
+const importRoutes = require('./importRoutes');
 const { isAdmin } = require('../../middleware/authMiddleware');
 
 // Rota raiz do painel administrativo
@@ -22,6 +24,8 @@ router.get('/', isAdmin, (req, res) => {
     endpoints: [
       '/api/admin/users',
       '/api/admin/products',
+      '/api/admin/sources',
+      '/api/admin/imports',
       '/api/admin/dashboard',
       '/api/admin/orders'
     ]
@@ -34,6 +38,12 @@ router.use('/users', userRoutes);
 // Integração das rotas de produtos
 router.use('/products', productRoutes);
 
+// Integração das rotas de fontes de eventos (lojas e chaves de escrita)
+router.use('/sources', sourceRoutes);
+
+// Integração das rotas de importação de arquivos de eventos
+router.use('/imports', importRoutes);
+
 // Rota para obter dados do dashboard administrativo
 router.get('/dashboard', isAdmin, (req, res) => {
   // Dados fictícios para demonstração
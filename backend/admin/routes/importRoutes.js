@@ -0,0 +1,62 @@
+/**
+ * Rotas para importação de arquivos de eventos
+ *
+ * Este arquivo define os endpoints da API para importar eventos gerados
+ * (utils/generateMockData) ou históricos (exportações em CSV de outras
+ * ferramentas) para a coleção de eventos.
+ *
+ * @module admin/routes/importRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { isAdmin } = require('../../middleware/authMiddleware');
+
+/**
+ * @route POST /api/admin/imports
+ * @desc Envia um arquivo de eventos e inicia a importação em segundo plano
+ * @access Private (apenas administradores)
+ *
+ * Corpo da requisição (multipart/form-data):
+ * - file: Arquivo NDJSON (.ndjson/.jsonl), JSON com lista de objetos (.json) ou CSV com cabeçalho (.csv)
+ * - format: ndjson, json ou csv (opcional; padrão: pela extensão)
+ * - mapping: Campos do evento a partir do arquivo, como "destino=origem" separados por vírgula
+ *   (ex: "timestamp=createdAt,device=metadata.device,eventData.total=valor") ou JSON
+ * - eventTypeMap: Renomeação de eventos (ex: "compra=checkout_complete"); os apelidos da
+ *   taxonomia são convertidos para o nome canônico automaticamente
+ * - delimiter: Separador do CSV (opcional; vírgula ou ponto e vírgula detectado pelo cabeçalho)
+ * - sourceId: Loja de origem atribuída aos eventos (opcional)
+ * - dryRun: "true" para apenas validar o arquivo e gerar o relatório de erros
+ *
+ * A resposta (202) traz o ID da importação; o andamento é consultado em
+ * GET /api/admin/imports/:id.
+ */
+router.post('/', isAdmin, importController.uploadFile, importController.createImport);
+
+/**
+ * @route GET /api/admin/imports
+ * @desc Lista as importações mais recentes (sem o detalhamento dos erros)
+ * @access Private (apenas administradores)
+ */
+router.get('/', isAdmin, importController.listImports);
+
+/**
+ * @route GET /api/admin/imports/:id
+ * @desc Obtém a situação, o progresso e o relatório de uma importação
+ * @access Private (apenas administradores)
+ *
+ * O relatório informa os eventos importados (ou válidos, no dry-run),
+ * duplicados, em quarentena e rejeitados, os nomes de eventos normalizados
+ * e desconhecidos e os primeiros erros com o número do registro e da linha.
+ */
+router.get('/:id', isAdmin, importController.getImport);
+
+/**
+ * @route POST /api/admin/imports/:id/resume
+ * @desc Continua uma importação que falhou ou foi interrompida, a partir do último lote gravado
+ * @access Private (apenas administradores)
+ */
+router.post('/:id/resume', isAdmin, importController.resumeImport);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Rotas para gerenciamento das fontes de eventos
+ *
+ * Este arquivo define os endpoints da API para cadastrar as lojas que
+ * enviam eventos e gerenciar suas chaves de escrita.
+ *
+ * @module admin/routes/sourceRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const sourceController = require('../controllers/sourceController');
+const { isAdmin } = require('../../middleware/authMiddleware');
+
+/**
+ * @route POST /api/admin/sources
+ * @desc Cadastra uma nova fonte de eventos com sua primeira chave de escrita
+ * @access Private (apenas administradores)
+ *
+ * Corpo da requisição:
+ * - name: Nome da loja
+ * - environment: production, staging ou development (padrão: production)
+ * - description: Descrição (opcional)
+ *
+ * Exemplo:
+ * {
+ *   "name": "Loja de Homologação",
+ *   "environment": "staging"
+ * }
+ */
+router.post('/', isAdmin, sourceController.createSource);
+
+/**
+ * @route GET /api/admin/sources
+ * @desc Lista as fontes cadastradas com suas chaves de escrita
+ * @access Private (apenas administradores)
+ */
+router.get('/', isAdmin, sourceController.getAllSources);
+
+/**
+ * @route GET /api/admin/sources/:id
+ * @desc Obtém uma fonte pelo ID
+ * @access Private (apenas administradores)
+ */
+router.get('/:id', isAdmin, sourceController.getSourceById);
+
+/**
+ * @route PUT /api/admin/sources/:id
+ * @desc Atualiza nome, ambiente, descrição ou situação (isActive) de uma fonte
+ * @access Private (apenas administradores)
+ *
+ * Com isActive = false, todas as chaves da fonte passam a ser recusadas.
+ */
+router.put('/:id', isAdmin, sourceController.updateSource);
+
+/**
+ * @route POST /api/admin/sources/:id/rotate
+ * @desc Gera uma nova chave de escrita para a fonte
+ * @access Private (apenas administradores)
+ *
+ * Corpo da requisição:
+ * - gracePeriodHours: Horas em que as chaves anteriores continuam aceitas
+ *   (padrão: 24; 0 revoga as anteriores imediatamente)
+ *
+ * Exemplo: POST /api/admin/sources/665f.../rotate { "gracePeriodHours": 2 }
+ */
+router.post('/:id/rotate', isAdmin, sourceController.rotateKey);
+
+/**
+ * @route DELETE /api/admin/sources/:id/keys/:keyId
+ * @desc Revoga imediatamente uma chave de escrita
+ * @access Private (apenas administradores)
+ */
+router.delete('/:id/keys/:keyId', isAdmin, sourceController.revokeKey);
+
+module.exports = router;
@@ -7,10 +7,78 @@
  * @module controllers/statsController
  */
 
+const mongoose = require('mongoose');
 const Event = require('../../models/eventModel');
+const Session = require('../../models/sessionModel');
+const Product = require('../../models/productModel');
+const { DEVICE_TYPES } = require('../../logs/userAgentParser');
+const { getEventNames } = require('../../logs/eventTaxonomy');
 const fs = require('fs');
 const path = require('path');
 
+// Rótulos exibidos no gráfico de uso por dispositivo
+const DEVICE_LABELS = {
+  desktop: 'Desktop',
+  mobile: 'Mobile',
+  tablet: 'Tablet',
+  smarttv: 'Smart TV',
+  console: 'Console',
+  wearable: 'Wearable',
+  unknown: 'Desconhecido'
+};
+
+// Limites de "bom" e "ruim" de cada métrica de desempenho (ms; CLS sem unidade).
+// Como no Core Web Vitals, a avaliação de uma página usa o p75.
+const WEB_VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  INP: [200, 500],
+  CLS: [0.1, 0.25],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800],
+  FID: [100, 300]
+};
+
+// Máximo de combinações página × dispositivo retornadas em /performance
+const MAX_PERFORMANCE_ROWS = 500;
+
+// Máximo de produtos no relatório de engajamento 3D
+const MAX_MODEL_3D_ROWS = 200;
+
+// Modo de demonstração: usa os dados simulados de utils/data/dashboard.json
+// (gerados por utils/generateMockData.js) em vez dos eventos registrados
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+const DEMO_DATA_PATH = path.join(__dirname, '../../utils/data/dashboard.json');
+
+// Estatísticas gerais exibidas no modo de demonstração
+const DEMO_OVERVIEW_STATS = {
+  totalEvents: 1000,
+  productViews: 450,
+  productCustomizations: 200,
+  cartAdds: 300,
+  checkoutStarts: 150,
+  checkoutCompletes: 100,
+  sessions: 320,
+  users: 140,
+  conversionRate: 22.2, // (100/450) * 100
+  cartAbandonmentRate: 66.7 // ((300-100)/300) * 100
+};
+
+// Campos do dashboard que ainda não são calculados a partir dos eventos
+// registrados (preenchidos apenas no modo de demonstração)
+const UNAVAILABLE_DASHBOARD_FIELDS = {
+  dailySales: [],
+  dailyVisitors: [],
+  salesByCategory: [],
+  popularCustomizations: [],
+  metrics: {
+    totalRevenue: null,
+    orderCount: null,
+    averageOrderValue: null,
+    returnRate: null,
+    customerSatisfaction: null
+  }
+};
+
 /**
  * Objeto que contém os métodos do controlador de estatísticas
  */
@@ -18,104 +86,96 @@ const statsController = {
   /**
    * Obtém estatísticas gerais do sistema
    * 
+   * Todas as contagens vêm de uma única agregação sobre os eventos
+   * (ver Event.getOverview) e estimam o total de eventos a partir da taxa
+   * de amostragem gravada em cada evento.
+   * 
+   * Parâmetros de consulta opcionais: sourceId, deviceType e category.
+   * 
    * @param {Object} req - Objeto de requisição Express
    * @param {Object} res - Objeto de resposta Express
    * @returns {Object} Resposta com estatísticas gerais ou mensagem de erro
    */
   getOverviewStats: async (req, res) => {
     try {
-      const { startDate, endDate } = req.query;
+      const { startDate, endDate, deviceType, category } = req.query;
       
       // Converte as strings de data para objetos Date
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 dias atrás por padrão
       const end = endDate ? new Date(endDate) : new Date();
       
-      // Tenta carregar dados simulados primeiro
-      const mockDataPath = path.join(__dirname, '../../utils/data/dashboard.json');
-      if (fs.existsSync(mockDataPath)) {
-        const mockData = JSON.parse(fs.readFileSync(mockDataPath, 'utf8'));
-        
-        // Extrai métricas relevantes dos dados simulados
-        const overviewStats = {
-          totalEvents: 1000, // Valor fixo para demonstração
-          productViews: 450,
-          productCustomizations: 200,
-          cartAdds: 300,
-          checkoutStarts: 150,
-          checkoutCompletes: 100,
-          conversionRate: 22.2, // (100/450) * 100
-          cartAbandonmentRate: 66.7 // ((300-100)/300) * 100
-        };
-        
-        return res.status(200).json({
-          success: true,
-          period: {
-            start: start.toISOString(),
-            end: end.toISOString()
-          },
-          stats: overviewStats
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
         });
       }
       
-      // Fallback para busca no banco de dados se não houver dados simulados
-      // Busca contagem total de eventos
-      const totalEvents = await Event.countDocuments({
-        timestamp: { $gte: start, $lte: end }
-      });
+      if (deviceType && !DEVICE_TYPES.includes(deviceType)) {
+        return res.status(400).json({
+          success: false,
+          message: `deviceType inválido. Use um dos valores: ${DEVICE_TYPES.join(', ')}`
+        });
+      }
       
-      // Busca contagem de visualizações de produtos
-      const productViews = await Event.countDocuments({
-        eventType: 'product_view',
-        timestamp: { $gte: start, $lte: end }
-      });
+      if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'category deve ser o nome de uma categoria.'
+        });
+      }
       
-      // Busca contagem de personalizações de produtos
-      const productCustomizations = await Event.countDocuments({
-        eventType: 'product_customize',
-        timestamp: { $gte: start, $lte: end }
-      });
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
       
-      // Busca contagem de adições ao carrinho
-      const cartAdds = await Event.countDocuments({
-        eventType: 'cart_add',
-        timestamp: { $gte: start, $lte: end }
-      });
+      const period = {
+        start: start.toISOString(),
+        end: end.toISOString()
+      };
+      const filters = {
+        sourceId: sourceId || null,
+        deviceType: deviceType || null,
+        category: category ? category.trim() : null
+      };
       
-      // Busca contagem de inícios de checkout
-      const checkoutStarts = await Event.countDocuments({
-        eventType: 'checkout_start',
-        timestamp: { $gte: start, $lte: end }
-      });
+      // Dados fixos apenas quando o modo de demonstração está ativado
+      if (DEMO_MODE) {
+        return res.status(200).json({
+          success: true,
+          demo: true,
+          period,
+          filters,
+          stats: DEMO_OVERVIEW_STATS
+        });
+      }
       
-      // Busca contagem de compras finalizadas
-      const checkoutCompletes = await Event.countDocuments({
-        eventType: 'checkout_complete',
-        timestamp: { $gte: start, $lte: end }
+      const counts = await Event.getOverview({
+        startDate: start,
+        endDate: end,
+        sourceId,
+        deviceType,
+        category: filters.category
       });
       
       // Calcula taxa de conversão geral (visualizações para compras)
-      const conversionRate = productViews > 0
-        ? (checkoutCompletes / productViews) * 100
+      const conversionRate = counts.productViews > 0
+        ? (counts.checkoutCompletes / counts.productViews) * 100
         : 0;
       
       // Calcula taxa de abandono de carrinho
-      const cartAbandonmentRate = cartAdds > 0
-        ? ((cartAdds - checkoutCompletes) / cartAdds) * 100
+      const cartAbandonmentRate = counts.cartAdds > 0
+        ? Math.max(counts.cartAdds - counts.checkoutCompletes, 0) / counts.cartAdds * 100
         : 0;
       
       return res.status(200).json({
         success: true,
-        period: {
-          start: start.toISOString(),
-          end: end.toISOString()
-        },
+        period,
+        filters,
         stats: {
-          totalEvents,
-          productViews,
-          productCustomizations,
-          cartAdds,
-          checkoutStarts,
-          checkoutCompletes,
+          ...counts,
           conversionRate: parseFloat(conversionRate.toFixed(2)),
           cartAbandonmentRate: parseFloat(cartAbandonmentRate.toFixed(2))
         }
@@ -133,8 +193,9 @@ const statsController = {
   /**
    * Obtém dados para o dashboard principal
    * 
-   * Este método combina estatísticas reais com dados fictícios gerados
-   * para demonstração do dashboard.
+   * Fora do modo de demonstração, traz apenas as estatísticas calculadas a
+   * partir dos eventos registrados; os demais campos do dashboard vêm vazios
+   * e são listados em unavailableFields.
    * 
    * @param {Object} req - Objeto de requisição Express
    * @param {Object} res - Objeto de resposta Express
@@ -142,38 +203,36 @@ const statsController = {
    */
   getDashboardData: async (req, res) => {
     try {
-      // Tenta carregar dados simulados do arquivo
-      const mockDataPath = path.join(__dirname, '../../utils/data/dashboard.json');
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
       
-      // Verifica se o arquivo existe
-      if (fs.existsSync(mockDataPath)) {
-        console.log('✅ Usando dados simulados do arquivo para o dashboard');
-        const dashboardData = JSON.parse(fs.readFileSync(mockDataPath, 'utf8'));
+      // No modo de demonstração, usa os dados simulados do arquivo
+      const demoData = statsController._loadDemoData();
+      if (demoData) {
+        // O uso por dispositivo sempre vem dos eventos registrados
+        demoData.deviceUsage = await statsController._getDeviceUsage(null, null, sourceId);
         
         return res.status(200).json({
           success: true,
-          dashboardData
+          demo: true,
+          dashboardData: demoData
         });
       }
       
-      // Se não encontrar o arquivo, usa o gerador de dados fictícios
-      console.log('⚠️ Arquivo de dados simulados não encontrado, gerando dados dinamicamente');
-      
       // Obtém estatísticas reais
-      const realStats = await statsController._getRealStats();
-      
-      // Gera dados fictícios para complementar
-      const mockData = statsController._generateMockData();
-      
-      // Combina dados reais com fictícios
-      const dashboardData = {
-        ...realStats,
-        ...mockData
-      };
+      const realStats = await statsController._getRealStats(sourceId);
       
       return res.status(200).json({
         success: true,
-        dashboardData
+        dashboardData: {
+          ...UNAVAILABLE_DASHBOARD_FIELDS,
+          ...realStats
+        },
+        // Campos ainda sem fonte nos eventos registrados (vendas, categorias, personalizações)
+        unavailableFields: Object.keys(UNAVAILABLE_DASHBOARD_FIELDS)
       });
     } catch (error) {
       console.error('Erro ao buscar dados do dashboard:', error);
@@ -190,24 +249,29 @@ const statsController = {
    * 
    * Método interno para buscar estatísticas baseadas em dados reais.
    * 
+   * @param {ObjectId} [sourceId] - Restringe todas as estatísticas a uma loja de origem
    * @returns {Object} Estatísticas reais
    * @private
    */
-  _getRealStats: async () => {
+  _getRealStats: async (sourceId) => {
     // Define período padrão (últimos 30 dias)
     const endDate = new Date();
     const startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
     
     try {
       // Busca produtos mais visualizados
-      const topProducts = await Event.findMostViewedProducts(5, startDate, endDate);
+      const topProducts = await Event.findMostViewedProducts(5, startDate, endDate, sourceId);
       
       // Busca contagem de eventos por tipo
-      const eventCounts = await Event.countByType(startDate, endDate);
+      const eventCounts = await Event.countByType(startDate, endDate, sourceId);
+      
+      // Busca a distribuição de sessões por dispositivo
+      const deviceUsage = await statsController._getDeviceUsage(startDate, endDate, sourceId);
       
       return {
         topProducts,
         eventCounts,
+        deviceUsage,
         period: {
           start: startDate.toISOString(),
           end: endDate.toISOString()
@@ -218,6 +282,7 @@ const statsController = {
       return {
         topProducts: [],
         eventCounts: [],
+        deviceUsage: [],
         period: {
           start: startDate.toISOString(),
           end: endDate.toISOString()
@@ -227,117 +292,42 @@ const statsController = {
   },
   
   /**
-   * Gera dados fictícios para demonstração
+   * Calcula o uso por dispositivo a partir dos eventos registrados
    * 
-   * Método interno para criar dados de exemplo quando não há dados reais suficientes.
+   * O percentual considera sessões distintas (não eventos), sem robôs.
    * 
-   * @returns {Object} Dados fictícios para o dashboard
+   * @param {Date} startDate - Data inicial (padrão: 30 dias atrás)
+   * @param {Date} endDate - Data final (padrão: agora)
+   * @param {ObjectId} [sourceId] - Restringe a uma loja de origem
+   * @returns {Promise<Array>} Uso por dispositivo ({ device, deviceType, sessions, percentage })
    * @private
    */
-  _generateMockData: () => {
-    // Gera dados de vendas diárias para os últimos 30 dias
-    const dailySales = [];
-    const dailyVisitors = [];
-    const today = new Date();
+  _getDeviceUsage: async (startDate, endDate, sourceId) => {
+    const end = endDate || new Date();
+    const start = startDate || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
     
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      // Mais vendas nos fins de semana, menos nas segundas-feiras
-      const dayOfWeek = date.getDay(); // 0 = Domingo, 6 = Sábado
-      let baseAmount = Math.floor(Math.random() * 4500) + 500;
-      
-      // Ajusta baseAmount com base no dia da semana
-      if (dayOfWeek === 0 || dayOfWeek === 6) {
-        // Fins de semana têm mais vendas
-        baseAmount *= 1.3;
-      } else if (dayOfWeek === 1) {
-        // Segundas-feiras têm menos vendas
-        baseAmount *= 0.7;
-      }
-      
-      dailySales.push({
-        date: dateStr,
-        amount: parseFloat(baseAmount.toFixed(2))
-      });
+    try {
+      const counts = await Event.countSessionsByDevice(start, end, sourceId);
+      const totalSessions = counts.reduce((sum, item) => sum + item.sessions, 0);
       
-      dailyVisitors.push({
-        date: dateStr,
-        count: Math.floor(Math.random() * 450) + 50
-      });
+      return counts.map(item => ({
+        device: DEVICE_LABELS[item._id] || item._id,
+        deviceType: item._id,
+        sessions: item.sessions,
+        percentage: parseFloat((item.sessions / totalSessions * 100).toFixed(2))
+      }));
+    } catch (error) {
+      console.error('Erro ao calcular uso por dispositivo:', error);
+      return [];
     }
-    
-    // Gera dados de vendas por categoria
-    const categories = ['Calçados', 'Roupas', 'Acessórios', 'Eletrônicos', 'Esportes'];
-    const salesByCategory = categories.map(category => ({
-      category,
-      sales: Math.floor(Math.random() * 9000) + 1000
-    }));
-    
-    // Gera dados de personalização mais populares
-    const customizationTypes = ['Cor', 'Tamanho', 'Material', 'Estampa'];
-    const customizationValues = {
-      'Cor': ['Vermelho', 'Azul', 'Preto', 'Branco', 'Verde'],
-      'Tamanho': ['P', 'M', 'G', 'GG'],
-      'Material': ['Algodão', 'Poliéster', 'Couro', 'Sintético'],
-      'Estampa': ['Lisa', 'Estampada', 'Listrada', 'Xadrez']
-    };
-    
-    const popularCustomizations = [];
-    customizationTypes.forEach(type => {
-      customizationValues[type].forEach(value => {
-        popularCustomizations.push({
-          type,
-          value,
-          count: Math.floor(Math.random() * 450) + 50
-        });
-      });
-    });
-    
-    // Ordena por contagem (decrescente) e pega os 10 primeiros
-    const topCustomizations = popularCustomizations
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
-    
-    // Gera dados de dispositivos utilizados
-    const deviceUsage = [
-      { device: 'Desktop', percentage: Math.floor(Math.random() * 30) + 30 },
-      { device: 'Mobile', percentage: Math.floor(Math.random() * 30) + 30 },
-      { device: 'Tablet', percentage: Math.floor(Math.random() * 10) + 5 }
-    ];
-    
-    // Ajusta percentuais para somar 100%
-    const totalPercentage = deviceUsage.reduce((sum, item) => sum + item.percentage, 0);
-    deviceUsage.forEach(item => {
-      item.percentage = parseFloat((item.percentage / totalPercentage * 100).toFixed(2));
-    });
-    
-    // Calcula a receita total com base nas vendas diárias
-    const totalRevenue = dailySales.reduce((sum, day) => sum + day.amount, 0);
-    const orderCount = Math.floor(Math.random() * 500) + 500;
-    
-    return {
-      dailySales,
-      dailyVisitors,
-      salesByCategory,
-      popularCustomizations: topCustomizations,
-      deviceUsage,
-      // Métricas gerais fictícias
-      metrics: {
-        totalRevenue: parseFloat(totalRevenue.toFixed(2)),
-        orderCount,
-        averageOrderValue: parseFloat((totalRevenue / orderCount).toFixed(2)),
-        returnRate: parseFloat((Math.random() * 5).toFixed(1)),
-        customerSatisfaction: parseFloat((4 + Math.random()).toFixed(1))
-      }
-    };
   },
   
   /**
    * Obtém dados para análise de tendências
    * 
+   * As tendências ainda não são calculadas a partir dos eventos registrados:
+   * estão disponíveis apenas no modo de demonstração (404 fora dele).
+   * 
    * @param {Object} req - Objeto de requisição Express
    * @param {Object} res - Objeto de resposta Express
    * @returns {Object} Resposta com dados de tendências ou mensagem de erro
@@ -347,27 +337,12 @@ const statsController = {
       const { metric, period = '30d' } = req.query;
       
       // Define período com base no parâmetro
-      let startDate, endDate = new Date();
-      switch (period) {
-        case '7d':
-          startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '90d':
-          startDate = new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        case '1y':
-          startDate = new Date(endDate.getTime() - 365 * 24 * 60 * 60 * 1000);
-          break;
-        case '30d':
-        default:
-          startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
-      }
+      const endDate = new Date();
+      const startDate = statsController._getPeriodStart(period, endDate);
       
-      // Tenta carregar dados simulados primeiro
-      const mockDataPath = path.join(__dirname, '../../utils/data/dashboard.json');
-      if (fs.existsSync(mockDataPath)) {
-        const mockData = JSON.parse(fs.readFileSync(mockDataPath, 'utf8'));
-        
+      // No modo de demonstração, usa os dados simulados do arquivo
+      const mockData = statsController._loadDemoData();
+      if (mockData) {
         // Extrai dados relevantes com base na métrica solicitada
         let trendsData = [];
         
@@ -383,6 +358,7 @@ const statsController = {
         
         return res.status(200).json({
           success: true,
+          demo: true,
           period: {
             start: startDate.toISOString(),
             end: endDate.toISOString(),
@@ -393,31 +369,523 @@ const statsController = {
         });
       }
       
-      // Gera dados de tendências (fictícios para demonstração)
-      const trendsData = statsController._generateTrendsData(metric, startDate, endDate);
+      return res.status(404).json({
+        success: false,
+        message: 'As tendências ainda não são calculadas a partir dos eventos registrados (disponíveis apenas com DEMO_MODE=true)'
+      });
+    } catch (error) {
+      console.error('Erro ao buscar dados de tendências:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar dados de tendências',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Obtém a distribuição regional de visualizações, compras e conversão
+   * 
+   * Parâmetros de consulta:
+   * - groupBy: Nível de agrupamento (country, state ou city; padrão: state)
+   * - country: Restringe a um país pelo código ISO (padrão: BR, exceto em groupBy=country)
+   * - startDate/endDate: Período (formato ISO) ou period (7d, 30d, 90d, 1y)
+   * - sourceId: Restringe a uma loja de origem
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as contagens por região ou mensagem de erro
+   */
+  getGeoStats: async (req, res) => {
+    try {
+      const { groupBy = 'state', startDate, endDate, period = '30d' } = req.query;
+      
+      if (!['country', 'state', 'city'].includes(groupBy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'groupBy inválido. Use country, state ou city.'
+        });
+      }
+      
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : statsController._getPeriodStart(period, end);
+      
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
+        });
+      }
+      
+      // Parâmetro repetido (?country=BR&country=US) ou com colchetes chega como lista ou objeto
+      if (req.query.country !== undefined && typeof req.query.country !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'O parâmetro country deve ter um único valor de texto'
+        });
+      }
+      
+      // Por padrão, estados e cidades são do Brasil
+      const country = groupBy === 'country'
+        ? req.query.country || null
+        : (req.query.country || 'BR').toUpperCase();
+      
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
+      
+      const regions = await Event.countByRegion(groupBy, start, end, country, sourceId);
       
       return res.status(200).json({
         success: true,
         period: {
-          start: startDate.toISOString(),
-          end: endDate.toISOString(),
-          label: period
+          start: start.toISOString(),
+          end: end.toISOString()
         },
-        metric,
-        trendsData
+        groupBy,
+        country,
+        regions: regions.map(region => ({
+          ...region.region,
+          events: region.events,
+          sessions: region.sessions,
+          productViews: region.productViews,
+          purchases: region.purchases,
+          revenue: parseFloat(region.revenue.toFixed(2)),
+          // Mesma definição da visão geral: compras / visualizações de produto
+          conversionRate: region.productViews > 0
+            ? parseFloat((region.purchases / region.productViews * 100).toFixed(2))
+            : 0
+        }))
       });
     } catch (error) {
-      console.error('Erro ao buscar dados de tendências:', error);
+      console.error('Erro ao buscar estatísticas regionais:', error);
       return res.status(500).json({
         success: false,
-        message: 'Erro ao buscar dados de tendências',
+        message: 'Erro ao buscar estatísticas regionais',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Obtém as métricas de engajamento das sessões
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as métricas das sessões ou mensagem de erro
+   */
+  getSessionStats: async (req, res) => {
+    try {
+      const { startDate, endDate, period = '30d', deviceType } = req.query;
+      
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : statsController._getPeriodStart(period, end);
+      
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
+        });
+      }
+      
+      if (deviceType && !DEVICE_TYPES.includes(deviceType)) {
+        return res.status(400).json({
+          success: false,
+          message: `deviceType inválido. Use um dos valores: ${DEVICE_TYPES.join(', ')}`
+        });
+      }
+      
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
+      
+      const metrics = await Session.getMetrics({ startDate: start, endDate: end, deviceType, sourceId });
+      
+      const formatPage = page => ({
+        page: page._id,
+        sessions: page.sessions,
+        bounceRate: parseFloat((page.bounces / page.sessions * 100).toFixed(2))
+      });
+      
+      return res.status(200).json({
+        success: true,
+        period: {
+          start: start.toISOString(),
+          end: end.toISOString()
+        },
+        filters: {
+          deviceType: deviceType || null,
+          sourceId: sourceId || null
+        },
+        summary: statsController._formatSessionTotals(metrics.summary),
+        byDevice: metrics.byDevice.map(device => ({
+          deviceType: device._id || 'unknown',
+          label: DEVICE_LABELS[device._id] || DEVICE_LABELS.unknown,
+          ...statsController._formatSessionTotals(device)
+        })),
+        entryPages: metrics.entryPages.map(formatPage),
+        exitPages: metrics.exitPages.map(formatPage)
+      });
+    } catch (error) {
+      console.error('Erro ao buscar estatísticas de sessões:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar estatísticas de sessões',
         error: error.message
       });
     }
   },
   
   /**
-   * Gera dados fictícios para análise de tendências
+   * Obtém os percentis das métricas de desempenho (Core Web Vitals)
+   * 
+   * Parâmetros de consulta:
+   * - startDate/endDate ou period (padrão: 30d)
+   * - metric: Métricas separadas por vírgula (padrão: todas)
+   * - deviceType: Restringe a um tipo de dispositivo
+   * - sourceId: Restringe a uma loja de origem
+   * - limit: Máximo de combinações página × dispositivo (padrão: 100, máximo: 500)
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com os percentis ou mensagem de erro
+   */
+  getPerformanceStats: async (req, res) => {
+    try {
+      const { startDate, endDate, period = '30d', deviceType, metric } = req.query;
+      
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : statsController._getPeriodStart(period, end);
+      
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
+        });
+      }
+      
+      if (deviceType && !DEVICE_TYPES.includes(deviceType)) {
+        return res.status(400).json({
+          success: false,
+          message: `deviceType inválido. Use um dos valores: ${DEVICE_TYPES.join(', ')}`
+        });
+      }
+      
+      const metrics = typeof metric === 'string' && metric
+        ? metric.split(',').map(name => name.trim().toUpperCase())
+        : [];
+      const unknownMetrics = metrics.filter(name => !WEB_VITAL_THRESHOLDS[name]);
+      if (unknownMetrics.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `metric inválida: ${unknownMetrics.join(', ')}. Use: ${Object.keys(WEB_VITAL_THRESHOLDS).join(', ')}`
+        });
+      }
+      
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
+      
+      const rowLimit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PERFORMANCE_ROWS);
+      
+      const vitals = await Event.getWebVitals({
+        startDate: start,
+        endDate: end,
+        metrics,
+        deviceType,
+        sourceId,
+        rowLimit
+      });
+      
+      const format = statsController._formatWebVital;
+      
+      return res.status(200).json({
+        success: true,
+        period: {
+          start: start.toISOString(),
+          end: end.toISOString()
+        },
+        filters: {
+          metrics,
+          deviceType: deviceType || null,
+          sourceId: sourceId || null
+        },
+        thresholds: WEB_VITAL_THRESHOLDS,
+        summary: vitals.summary.map(row => format(row._id, row)),
+        byDevice: vitals.byDevice.map(row => ({
+          deviceType: row._id.deviceType,
+          label: DEVICE_LABELS[row._id.deviceType] || DEVICE_LABELS.unknown,
+          ...format(row._id.metric, row)
+        })),
+        byPage: vitals.byPage.map(row => ({
+          page: row._id.page || null,
+          deviceType: row._id.deviceType,
+          label: DEVICE_LABELS[row._id.deviceType] || DEVICE_LABELS.unknown,
+          ...format(row._id.metric, row)
+        }))
+      });
+    } catch (error) {
+      console.error('Erro ao buscar estatísticas de desempenho:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar estatísticas de desempenho',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Obtém o engajamento com os modelos 3D e a conversão com e sem 3D por produto
+   * 
+   * Parâmetros de consulta:
+   * - startDate/endDate ou period (padrão: 30d)
+   * - productId: Restringe a um produto
+   * - sourceId: Restringe a uma loja de origem
+   * - limit: Máximo de produtos (padrão: 50, máximo: 200)
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o engajamento por produto ou mensagem de erro
+   */
+  getModel3dStats: async (req, res) => {
+    try {
+      const { startDate, endDate, period = '30d', productId } = req.query;
+      
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : statsController._getPeriodStart(period, end);
+      
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
+        });
+      }
+      
+      // Filtro opcional por loja de origem
+      const { sourceId, error: sourceError } = statsController._parseSourceId(req.query);
+      if (sourceError) {
+        return res.status(400).json({ success: false, message: sourceError });
+      }
+      
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_MODEL_3D_ROWS);
+      
+      const engagement = await Event.get3dEngagement({
+        startDate: start,
+        endDate: end,
+        productId: typeof productId === 'string' && productId ? productId : null,
+        sourceId,
+        limit
+      });
+      
+      // Dados do catálogo (apenas produtos cadastrados com ID do MongoDB)
+      const catalogIds = engagement.products
+        .map(row => row._id)
+        .filter(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id));
+      const catalog = catalogIds.length > 0
+        ? await Product.find({ _id: { $in: catalogIds } }).select('name has3dModel model3dUrl').lean()
+        : [];
+      const catalogById = new Map(catalog.map(product => [String(product._id), product]));
+      
+      return res.status(200).json({
+        success: true,
+        period: {
+          start: start.toISOString(),
+          end: end.toISOString()
+        },
+        filters: {
+          productId: productId || null,
+          sourceId: sourceId || null
+        },
+        summary: statsController._formatModel3dTotals(engagement.summary),
+        products: engagement.products.map(row => {
+          const product = catalogById.get(String(row._id));
+          
+          return {
+            productId: row._id,
+            productName: product ? product.name : row.productName || null,
+            has3dModel: product ? product.has3dModel : null,
+            model3dUrl: product ? product.model3dUrl : null,
+            ...statsController._formatModel3dTotals(row)
+          };
+        })
+      });
+    } catch (error) {
+      console.error('Erro ao buscar estatísticas de modelos 3D:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar estatísticas de modelos 3D',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Converte os totais de engajamento 3D em médias, taxas e comparação de conversão
+   * 
+   * @param {Object|null} totals - Totais agregados (Event.get3dEngagement)
+   * @returns {Object} Engajamento e conversão das sessões com e sem 3D
+   * @private
+   */
+  _formatModel3dTotals: (totals) => {
+    const value = field => (totals ? totals[field] : 0);
+    const rate = (part, total) => (total > 0 ? parseFloat((part / total * 100).toFixed(2)) : 0);
+    
+    const sessions3d = value('sessions3d');
+    const sessionsWithout3d = value('sessions') - sessions3d;
+    
+    const group = (sessions, cartAdds, purchases) => ({
+      sessions,
+      cartAdds,
+      purchases,
+      cartRate: rate(cartAdds, sessions),
+      conversionRate: rate(purchases, sessions)
+    });
+    
+    const with3d = group(sessions3d, value('cartAdds3d'), value('purchases3d'));
+    const without3d = group(sessionsWithout3d, value('cartAddsWithout3d'), value('purchasesWithout3d'));
+    
+    return {
+      engagement: {
+        sessions: value('sessions'),
+        sessions3d,
+        // Sessões que abriram o 3D entre as que viram o produto
+        engagementRate: rate(sessions3d, value('sessions')),
+        opens: Math.round(value('opens')),
+        rotations: Math.round(value('rotations')),
+        zooms: Math.round(value('zooms')),
+        arLaunches: Math.round(value('arLaunches')),
+        arSessions: value('arSessions'),
+        avgTimeSpentSeconds: value('timeSpentSamples') > 0
+          ? parseFloat((value('timeSpent') / value('timeSpentSamples')).toFixed(1))
+          : null
+      },
+      conversion: {
+        with3d,
+        without3d,
+        // Razão entre as taxas de conversão (null sem sessões ou compras sem 3D)
+        lift: without3d.conversionRate > 0
+          ? parseFloat((with3d.conversionRate / without3d.conversionRate).toFixed(2))
+          : null
+      }
+    };
+  },
+  
+  /**
+   * Formata os percentis de uma métrica de desempenho e avalia o p75
+   * 
+   * @param {String} metric - Nome da métrica (LCP, INP, CLS...)
+   * @param {Object} row - Percentis agregados (Event.getWebVitals)
+   * @returns {Object} Percentis arredondados, avaliação e distribuição das avaliações
+   * @private
+   */
+  _formatWebVital: (metric, row) => {
+    // CLS não tem unidade; as demais métricas são em milissegundos
+    const round = value => (metric === 'CLS'
+      ? parseFloat(value.toFixed(3))
+      : Math.round(value));
+    
+    const [good, poor] = WEB_VITAL_THRESHOLDS[metric] || [Infinity, Infinity];
+    let rating = 'good';
+    if (row.p75 > poor) {
+      rating = 'poor';
+    } else if (row.p75 > good) {
+      rating = 'needs-improvement';
+    }
+    
+    return {
+      metric,
+      samples: row.samples,
+      p50: round(row.p50),
+      p75: round(row.p75),
+      p95: round(row.p95),
+      rating,
+      ratings: {
+        good: row.good,
+        needsImprovement: row.needsImprovement,
+        poor: row.poor
+      }
+    };
+  },
+  
+  /**
+   * Converte os totais agregados das sessões em médias e taxas
+   * 
+   * @param {Object|null} totals - Totais agregados (Session.getMetrics)
+   * @returns {Object} Métricas de engajamento
+   * @private
+   */
+  _formatSessionTotals: (totals) => {
+    const sessions = totals ? totals.sessions : 0;
+    const average = value => (sessions > 0 ? parseFloat((value / sessions).toFixed(2)) : 0);
+    const rate = value => (sessions > 0 ? parseFloat((value / sessions * 100).toFixed(2)) : 0);
+    
+    return {
+      sessions,
+      avgDurationSeconds: totals ? average(totals.totalDuration) : 0,
+      pagesPerSession: totals ? average(totals.totalPageViews) : 0,
+      eventsPerSession: totals ? average(totals.totalEvents) : 0,
+      bounceRate: totals ? rate(totals.bounces) : 0,
+      // Diferente da visão geral (compras / visualizações): sessões com compra / sessões
+      conversionRate: totals ? rate(totals.conversions) : 0,
+      revenue: totals ? parseFloat(totals.revenue.toFixed(2)) : 0
+    };
+  },
+  
+  /**
+   * Carrega os dados simulados do dashboard quando o modo de demonstração está ativado
+   * 
+   * @returns {Object|null} Dados de utils/data/dashboard.json ou null (modo desativado ou arquivo ausente)
+   * @private
+   */
+  _loadDemoData: () => {
+    if (!DEMO_MODE) return null;
+    
+    if (!fs.existsSync(DEMO_DATA_PATH)) {
+      console.warn('⚠️ DEMO_MODE ativado, mas utils/data/dashboard.json não existe (execute utils/generateMockData.js)');
+      return null;
+    }
+    
+    return JSON.parse(fs.readFileSync(DEMO_DATA_PATH, 'utf8'));
+  },
+  
+  /**
+   * Lê o filtro opcional por loja de origem (parâmetro sourceId)
+   * 
+   * @param {Object} query - Parâmetros da requisição (req.query)
+   * @returns {Object} Objeto com o sourceId (ou null) ou a mensagem de erro
+   * @private
+   */
+  _parseSourceId: (query) => {
+    if (!query.sourceId) return { sourceId: null };
+    
+    if (!mongoose.Types.ObjectId.isValid(query.sourceId)) {
+      return { error: `sourceId inválido: ${query.sourceId}` };
+    }
+    
+    return { sourceId: new mongoose.Types.ObjectId(query.sourceId) };
+  },
+  
+  /**
+   * Calcula a data inicial de um período relativo
+   * 
+   * @param {String} period - Período (7d, 30d, 90d, 1y)
+   * @param {Date} endDate - Data final do período
+   * @returns {Date} Data inicial
+   * @private
+   */
+  _getPeriodStart: (period, endDate) => {
+    const days = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 }[period] || 30;
+    return new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
+  },
+  
+  /**
+   * Gera dados fictícios para análise de tendências (modo de demonstração)
    * 
    * @param {String} metric - Métrica a ser analisada
    * @param {Date} startDate - Data inicial
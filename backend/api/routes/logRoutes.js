@@ -10,17 +10,40 @@
 const express = require('express');
 const router = express.Router();
 const logController = require('../../logs/logController');
+const schemaController = require('../../logs/schemaController');
+const abuseController = require('../../logs/abuseController');
+const consentController = require('../../logs/consentController');
+const loggerConfigController = require('../../logs/loggerConfigController');
+const deadLetterController = require('../../logs/deadLetterController');
+const { isAdmin, hasStreamToken } = require('../../middleware/authMiddleware');
+const { protectIngestion } = require('../../middleware/abuseMiddleware');
 
 /**
  * @route POST /api/logs/event
  * @desc Registra um novo evento de interação do usuário
  * @access Public
  * 
+ * Protegido contra abuso: robôs recebem 403, excesso de requisições por IP
+ * ou de eventos por sessão recebe 429 (com Retry-After) e eventData acima
+ * do tamanho máximo recebe 413.
+ * 
+ * As requisições de ingestão identificam a loja pela chave de escrita, no
+ * cabeçalho X-Write-Key (ou no parâmetro ?writeKey=, para o sendBeacon).
+ * Chaves são gerenciadas em /api/admin/sources. A chave só é obrigatória
+ * com REQUIRE_WRITE_KEY=true; uma chave inválida sempre recebe 401.
+ * 
+ * O evento válido é enfileirado (202) e gravado em lote logo em seguida;
+ * com o buffer de gravação cheio, a resposta é 429 com Retry-After (503
+ * durante o encerramento do servidor).
+ * 
+ * Eventos recusados na validação (400) ou que não puderem ser gravados
+ * ficam em /api/logs/dead-letters.
+ * 
  * Exemplo de uso no frontend:
  * 
  * fetch('/api/logs/event', {
  *   method: 'POST',
- *   headers: { 'Content-Type': 'application/json' },
+ *   headers: { 'Content-Type': 'application/json', 'X-Write-Key': 'wk_...' },
  *   body: JSON.stringify({
  *     eventType: 'product_view',
  *     sessionId: 'abc123',
@@ -32,7 +55,199 @@ const logController = require('../../logs/logController');
  *   })
  * });
  */
-router.post('/event', logController.logEvent);
+router.post('/event', protectIngestion, logController.logEvent);
+
+/**
+ * @route POST /api/logs/batch
+ * @desc Registra um lote de eventos (usado pelo LoggerClient.flush)
+ * @access Public
+ * 
+ * Corpo da requisição:
+ * - events: Lista de eventos no mesmo formato de /api/logs/event
+ * 
+ * O navigator.sendBeacon envia o corpo como Blob/text/plain, por isso
+ * qualquer corpo que não tenha sido interpretado como JSON é lido como texto.
+ * 
+ * Os limites por sessão e de tamanho do eventData valem para cada item:
+ * itens acima do limite da sessão voltam com status "rate_limited".
+ * 
+ * Os itens aceitos são enfileirados no buffer de gravação. Com o buffer
+ * cheio, o lote inteiro recebe 429 (com Retry-After); se couber apenas
+ * parte dele, os itens restantes voltam como "rate_limited".
+ * 
+ * Itens recusados ("rejected") ou que não puderem ser gravados ficam em
+ * /api/logs/dead-letters para serem reprocessados.
+ * 
+ * Exemplo de resposta:
+ * {
+ *   "success": true,
+ *   "accepted": 1,
+ *   "rejected": 1,
+ *   "results": [
+ *     { "index": 0, "status": "accepted", "id": "665f..." },
+ *     { "index": 1, "status": "rejected", "reason": "Dados incompletos..." }
+ *   ]
+ * }
+ */
+router.post(
+  '/batch',
+  protectIngestion,
+  express.text({ type: () => true, limit: '1mb' }),
+  logController.logBatch
+);
+
+/**
+ * @route POST /api/logs/identify
+ * @desc Liga a sessão e o ID anônimo do navegador ao usuário que fez login
+ * @access Public (com chave de escrita)
+ * 
+ * Corpo da requisição:
+ * - userId: Usuário identificado
+ * - sessionId: Sessão em que o login ocorreu
+ * - anonymousId: ID anônimo persistente do navegador (opcional)
+ * 
+ * Depois da identificação, as consultas por userId incluem os eventos
+ * anônimos feitos antes do login nessas sessões.
+ */
+router.post('/identify', protectIngestion, logController.identify);
+
+/**
+ * @route POST /api/logs/consent
+ * @desc Registra uma alteração de consentimento (LGPD) no histórico
+ * @access Public (com chave de escrita)
+ * 
+ * Corpo da requisição:
+ * - sessionId: Sessão em que o consentimento foi dado ou revogado
+ * - userId / anonymousId: Usuário e navegador (opcionais)
+ * - consent: { analytics: true|false, marketing: true|false } (necessary é sempre concedida)
+ * - doNotTrack: Indica se o navegador envia Do-Not-Track
+ * - policyVersion / collectedVia: Versão da política e local da coleta (opcionais)
+ * 
+ * Os registros nunca são alterados: cada mudança gera um novo registro.
+ */
+router.post('/consent', protectIngestion, consentController.recordConsent);
+
+/**
+ * @route GET /api/logs/consent
+ * @desc Obtém o histórico de consentimento de uma sessão, usuário ou navegador
+ * @access Private (apenas administradores)
+ * 
+ * Parâmetros de consulta (ao menos um): sessionId, userId, anonymousId
+ * 
+ * Retorna os 500 registros mais recentes, em ordem cronológica, e o
+ * consentimento atual (current).
+ * 
+ * Exemplo: GET /api/logs/consent?userId=user_123
+ */
+router.get('/consent', isAdmin, consentController.getConsentHistory);
+
+/**
+ * @route GET /api/logs/config
+ * @desc Obtém a configuração de amostragem e limites usada pelo LoggerClient
+ * @access Public (com chave de escrita)
+ * 
+ * Exemplo de resposta:
+ * {
+ *   "success": true,
+ *   "config": {
+ *     "version": 1717171717000,
+ *     "sampleRates": { "page_view": 0.25, "pageview": 0.25 },
+ *     "defaultSampleRate": 1,
+ *     "maxEventsPerSession": 500,
+ *     "eventTypeCaps": { "scroll": 20 },
+ *     "flushIntervalMs": 10000,
+ *     "batchSize": 100,
+ *     "cacheTtlSeconds": 300
+ *   }
+ * }
+ * 
+ * As taxas também são repetidas para os apelidos de cada tipo de evento.
+ * Cada evento enviado informa sua taxa em sampleRate, usada pelas
+ * estatísticas para estimar o total de eventos.
+ */
+router.get('/config', protectIngestion, loggerConfigController.getClientConfig);
+
+/**
+ * @route PUT /api/logs/config
+ * @desc Atualiza a configuração de amostragem e limites do LoggerClient
+ * @access Private (apenas administradores)
+ * 
+ * Corpo da requisição (todos os campos são opcionais):
+ * - sampleRates: Taxa (0 a 1) por tipo de evento; substitui as taxas anteriores
+ * - defaultSampleRate: Taxa dos tipos não listados (padrão: 1)
+ * - maxEventsPerSession: Máximo de eventos por sessão (0: sem limite)
+ * - eventTypeCaps: Máximo de eventos por sessão para tipos específicos
+ * - flushIntervalMs: Intervalo entre os envios (1000 ms a 10 minutos)
+ * - batchSize: Eventos por requisição (1 a 500)
+ * - cacheTtlSeconds: Tempo de cache da configuração no cliente (mínimo: 30)
+ * 
+ * Exemplo: { "sampleRates": { "page_view": 0.25 }, "eventTypeCaps": { "scroll": 20 } }
+ */
+router.put('/config', isAdmin, loggerConfigController.updateClientConfig);
+
+/**
+ * @route GET /api/logs/users/:userId/journey
+ * @desc Obtém a jornada do usuário agrupada por sessão, incluindo eventos anteriores ao login
+ * @access Private (apenas administradores)
+ * 
+ * Parâmetros de consulta:
+ * - startDate / endDate: Período (formato ISO)
+ * - limit: Quantidade máxima de eventos (padrão: 500, máximo: 2000; mantém os mais recentes)
+ * 
+ * Exemplo: GET /api/logs/users/user_123/journey?startDate=2025-05-01
+ */
+router.get('/users/:userId/journey', isAdmin, logController.getUserJourney);
+
+/**
+ * @route GET /api/logs
+ * @desc Consulta eventos com filtros e paginação por cursor
+ * @access Private (apenas administradores)
+ * 
+ * Parâmetros de consulta:
+ * - startDate / endDate: Período (formato ISO; datas sem horário incluem o dia inteiro)
+ * - eventType: Tipo(s) de evento, separados por vírgula
+ * - userId, sessionId: Usuário ou sessão (userId inclui os eventos anônimos ligados pelo identify;
+ *   use stitch=false para apenas os eventos gravados com o userId)
+ * - sourceId: Loja de origem (ver /api/admin/sources)
+ * - productId: Atalho para eventData.productId
+ * - severity: info, warning ou error (separados por vírgula)
+ * - eventData.<caminho>: Filtro por qualquer campo de eventData (ex: eventData.category=Calçados)
+ * - sort: Campo de ordenação, com "-" para decrescente (padrão: -timestamp)
+ * - limit: Tamanho da página (padrão: 50, máximo: 500)
+ * - cursor: Valor de nextCursor retornado pela página anterior
+ * 
+ * Exemplo: GET /api/logs?eventType=product_view&eventData.category=Calçados&limit=100
+ */
+router.get('/', isAdmin, logController.queryEvents);
+
+/**
+ * @route GET /api/logs/stream-token
+ * @desc Gera o token de curta duração (60 segundos) para abrir o streaming de eventos
+ * @access Private (apenas administradores)
+ * 
+ * Resposta: { success: true, token, expiresIn }
+ */
+router.get('/stream-token', isAdmin, logController.getStreamToken);
+
+/**
+ * @route GET /api/logs/stream
+ * @desc Transmite em tempo real (Server-Sent Events) os eventos registrados
+ * @access Private (token de GET /api/logs/stream-token no parâmetro token)
+ * 
+ * Aceita os mesmos filtros de GET /api/logs (exceto período e paginação).
+ * Cada evento chega como uma mensagem SSE do tipo "log".
+ * 
+ * O EventSource não envia o cabeçalho Authorization; por isso o token segue
+ * na URL. Ele é verificado apenas na abertura da conexão: para reconectar
+ * depois que ele expirar, gere um novo token.
+ * 
+ * Exemplo de uso no frontend:
+ * 
+ * const { data } = await axios.get('/api/logs/stream-token', { headers: getAuthHeaders() });
+ * const source = new EventSource(`/api/logs/stream?eventType=checkout_start&token=${data.token}`);
+ * source.addEventListener('log', (e) => console.log(JSON.parse(e.data)));
+ */
+router.get('/stream', hasStreamToken, logController.streamEvents);
 
 /**
  * @route GET /api/logs/events/:type
@@ -88,4 +303,119 @@ router.get('/most-viewed', logController.getMostViewedProducts);
  */
 router.get('/funnel', logController.getFunnelData);
 
+/**
+ * @route GET /api/logs/abuse
+ * @desc Obtém as contagens de requisições de ingestão bloqueadas
+ * @access Private (apenas administradores)
+ * 
+ * Parâmetros de consulta:
+ * - startDate: Data inicial (formato ISO, padrão: 7 dias atrás)
+ * - endDate: Data final (formato ISO)
+ * - reason: ip_rate_limit, session_rate_limit, payload_too_large ou bot
+ * 
+ * A resposta inclui em limiters as chaves acompanhadas e os baldes
+ * descartados pelo limite de memória (RATE_LIMIT_MAX_KEYS) nesta instância.
+ * 
+ * Exemplo: GET /api/logs/abuse?reason=ip_rate_limit
+ */
+router.get('/abuse', isAdmin, abuseController.getBlockedMetrics);
+
+/**
+ * @route GET /api/logs/buffer
+ * @desc Obtém a ocupação do buffer de gravação de eventos
+ * @access Private (apenas administradores)
+ * 
+ * Informa os eventos aguardando gravação (depth), a capacidade e a
+ * ocupação em porcentagem, a idade do evento mais antigo e os contadores
+ * de eventos gravados, recusados por falta de espaço e gravações com falha.
+ */
+router.get('/buffer', isAdmin, logController.getBufferMetrics);
+
+/**
+ * @route GET /api/logs/schemas
+ * @desc Lista a versão mais recente do schema de eventData de cada tipo de evento
+ * @access Private (apenas administradores)
+ * 
+ * Exemplo: GET /api/logs/schemas
+ */
+router.get('/schemas', isAdmin, schemaController.listSchemas);
+
+/**
+ * @route GET /api/logs/schemas/:eventType
+ * @desc Obtém todas as versões do schema de um tipo de evento
+ * @access Private (apenas administradores)
+ * 
+ * Exemplo: GET /api/logs/schemas/product_view
+ */
+router.get('/schemas/:eventType', isAdmin, schemaController.getSchema);
+
+/**
+ * @route PUT /api/logs/schemas/:eventType
+ * @desc Registra uma nova versão do schema de um tipo de evento
+ * @access Private (apenas administradores)
+ * 
+ * Corpo da requisição:
+ * - schema: JSON Schema do eventData
+ * - onInvalid: "reject" ou "quarantine" (opcional, padrão: quarantine)
+ * - description: Descrição da alteração (opcional)
+ * 
+ * Exemplo:
+ * {
+ *   "schema": {
+ *     "type": "object",
+ *     "required": ["productId"],
+ *     "properties": { "productId": { "type": "string" } }
+ *   },
+ *   "onInvalid": "reject",
+ *   "description": "productId passa a ser obrigatório"
+ * }
+ */
+router.put('/schemas/:eventType', isAdmin, schemaController.updateSchema);
+
+/**
+ * @route GET /api/logs/dead-letters
+ * @desc Lista os eventos rejeitados na ingestão (dead-letter), com os totais por motivo
+ * @access Private (apenas administradores)
+ * 
+ * Os eventos rejeitados são removidos automaticamente após DEAD_LETTER_TTL_DAYS (padrão: 30 dias).
+ * 
+ * Parâmetros de consulta:
+ * - status: pending (padrão) ou resolved
+ * - stage: validation (dados ou schema inválidos) ou save (falha na gravação)
+ * - eventType: Tipo do evento, como enviado pelo cliente
+ * - page/limit: Paginação (padrão: 1 e 50, máximo: 200)
+ * 
+ * Exemplo: GET /api/logs/dead-letters?stage=validation&eventType=purchase
+ */
+router.get('/dead-letters', isAdmin, deadLetterController.listDeadLetters);
+
+/**
+ * @route POST /api/logs/dead-letters/reprocess
+ * @desc Reprocessa eventos rejeitados pendentes com a validação atual (até 500 por requisição)
+ * @access Private (apenas administradores)
+ * 
+ * Corpo da requisição: ids (lista de IDs) ou os filtros stage e eventType.
+ * Os eventos são validados com os metadados da requisição original; os aceitos,
+ * duplicados ou em quarentena são marcados como resolvidos.
+ * 
+ * Exemplo: { "stage": "validation", "eventType": "purchase" }
+ */
+router.post('/dead-letters/reprocess', isAdmin, deadLetterController.reprocessDeadLetters);
+
+/**
+ * @route GET /api/logs/dead-letters/:id
+ * @desc Obtém um evento rejeitado com o corpo original, o motivo e os metadados da requisição
+ * @access Private (apenas administradores)
+ */
+router.get('/dead-letters/:id', isAdmin, deadLetterController.getDeadLetter);
+
+/**
+ * @route PUT /api/logs/dead-letters/:id
+ * @desc Corrige o corpo de um evento rejeitado pendente antes do reprocessamento
+ * @access Private (apenas administradores)
+ * 
+ * Exemplo: { "payload": { "eventType": "purchase", "sessionId": "sess_1", "eventData": { "total": 99.9 } } }
+ */
+router.put('/dead-letters/:id', isAdmin, deadLetterController.updateDeadLetter);
+
 module.exports = router;
@@ -25,9 +25,13 @@ router.get('/', (req, res) => {
       overview: '/api/stats/overview',
       dashboard: '/api/stats/dashboard',
       trends: '/api/stats/trends',
+      geo: '/api/stats/geo',
+      sessions: '/api/stats/sessions',
+      performance: '/api/stats/performance',
+      model3d: '/api/stats/3d',
       public: '/api/stats/public'
     },
-    note: 'Os endpoints overview, dashboard e trends requerem autenticação de administrador'
+    note: 'Os endpoints overview, dashboard, trends, geo, sessions, performance e 3d requerem autenticação de administrador'
   });
 });
 
@@ -39,8 +43,14 @@ router.get('/', (req, res) => {
  * Parâmetros de consulta:
  * - startDate: Data inicial (formato ISO)
  * - endDate: Data final (formato ISO)
+ * - sourceId: Restringe a uma loja de origem (opcional)
+ * - deviceType: Restringe a um tipo de dispositivo (opcional)
+ * - category: Restringe aos eventos de uma categoria de produto (opcional)
  * 
- * Exemplo: GET /api/stats/overview?startDate=2025-05-01&endDate=2025-05-31
+ * As estatísticas são sempre calculadas a partir dos eventos registrados.
+ * Com DEMO_MODE=true, a resposta traz valores fixos de demonstração e demo: true.
+ * 
+ * Exemplo: GET /api/stats/overview?startDate=2025-05-01&endDate=2025-05-31&deviceType=mobile
  */
 router.get('/overview', statsController.getOverviewStats); // Removido isAdmin temporariamente
 
@@ -49,8 +59,13 @@ router.get('/overview', statsController.getOverviewStats); // Removido isAdmin t
  * @desc Obtém dados para o dashboard principal
  * @access Private (apenas administradores)
  * 
- * Este endpoint combina estatísticas reais com dados fictícios
- * para demonstração do dashboard.
+ * Traz as estatísticas calculadas a partir dos eventos registrados. Os campos
+ * ainda sem fonte nos eventos (vendas, categorias, personalizações e métricas
+ * de receita) vêm vazios e são listados em unavailableFields. Com
+ * DEMO_MODE=true, usa os dados de utils/data/dashboard.json e traz demo: true.
+ * 
+ * Parâmetros de consulta:
+ * - sourceId: Restringe os dados reais a uma loja de origem (opcional)
  * 
  * Exemplo: GET /api/stats/dashboard
  */
@@ -65,10 +80,86 @@ router.get('/dashboard', statsController.getDashboardData); // Removido isAdmin
  * - metric: Métrica a ser analisada (sales, visitors, conversion, customizations)
  * - period: Período de análise (7d, 30d, 90d, 1y)
  * 
+ * Disponível apenas com DEMO_MODE=true (dados simulados, com demo: true);
+ * fora do modo de demonstração, responde 404.
+ * 
  * Exemplo: GET /api/stats/trends?metric=sales&period=30d
  */
 router.get('/trends', isAdmin, statsController.getTrendsData);
 
+/**
+ * @route GET /api/stats/geo
+ * @desc Obtém visualizações, compras e conversão por região
+ * @access Private (apenas administradores)
+ * 
+ * Parâmetros de consulta:
+ * - groupBy: Nível de agrupamento (country, state, city; padrão: state)
+ * - country: Código ISO do país (padrão: BR)
+ * - startDate/endDate: Período (formato ISO) ou period (7d, 30d, 90d, 1y)
+ * - sourceId: Restringe a uma loja de origem (opcional)
+ * 
+ * Exemplo: GET /api/stats/geo?groupBy=state&period=30d
+ */
+router.get('/geo', isAdmin, statsController.getGeoStats);
+
+/**
+ * @route GET /api/stats/sessions
+ * @desc Obtém métricas de engajamento das sessões (duração, páginas por sessão, rejeição e conversão)
+ * @access Private (apenas administradores)
+ * 
+ * As sessões são geradas periodicamente a partir dos eventos (ver logs/sessionizer);
+ * eventos dos últimos minutos ainda podem não estar incluídos.
+ * 
+ * Parâmetros de consulta:
+ * - startDate/endDate: Período de início das sessões (formato ISO) ou period (7d, 30d, 90d, 1y)
+ * - deviceType: Restringe a um tipo de dispositivo (desktop, mobile, tablet...)
+ * - sourceId: Restringe a uma loja de origem (opcional)
+ * 
+ * Exemplo: GET /api/stats/sessions?period=7d&deviceType=mobile
+ */
+router.get('/sessions', isAdmin, statsController.getSessionStats);
+
+/**
+ * @route GET /api/stats/performance
+ * @desc Obtém os percentis (p50, p75, p95) das métricas de desempenho da loja (Core Web Vitals)
+ * @access Private (apenas administradores)
+ * 
+ * As métricas (LCP, CLS, INP, FCP e TTFB) são enviadas pelo LoggerClient como
+ * eventos web_vital. Cada métrica recebe uma avaliação (good, needs-improvement
+ * ou poor) a partir do p75, como no Core Web Vitals.
+ * 
+ * Parâmetros de consulta:
+ * - startDate/endDate: Período (formato ISO) ou period (7d, 30d, 90d, 1y)
+ * - metric: Métricas separadas por vírgula (ex: LCP,INP; padrão: todas)
+ * - deviceType: Restringe a um tipo de dispositivo (desktop, mobile, tablet...)
+ * - sourceId: Restringe a uma loja de origem (opcional)
+ * - limit: Máximo de combinações página × dispositivo (padrão: 100, máximo: 500)
+ * 
+ * Exemplo: GET /api/stats/performance?period=7d&metric=LCP,INP
+ */
+router.get('/performance', isAdmin, statsController.getPerformanceStats);
+
+/**
+ * @route GET /api/stats/3d
+ * @desc Obtém, por produto, o engajamento com o modelo 3D e a conversão das sessões com e sem 3D
+ * @access Private (apenas administradores)
+ * 
+ * As interações são enviadas pelo LoggerClient (logModel3dOpen, logModel3dRotate,
+ * logModel3dZoom, logArLaunch e logModel3dTimeSpent). Entre as sessões que viram
+ * o produto, as que usaram o visualizador 3D são comparadas às demais quanto à
+ * adição ao carrinho e à compra do produto; lift é a razão entre as taxas de
+ * conversão (indica associação, não causalidade).
+ * 
+ * Parâmetros de consulta:
+ * - startDate/endDate: Período (formato ISO) ou period (7d, 30d, 90d, 1y)
+ * - productId: Restringe a um produto
+ * - sourceId: Restringe a uma loja de origem (opcional)
+ * - limit: Máximo de produtos (padrão: 50, máximo: 200)
+ * 
+ * Exemplo: GET /api/stats/3d?period=30d
+ */
+router.get('/3d', isAdmin, statsController.getModel3dStats);
+
 /**
  * @route GET /api/stats/public
  * @desc Obtém estatísticas públicas para exibição no site
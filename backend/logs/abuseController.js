@@ -0,0 +1,89 @@
+/**
+ * Controlador para as métricas de proteção contra abuso
+ *
+ * Este controlador permite que administradores consultem quantas
+ * requisições de ingestão foram bloqueadas, por motivo e por rota.
+ *
+ * @module controllers/abuseController
+ */
+
+const BlockedRequest = require('../models/blockedRequestModel');
+const abuseGuard = require('./abuseGuard');
+
+/**
+ * Objeto que contém os métodos do controlador de abuso
+ */
+const abuseController = {
+  /**
+   * Obtém as contagens de bloqueios em um período
+   *
+   * Parâmetros de consulta:
+   * - startDate: Data inicial (padrão: 7 dias atrás)
+   * - endDate: Data final (padrão: agora)
+   * - reason: Restringe a um motivo (ip_rate_limit, session_rate_limit, payload_too_large, bot)
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com os totais, a série por hora e a ocupação dos limitadores ou mensagem de erro
+   */
+  getBlockedMetrics: async (req, res) => {
+    try {
+      const { startDate, endDate, reason } = req.query;
+
+      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas. Use o formato ISO (ex: 2025-05-01).'
+        });
+      }
+
+      if (reason && !BlockedRequest.BLOCK_REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Motivo inválido. Use um dos valores: ${BlockedRequest.BLOCK_REASONS.join(', ')}`
+        });
+      }
+
+      // Inclui as contagens ainda em memória
+      await abuseGuard.flushBlocked();
+
+      const filter = { period: { $gte: start, $lte: end } };
+      if (reason) filter.reason = reason;
+
+      const hourly = await BlockedRequest.find(filter)
+        .select('-_id -__v')
+        .sort({ period: -1 })
+        .lean();
+
+      const totals = hourly.reduce((result, item) => {
+        result[item.reason] = (result[item.reason] || 0) + item.count;
+        return result;
+      }, {});
+
+      return res.status(200).json({
+        success: true,
+        period: {
+          start: start.toISOString(),
+          end: end.toISOString()
+        },
+        total: hourly.reduce((sum, item) => sum + item.count, 0),
+        totals,
+        hourly,
+        // Estado atual desta instância (não depende do período)
+        limiters: abuseGuard.getLimiterMetrics()
+      });
+    } catch (error) {
+      console.error('Erro ao buscar métricas de bloqueio:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar métricas de bloqueio',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = abuseController;
@@ -0,0 +1,214 @@
+/**
+ * Proteção contra abuso na ingestão de eventos
+ *
+ * Os endpoints públicos de ingestão gravam direto no MongoDB; sem
+ * proteção, um script com defeito (ou um ataque) consegue inundar a
+ * coleção de eventos e distorcer todas as métricas. Este módulo aplica:
+ * - limite de taxa (token bucket) por IP e por sessionId;
+ * - tamanho máximo do eventData;
+ * - recusa de tráfego de robôs conhecidos (ou sem user agent).
+ *
+ * Os bloqueios são contados em memória e gravados periodicamente,
+ * agregados por hora, na coleção `blocked_requests`.
+ *
+ * Configuração (variáveis de ambiente):
+ * - RATE_LIMIT_IP_BURST / RATE_LIMIT_IP_PER_MINUTE: rajada e taxa por IP (padrão: 300 / 300)
+ * - RATE_LIMIT_SESSION_BURST / RATE_LIMIT_SESSION_PER_MINUTE: rajada e taxa por sessão (padrão: 120 / 60)
+ * - RATE_LIMIT_MAX_KEYS: máximo de IPs e de sessões acompanhados em memória (padrão: 100000 de cada)
+ * - MAX_EVENT_DATA_BYTES: tamanho máximo do eventData serializado (padrão: 8192)
+ * - BLOCK_BOTS: "false" desativa a recusa de robôs
+ *
+ * @module logs/abuseGuard
+ */
+
+const BlockedRequest = require('../models/blockedRequestModel');
+const { createRateLimiter } = require('./rateLimiter');
+const { isBotUserAgent } = require('./userAgentParser');
+
+// Intervalo de gravação das contagens de bloqueio
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Lê um número inteiro positivo de uma variável de ambiente
+ *
+ * @param {String} name - Nome da variável
+ * @param {Number} fallback - Valor padrão
+ * @returns {Number} Valor configurado
+ * @private
+ */
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+const config = {
+  maxEventDataBytes: envNumber('MAX_EVENT_DATA_BYTES', 8192),
+  rateLimitMaxKeys: envNumber('RATE_LIMIT_MAX_KEYS', 100000),
+  blockBots: process.env.BLOCK_BOTS !== 'false'
+};
+
+// Limite por IP: cada requisição (evento avulso ou lote) consome uma ficha
+const ipLimiter = createRateLimiter({
+  capacity: envNumber('RATE_LIMIT_IP_BURST', 300),
+  refillPerMinute: envNumber('RATE_LIMIT_IP_PER_MINUTE', 300),
+  maxKeys: config.rateLimitMaxKeys
+});
+
+// Limite por sessão: cada evento consome uma ficha, inclusive dentro de lotes
+const sessionLimiter = createRateLimiter({
+  capacity: envNumber('RATE_LIMIT_SESSION_BURST', 120),
+  refillPerMinute: envNumber('RATE_LIMIT_SESSION_PER_MINUTE', 60),
+  maxKeys: config.rateLimitMaxKeys
+});
+
+// Contagens ainda não gravadas (chave: período|motivo|rota)
+let pendingCounts = new Map();
+let flushTimer = null;
+
+/**
+ * Verifica a requisição antes de processar seus eventos
+ *
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {Object|null} Bloqueio ({ reason, status, message, retryAfter }) ou null se permitida
+ */
+function checkRequest(req) {
+  const userAgent = req.headers['user-agent'];
+
+  if (config.blockBots && (!userAgent || isBotUserAgent(userAgent))) {
+    return {
+      reason: 'bot',
+      status: 403,
+      message: 'Tráfego automatizado não é aceito na ingestão de eventos'
+    };
+  }
+
+  const ipLimit = ipLimiter.consume(req.ip || 'unknown');
+  if (!ipLimit.allowed) {
+    return {
+      reason: 'ip_rate_limit',
+      status: 429,
+      message: 'Limite de requisições excedido. Tente novamente mais tarde.',
+      retryAfter: ipLimit.retryAfter
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Verifica um evento (avulso ou item de um lote)
+ *
+ * @param {Object} payload - Dados do evento recebidos do cliente
+ * @returns {Object|null} Bloqueio ({ reason, status, message, retryAfter }) ou null se permitido
+ */
+function checkEvent(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const eventData = payload.eventData || payload.data;
+  if (eventData !== undefined) {
+    const size = Buffer.byteLength(JSON.stringify(eventData) || '');
+
+    if (size > config.maxEventDataBytes) {
+      return {
+        reason: 'payload_too_large',
+        status: 413,
+        message: `eventData excede o tamanho máximo de ${config.maxEventDataBytes} bytes (${size} bytes)`
+      };
+    }
+  }
+
+  // Eventos sem sessionId são recusados depois, na validação
+  if (payload.sessionId) {
+    const sessionLimit = sessionLimiter.consume(String(payload.sessionId));
+    if (!sessionLimit.allowed) {
+      return {
+        reason: 'session_rate_limit',
+        status: 429,
+        message: 'Limite de eventos da sessão excedido. Tente novamente mais tarde.',
+        retryAfter: sessionLimit.retryAfter
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Contabiliza um bloqueio
+ *
+ * As contagens são agregadas em memória e gravadas em lote, para que
+ * uma inundação de requisições não se transforme em uma inundação de
+ * escritas no banco de dados.
+ *
+ * @param {String} reason - Motivo do bloqueio
+ * @param {String} route - Rota da ingestão
+ * @param {Number} count - Quantidade bloqueada (padrão: 1)
+ */
+function recordBlocked(reason, route, count = 1) {
+  const period = new Date();
+  period.setUTCMinutes(0, 0, 0);
+
+  const key = `${period.toISOString()}|${reason}|${route}`;
+  const pending = pendingCounts.get(key) || { period, reason, route, count: 0, lastBlockedAt: null };
+  pending.count += count;
+  pending.lastBlockedAt = new Date();
+  pendingCounts.set(key, pending);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushBlocked, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * Grava as contagens de bloqueio pendentes
+ *
+ * @returns {Promise<void>}
+ */
+async function flushBlocked() {
+  flushTimer = null;
+  if (pendingCounts.size === 0) return;
+
+  const counts = [...pendingCounts.values()];
+  pendingCounts = new Map();
+
+  try {
+    await BlockedRequest.bulkWrite(counts.map(({ period, reason, route, count, lastBlockedAt }) => ({
+      updateOne: {
+        filter: { period, reason, route },
+        update: { $inc: { count }, $max: { lastBlockedAt } },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    console.error('Erro ao gravar métricas de bloqueio:', error);
+  }
+}
+
+/**
+ * Obtém a ocupação dos limitadores de taxa
+ *
+ * Descartes frequentes indicam que RATE_LIMIT_MAX_KEYS é baixo para o tráfego.
+ *
+ * @returns {Object} Chaves em memória e baldes descartados, por IP e por sessão
+ */
+function getLimiterMetrics() {
+  const describe = limiter => ({
+    keys: limiter.size(),
+    maxKeys: config.rateLimitMaxKeys,
+    evictions: limiter.evictions()
+  });
+
+  return {
+    ip: describe(ipLimiter),
+    session: describe(sessionLimiter)
+  };
+}
+
+module.exports = {
+  checkRequest,
+  checkEvent,
+  recordBlocked,
+  flushBlocked,
+  getLimiterMetrics
+};
@@ -0,0 +1,153 @@
+/**
+ * Controlador para o registro de consentimento (LGPD)
+ *
+ * Recebe as alterações de consentimento feitas pelos clientes na loja
+ * (via LoggerClient) e permite que administradores consultem o histórico
+ * de uma sessão, usuário ou navegador.
+ *
+ * @module controllers/consentController
+ */
+
+const ConsentRecord = require('../models/consentRecordModel');
+const logController = require('./logController');
+const { applyPrivacy } = require('./privacyPipeline');
+
+// Quantidade máxima de registros retornados no histórico (os mais recentes)
+const MAX_HISTORY = 500;
+
+/**
+ * Objeto que contém os métodos do controlador de consentimento
+ */
+const consentController = {
+  /**
+   * Registra uma alteração de consentimento
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o registro criado ou mensagem de erro
+   */
+  recordConsent: async (req, res) => {
+    try {
+      const { source, error: sourceError } = await logController._authenticateSource(req);
+      if (sourceError) {
+        return res.status(401).json({
+          success: false,
+          message: sourceError
+        });
+      }
+
+      const { sessionId, userId, anonymousId, consent, doNotTrack, policyVersion, collectedVia } = req.body || {};
+
+      if (!sessionId || !consent || typeof consent !== 'object') {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados incompletos. sessionId e consent são obrigatórios.'
+        });
+      }
+
+      const invalid = ['analytics', 'marketing'].filter(category => typeof consent[category] !== 'boolean');
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `consent deve informar true ou false para: ${invalid.join(', ')}`
+        });
+      }
+
+      // O IP recebe o mesmo tratamento dos eventos (truncado ou hash)
+      const context = logController._requestContext(req);
+      const { ipAddress } = applyPrivacy({ ipAddress: context.ipAddress });
+
+      const record = await ConsentRecord.create({
+        sessionId,
+        userId: userId || 'anonymous',
+        anonymousId,
+        sourceId: source ? source.id : undefined,
+        consent: {
+          necessary: true,
+          analytics: consent.analytics,
+          marketing: consent.marketing
+        },
+        doNotTrack: doNotTrack === true,
+        policyVersion,
+        collectedVia,
+        ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Consentimento registrado com sucesso',
+        id: record._id,
+        recordedAt: record.recordedAt
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao registrar consentimento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao registrar consentimento',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Obtém o histórico de consentimento de uma sessão, usuário ou navegador
+   *
+   * Parâmetros de consulta (ao menos um):
+   * - sessionId: ID da sessão
+   * - userId: ID do usuário
+   * - anonymousId: ID anônimo do navegador
+   *
+   * O histórico traz os registros mais recentes (até MAX_HISTORY), em ordem
+   * cronológica; o consentimento atual é o do último registro.
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o histórico e o consentimento atual ou mensagem de erro
+   */
+  getConsentHistory: async (req, res) => {
+    try {
+      const filters = ['sessionId', 'userId', 'anonymousId']
+        .filter(field => typeof req.query[field] === 'string' && req.query[field])
+        .map(field => ({ [field]: req.query[field] }));
+
+      if (filters.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe sessionId, userId ou anonymousId.'
+        });
+      }
+
+      // Busca do mais recente para trás, para que o limite não corte o consentimento atual
+      const latestFirst = await ConsentRecord.find(filters.length === 1 ? filters[0] : { $or: filters })
+        .select('-__v')
+        .sort({ recordedAt: -1, _id: -1 })
+        .limit(MAX_HISTORY)
+        .lean();
+      const history = latestFirst.reverse();
+
+      return res.status(200).json({
+        success: true,
+        count: history.length,
+        current: history.length > 0 ? history[history.length - 1].consent : null,
+        history
+      });
+    } catch (error) {
+      console.error('Erro ao buscar histórico de consentimento:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar histórico de consentimento',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = consentController;
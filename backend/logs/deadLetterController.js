@@ -0,0 +1,376 @@
+/**
+ * Controlador para os eventos rejeitados (dead-letter)
+ *
+ * Permite que administradores consultem os eventos recusados na ingestão,
+ * corrijam o corpo original e os reprocessem em lote depois que o schema
+ * ou o código forem ajustados. O reprocessamento usa a mesma validação da
+ * ingestão (logController._buildEvent) com os metadados da requisição original.
+ *
+ * @module controllers/deadLetterController
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const QuarantinedEvent = require('../models/quarantinedEventModel');
+const DeadLetterEvent = require('../models/deadLetterEventModel');
+const logController = require('./logController');
+const eventBus = require('./eventBus');
+
+// Máximo de eventos reprocessados por requisição
+const MAX_REPROCESS = 500;
+
+// Máximo de eventos por página na listagem
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Objeto que contém os métodos do controlador de eventos rejeitados
+ */
+const deadLetterController = {
+  /**
+   * Lista os eventos rejeitados (sem o corpo original)
+   *
+   * Parâmetros de consulta:
+   * - status: pending (padrão) ou resolved
+   * - stage: validation ou save
+   * - eventType: Tipo do evento, como enviado pelo cliente
+   * - page/limit: Paginação (padrão: 1 e 50, máximo: 200)
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com os eventos e os totais por motivo ou mensagem de erro
+   */
+  listDeadLetters: async (req, res) => {
+    try {
+      const { filter, error } = deadLetterController._buildFilter(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+      const [deadLetters, total, reasons] = await Promise.all([
+        DeadLetterEvent.find(filter)
+          .select('-payload -__v')
+          .sort({ receivedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        DeadLetterEvent.countDocuments(filter),
+        DeadLetterEvent.aggregate([
+          { $match: filter },
+          { $group: { _id: { stage: '$stage', reason: '$reason' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 }
+        ])
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        count: deadLetters.length,
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        reasons: reasons.map(row => ({ stage: row._id.stage, reason: row._id.reason, count: row.count })),
+        deadLetters
+      });
+    } catch (error) {
+      console.error('Erro ao listar eventos rejeitados:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao listar eventos rejeitados',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Obtém um evento rejeitado com o corpo original e os metadados da requisição
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o evento ou mensagem de erro
+   */
+  getDeadLetter: async (req, res) => {
+    try {
+      const deadLetter = await deadLetterController._findDeadLetter(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Evento rejeitado não encontrado'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        deadLetter
+      });
+    } catch (error) {
+      console.error('Erro ao buscar evento rejeitado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar evento rejeitado',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Substitui o corpo de um evento rejeitado pendente (ex: para corrigir um campo)
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o evento atualizado ou mensagem de erro
+   */
+  updateDeadLetter: async (req, res) => {
+    try {
+      const { payload } = req.body;
+
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe o corpo corrigido do evento em payload (objeto).'
+        });
+      }
+
+      const deadLetter = await deadLetterController._findDeadLetter(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Evento rejeitado não encontrado'
+        });
+      }
+
+      if (deadLetter.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: 'O evento já foi reprocessado e não pode ser editado'
+        });
+      }
+
+      const updated = await DeadLetterEvent.findByIdAndUpdate(deadLetter._id, {
+        payload,
+        eventType: typeof payload.eventType === 'string' ? payload.eventType : null,
+        eventId: typeof payload.eventId === 'string' ? payload.eventId : null,
+        editedBy: req.user ? req.user.id : null,
+        editedAt: new Date()
+      }, { new: true }).select('-__v').lean();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Evento atualizado. Reprocesse-o para gravá-lo.',
+        deadLetter: updated
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar evento rejeitado:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao atualizar evento rejeitado',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Reprocessa eventos rejeitados pendentes
+   *
+   * Corpo da requisição: ids (lista de IDs) ou os filtros da listagem
+   * (stage, eventType), até MAX_REPROCESS eventos por vez. Os eventos
+   * aceitos, duplicados ou em quarentena são marcados como resolvidos; os
+   * que falharem de novo continuam pendentes com o novo motivo.
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o resultado de cada evento ou mensagem de erro
+   */
+  reprocessDeadLetters: async (req, res) => {
+    try {
+      const { ids } = req.body;
+      let filter;
+
+      if (ids !== undefined) {
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REPROCESS) {
+          return res.status(400).json({
+            success: false,
+            message: `ids deve ser uma lista com 1 a ${MAX_REPROCESS} IDs.`
+          });
+        }
+
+        const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+        if (invalidIds.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `IDs inválidos: ${invalidIds.join(', ')}`
+          });
+        }
+
+        filter = { _id: { $in: ids }, status: 'pending' };
+      } else {
+        const built = deadLetterController._buildFilter({ ...req.body, status: 'pending' });
+        if (built.error) {
+          return res.status(400).json({ success: false, message: built.error });
+        }
+        filter = built.filter;
+      }
+
+      const deadLetters = await DeadLetterEvent.find(filter)
+        .sort({ receivedAt: 1 })
+        .limit(MAX_REPROCESS)
+        .lean();
+
+      const results = await deadLetterController._reprocess(deadLetters);
+
+      const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      }, {});
+
+      return res.status(200).json({
+        success: true,
+        message: 'Reprocessamento concluído',
+        processed: results.length,
+        accepted: summary.accepted || 0,
+        quarantined: summary.quarantined || 0,
+        duplicates: summary.duplicate || 0,
+        failed: summary.failed || 0,
+        // Ainda há pendentes no filtro além do limite desta requisição
+        hasMore: ids === undefined && deadLetters.length === MAX_REPROCESS,
+        results
+      });
+    } catch (error) {
+      console.error('Erro ao reprocessar eventos rejeitados:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao reprocessar eventos rejeitados',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Valida e grava novamente os eventos rejeitados, atualizando sua situação
+   *
+   * @param {Array<Object>} deadLetters - Eventos rejeitados pendentes
+   * @returns {Promise<Array<Object>>} Resultado de cada evento ({ id, status, ... })
+   * @private
+   */
+  _reprocess: async (deadLetters) => {
+    const results = [];
+    const accepted = [];
+    const quarantine = [];
+    const seenEventIds = new Set();
+
+    deadLetters.forEach(deadLetter => {
+      const context = deadLetter.context || {};
+
+      // Sem horário informado pelo cliente, o evento mantém o horário em que foi recebido
+      const payload = deadLetter.payload && typeof deadLetter.payload === 'object' && !Array.isArray(deadLetter.payload)
+        ? { timestamp: deadLetter.receivedAt, ...deadLetter.payload }
+        : deadLetter.payload;
+
+      // O IP guardado já foi anonimizado; a localização foi consultada com o IP completo
+      const { event, quarantined, error, details } = logController._buildEvent(payload, {
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+        geo: context.geo,
+        privacyRules: context.privacyRules,
+        sourceId: context.sourceId || null
+      });
+
+      if (error) {
+        results.push({ id: deadLetter._id, status: 'failed', reason: error, errors: details });
+        return;
+      }
+
+      // O mesmo eventId rejeitado mais de uma vez (reenvios do cliente) é gravado uma vez
+      const eventId = event ? event.eventId : quarantined.eventId;
+      if (eventId && seenEventIds.has(eventId)) {
+        results.push({ id: deadLetter._id, status: 'duplicate', eventId });
+        return;
+      }
+      if (eventId) seenEventIds.add(eventId);
+
+      results.push({ id: deadLetter._id, status: quarantined ? 'quarantined' : 'accepted', eventId });
+      (quarantined ? quarantine : accepted).push({ doc: event || quarantined, result: results[results.length - 1] });
+    });
+
+    // Eventos já gravados (ex: reenvio do cliente após a falha) contam como duplicados
+    const insertGroup = async (Model, group) => {
+      if (group.length === 0) return;
+
+      const duplicates = await logController._insertIgnoringDuplicates(Model, group.map(item => item.doc));
+      duplicates.forEach(position => {
+        group[position].result.status = 'duplicate';
+      });
+    };
+
+    await insertGroup(Event, accepted);
+    await insertGroup(QuarantinedEvent, quarantine);
+
+    eventBus.publish(
+      accepted
+        .filter(item => item.result.status === 'accepted')
+        .map(item => item.doc)
+    );
+
+    // Atualiza a situação de cada evento rejeitado
+    const now = new Date();
+    if (results.length > 0) {
+      await DeadLetterEvent.bulkWrite(results.map(result => ({
+        updateOne: {
+          filter: { _id: result.id },
+          update: result.status === 'failed'
+            ? {
+              $set: { stage: 'validation', reason: result.reason, details: (result.errors || []).map(String), lastAttemptAt: now },
+              $inc: { attempts: 1 }
+            }
+            : {
+              $set: { status: 'resolved', resolution: result.status, resolvedAt: now, lastAttemptAt: now },
+              $inc: { attempts: 1 }
+            }
+        }
+      })), { ordered: false });
+    }
+
+    return results;
+  },
+
+  /**
+   * Monta o filtro da listagem a partir dos parâmetros
+   *
+   * @param {Object} params - Parâmetros (status, stage, eventType)
+   * @returns {Object} Objeto com o filtro ou a mensagem de erro
+   * @private
+   */
+  _buildFilter: (params) => {
+    const { status = 'pending', stage, eventType } = params;
+
+    if (!DeadLetterEvent.DEAD_LETTER_STATUSES.includes(status)) {
+      return { error: `status inválido. Use um dos valores: ${DeadLetterEvent.DEAD_LETTER_STATUSES.join(', ')}` };
+    }
+
+    if (stage && !DeadLetterEvent.DEAD_LETTER_STAGES.includes(stage)) {
+      return { error: `stage inválido. Use um dos valores: ${DeadLetterEvent.DEAD_LETTER_STAGES.join(', ')}` };
+    }
+
+    const filter = { status };
+    if (stage) filter.stage = stage;
+    if (typeof eventType === 'string' && eventType) filter.eventType = eventType;
+
+    return { filter };
+  },
+
+  /**
+   * Busca um evento rejeitado pelo ID, tratando IDs malformados como inexistentes
+   *
+   * @param {String} id - ID do evento rejeitado
+   * @returns {Promise<Object|null>} Evento encontrado
+   * @private
+   */
+  _findDeadLetter: async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return DeadLetterEvent.findById(id).select('-__v').lean();
+  }
+};
+
+module.exports = deadLetterController;
@@ -0,0 +1,47 @@
+/**
+ * Barramento de eventos em processo
+ *
+ * Publica os eventos recém-gravados para quem estiver acompanhando a
+ * ingestão em tempo real (ex: o streaming /api/logs/stream).
+ *
+ * @module logs/eventBus
+ */
+
+const { EventEmitter } = require('events');
+
+// Nome do evento emitido a cada evento gravado
+const EVENT_INGESTED = 'ingested';
+
+const emitter = new EventEmitter();
+
+// Cada conexão de streaming registra um ouvinte; evita o aviso de vazamento
+emitter.setMaxListeners(0);
+
+/**
+ * Publica eventos recém-gravados
+ *
+ * @param {Array<Object>} events - Eventos gravados (documentos ou objetos simples)
+ */
+function publish(events) {
+  if (emitter.listenerCount(EVENT_INGESTED) === 0) return;
+
+  events.forEach(event => {
+    emitter.emit(EVENT_INGESTED, typeof event.toObject === 'function' ? event.toObject() : event);
+  });
+}
+
+/**
+ * Registra um ouvinte para os eventos gravados
+ *
+ * @param {Function} listener - Função chamada com cada evento
+ * @returns {Function} Função que remove o ouvinte
+ */
+function subscribe(listener) {
+  emitter.on(EVENT_INGESTED, listener);
+  return () => emitter.off(EVENT_INGESTED, listener);
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
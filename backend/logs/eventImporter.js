@@ -0,0 +1,774 @@
+/**
+ * Importação de arquivos de eventos para a coleção `events`
+ *
+ * Lê arquivos NDJSON, JSON (lista de objetos, como o logs.json gerado por
+ * utils/generateMockData) e CSV sem carregá-los inteiros na memória, converte
+ * cada registro para o formato da API de ingestão (com mapeamento de campos
+ * e de nomes de eventos) e grava os eventos pelo mesmo caminho da ingestão
+ * (logController._buildEvent): privacidade, user agent, taxonomia e schemas.
+ *
+ * O progresso é informado a cada lote pela posição do último registro lido,
+ * para que uma importação interrompida continue de onde parou. Registros sem
+ * eventId recebem um ID derivado do conteúdo, então repetir um trecho já
+ * importado não duplica eventos.
+ *
+ * @module logs/eventImporter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const Event = require('../models/eventModel');
+const QuarantinedEvent = require('../models/quarantinedEventModel');
+const logController = require('./logController');
+const { isKnownEventType } = require('./eventTaxonomy');
+const { DEVICE_TYPES } = require('./userAgentParser');
+
+// Formatos aceitos e extensões reconhecidas
+const FORMATS = ['ndjson', 'json', 'csv'];
+const FORMAT_EXTENSIONS = {
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.json': 'json',
+  '.csv': 'csv'
+};
+
+// Registros gravados por operação no MongoDB
+const DEFAULT_BATCH_SIZE = 500;
+
+// Quantidade máxima de erros detalhados no relatório (os demais são apenas contados)
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Nomes procurados no registro para cada campo do evento, quando não há mapeamento
+ *
+ * device, browser e os são usados apenas quando o user agent não os identifica
+ * (exportações antigas costumam trazer esses campos já separados).
+ */
+const FIELD_ALIASES = {
+  eventId: ['eventId', 'event_id', '_id', 'id'],
+  eventType: ['eventType', 'event_type', 'eventName', 'event_name', 'event'],
+  userId: ['userId', 'user_id'],
+  sessionId: ['sessionId', 'session_id'],
+  anonymousId: ['anonymousId', 'anonymous_id'],
+  timestamp: ['timestamp', 'createdAt', 'created_at', 'date', 'time'],
+  severity: ['severity'],
+  pageUrl: ['pageUrl', 'page_url', 'url'],
+  referrer: ['referrer'],
+  userAgent: ['userAgent', 'user_agent'],
+  ipAddress: ['ipAddress', 'ip_address', 'ip'],
+  device: ['device', 'deviceType', 'device_type'],
+  browser: ['browser'],
+  os: ['os']
+};
+
+/**
+ * Cria um erro de validação das opções (a API responde com 400)
+ *
+ * @param {String} message - Mensagem do erro
+ * @returns {Error} Erro com a propriedade isValidationError
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Identifica o formato do arquivo pela extensão
+ *
+ * @param {String} filePath - Caminho (ou nome) do arquivo
+ * @returns {String|null} ndjson, json, csv ou null se não reconhecido
+ */
+function detectFormat(filePath) {
+  return FORMAT_EXTENSIONS[path.extname(filePath || '').toLowerCase()] || null;
+}
+
+/**
+ * Converte uma lista de pares "destino=origem" em objeto
+ *
+ * Aceita a lista separada por vírgulas (ex: "timestamp=createdAt,eventId=_id")
+ * ou um objeto já montado.
+ *
+ * @param {String|Object} spec - Lista de pares ou objeto
+ * @param {String} optionName - Nome da opção (para as mensagens de erro)
+ * @returns {Object} Pares { destino: origem }
+ */
+function parsePairs(spec, optionName = 'mapping') {
+  if (!spec) return {};
+
+  if (typeof spec === 'object' && !Array.isArray(spec)) {
+    return { ...spec };
+  }
+
+  if (typeof spec !== 'string') {
+    throw validationError(`${optionName} deve ser uma lista "destino=origem" separada por vírgulas`);
+  }
+
+  return spec.split(',').reduce((pairs, pair) => {
+    if (!pair.trim()) return pairs;
+
+    const [target, source] = pair.split('=').map(part => (part || '').trim());
+    if (!target || !source) {
+      throw validationError(`Par inválido em ${optionName}: "${pair}" (use destino=origem)`);
+    }
+
+    pairs[target] = source;
+    return pairs;
+  }, {});
+}
+
+/**
+ * Valida o mapeamento de campos
+ *
+ * Destinos aceitos: os campos de FIELD_ALIASES, eventData (objeto inteiro)
+ * e eventData.<campo>.
+ *
+ * @param {String|Object} spec - Mapeamento (ver parsePairs)
+ * @returns {Object} Mapeamento { destino: caminho no registro }
+ */
+function parseMapping(spec) {
+  const mapping = parsePairs(spec, 'mapping');
+
+  const invalid = Object.keys(mapping).filter(target =>
+    !FIELD_ALIASES[target] && target !== 'eventData' && !target.startsWith('eventData.')
+  );
+  if (invalid.length > 0) {
+    throw validationError(`Campos de destino desconhecidos no mapeamento: ${invalid.join(', ')}`);
+  }
+
+  return mapping;
+}
+
+/**
+ * Lê um valor do registro por um caminho com pontos (ex: metadata.device)
+ *
+ * @param {Object} record - Registro
+ * @param {String} fieldPath - Caminho do campo
+ * @returns {*} Valor encontrado
+ * @private
+ */
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Grava um valor em um objeto por um caminho com pontos, criando os níveis intermediários
+ *
+ * @param {Object} target - Objeto de destino
+ * @param {String} fieldPath - Caminho do campo
+ * @param {*} value - Valor
+ * @private
+ */
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Converte um registro do arquivo no formato aceito por _buildEvent
+ *
+ * Sem eventData no registro (ou mapeado), os campos não usados pelo evento
+ * formam o eventData. Sem sessionId, é criada uma sessão por usuário e dia,
+ * para que os eventos históricos ainda possam ser agrupados.
+ *
+ * @param {Object} record - Registro lido do arquivo
+ * @param {Object} mapping - Mapeamento de campos (ver parseMapping)
+ * @param {Object} eventTypeMap - Renomeação de eventos { nome no arquivo: novo nome }
+ * @returns {Object} Payload do evento e campos auxiliares (ipAddress, device, browser, os)
+ * @private
+ */
+function mapRecord(record, mapping, eventTypeMap) {
+  const used = new Set();
+
+  const pick = target => {
+    if (mapping[target]) {
+      if (!mapping[target].includes('.')) used.add(mapping[target]);
+      return getPath(record, mapping[target]);
+    }
+
+    const alias = FIELD_ALIASES[target].find(name => record[name] !== undefined && record[name] !== '');
+    if (alias) used.add(alias);
+    return alias ? record[alias] : undefined;
+  };
+
+  const fields = {};
+  Object.keys(FIELD_ALIASES).forEach(target => {
+    fields[target] = pick(target);
+  });
+
+  // eventData: mapeado, presente no registro ou formado pelos campos restantes
+  let eventData;
+  if (mapping.eventData) {
+    eventData = getPath(record, mapping.eventData);
+    used.add(mapping.eventData.split('.')[0]);
+  } else if (record.eventData && typeof record.eventData === 'object') {
+    eventData = record.eventData;
+    used.add('eventData');
+  } else if (record.data && typeof record.data === 'object') {
+    eventData = record.data;
+    used.add('data');
+  } else {
+    eventData = {};
+    Object.entries(record).forEach(([key, value]) => {
+      if (!used.has(key) && value !== undefined && value !== '') {
+        eventData[key] = value;
+      }
+    });
+  }
+  eventData = eventData && typeof eventData === 'object' ? { ...eventData } : {};
+
+  Object.entries(mapping)
+    .filter(([target]) => target.startsWith('eventData.'))
+    .forEach(([target, source]) => {
+      const value = getPath(record, source);
+      if (value !== undefined) setPath(eventData, target.substring('eventData.'.length), value);
+    });
+
+  const originalType = fields.eventType != null ? String(fields.eventType) : fields.eventType;
+  const eventType = originalType && eventTypeMap[originalType] ? eventTypeMap[originalType] : originalType;
+
+  const timestamp = fields.timestamp != null ? new Date(fields.timestamp) : null;
+  const validTimestamp = timestamp && !isNaN(timestamp.getTime()) ? timestamp : null;
+
+  const userId = fields.userId != null && fields.userId !== '' ? String(fields.userId) : null;
+  let sessionId = fields.sessionId != null && fields.sessionId !== '' ? String(fields.sessionId) : null;
+  if (!sessionId && validTimestamp) {
+    sessionId = `imp_${userId || 'anonymous'}_${validTimestamp.toISOString().substring(0, 10)}`;
+  }
+
+  // Sem eventId, o ID é derivado do conteúdo (reimportar o mesmo registro não duplica)
+  const eventId = fields.eventId != null && fields.eventId !== ''
+    ? String(fields.eventId)
+    : 'imp_' + crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex');
+
+  return {
+    originalType,
+    timestamp: validTimestamp,
+    payload: {
+      eventId,
+      eventType,
+      userId,
+      sessionId,
+      anonymousId: fields.anonymousId != null ? String(fields.anonymousId) : undefined,
+      eventData,
+      timestamp: validTimestamp ? validTimestamp.toISOString() : undefined,
+      severity: fields.severity || undefined,
+      pageUrl: fields.pageUrl,
+      referrer: fields.referrer,
+      userAgent: fields.userAgent
+    },
+    ipAddress: fields.ipAddress != null ? String(fields.ipAddress) : null,
+    device: fields.device && typeof fields.device === 'object' ? fields.device.type : fields.device,
+    browser: fields.browser && typeof fields.browser === 'object' ? fields.browser.name : fields.browser,
+    os: fields.os && typeof fields.os === 'object' ? fields.os.name : fields.os
+  };
+}
+
+/**
+ * Lê um arquivo NDJSON (um objeto JSON por linha)
+ *
+ * @param {String} filePath - Caminho do arquivo
+ * @returns {AsyncGenerator<Object>} Registros ({ line, raw })
+ * @private
+ */
+async function* readNdjson(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let line = 0;
+  for await (const text of lines) {
+    line += 1;
+    if (text.trim()) {
+      yield { line, raw: text };
+    }
+  }
+}
+
+/**
+ * Lê um arquivo JSON com uma lista de objetos, um objeto por vez
+ *
+ * Percorre o texto acompanhando a profundidade de chaves e colchetes (fora
+ * das strings) para separar os objetos da lista sem interpretar o arquivo inteiro.
+ *
+ * @param {String} filePath - Caminho do arquivo
+ * @returns {AsyncGenerator<Object>} Registros ({ line, raw })
+ * @private
+ */
+async function* readJsonArray(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let buffer = '';
+  let line = 1;
+  let recordLine = 1;
+
+  for await (const chunk of stream) {
+    let recordStart = depth > 0 ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (char === '\n') line += 1;
+
+      if (depth > 0) {
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') depth += 1;
+        else if (char === '}' || char === ']') {
+          depth -= 1;
+          if (depth === 0) {
+            buffer += chunk.substring(recordStart, i + 1);
+            yield { line: recordLine, raw: buffer };
+            buffer = '';
+            recordStart = -1;
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) continue;
+
+      if (!started) {
+        if (char !== '[') {
+          throw validationError('O arquivo JSON deve conter uma lista de objetos');
+        }
+        started = true;
+        continue;
+      }
+
+      if (finished) {
+        throw validationError(`Conteúdo inesperado após o fim da lista (linha ${line})`);
+      }
+
+      if (char === ',') continue;
+      if (char === ']') {
+        finished = true;
+        continue;
+      }
+      if (char !== '{') {
+        throw validationError(`Cada item da lista deve ser um objeto (linha ${line})`);
+      }
+
+      depth = 1;
+      recordStart = i;
+      recordLine = line;
+    }
+
+    // Objeto continua no próximo trecho do arquivo
+    if (depth > 0 && recordStart !== -1) {
+      buffer += chunk.substring(recordStart);
+    }
+  }
+
+  if (!started || !finished) {
+    throw validationError('O arquivo JSON está incompleto (lista não encerrada)');
+  }
+}
+
+/**
+ * Converte o valor de uma célula CSV (números e booleanos sem perda de formato)
+ *
+ * Valores como "00123" continuam texto, para não alterar códigos e IDs.
+ *
+ * @param {String} value - Valor da célula
+ * @returns {*} Valor convertido
+ * @private
+ */
+function parseCsvValue(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value !== '' && String(Number(value)) === value) return Number(value);
+  return value;
+}
+
+/**
+ * Lê um arquivo CSV com cabeçalho (RFC 4180: aspas, aspas duplicadas e quebras de linha em campos)
+ *
+ * Colunas com pontos no nome (ex: eventData.productId) formam objetos.
+ * O separador (vírgula ou ponto e vírgula) é detectado pelo cabeçalho
+ * quando não informado.
+ *
+ * @param {String} filePath - Caminho do arquivo
+ * @param {String} [delimiter] - Separador das colunas
+ * @returns {AsyncGenerator<Object>} Registros ({ line, record })
+ * @private
+ */
+async function* readCsv(filePath, delimiter) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  let separator = delimiter || null;
+  let header = null;
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;
+  let line = 1;
+  let rowLine = 1;
+  let first = true;
+
+  const toRecord = values => {
+    const record = {};
+    header.forEach((name, index) => {
+      const value = values[index] !== undefined ? parseCsvValue(values[index]) : '';
+      if (name) setPath(record, name, value);
+    });
+    return record;
+  };
+
+  // Finaliza a linha atual; retorna o registro (ou null para cabeçalho e linhas vazias)
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    const values = row;
+    row = [];
+
+    if (values.length === 1 && values[0] === '') return null;
+
+    if (!header) {
+      header = values.map(name => name.trim());
+      return null;
+    }
+
+    return toRecord(values);
+  };
+
+  for await (let chunk of stream) {
+    if (first) {
+      // Remove o BOM das exportações de planilhas
+      chunk = chunk.replace(/^\uFEFF/, '');
+      if (!separator) {
+        const firstLine = chunk.split('\n')[0];
+        separator = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+      }
+      first = false;
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') quotePending = true;
+        else {
+          if (char === '\n') line += 1;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        const record = endRow();
+        if (record) yield { line: rowLine, record };
+        line += 1;
+        rowLine = line;
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    throw validationError(`Aspas não encerradas no CSV (linha ${rowLine})`);
+  }
+
+  if (field !== '' || row.length > 0) {
+    const record = endRow();
+    if (record) yield { line: rowLine, record };
+  }
+}
+
+/**
+ * Lê os registros do arquivo conforme o formato
+ *
+ * @param {String} filePath - Caminho do arquivo
+ * @param {String} format - ndjson, json ou csv
+ * @param {Object} options - Opções (delimiter para CSV)
+ * @returns {AsyncGenerator<Object>} Registros ({ line, raw } ou { line, record })
+ * @private
+ */
+function readRecords(filePath, format, options = {}) {
+  if (format === 'ndjson') return readNdjson(filePath);
+  if (format === 'json') return readJsonArray(filePath);
+  return readCsv(filePath, options.delimiter);
+}
+
+/**
+ * Cria o relatório vazio de uma importação
+ *
+ * @param {Object} options - Opções da importação
+ * @returns {Object} Relatório
+ * @private
+ */
+function createReport({ format, dryRun, resumeFrom }) {
+  return {
+    format,
+    dryRun,
+    resumedFrom: resumeFrom,
+    position: resumeFrom, // Registros já lidos (usado para continuar a importação)
+    processed: 0,
+    imported: 0, // No dry-run: eventos válidos que seriam importados
+    duplicates: 0,
+    quarantined: 0,
+    rejected: 0,
+    eventTypes: {},
+    renamedEventTypes: {},
+    unknownEventTypes: {},
+    errors: [],
+    completed: false
+  };
+}
+
+/**
+ * Registra um erro no relatório (os detalhes são limitados a MAX_REPORTED_ERRORS)
+ *
+ * @param {Object} report - Relatório
+ * @param {Object} entry - Registro lido
+ * @param {String} error - Mensagem
+ * @param {Array} [details] - Detalhes (ex: erros de schema)
+ * @param {String} [eventId] - ID do evento
+ * @private
+ */
+function addError(report, entry, error, details, eventId) {
+  report.rejected += 1;
+
+  if (report.errors.length < MAX_REPORTED_ERRORS) {
+    report.errors.push({
+      record: entry.position,
+      line: entry.line,
+      eventId,
+      error,
+      details
+    });
+  }
+}
+
+/**
+ * Conta uma ocorrência em um dos contadores por nome do relatório
+ *
+ * @param {Object} counter - Contador do relatório
+ * @param {String} key - Nome
+ * @private
+ */
+function increment(counter, key) {
+  counter[key] = (counter[key] || 0) + 1;
+}
+
+/**
+ * Valida e grava (ou apenas valida, no dry-run) um lote de registros
+ *
+ * @param {Array<Object>} entries - Registros lidos
+ * @param {Object} options - Opções da importação
+ * @param {Object} report - Relatório atualizado com o resultado
+ * @returns {Promise<void>}
+ * @private
+ */
+async function processBatch(entries, options, report) {
+  const { mapping, eventTypeMap, sourceId, dryRun } = options;
+  const accepted = [];
+  const quarantine = [];
+  const seenEventIds = new Set();
+
+  entries.forEach(entry => {
+    let record = entry.record;
+
+    if (!record) {
+      try {
+        record = JSON.parse(entry.raw);
+      } catch (error) {
+        addError(report, entry, `JSON inválido: ${error.message}`);
+        return;
+      }
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      addError(report, entry, 'Registro inválido. Esperado um objeto.');
+      return;
+    }
+
+    const mapped = mapRecord(record, mapping, eventTypeMap);
+
+    // Eventos históricos precisam do horário original
+    if (!mapped.timestamp) {
+      addError(report, entry, 'Data do evento ausente ou inválida (mapeie o campo timestamp)', undefined, mapped.payload.eventId);
+      return;
+    }
+
+    const { event, quarantined, error, details } = logController._buildEvent(mapped.payload, {
+      ipAddress: mapped.ipAddress,
+      sourceId
+    });
+
+    if (error) {
+      addError(report, entry, error, details, mapped.payload.eventId);
+      return;
+    }
+
+    const target = event || quarantined;
+    if (seenEventIds.has(target.eventId)) {
+      report.duplicates += 1;
+      return;
+    }
+    seenEventIds.add(target.eventId);
+
+    // Nome do evento normalizado (apelidos e renomeações do mapeamento)
+    if (mapped.originalType !== target.eventType) {
+      increment(report.renamedEventTypes, `${mapped.originalType} → ${target.eventType}`);
+    }
+    if (!isKnownEventType(target.eventType)) {
+      increment(report.unknownEventTypes, target.eventType);
+    }
+
+    if (quarantined) {
+      quarantine.push(quarantined);
+      return;
+    }
+
+    // Dispositivo, navegador e sistema informados no arquivo, quando o user agent não os identifica
+    const deviceType = typeof mapped.device === 'string' ? mapped.device.trim().toLowerCase() : null;
+    if (event.device.type === 'unknown' && DEVICE_TYPES.includes(deviceType)) {
+      event.device.type = deviceType;
+    }
+    if (!event.browser.name && typeof mapped.browser === 'string') event.browser.name = mapped.browser;
+    if (!event.os.name && typeof mapped.os === 'string') event.os.name = mapped.os;
+
+    increment(report.eventTypes, event.eventType);
+    accepted.push(event);
+  });
+
+  if (dryRun) {
+    // Eventos já existentes seriam ignorados na importação
+    const eventIds = accepted.map(event => event.eventId);
+    const existing = eventIds.length > 0
+      ? await Event.countDocuments({ eventId: { $in: eventIds } })
+      : 0;
+
+    report.duplicates += existing;
+    report.imported += accepted.length - existing;
+    report.quarantined += quarantine.length;
+    return;
+  }
+
+  const duplicateEvents = accepted.length > 0
+    ? await logController._insertIgnoringDuplicates(Event, accepted)
+    : [];
+  const duplicateQuarantine = quarantine.length > 0
+    ? await logController._insertIgnoringDuplicates(QuarantinedEvent, quarantine)
+    : [];
+
+  report.duplicates += duplicateEvents.length + duplicateQuarantine.length;
+  report.imported += accepted.length - duplicateEvents.length;
+  report.quarantined += quarantine.length - duplicateQuarantine.length;
+}
+
+/**
+ * Importa um arquivo de eventos
+ *
+ * @param {Object} options - Opções
+ * @param {String} options.filePath - Caminho do arquivo
+ * @param {String} [options.format] - ndjson, json ou csv (padrão: pela extensão)
+ * @param {String|Object} [options.mapping] - Mapeamento de campos (ex: "timestamp=createdAt,device=metadata.device")
+ * @param {String|Object} [options.eventTypeMap] - Renomeação de eventos (ex: "view_3d_model=model_3d_view")
+ * @param {String} [options.delimiter] - Separador do CSV (padrão: detectado pelo cabeçalho)
+ * @param {ObjectId} [options.sourceId] - Loja de origem atribuída aos eventos
+ * @param {Boolean} [options.dryRun] - Apenas valida, sem gravar
+ * @param {Number} [options.resumeFrom] - Registros a ignorar (position de uma importação anterior)
+ * @param {Object} [options.previousReport] - Relatório parcial da execução anterior (as contagens continuam dele)
+ * @param {Number} [options.batchSize] - Registros por lote (padrão: 500)
+ * @param {Function} [options.onProgress] - Chamada após cada lote com o relatório parcial
+ * @returns {Promise<Object>} Relatório da importação
+ */
+async function importEvents(options) {
+  const format = options.format || detectFormat(options.filePath);
+  if (!FORMATS.includes(format)) {
+    throw validationError(`Formato não reconhecido. Use um dos formatos: ${FORMATS.join(', ')}`);
+  }
+
+  if (!options.filePath || !fs.existsSync(options.filePath)) {
+    throw validationError(`Arquivo não encontrado: ${options.filePath}`);
+  }
+
+  const settings = {
+    mapping: parseMapping(options.mapping),
+    eventTypeMap: parsePairs(options.eventTypeMap, 'eventTypeMap'),
+    sourceId: options.sourceId || null,
+    dryRun: !!options.dryRun
+  };
+  const resumeFrom = Math.max(parseInt(options.resumeFrom, 10) || 0, 0);
+  const batchSize = Math.max(parseInt(options.batchSize, 10) || DEFAULT_BATCH_SIZE, 1);
+
+  const report = options.previousReport
+    ? { ...JSON.parse(JSON.stringify(options.previousReport)), resumedFrom: resumeFrom, position: resumeFrom, completed: false }
+    : createReport({ format, dryRun: settings.dryRun, resumeFrom });
+  let position = 0;
+  let batch = [];
+
+  const flushBatch = async () => {
+    if (batch.length === 0) return;
+
+    await processBatch(batch, settings, report);
+    report.processed += batch.length;
+    report.position = batch[batch.length - 1].position;
+    batch = [];
+
+    if (options.onProgress) {
+      await options.onProgress(report);
+    }
+  };
+
+  for await (const entry of readRecords(options.filePath, format, { delimiter: options.delimiter })) {
+    position += 1;
+
+    // Registros já processados em uma execução anterior
+    if (position <= resumeFrom) continue;
+
+    batch.push({ ...entry, position });
+    if (batch.length >= batchSize) {
+      await flushBatch();
+    }
+  }
+
+  await flushBatch();
+
+  report.completed = true;
+  return report;
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_BATCH_SIZE,
+  detectFormat,
+  parseMapping,
+  parsePairs,
+  importEvents
+};
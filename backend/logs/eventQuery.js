@@ -0,0 +1,433 @@
+/**
+ * Interpretação de filtros para consulta de eventos
+ *
+ * Este módulo converte os parâmetros de consulta recebidos pela API
+ * (datas, tipo, usuário, loja de origem, produto, severidade e caminhos de eventData)
+ * em critérios normalizados, que podem ser transformados em um filtro
+ * do MongoDB ou usados para testar um evento em memória.
+ *
+ * Também implementa a paginação por cursor: o cursor guarda o valor do
+ * campo de ordenação e o _id do último evento retornado, o que mantém a
+ * paginação consistente mesmo com novos eventos chegando.
+ *
+ * @module logs/eventQuery
+ */
+
+const mongoose = require('mongoose');
+const { normalizeEventType, getEventNames } = require('./eventTaxonomy');
+const identityGraph = require('./identityGraph');
+
+// Campos permitidos para ordenação
+const SORTABLE_FIELDS = ['timestamp', 'eventType', 'userId', 'sessionId'];
+
+// Severidades aceitas
+const SEVERITIES = ['info', 'warning', 'error'];
+
+// Limites de paginação
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Formato aceito para caminhos de eventData (impede operadores como $where)
+const DATA_PATH_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+// Datas no formato yyyy-MM-dd (sem horário)
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Erro de validação dos parâmetros de consulta
+ *
+ * @param {String} message - Mensagem de erro
+ * @returns {Error} Erro com a propriedade isValidationError
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Converte uma string de data em objeto Date
+ *
+ * Datas sem horário usadas como fim do período incluem o dia inteiro.
+ *
+ * @param {String} value - Data em formato ISO
+ * @param {Boolean} endOfDay - Se verdadeiro, ajusta datas sem horário para 23:59:59.999
+ * @returns {Date|null} Data convertida
+ * @private
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw validationError(`Data inválida: ${value}`);
+  }
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date;
+}
+
+/**
+ * Obtém um parâmetro que deve ter um único valor de texto
+ *
+ * Rejeita listas (?userId=a&userId=b) e objetos (?userId[$ne]=x), que
+ * chegariam ao filtro do MongoDB como operadores.
+ *
+ * @param {Object} query - Parâmetros da consulta
+ * @param {String} name - Nome do parâmetro
+ * @returns {String|null} Valor do parâmetro ou null se ausente
+ * @private
+ */
+function stringParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return null;
+
+  if (typeof value !== 'string') {
+    throw validationError(`O parâmetro ${name} deve ter um único valor de texto`);
+  }
+
+  return value;
+}
+
+/**
+ * Separa uma lista de valores (array ou texto separado por vírgulas)
+ *
+ * @param {String|Array} value - Valor do parâmetro
+ * @returns {Array<String>} Lista de valores não vazios
+ * @private
+ */
+function splitList(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Coleta os filtros de eventData a partir dos parâmetros da consulta
+ *
+ * Aceita tanto `eventData.category=x` quanto `eventData[category]=x`.
+ *
+ * @param {Object} query - Parâmetros da consulta
+ * @returns {Object} Mapa de caminho (sem o prefixo eventData) para valor
+ * @private
+ */
+function collectDataFilters(query) {
+  const filters = {};
+
+  const flatten = (value, prefix) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => flatten(nested, `${prefix}.${key}`));
+    } else {
+      filters[prefix.replace(/^\./, '')] = value;
+    }
+  };
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (key === 'eventData') {
+      flatten(value, '');
+    } else if (key.startsWith('eventData.')) {
+      flatten(value, key.slice('eventData.'.length));
+    }
+  });
+
+  Object.keys(filters).forEach(path => {
+    if (!DATA_PATH_PATTERN.test(path)) {
+      throw validationError(`Caminho de eventData inválido: ${path}`);
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * Converte o valor de um filtro de eventData nos valores equivalentes
+ *
+ * Os parâmetros chegam como texto; números e booleanos também são
+ * comparados em seu tipo original.
+ *
+ * @param {*} value - Valor recebido
+ * @returns {Array} Valores aceitos
+ * @private
+ */
+function candidateValues(value) {
+  const values = [value];
+
+  if (typeof value === 'string') {
+    if (value !== '' && !isNaN(Number(value))) values.push(Number(value));
+    if (value === 'true') values.push(true);
+    if (value === 'false') values.push(false);
+  }
+
+  return values;
+}
+
+/**
+ * Interpreta os parâmetros de consulta de eventos
+ *
+ * @param {Object} query - Parâmetros da requisição (req.query)
+ * @returns {Object} Critérios normalizados da consulta
+ */
+function parseEventQuery(query = {}) {
+  const criteria = {
+    startDate: parseDate(query.startDate),
+    endDate: parseDate(query.endDate, true),
+    eventTypes: splitList(query.eventType || []).map(normalizeEventType),
+    userId: stringParam(query, 'userId'),
+    // Inclui os eventos anônimos ligados ao usuário (desativado com stitch=false)
+    includeAliases: query.stitch !== 'false',
+    // Identificadores ligados ao userId (preenchidos com identityGraph.getAliases)
+    userAliases: null,
+    sessionId: stringParam(query, 'sessionId'),
+    sourceId: stringParam(query, 'sourceId'),
+    productId: stringParam(query, 'productId'),
+    severity: splitList(query.severity || []),
+    dataFilters: collectDataFilters(query)
+  };
+
+  const invalidSeverity = criteria.severity.find(severity => !SEVERITIES.includes(severity));
+  if (invalidSeverity) {
+    throw validationError(`Severidade inválida: ${invalidSeverity}`);
+  }
+
+  if (criteria.sourceId && !mongoose.Types.ObjectId.isValid(criteria.sourceId)) {
+    throw validationError(`sourceId inválido: ${criteria.sourceId}`);
+  }
+  
+  // O productId também é um filtro de eventData
+  if (criteria.productId) {
+    criteria.dataFilters.productId = criteria.productId;
+  }
+
+  return criteria;
+}
+
+/**
+ * Carrega as ligações do usuário filtrado no grafo de identidades
+ *
+ * @param {Object} criteria - Critérios retornados por parseEventQuery
+ * @returns {Promise<Object>} Os mesmos critérios, com userAliases preenchido
+ */
+async function resolveUserAliases(criteria) {
+  if (criteria.userId && criteria.includeAliases) {
+    criteria.userAliases = await identityGraph.getAliases(criteria.userId);
+  }
+  return criteria;
+}
+
+/**
+ * Interpreta os parâmetros de ordenação e paginação
+ *
+ * @param {Object} query - Parâmetros da requisição (req.query)
+ * @returns {Object} Opções de paginação ({ sortField, sortOrder, limit, cursor })
+ */
+function parsePagination(query = {}) {
+  const sort = stringParam(query, 'sort') || '-timestamp';
+  const sortField = sort.replace(/^[-+]/, '');
+  const sortOrder = sort.startsWith('-') ? -1 : 1;
+
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    throw validationError(`Ordenação não suportada: ${sort}. Use um dos campos: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const cursorParam = stringParam(query, 'cursor');
+  const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+
+  if (cursor && (cursor.field !== sortField || cursor.order !== sortOrder)) {
+    throw validationError('O cursor informado pertence a outra ordenação');
+  }
+
+  return { sortField, sortOrder, limit, cursor };
+}
+
+/**
+ * Converte os critérios em um filtro do MongoDB
+ *
+ * @param {Object} criteria - Critérios retornados por parseEventQuery
+ * @returns {Object} Filtro do MongoDB
+ */
+function toMongoFilter(criteria) {
+  const filter = {};
+
+  if (criteria.startDate || criteria.endDate) {
+    filter.timestamp = {};
+    if (criteria.startDate) filter.timestamp.$gte = criteria.startDate;
+    if (criteria.endDate) filter.timestamp.$lte = criteria.endDate;
+  }
+
+  if (criteria.eventTypes.length > 0) {
+    // Inclui os apelidos para encontrar eventos ainda não normalizados
+    filter.eventType = { $in: criteria.eventTypes.flatMap(getEventNames) };
+  }
+
+  if (criteria.userId && criteria.userAliases) {
+    Object.assign(filter, identityGraph.userFilter(criteria.userId, criteria.userAliases));
+  } else if (criteria.userId) {
+    filter.userId = criteria.userId;
+  }
+  if (criteria.sessionId) filter.sessionId = criteria.sessionId;
+  if (criteria.sourceId) filter.sourceId = new mongoose.Types.ObjectId(criteria.sourceId);
+
+  if (criteria.severity.length > 0) {
+    filter.severity = { $in: criteria.severity };
+  }
+
+  Object.entries(criteria.dataFilters).forEach(([path, value]) => {
+    filter[`eventData.${path}`] = { $in: candidateValues(value) };
+  });
+
+  return filter;
+}
+
+/**
+ * Obtém o valor de um caminho com pontos em um objeto
+ *
+ * @param {Object} object - Objeto de origem
+ * @param {String} path - Caminho (ex: items.0.productId)
+ * @returns {*} Valor encontrado ou undefined
+ * @private
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Verifica em memória se um evento atende aos critérios
+ *
+ * Usado para filtrar eventos que não passam pelo banco de dados
+ * (por exemplo, no streaming de eventos em tempo real).
+ *
+ * @param {Object} criteria - Critérios retornados por parseEventQuery
+ * @param {Object} event - Evento (documento ou objeto simples)
+ * @returns {Boolean} Verdadeiro se o evento atende aos critérios
+ */
+function matchesEvent(criteria, event) {
+  const timestamp = new Date(event.timestamp);
+
+  if (criteria.startDate && timestamp < criteria.startDate) return false;
+  if (criteria.endDate && timestamp > criteria.endDate) return false;
+  if (criteria.eventTypes.length > 0 && !criteria.eventTypes.includes(normalizeEventType(event.eventType))) return false;
+  if (criteria.userId) {
+    const belongsToUser = criteria.userAliases
+      ? identityGraph.matchesUser(criteria.userId, criteria.userAliases, event)
+      : event.userId === criteria.userId;
+    if (!belongsToUser) return false;
+  }
+  if (criteria.sessionId && event.sessionId !== criteria.sessionId) return false;
+  if (criteria.sourceId && String(event.sourceId) !== criteria.sourceId) return false;
+  if (criteria.severity.length > 0 && !criteria.severity.includes(event.severity)) return false;
+
+  return Object.entries(criteria.dataFilters).every(([path, value]) => {
+    return candidateValues(value).includes(getPath(event.eventData, path));
+  });
+}
+
+/**
+ * Codifica o cursor de paginação a partir do último evento da página
+ *
+ * @param {Object} event - Último evento retornado
+ * @param {Object} pagination - Opções de paginação
+ * @returns {String} Cursor opaco (base64url)
+ */
+function encodeCursor(event, pagination) {
+  const value = event[pagination.sortField];
+  const payload = {
+    field: pagination.sortField,
+    order: pagination.sortOrder,
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: String(event._id)
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Obtém o valor do campo de ordenação guardado no cursor
+ *
+ * Aceita apenas texto, número ou data válida: o valor vai direto para o
+ * filtro do MongoDB, e um objeto poderia conter operadores como $ne.
+ *
+ * @param {Object} payload - Conteúdo decodificado do cursor
+ * @returns {String|Number|Date} Valor do campo de ordenação
+ * @private
+ */
+function decodeCursorValue(payload) {
+  const { value } = payload;
+
+  if (payload.isDate) {
+    const date = typeof value === 'string' ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) {
+      throw new Error('data do cursor inválida');
+    }
+    return date;
+  }
+
+  if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+    return value;
+  }
+
+  throw new Error('valor do cursor inválido');
+}
+
+/**
+ * Decodifica um cursor de paginação
+ *
+ * @param {String} cursor - Cursor recebido do cliente
+ * @returns {Object} Dados do cursor ({ field, order, value, id })
+ * @private
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!SORTABLE_FIELDS.includes(payload.field) || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      throw new Error('cursor malformado');
+    }
+
+    return {
+      field: payload.field,
+      order: payload.order === 1 ? 1 : -1,
+      value: decodeCursorValue(payload),
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    throw validationError('Cursor de paginação inválido');
+  }
+}
+
+/**
+ * Monta o filtro que posiciona a consulta após o cursor
+ *
+ * O _id desempata eventos com o mesmo valor no campo de ordenação.
+ *
+ * @param {Object} cursor - Cursor decodificado
+ * @returns {Object} Filtro do MongoDB
+ */
+function cursorFilter(cursor) {
+  const operator = cursor.order === -1 ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [cursor.field]: { [operator]: cursor.value } },
+      { [cursor.field]: cursor.value, _id: { [operator]: cursor.id } }
+    ]
+  };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  SEVERITIES,
+  parseEventQuery,
+  resolveUserAliases,
+  parsePagination,
+  toMongoFilter,
+  matchesEvent,
+  encodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,145 @@
+/**
+ * Taxonomia de eventos do sistema de logs
+ *
+ * Este módulo define os nomes canônicos dos eventos aceitos pelo backend
+ * e os apelidos (aliases) usados por outros clientes, como o LoggerClient
+ * do frontend e o gerador de dados simulados. Todos os eventos são
+ * normalizados para o nome canônico antes de serem armazenados.
+ *
+ * @module logs/eventTaxonomy
+ */
+
+/**
+ * Registro de eventos canônicos
+ *
+ * Cada entrada define a descrição do evento e os nomes alternativos
+ * que devem ser convertidos para o nome canônico.
+ */
+const EVENT_TAXONOMY = {
+  page_view: {
+    description: 'Visualização de página',
+    aliases: ['pageview', 'page_visit']
+  },
+  product_view: {
+    description: 'Visualização de produto',
+    aliases: ['view_product', 'view_item']
+  },
+  product_impression: {
+    description: 'Impressão de produto (exibido na tela)',
+    aliases: ['impression']
+  },
+  product_customize: {
+    description: 'Personalização de produto',
+    aliases: ['customization', 'customize', 'product_customization']
+  },
+  model_3d_view: {
+    description: 'Abertura do visualizador 3D de um produto',
+    aliases: ['view_3d_model', '3d_view', 'model_3d_open']
+  },
+  model_3d_rotate: {
+    description: 'Rotação do modelo 3D de um produto',
+    aliases: ['rotate_3d_model', '3d_rotate']
+  },
+  model_3d_zoom: {
+    description: 'Zoom no modelo 3D de um produto',
+    aliases: ['zoom_3d_model', '3d_zoom']
+  },
+  model_3d_ar_launch: {
+    description: 'Abertura do produto em realidade aumentada (AR)',
+    aliases: ['ar_launch', 'view_in_ar']
+  },
+  model_3d_time_spent: {
+    description: 'Tempo de uso do visualizador 3D (enviado ao fechá-lo)',
+    aliases: ['model_3d_close', '3d_time_spent']
+  },
+  cart_add: {
+    description: 'Adição de produto ao carrinho',
+    aliases: ['add_to_cart']
+  },
+  cart_remove: {
+    description: 'Remoção de produto do carrinho',
+    aliases: ['remove_from_cart']
+  },
+  checkout_start: {
+    description: 'Início do checkout',
+    aliases: ['checkout', 'begin_checkout']
+  },
+  checkout_complete: {
+    description: 'Compra finalizada',
+    aliases: ['purchase', 'order_complete']
+  },
+  recommendation_click: {
+    description: 'Clique em recomendação de produto',
+    aliases: []
+  },
+  click: {
+    description: 'Clique em elemento rastreado (atributo data-track)',
+    aliases: ['element_click']
+  },
+  web_vital: {
+    description: 'Métrica de desempenho da página (Core Web Vitals)',
+    aliases: ['web_vitals', 'webvital']
+  },
+  error: {
+    description: 'Erro na aplicação',
+    aliases: []
+  }
+};
+
+/**
+ * Mapa de apelido para nome canônico, gerado a partir da taxonomia
+ */
+const ALIAS_MAP = Object.entries(EVENT_TAXONOMY).reduce((map, [canonical, definition]) => {
+  definition.aliases.forEach(alias => {
+    map[alias] = canonical;
+  });
+  return map;
+}, {});
+
+/**
+ * Normaliza o nome de um evento para o nome canônico
+ *
+ * Nomes desconhecidos são mantidos (apenas com espaços removidos e em
+ * minúsculas), para que novos eventos não sejam descartados.
+ *
+ * @param {String} eventType - Nome do evento recebido
+ * @returns {String} Nome canônico do evento
+ */
+function normalizeEventType(eventType) {
+  if (typeof eventType !== 'string') return eventType;
+
+  const name = eventType.trim().toLowerCase();
+  return ALIAS_MAP[name] || name;
+}
+
+/**
+ * Indica se o evento faz parte da taxonomia (como nome canônico ou apelido)
+ *
+ * @param {String} eventType - Nome do evento
+ * @returns {Boolean} Verdadeiro se o evento é conhecido
+ */
+function isKnownEventType(eventType) {
+  return Object.prototype.hasOwnProperty.call(EVENT_TAXONOMY, normalizeEventType(eventType));
+}
+
+/**
+ * Obtém todos os nomes (canônico e apelidos) de um evento
+ *
+ * Útil em consultas que precisam contar eventos gravados antes da
+ * normalização e ainda não corrigidos pelo backfill.
+ *
+ * @param {String} canonical - Nome canônico do evento
+ * @returns {Array<String>} Lista de nomes aceitos para o evento
+ */
+function getEventNames(canonical) {
+  const definition = EVENT_TAXONOMY[canonical];
+  return definition ? [canonical, ...definition.aliases] : [canonical];
+}
+
+module.exports = {
+  EVENT_TAXONOMY,
+  ALIAS_MAP,
+  normalizeEventType,
+  isKnownEventType,
+  getEventNames
+};
@@ -0,0 +1,115 @@
+/**
+ * Geolocalização de endereços IP a partir de uma base local
+ *
+ * Usa um arquivo no formato MaxMind DB (ex: GeoLite2-City.mmdb), lido do
+ * disco, sem nenhuma chamada de rede. A consulta é feita na ingestão,
+ * antes de o IP ser anonimizado pelo pipeline de privacidade.
+ *
+ * Sem o arquivo, a geolocalização fica desativada e os eventos são
+ * gravados sem o campo geo.
+ *
+ * Configuração (variáveis de ambiente):
+ * - GEOIP_DB_PATH: caminho do arquivo .mmdb (padrão: backend/data/GeoLite2-City.mmdb)
+ *
+ * @module logs/geoIp
+ */
+
+const fs = require('fs');
+const path = require('path');
+const maxmind = require('maxmind');
+
+// Caminho padrão da base de geolocalização
+const DEFAULT_DB_PATH = path.join(__dirname, '../data/GeoLite2-City.mmdb');
+
+// Idiomas usados nos nomes de estados e cidades, em ordem de preferência
+const NAME_LANGUAGES = ['pt-BR', 'en'];
+
+// Leitor da base carregada (null enquanto não houver base disponível)
+let reader = null;
+
+/**
+ * Carrega a base de geolocalização do disco
+ *
+ * A base é recarregada automaticamente quando o arquivo é substituído
+ * (ex: atualização mensal da GeoLite2).
+ *
+ * @param {String} [dbPath] - Caminho do arquivo .mmdb
+ * @returns {Promise<Boolean>} Verdadeiro se a base foi carregada
+ */
+async function loadDatabase(dbPath = process.env.GEOIP_DB_PATH || DEFAULT_DB_PATH) {
+  if (!fs.existsSync(dbPath)) {
+    console.warn(`⚠️ Base de geolocalização não encontrada em ${dbPath}: eventos serão gravados sem localização`);
+    reader = null;
+    return false;
+  }
+
+  try {
+    reader = await maxmind.open(dbPath, { watchForUpdates: true, watchForUpdatesNonPersistent: true });
+    console.log(`🌎 Base de geolocalização carregada: ${path.basename(dbPath)}`);
+    return true;
+  } catch (error) {
+    console.error('Erro ao carregar a base de geolocalização:', error);
+    reader = null;
+    return false;
+  }
+}
+
+/**
+ * Escolhe o nome no idioma preferido
+ *
+ * @param {Object} names - Nomes por idioma (formato MaxMind)
+ * @returns {String|null} Nome encontrado
+ * @private
+ */
+function pickName(names) {
+  if (!names) return null;
+  const language = NAME_LANGUAGES.find(lang => names[lang]);
+  return language ? names[language] : null;
+}
+
+/**
+ * Consulta a localização de um endereço IP
+ *
+ * @param {String} ip - Endereço IP (completo, antes da anonimização)
+ * @returns {Object|null} Localização ({ country, state, stateName, city }) ou null
+ */
+function lookup(ip) {
+  if (!reader || !ip) return null;
+
+  // IPv4 mapeado em IPv6 (ex: ::ffff:200.10.20.30)
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (!maxmind.validate(address)) return null;
+
+  let record;
+  try {
+    record = reader.get(address);
+  } catch (error) {
+    return null;
+  }
+
+  if (!record || !record.country) return null;
+
+  const subdivision = record.subdivisions && record.subdivisions[0];
+
+  return {
+    country: record.country.iso_code || null,
+    state: subdivision ? subdivision.iso_code || null : null,
+    stateName: subdivision ? pickName(subdivision.names) : null,
+    city: record.city ? pickName(record.city.names) : null
+  };
+}
+
+/**
+ * Indica se há uma base de geolocalização carregada
+ *
+ * @returns {Boolean} Verdadeiro se a base está disponível
+ */
+function isEnabled() {
+  return reader !== null;
+}
+
+module.exports = {
+  loadDatabase,
+  lookup,
+  isEnabled
+};
@@ -0,0 +1,112 @@
+/**
+ * Grafo de identidades (ligação entre sessões anônimas e usuários)
+ *
+ * O LoggerClient chama identify no login, informando o sessionId e o
+ * anonymousId do navegador. As ligações gravadas aqui permitem que as
+ * consultas por usuário incluam, retroativamente, os eventos anônimos
+ * feitos antes do login nessas sessões e nesse navegador.
+ *
+ * Somente eventos anônimos (userId "anonymous") são incorporados pelas
+ * ligações: eventos de outro usuário logado no mesmo navegador continuam
+ * atribuídos a ele.
+ *
+ * @module logs/identityGraph
+ */
+
+const IdentityAlias = require('../models/identityAliasModel');
+
+// userId gravado nos eventos sem usuário identificado
+const ANONYMOUS_USER_ID = 'anonymous';
+
+/**
+ * Registra as ligações de um usuário com seus identificadores anônimos
+ *
+ * @param {Object} identity - Dados da identificação
+ * @param {String} identity.userId - Usuário identificado
+ * @param {String} [identity.sessionId] - Sessão em que o login ocorreu
+ * @param {String} [identity.anonymousId] - ID anônimo persistente do navegador
+ * @param {ObjectId} [identity.sourceId] - Loja de origem
+ * @returns {Promise<Array<Object>>} Ligações registradas ({ aliasType, aliasId })
+ */
+async function identify({ userId, sessionId, anonymousId, sourceId }) {
+  const aliases = [];
+  if (sessionId) aliases.push({ aliasType: 'session', aliasId: String(sessionId) });
+  if (anonymousId) aliases.push({ aliasType: 'anonymous', aliasId: String(anonymousId) });
+
+  if (aliases.length === 0) return [];
+
+  const now = new Date();
+  await IdentityAlias.bulkWrite(aliases.map(alias => ({
+    updateOne: {
+      filter: { ...alias, userId },
+      update: {
+        $set: { lastSeenAt: now },
+        $setOnInsert: { firstSeenAt: now, sourceId: sourceId || undefined }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return aliases;
+}
+
+/**
+ * Obtém os identificadores anônimos ligados a um usuário
+ *
+ * @param {String} userId - Usuário
+ * @returns {Promise<Object>} Identificadores ({ sessionIds, anonymousIds })
+ */
+async function getAliases(userId) {
+  const aliases = await IdentityAlias.find({ userId }).select('aliasType aliasId').lean();
+
+  return {
+    sessionIds: aliases.filter(alias => alias.aliasType === 'session').map(alias => alias.aliasId),
+    anonymousIds: aliases.filter(alias => alias.aliasType === 'anonymous').map(alias => alias.aliasId)
+  };
+}
+
+/**
+ * Monta o filtro do MongoDB com os eventos de um usuário, incluindo os
+ * eventos anônimos das sessões e navegadores ligados a ele
+ *
+ * @param {String} userId - Usuário
+ * @param {Object} aliases - Identificadores retornados por getAliases
+ * @returns {Object} Filtro do MongoDB
+ */
+function userFilter(userId, aliases) {
+  const conditions = [{ userId }];
+
+  if (aliases.sessionIds.length > 0) {
+    conditions.push({ userId: ANONYMOUS_USER_ID, sessionId: { $in: aliases.sessionIds } });
+  }
+
+  if (aliases.anonymousIds.length > 0) {
+    conditions.push({ userId: ANONYMOUS_USER_ID, anonymousId: { $in: aliases.anonymousIds } });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * Verifica em memória se um evento pertence ao usuário (com as ligações)
+ *
+ * @param {String} userId - Usuário
+ * @param {Object} aliases - Identificadores retornados por getAliases
+ * @param {Object} event - Evento
+ * @returns {Boolean} Verdadeiro se o evento pertence ao usuário
+ */
+function matchesUser(userId, aliases, event) {
+  if (event.userId === userId) return true;
+  if (event.userId !== ANONYMOUS_USER_ID) return false;
+
+  return aliases.sessionIds.includes(event.sessionId) ||
+    (!!event.anonymousId && aliases.anonymousIds.includes(event.anonymousId));
+}
+
+module.exports = {
+  ANONYMOUS_USER_ID,
+  identify,
+  getAliases,
+  userFilter,
+  matchesUser
+};
@@ -8,6 +8,53 @@
  */
 
 const Event = require('../models/eventModel');
+const QuarantinedEvent = require('../models/quarantinedEventModel');
+const DeadLetterEvent = require('../models/deadLetterEventModel');
+const { normalizeEventType, getEventNames } = require('./eventTaxonomy');
+const schemaRegistry = require('./schemaRegistry');
+const eventQuery = require('./eventQuery');
+const eventBus = require('./eventBus');
+const privacyPipeline = require('./privacyPipeline');
+const { parseUserAgent } = require('./userAgentParser');
+const geoIp = require('./geoIp');
+const abuseGuard = require('./abuseGuard');
+const sourceRegistry = require('./sourceRegistry');
+const identityGraph = require('./identityGraph');
+const { createWriteBuffer } = require('./writeBuffer');
+const { createStreamToken } = require('../middleware/authMiddleware');
+
+// Número máximo de eventos aceitos em uma única requisição de lote
+const MAX_BATCH_SIZE = 500;
+
+// Tolerância para relógios de clientes adiantados (5 minutos)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Código de erro do MongoDB para violação de índice único
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Limites de eventos retornados na jornada de um usuário
+const DEFAULT_JOURNEY_LIMIT = 500;
+const MAX_JOURNEY_LIMIT = 2000;
+
+// Intervalo do comentário de keep-alive enviado no streaming (evita timeout de proxies)
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Buffer de gravação dos eventos: capacidade, eventos por insertMany e espera máxima
+const BUFFER_SIZE = parseInt(process.env.INGESTION_BUFFER_SIZE, 10) || 10000;
+const BUFFER_FLUSH_SIZE = parseInt(process.env.INGESTION_FLUSH_SIZE, 10) || 500;
+const BUFFER_FLUSH_INTERVAL_MS = parseInt(process.env.INGESTION_FLUSH_INTERVAL_MS, 10) || 1000;
+
+// Espera máxima para guardar no dead-letter os eventos não gravados no encerramento
+const DRAIN_DEAD_LETTER_TIMEOUT_MS = 5 * 1000;
+
+// Eventos aceitos pela API aguardam aqui a gravação em lote (write-behind)
+const eventBuffer = createWriteBuffer({
+  name: 'buffer de eventos',
+  maxSize: BUFFER_SIZE,
+  flushSize: BUFFER_FLUSH_SIZE,
+  flushIntervalMs: BUFFER_FLUSH_INTERVAL_MS,
+  write: items => logController._writeBufferedEvents(items)
+});
 
 /**
  * Objeto que contém os métodos do controlador de logs
@@ -16,49 +63,84 @@ const logController = {
   /**
    * Registra um novo evento de interação
    * 
+   * O evento validado é enfileirado no buffer de gravação e inserido no
+   * banco junto com os demais eventos do lote (write-behind).
+   * 
    * @param {Object} req - Objeto de requisição Express
    * @param {Object} res - Objeto de resposta Express
    * @returns {Object} Resposta com o evento registrado ou mensagem de erro
    */
   logEvent: async (req, res) => {
     try {
-      const {
-        eventType,
-        userId,
-        sessionId,
-        eventData
-      } = req.body;
+      // Identifica a loja de origem pela chave de escrita
+      const { source, error: sourceError } = await logController._authenticateSource(req);
+      if (sourceError) {
+        return res.status(401).json({
+          success: false,
+          message: sourceError
+        });
+      }
+      
+      // Limite de eventos da sessão e tamanho máximo do eventData
+      const blocked = abuseGuard.checkEvent(req.body);
+      if (blocked) {
+        abuseGuard.recordBlocked(blocked.reason, req.baseUrl + req.path);
+        if (blocked.retryAfter) {
+          res.set('Retry-After', String(blocked.retryAfter));
+        }
+        return res.status(blocked.status).json({
+          success: false,
+          message: blocked.message,
+          reason: blocked.reason
+        });
+      }
+      
+      // Buffer de gravação cheio (ou servidor encerrando): o cliente deve reenviar depois
+      if (eventBuffer.available() === 0) {
+        return logController._rejectBufferFull(req, res);
+      }
+      
+      // Monta o evento a partir do corpo da requisição
+      const context = {
+        ...logController._requestContext(req),
+        sourceId: source ? source.id : null
+      };
+      const { event, quarantined, error, details } = logController._buildEvent(req.body, context);
       
-      // Validação básica dos dados obrigatórios
-      if (!eventType || !sessionId || !eventData) {
+      // Validação básica dos dados obrigatórios (o evento recusado fica no dead-letter)
+      if (error) {
+        await logController._deadLetter([{ payload: req.body, stage: 'validation', reason: error, details }], context);
+        
         return res.status(400).json({
           success: false,
-          message: 'Dados incompletos. eventType, sessionId e eventData são obrigatórios.'
+          message: error,
+          errors: details
         });
       }
       
-      // Criação do objeto de evento com dados da requisição
-      const event = new Event({
-        eventType,
-        userId: userId || 'anonymous', // Usa 'anonymous' se userId não for fornecido
-        isAuthenticated: !!userId, // Converte para booleano
-        sessionId,
-        eventData,
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        pageUrl: req.body.pageUrl || '',
-        referrer: req.body.referrer || ''
-      });
+      // eventData fora do schema: guardado em quarentena, fora das estatísticas
+      if (quarantined) {
+        await logController._insertIgnoringDuplicates(QuarantinedEvent, [quarantined]);
+        
+        return res.status(202).json({
+          success: true,
+          message: 'Evento recebido, mas colocado em quarentena por não corresponder ao schema',
+          quarantined: true,
+          errors: quarantined.validationErrors
+        });
+      }
       
-      // Salva o evento no banco de dados
-      await event.save();
+      // O evento é gravado em lote pelo buffer (eventIds repetidos são ignorados na gravação)
+      if (eventBuffer.push([{ doc: event, payload: req.body, context }]) === 0) {
+        return logController._rejectBufferFull(req, res);
+      }
       
-      // Retorna sucesso com o evento registrado
-      return res.status(201).json({
+      return res.status(202).json({
         success: true,
-        message: 'Evento registrado com sucesso',
+        message: 'Evento recebido e enfileirado para gravação',
         event: {
           id: event._id,
+          eventId: event.eventId,
           eventType: event.eventType,
           timestamp: event.timestamp
         }
@@ -73,6 +155,827 @@ const logController = {
     }
   },
   
+  /**
+   * Registra um lote de eventos enviados pelo LoggerClient
+   * 
+   * Cada evento é validado individualmente; os válidos são enfileirados no
+   * buffer de gravação e a resposta informa o resultado de cada item.
+   * Aceita tanto JSON quanto o corpo text/plain (Blob) do sendBeacon.
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o resultado de cada evento ou mensagem de erro
+   */
+  logBatch: async (req, res) => {
+    try {
+      // Identifica a loja de origem pela chave de escrita
+      const { source, error: sourceError } = await logController._authenticateSource(req);
+      if (sourceError) {
+        return res.status(401).json({
+          success: false,
+          message: sourceError
+        });
+      }
+      
+      // O sendBeacon envia o corpo como texto; nesse caso é preciso fazer o parse
+      let body = req.body;
+      if (typeof body === 'string') {
+        try {
+          body = JSON.parse(body);
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            message: 'Corpo da requisição não é um JSON válido'
+          });
+        }
+      }
+      
+      const events = body && body.events;
+      if (!Array.isArray(events) || events.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados incompletos. events deve ser uma lista não vazia.'
+        });
+      }
+      
+      if (events.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+          success: false,
+          message: `Lote muito grande. Máximo de ${MAX_BATCH_SIZE} eventos por requisição.`
+        });
+      }
+      
+      // Buffer de gravação cheio (ou servidor encerrando): o cliente deve reenviar o lote depois
+      if (eventBuffer.available() === 0) {
+        return logController._rejectBufferFull(req, res);
+      }
+      
+      const context = {
+        ...logController._requestContext(req),
+        sourceId: source ? source.id : null
+      };
+      const results = [];
+      const accepted = [];
+      const quarantine = [];
+      const deadLetters = [];
+      const seenEventIds = new Set();
+      const blockedCounts = {};
+      
+      // Valida cada evento separadamente
+      events.forEach((payload, index) => {
+        // Limite de eventos da sessão e tamanho máximo do eventData
+        const blocked = abuseGuard.checkEvent(payload);
+        if (blocked) {
+          blockedCounts[blocked.reason] = (blockedCounts[blocked.reason] || 0) + 1;
+          results.push(blocked.status === 429
+            ? { index, status: 'rate_limited', reason: blocked.message, retryAfter: blocked.retryAfter }
+            : { index, status: 'rejected', reason: blocked.message });
+          return;
+        }
+        
+        const { event, quarantined, error, details } = logController._buildEvent(payload, context);
+        
+        if (error) {
+          results.push({ index, status: 'rejected', reason: error, errors: details });
+          deadLetters.push({ payload, stage: 'validation', reason: error, details });
+          return;
+        }
+        
+        // O mesmo eventId repetido dentro do lote conta apenas uma vez
+        const eventId = event ? event.eventId : quarantined.eventId;
+        if (eventId && seenEventIds.has(eventId)) {
+          results.push({ index, status: 'duplicate', eventId });
+          return;
+        }
+        if (eventId) seenEventIds.add(eventId);
+        
+        if (quarantined) {
+          results.push({ index, status: 'quarantined', eventId, errors: quarantined.validationErrors });
+          quarantine.push({ doc: quarantined, result: results[results.length - 1] });
+          return;
+        }
+        
+        results.push({ index, status: 'accepted', id: event._id, eventId });
+        accepted.push({ doc: event, payload, result: results[results.length - 1] });
+      });
+      
+      Object.entries(blockedCounts).forEach(([reason, count]) => {
+        abuseGuard.recordBlocked(reason, req.baseUrl + req.path, count);
+      });
+      
+      // Enfileira os eventos válidos para gravação em lote; os que não couberem
+      // no buffer devem ser reenviados pelo cliente
+      const queued = eventBuffer.push(accepted.map(({ doc, payload }) => ({ doc, payload, context })));
+      if (queued < accepted.length) {
+        const retryAfter = eventBuffer.retryAfter();
+        accepted.slice(queued).forEach(({ result }) => {
+          result.status = 'rate_limited';
+          result.reason = 'Buffer de gravação cheio';
+          result.retryAfter = retryAfter;
+          delete result.id;
+        });
+      }
+      
+      // Os eventos em quarentena são inseridos diretamente, marcando como
+      // duplicados os que já haviam sido registrados
+      if (quarantine.length > 0) {
+        const duplicates = await logController._insertIgnoringDuplicates(QuarantinedEvent, quarantine.map(item => item.doc));
+        duplicates.forEach(position => {
+          const { result } = quarantine[position];
+          result.status = 'duplicate';
+          delete result.errors;
+        });
+      }
+      await logController._deadLetter(deadLetters, context);
+      
+      // Contagem final por situação
+      const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      }, {});
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Lote processado',
+        accepted: summary.accepted || 0,
+        quarantined: summary.quarantined || 0,
+        duplicates: summary.duplicate || 0,
+        rejected: summary.rejected || 0,
+        rateLimited: summary.rate_limited || 0,
+        results
+      });
+    } catch (error) {
+      console.error('Erro ao registrar lote de eventos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao registrar lote de eventos',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Insere documentos em lote ignorando os que violam o índice único de eventId
+   * 
+   * Permite que o cliente reenvie eventos após uma falha de rede sem que
+   * eles sejam contados duas vezes.
+   * 
+   * @param {Object} Model - Modelo Mongoose de destino
+   * @param {Array} docs - Documentos a serem inseridos
+   * @returns {Promise<Array<Number>>} Posições (em docs) dos documentos duplicados
+   * @private
+   */
+  _insertIgnoringDuplicates: async (Model, docs) => {
+    try {
+      await Model.insertMany(docs, { ordered: false });
+      return [];
+    } catch (error) {
+      // Erro de chave duplicada em inserção simples
+      if (!error.writeErrors && error.code === DUPLICATE_KEY_ERROR && docs.length === 1) {
+        return [0];
+      }
+      
+      // O Mongoose pode copiar o WriteError do driver, perdendo o getter de code
+      const writeErrors = [].concat(error.writeErrors || []);
+      const errorCode = writeError => writeError.code || (writeError.err && writeError.err.code);
+      
+      if (writeErrors.length === 0 || writeErrors.some(writeError => errorCode(writeError) !== DUPLICATE_KEY_ERROR)) {
+        throw error;
+      }
+      
+      return writeErrors.map(writeError => writeError.index);
+    }
+  },
+  
+  /**
+   * Separa os documentos não gravados em uma inserção em lote
+   * 
+   * Sem os erros por documento (ex: banco indisponível), considera que
+   * nenhum documento foi gravado.
+   * 
+   * @param {Error} error - Erro lançado por insertMany
+   * @param {Number} total - Quantidade de documentos enviados
+   * @returns {Object} Posições dos documentos com falha (failed) e dos duplicados (duplicates)
+   * @private
+   */
+  _failedInsertPositions: (error, total) => {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0) {
+      return { failed: Array.from({ length: total }, (value, position) => position), duplicates: [] };
+    }
+    
+    // O Mongoose pode copiar o WriteError do driver, perdendo o getter de code
+    const isDuplicate = writeError => (writeError.code || (writeError.err && writeError.err.code)) === DUPLICATE_KEY_ERROR;
+    
+    return {
+      failed: writeErrors.filter(writeError => !isDuplicate(writeError)).map(writeError => writeError.index),
+      duplicates: writeErrors.filter(isDuplicate).map(writeError => writeError.index)
+    };
+  },
+  
+  /**
+   * Grava um lote de eventos do buffer de escrita
+   * 
+   * Os duplicados (eventId já registrado) são ignorados e os que o banco
+   * recusar individualmente vão para o dead-letter. Falhas que atingem o
+   * lote inteiro (ex: banco indisponível) são relançadas para que o buffer
+   * tente de novo mais tarde.
+   * 
+   * @param {Array<Object>} items - Eventos enfileirados ({ doc, payload, context })
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeBufferedEvents: async (items) => {
+    const skipped = new Set();
+    
+    try {
+      const duplicates = await logController._insertIgnoringDuplicates(Event, items.map(item => item.doc));
+      duplicates.forEach(position => skipped.add(position));
+    } catch (insertError) {
+      if (!insertError.writeErrors) {
+        throw insertError;
+      }
+      
+      console.error('Erro ao gravar lote de eventos:', insertError);
+      const { failed, duplicates } = logController._failedInsertPositions(insertError, items.length);
+      [...failed, ...duplicates].forEach(position => skipped.add(position));
+      
+      await logController._deadLetter(failed.map(position => ({
+        payload: items[position].payload,
+        stage: 'save',
+        reason: insertError.message,
+        context: items[position].context
+      })));
+    }
+    
+    // Notifica quem acompanha os eventos em tempo real (apenas os inseridos)
+    eventBus.publish(items.filter((item, position) => !skipped.has(position)).map(item => item.doc));
+  },
+  
+  /**
+   * Responde que o buffer de gravação não aceita novos eventos no momento
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta 429 (buffer cheio) ou 503 (servidor encerrando)
+   * @private
+   */
+  _rejectBufferFull: (req, res) => {
+    const draining = eventBuffer.isDraining();
+    
+    res.set('Retry-After', String(eventBuffer.retryAfter()));
+    return res.status(draining ? 503 : 429).json({
+      success: false,
+      message: draining
+        ? 'Servidor em manutenção. Tente novamente em instantes.'
+        : 'Muitos eventos aguardando gravação. Tente novamente em instantes.',
+      reason: draining ? 'shutting_down' : 'buffer_full'
+    });
+  },
+  
+  /**
+   * Obtém a ocupação e os contadores do buffer de gravação de eventos
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as métricas do buffer
+   */
+  getBufferMetrics: (req, res) => {
+    return res.status(200).json({
+      success: true,
+      buffer: eventBuffer.getMetrics()
+    });
+  },
+  
+  /**
+   * Momento em que entrou no buffer o evento mais antigo ainda não gravado
+   * 
+   * Usado pela sessionização, que não pode avançar a marca d'água além
+   * dos _id desses eventos (gerados antes da gravação).
+   * 
+   * @returns {Number|null} Timestamp em milissegundos ou null se o buffer estiver vazio
+   */
+  getOldestPendingEventTime: () => {
+    const { depth, oldestItemAgeMs } = eventBuffer.getMetrics();
+    return depth > 0 ? Date.now() - oldestItemAgeMs : null;
+  },
+  
+  /**
+   * Grava os eventos pendentes no buffer e deixa de aceitar novos (encerramento do servidor)
+   * 
+   * Os eventos que não forem gravados no prazo vão para o dead-letter
+   * (etapa save), para serem reprocessados depois.
+   * 
+   * @param {Number} timeoutMs - Tempo máximo de espera
+   * @returns {Promise<Number>} Quantidade de eventos perdidos (não gravados nem guardados no dead-letter)
+   */
+  drainEventBuffer: async (timeoutMs) => {
+    const pending = await eventBuffer.drain(timeoutMs);
+    if (pending === 0) return 0;
+    
+    const items = eventBuffer.takePending();
+    const reason = 'Prazo de encerramento do servidor esgotado antes da gravação';
+    
+    // O banco pode estar sem resposta (motivo mais provável do prazo esgotado)
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), DRAIN_DEAD_LETTER_TIMEOUT_MS);
+    });
+    
+    const saved = await Promise.race([
+      logController._deadLetter(items.map(item => ({
+        payload: item.payload,
+        stage: 'save',
+        reason,
+        context: item.context
+      }))),
+      timeout
+    ]);
+    clearTimeout(timer);
+    
+    return saved ? 0 : items.length;
+  },
+  
+  /**
+   * Guarda eventos rejeitados no dead-letter, com o motivo e os metadados da requisição
+   * 
+   * O corpo e o IP passam pelo pipeline de privacidade antes de serem
+   * guardados, como na gravação dos eventos; a localização é consultada
+   * antes, com o IP completo, e reaproveitada no reprocessamento. Valores
+   * mascarados (ex: [email]) precisam ser corrigidos no painel antes do
+   * reprocessamento quando o schema do evento exige o formato original.
+   * 
+   * @param {Array<Object>} entries - Eventos ({ payload, stage, reason, details, context? })
+   * @param {Object} [context] - Metadados da requisição (userAgent, ipAddress, sourceId, endpoint),
+   *   usados quando o evento não traz os seus
+   * @returns {Promise<Boolean>} Verdadeiro se os eventos foram guardados
+   * @private
+   */
+  _deadLetter: async (entries, context = {}) => {
+    if (entries.length === 0) return true;
+    
+    const field = (payload, name) => (payload && typeof payload[name] === 'string' ? payload[name] : null);
+    
+    try {
+      await DeadLetterEvent.insertMany(entries.map(entry => {
+        const { userAgent, ipAddress, sourceId, endpoint } = entry.context || context;
+        const privacy = privacyPipeline.applyPrivacyToPayload(entry.payload, ipAddress);
+        
+        return {
+          payload: privacy.payload === undefined ? null : privacy.payload,
+          eventType: field(entry.payload, 'eventType'),
+          eventId: field(entry.payload, 'eventId'),
+          stage: entry.stage,
+          reason: entry.reason,
+          details: (entry.details || []).map(String),
+          context: {
+            userAgent,
+            ipAddress: privacy.ipAddress,
+            geo: geoIp.lookup(ipAddress) || null,
+            privacyRules: privacy.privacyRules,
+            sourceId: sourceId || undefined,
+            endpoint
+          }
+        };
+      }), { ordered: false });
+      return true;
+    } catch (error) {
+      console.error('Erro ao guardar eventos rejeitados:', error);
+      return false;
+    }
+  },
+  
+  /**
+   * Liga a sessão e o ID anônimo do navegador ao usuário que fez login
+   * 
+   * Os eventos anônimos dessas sessões passam a aparecer, retroativamente,
+   * nas consultas e na jornada do usuário.
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as ligações registradas ou mensagem de erro
+   */
+  identify: async (req, res) => {
+    try {
+      const { source, error: sourceError } = await logController._authenticateSource(req);
+      if (sourceError) {
+        return res.status(401).json({
+          success: false,
+          message: sourceError
+        });
+      }
+      
+      const { userId, sessionId, anonymousId } = req.body || {};
+      
+      if (!userId || typeof userId !== 'string' || userId === identityGraph.ANONYMOUS_USER_ID) {
+        return res.status(400).json({
+          success: false,
+          message: 'userId é obrigatório e deve identificar um usuário.'
+        });
+      }
+      
+      if (!sessionId && !anonymousId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe sessionId e/ou anonymousId para ligar ao usuário.'
+        });
+      }
+      
+      const aliases = await identityGraph.identify({
+        userId,
+        sessionId,
+        anonymousId,
+        sourceId: source ? source.id : null
+      });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Identificação registrada com sucesso',
+        userId,
+        aliases
+      });
+    } catch (error) {
+      console.error('Erro ao registrar identificação:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao registrar identificação',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Obtém a jornada de um usuário, agrupada por sessão
+   * 
+   * Inclui os eventos anônimos das sessões e navegadores ligados ao
+   * usuário pelo identify, mesmo os registrados antes do login.
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as sessões do usuário ou mensagem de erro
+   */
+  getUserJourney: async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { startDate, endDate } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_JOURNEY_LIMIT, 1), MAX_JOURNEY_LIMIT);
+      
+      const criteria = eventQuery.parseEventQuery({ startDate, endDate, userId });
+      await eventQuery.resolveUserAliases(criteria);
+      
+      // Os eventos mais recentes primeiro, para que o limite preserve o final da jornada
+      const events = await Event.find(eventQuery.toMongoFilter(criteria))
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+      events.reverse();
+      
+      // Agrupa os eventos por sessão, na ordem em que as sessões começaram
+      const sessions = new Map();
+      events.forEach(event => {
+        if (!sessions.has(event.sessionId)) {
+          sessions.set(event.sessionId, {
+            sessionId: event.sessionId,
+            startedAt: event.timestamp,
+            endedAt: event.timestamp,
+            anonymousEvents: 0,
+            events: []
+          });
+        }
+        
+        const session = sessions.get(event.sessionId);
+        session.endedAt = event.timestamp;
+        if (event.userId === identityGraph.ANONYMOUS_USER_ID) session.anonymousEvents += 1;
+        session.events.push(event);
+      });
+      
+      return res.status(200).json({
+        success: true,
+        userId,
+        aliases: criteria.userAliases,
+        count: events.length,
+        truncated: events.length === limit,
+        sessions: [...sessions.values()]
+      });
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      console.error('Erro ao buscar jornada do usuário:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar jornada do usuário',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Valida a chave de escrita da requisição
+   * 
+   * Sem chave, a requisição só é aceita quando a ingestão não exige
+   * chaves (REQUIRE_WRITE_KEY diferente de "true"); nesse caso os eventos
+   * ficam sem sourceId.
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @returns {Promise<Object>} Objeto com a fonte identificada ou a mensagem de erro
+   * @private
+   */
+  _authenticateSource: async (req) => {
+    const key = sourceRegistry.getRequestKey(req);
+    
+    if (!key) {
+      return sourceRegistry.isKeyRequired()
+        ? { error: 'Chave de escrita não informada. Envie o cabeçalho X-Write-Key.' }
+        : { source: null };
+    }
+    
+    const source = await sourceRegistry.resolveWriteKey(key);
+    if (!source) {
+      return { error: 'Chave de escrita inválida, revogada ou expirada.' };
+    }
+    
+    return { source };
+  },
+  
+  /**
+   * Extrai da requisição os metadados usados na criação dos eventos
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @returns {Object} Metadados da requisição (userAgent, ipAddress, endpoint)
+   * @private
+   */
+  _requestContext: (req) => ({
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    endpoint: req.baseUrl + req.path
+  }),
+  
+  /**
+   * Valida um evento recebido e cria o documento correspondente
+   * 
+   * Aceita tanto o formato da API (eventData, pageUrl) quanto o formato
+   * enviado pelo LoggerClient (data, url, timestamp).
+   * 
+   * @param {Object} payload - Dados do evento recebidos do cliente
+   * @param {Object} context - Metadados da requisição
+   * @returns {Object} Objeto com o evento criado, o evento em quarentena ou a mensagem de erro
+   * @private
+   */
+  _buildEvent: (payload, context = {}) => {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { error: 'Evento inválido. Esperado um objeto.' };
+    }
+    
+    const { eventType, userId, sessionId } = payload;
+    const eventData = payload.eventData || payload.data;
+    
+    // Validação básica dos dados obrigatórios
+    if (!eventType || !sessionId || !eventData) {
+      return { error: 'Dados incompletos. eventType, sessionId e eventData são obrigatórios.' };
+    }
+    
+    // Eventos reprocessados do dead-letter já têm o IP anonimizado e a localização consultada
+    const ipAnonymized = privacyPipeline.isIpAnonymized(context.privacyRules);
+    
+    // Localização consultada com o IP completo, antes da anonimização
+    const geo = context.geo !== undefined ? context.geo : geoIp.lookup(context.ipAddress);
+    
+    // Anonimiza o IP e remove dados pessoais antes de qualquer gravação (LGPD)
+    const privacy = privacyPipeline.applyPrivacy({
+      ipAddress: ipAnonymized ? null : context.ipAddress,
+      pageUrl: payload.pageUrl || payload.url || '',
+      referrer: payload.referrer || '',
+      eventData
+    });
+    const privacyRules = [...new Set([...(context.privacyRules || []), ...privacy.privacyRules])];
+    
+    // Dispositivo, navegador e sistema operacional a partir do user agent
+    const userAgent = context.userAgent || payload.userAgent;
+    const { device, browser, os, isBot } = parseUserAgent(userAgent);
+    
+    // Criação do objeto de evento com dados da requisição
+    const event = new Event({
+      eventId: payload.eventId || undefined, // ID gerado pelo cliente (garante idempotência)
+      sourceId: context.sourceId || undefined, // Loja de origem (identificada pela chave de escrita)
+      eventType: normalizeEventType(eventType), // Converte apelidos para o nome canônico
+      userId: userId || 'anonymous', // Usa 'anonymous' se userId não for fornecido
+      isAuthenticated: !!userId, // Converte para booleano
+      sessionId,
+      anonymousId: payload.anonymousId || undefined,
+      // Taxa de amostragem aplicada pelo LoggerClient (valores fora de (0, 1] contam como 1)
+      sampleRate: typeof payload.sampleRate === 'number' && payload.sampleRate > 0 && payload.sampleRate <= 1
+        ? payload.sampleRate
+        : 1,
+      eventData: privacy.eventData,
+      userAgent,
+      device,
+      browser,
+      os,
+      isBot,
+      geo: geo || undefined,
+      ipAddress: ipAnonymized ? context.ipAddress : privacy.ipAddress,
+      severity: payload.severity || 'info',
+      pageUrl: privacy.pageUrl,
+      referrer: privacy.referrer,
+      privacyRules
+    });
+    
+    // Usa o horário informado pelo cliente quando válido (eventos enviados em lote chegam atrasados)
+    const timestamp = payload.timestamp ? new Date(payload.timestamp) : null;
+    if (timestamp && !isNaN(timestamp.getTime()) && timestamp.getTime() <= Date.now() + MAX_CLOCK_SKEW_MS) {
+      event.timestamp = timestamp;
+    }
+    
+    const validationError = event.validateSync();
+    if (validationError) {
+      return { error: validationError.message };
+    }
+    
+    // Valida o eventData original com o schema registrado para o tipo do evento
+    // (as máscaras de privacidade não devem invalidar formatos exigidos pelo schema)
+    const validation = schemaRegistry.validateEventData(event.eventType, eventData, payload.schemaVersion);
+    event.schemaVersion = validation.schemaVersion;
+    
+    if (!validation.valid) {
+      if (validation.onInvalid === 'quarantine') {
+        return {
+          quarantined: new QuarantinedEvent({
+            eventId: event.eventId,
+            eventType: event.eventType,
+            schemaVersion: validation.schemaVersion,
+            event: event.toObject(),
+            validationErrors: validation.errors
+          })
+        };
+      }
+      
+      return {
+        error: `eventData inválido para ${event.eventType}`,
+        details: validation.errors
+      };
+    }
+    
+    return { event };
+  },
+  
+  /**
+   * Consulta eventos com filtros e paginação por cursor
+   * 
+   * Filtros aceitos: startDate, endDate, eventType (lista separada por vírgulas),
+   * userId, sessionId, productId, severity e caminhos de eventData
+   * (ex: eventData.category=Calçados). A ordenação usa o parâmetro sort
+   * (ex: -timestamp) e a próxima página é obtida com o nextCursor retornado.
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a página de eventos ou mensagem de erro
+   */
+  queryEvents: async (req, res) => {
+    try {
+      const criteria = eventQuery.parseEventQuery(req.query);
+      const pagination = eventQuery.parsePagination(req.query);
+      
+      // Consultas por usuário incluem os eventos anônimos anteriores ao login
+      await eventQuery.resolveUserAliases(criteria);
+      
+      const filter = eventQuery.toMongoFilter(criteria);
+      const conditions = pagination.cursor
+        ? { $and: [filter, eventQuery.cursorFilter(pagination.cursor)] }
+        : filter;
+      
+      // Busca um evento a mais para saber se existe uma próxima página
+      const events = await Event.find(conditions)
+        .sort({ [pagination.sortField]: pagination.sortOrder, _id: pagination.sortOrder })
+        .limit(pagination.limit + 1)
+        .lean();
+      
+      const hasMore = events.length > pagination.limit;
+      const logs = hasMore ? events.slice(0, pagination.limit) : events;
+      const nextCursor = hasMore
+        ? eventQuery.encodeCursor(logs[logs.length - 1], pagination)
+        : null;
+      
+      return res.status(200).json({
+        success: true,
+        count: logs.length,
+        hasMore,
+        nextCursor,
+        logs
+      });
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      console.error('Erro ao consultar eventos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao consultar eventos',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Gera o token de curta duração usado para abrir o streaming de eventos
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com o token e sua validade em segundos
+   */
+  getStreamToken: (req, res) => {
+    try {
+      const { token, expiresIn } = createStreamToken(req.user);
+      
+      return res.status(200).json({
+        success: true,
+        token,
+        expiresIn
+      });
+    } catch (error) {
+      console.error('Erro ao gerar token de streaming:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao gerar token de streaming',
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Transmite em tempo real (Server-Sent Events) os eventos recém-registrados
+   * 
+   * Aceita os mesmos filtros de queryEvents, exceto o período e a paginação.
+   * Cada evento é enviado como uma mensagem SSE do tipo "log".
+   * 
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {void}
+   */
+  streamEvents: async (req, res) => {
+    let criteria;
+    try {
+      criteria = eventQuery.parseEventQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    try {
+      await eventQuery.resolveUserAliases(criteria);
+    } catch (error) {
+      console.error('Erro ao iniciar streaming de eventos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao iniciar streaming de eventos',
+        error: error.message
+      });
+    }
+    
+    // O streaming acompanha apenas eventos novos; o período não se aplica
+    criteria.startDate = null;
+    criteria.endDate = null;
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Desativa o buffer do nginx
+    });
+    res.flushHeaders();
+    
+    // Orienta o EventSource a reconectar após 3 segundos se a conexão cair
+    res.write('retry: 3000\n\n');
+    
+    const unsubscribe = eventBus.subscribe(event => {
+      if (!eventQuery.matchesEvent(criteria, event)) return;
+      
+      res.write(`id: ${event._id}\n`);
+      res.write('event: log\n');
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    });
+    
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, STREAM_HEARTBEAT_MS);
+    
+    // Libera os recursos quando o cliente se desconecta
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  },
+  
   /**
    * Obtém eventos por tipo em um período específico
    * 
@@ -89,8 +992,9 @@ const logController = {
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 dias atrás por padrão
       const end = endDate ? new Date(endDate) : new Date();
       
-      // Busca eventos do tipo especificado no período
-      const events = await Event.findByTypeAndPeriod(type, start, end)
+      // Busca eventos do tipo especificado no período (incluindo apelidos ainda não normalizados)
+      const eventNames = getEventNames(normalizeEventType(type));
+      const events = await Event.findByTypeAndPeriod(eventNames, start, end)
         .limit(parseInt(limit));
       
       return res.status(200).json({
@@ -206,10 +1110,10 @@ const logController = {
       
       // Busca contagem para cada estágio do funil
       for (const stage of funnelStages) {
-        const events = await Event.find({
-          eventType: stage,
+        const events = await Event.countWeighted({
+          eventType: { $in: getEventNames(stage) },
           timestamp: { $gte: start, $lte: end }
-        }).countDocuments();
+        });
         
         funnelData[stage] = events;
       }
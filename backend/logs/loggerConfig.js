@@ -0,0 +1,237 @@
+/**
+ * Configuração remota de amostragem e limites do LoggerClient
+ *
+ * Este módulo lê e atualiza a configuração que o LoggerClient baixa de
+ * /api/logs/config: taxa de amostragem por tipo de evento, limites de
+ * eventos por sessão e intervalo/tamanho dos envios. A configuração fica
+ * na coleção `logger_config` e é mantida em cache por alguns segundos,
+ * já que é consultada no carregamento de cada página da loja.
+ *
+ * @module logs/loggerConfig
+ */
+
+const LoggerConfig = require('../models/loggerConfigModel');
+const { DEFAULT_CONFIG_KEY } = require('../models/loggerConfigModel');
+const { normalizeEventType, getEventNames } = require('./eventTaxonomy');
+
+// Tempo que a configuração lida do banco fica em cache (para múltiplas instâncias)
+const CACHE_TTL_MS = parseInt(process.env.LOGGER_CONFIG_CACHE_MS, 10) || 30 * 1000;
+
+// Campos que podem ser alterados pela API
+const EDITABLE_FIELDS = [
+  'sampleRates',
+  'defaultSampleRate',
+  'maxEventsPerSession',
+  'eventTypeCaps',
+  'flushIntervalMs',
+  'batchSize',
+  'cacheTtlSeconds'
+];
+
+// Campos indexados por tipo de evento
+const EVENT_TYPE_MAPS = ['sampleRates', 'eventTypeCaps'];
+
+/**
+ * Configuração usada enquanto nenhuma for salva (sem amostragem nem limites)
+ */
+const DEFAULT_CONFIG = {
+  sampleRates: {},
+  defaultSampleRate: 1,
+  maxEventsPerSession: 0,
+  eventTypeCaps: {},
+  flushIntervalMs: 10000,
+  batchSize: 100,
+  cacheTtlSeconds: 300
+};
+
+// Configuração em cache e momento em que foi carregada
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Cria um erro de validação (a API responde com 400)
+ *
+ * @param {String} message - Mensagem do erro
+ * @returns {Error} Erro com a propriedade isValidationError
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Converte o documento salvo no formato usado pela API
+ *
+ * @param {Object} [document] - Documento de LoggerConfig (lean)
+ * @returns {Object} Configuração com os valores padrão para os campos ausentes
+ * @private
+ */
+function toConfig(document) {
+  if (!document) {
+    return { ...DEFAULT_CONFIG, version: 0, updatedAt: null, updatedBy: null };
+  }
+
+  const config = { version: 0, updatedAt: null, updatedBy: document.updatedBy || null };
+
+  EDITABLE_FIELDS.forEach(field => {
+    config[field] = document[field] !== undefined ? document[field] : DEFAULT_CONFIG[field];
+  });
+
+  // Maps lidos com lean() chegam como objetos simples; com o documento, como Map
+  EVENT_TYPE_MAPS.forEach(field => {
+    const value = config[field];
+    config[field] = value instanceof Map ? Object.fromEntries(value) : { ...value };
+  });
+
+  if (document.updatedAt) {
+    config.updatedAt = document.updatedAt;
+    config.version = new Date(document.updatedAt).getTime();
+  }
+
+  return config;
+}
+
+/**
+ * Obtém a configuração atual (do cache, quando recente)
+ *
+ * @returns {Promise<Object>} Configuração atual
+ */
+async function getConfig() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const document = await LoggerConfig.findOne({ key: DEFAULT_CONFIG_KEY }).lean();
+  cached = toConfig(document);
+  cachedAt = Date.now();
+
+  return cached;
+}
+
+/**
+ * Monta a configuração enviada ao LoggerClient
+ *
+ * As taxas e limites definidos para o nome canônico também são repetidos
+ * para os apelidos, já que o cliente usa o nome informado pela loja.
+ *
+ * @param {Object} config - Configuração obtida por getConfig
+ * @returns {Object} Configuração para o cliente
+ */
+function toClientConfig(config) {
+  const expand = values => {
+    const expanded = {};
+    Object.entries(values).forEach(([eventType, value]) => {
+      getEventNames(eventType).forEach(name => {
+        expanded[name] = value;
+      });
+    });
+    return expanded;
+  };
+
+  return {
+    version: config.version,
+    sampleRates: expand(config.sampleRates),
+    defaultSampleRate: config.defaultSampleRate,
+    maxEventsPerSession: config.maxEventsPerSession,
+    eventTypeCaps: expand(config.eventTypeCaps),
+    flushIntervalMs: config.flushIntervalMs,
+    batchSize: config.batchSize,
+    cacheTtlSeconds: config.cacheTtlSeconds
+  };
+}
+
+/**
+ * Normaliza os tipos de evento usados como chave em sampleRates/eventTypeCaps
+ *
+ * @param {String} field - Nome do campo
+ * @param {Object} values - Valores por tipo de evento
+ * @returns {Object} Valores indexados pelo nome canônico
+ * @private
+ */
+function normalizeEventTypeMap(field, values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw validationError(`${field} deve ser um objeto { tipoDoEvento: valor }`);
+  }
+
+  const normalized = {};
+  Object.entries(values).forEach(([eventType, value]) => {
+    const canonical = normalizeEventType(eventType);
+
+    if (!canonical || /[.$]/.test(canonical)) {
+      throw validationError(`Tipo de evento inválido em ${field}: ${eventType}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw validationError(`${field}.${eventType} deve ser um número`);
+    }
+
+    normalized[canonical] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Atualiza a configuração
+ *
+ * Apenas os campos informados são alterados; sampleRates e eventTypeCaps
+ * substituem os valores anteriores por completo. Valores inválidos geram
+ * erro com a propriedade `isValidationError`.
+ *
+ * @param {Object} changes - Campos a alterar
+ * @param {String} [updatedBy] - Usuário que fez a alteração
+ * @returns {Promise<Object>} Configuração atualizada
+ */
+async function updateConfig(changes, updatedBy) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw validationError('Corpo da requisição inválido. Esperado um objeto.');
+  }
+
+  const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw validationError(`Campos desconhecidos: ${unknown.join(', ')}`);
+  }
+
+  const document = await LoggerConfig.findOne({ key: DEFAULT_CONFIG_KEY })
+    || new LoggerConfig({ key: DEFAULT_CONFIG_KEY });
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] === undefined) return;
+
+    document.set(field, EVENT_TYPE_MAPS.includes(field)
+      ? normalizeEventTypeMap(field, changes[field])
+      : changes[field]);
+  });
+  document.updatedBy = updatedBy || null;
+
+  try {
+    await document.save();
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      throw validationError(error.message);
+    }
+    throw error;
+  }
+
+  cached = toConfig(document.toObject());
+  cachedAt = Date.now();
+
+  return cached;
+}
+
+/**
+ * Descarta a configuração em cache (a próxima leitura consulta o banco)
+ */
+function clearCache() {
+  cached = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfig,
+  toClientConfig,
+  updateConfig,
+  clearCache
+};
@@ -0,0 +1,88 @@
+/**
+ * Controlador para a configuração remota do LoggerClient
+ *
+ * Entrega ao LoggerClient as taxas de amostragem, os limites por sessão e
+ * os intervalos de envio, e permite que administradores os alterem sem
+ * publicar uma nova versão da loja.
+ *
+ * @module controllers/loggerConfigController
+ */
+
+const loggerConfig = require('./loggerConfig');
+const logController = require('./logController');
+
+/**
+ * Objeto que contém os métodos do controlador de configuração do logger
+ */
+const loggerConfigController = {
+  /**
+   * Obtém a configuração usada pelo LoggerClient
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a configuração ou mensagem de erro
+   */
+  getClientConfig: async (req, res) => {
+    try {
+      const { error: sourceError } = await logController._authenticateSource(req);
+      if (sourceError) {
+        return res.status(401).json({
+          success: false,
+          message: sourceError
+        });
+      }
+
+      const config = await loggerConfig.getConfig();
+
+      // O navegador pode reutilizar a resposta pelo mesmo tempo do cache do cliente
+      res.set('Cache-Control', `private, max-age=${config.cacheTtlSeconds}`);
+
+      return res.status(200).json({
+        success: true,
+        config: loggerConfig.toClientConfig(config)
+      });
+    } catch (error) {
+      console.error('Erro ao buscar configuração do logger:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar configuração do logger',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Atualiza a configuração do LoggerClient
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a configuração atualizada ou mensagem de erro
+   */
+  updateClientConfig: async (req, res) => {
+    try {
+      const config = await loggerConfig.updateConfig(req.body, req.user ? req.user.id : null);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Configuração do logger atualizada com sucesso',
+        config
+      });
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao atualizar configuração do logger:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao atualizar configuração do logger',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = loggerConfigController;
@@ -0,0 +1,413 @@
+/**
+ * Pipeline de privacidade aplicado na ingestão de eventos (LGPD)
+ *
+ * Antes de um evento ser gravado, este módulo:
+ * - trunca ou gera um hash do endereço IP (com salt que muda periodicamente);
+ * - remove parâmetros com tokens e dados pessoais da query string de pageUrl e referrer;
+ * - mascara emails, CPFs e telefones encontrados em qualquer ponto do eventData.
+ *
+ * Em textos livres, CPFs são reconhecidos no formato 000.000.000-00 ou, sem
+ * pontuação, apenas com dígitos verificadores válidos; telefones, apenas com
+ * DDD entre parênteses, código do país (+55) ou hífen/espaço antes dos
+ * últimos 4 dígitos. Assim, IDs numéricos (pedidos, produtos, timestamps)
+ * não são mascarados.
+ *
+ * Cada regra efetivamente aplicada é devolvida para ser registrada no evento.
+ * O mesmo tratamento é aplicado ao corpo dos eventos rejeitados antes de
+ * serem guardados no dead-letter (applyPrivacyToPayload).
+ *
+ * Configuração (variáveis de ambiente):
+ * - PRIVACY_IP_MODE: truncate (padrão), hash ou none
+ * - PRIVACY_SALT_SECRET: segredo usado para derivar o salt do hash de IP
+ * - PRIVACY_SALT_ROTATION_HOURS: período de rotação do salt (padrão: 24)
+ * - PRIVACY_REDACT_EVENT_DATA: "false" desativa a máscara de dados no eventData
+ * - PRIVACY_URL_PARAMS: parâmetros adicionais a remover das URLs (separados por vírgula)
+ *
+ * @module logs/privacyPipeline
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Regras registradas no evento
+const RULES = {
+  IP_TRUNCATE: 'ip_truncate',
+  IP_HASH: 'ip_hash',
+  URL_STRIP_PARAMS: 'url_strip_params',
+  REDACT_EMAIL: 'redact_email',
+  REDACT_CPF: 'redact_cpf',
+  REDACT_PHONE: 'redact_phone'
+};
+
+// Parâmetros de URL removidos por padrão (comparação sem diferenciar maiúsculas)
+const DEFAULT_URL_PARAMS = [
+  'token', 'access_token', 'refresh_token', 'id_token', 'auth', 'authorization',
+  'key', 'apikey', 'api_key', 'secret', 'password', 'pwd', 'senha',
+  'session', 'sessionid', 'session_id', 'sid', 'code', 'jwt', 'signature', 'sig',
+  'email', 'cpf', 'phone', 'telefone', 'celular'
+];
+
+// Campos do eventData cujo valor é sempre mascarado, independentemente do conteúdo
+const SENSITIVE_KEYS = {
+  email: RULES.REDACT_EMAIL,
+  cpf: RULES.REDACT_CPF,
+  phone: RULES.REDACT_PHONE,
+  telefone: RULES.REDACT_PHONE,
+  celular: RULES.REDACT_PHONE
+};
+
+/**
+ * Verifica os dígitos verificadores de um CPF
+ *
+ * @param {String} value - CPF (com ou sem pontuação)
+ * @returns {Boolean} Verdadeiro se os dígitos verificadores conferem
+ */
+function isValidCpf(value) {
+  const digits = String(value).replace(/\D/g, '');
+
+  // Sequências repetidas (ex: 111.111.111-11) passam no cálculo, mas não são CPFs
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+
+  const checkDigit = length => {
+    const sum = [...digits.slice(0, length)]
+      .reduce((total, digit, index) => total + Number(digit) * (length + 1 - index), 0);
+    return (sum * 10) % 11 % 10;
+  };
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+}
+
+// Padrões de dados pessoais em textos livres (ordem importa: CPF antes de telefone)
+const PATTERNS = [
+  {
+    rule: RULES.REDACT_EMAIL,
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replacement: '[email]'
+  },
+  {
+    // Formatado: sempre mascarado; apenas dígitos: só com dígitos verificadores válidos
+    rule: RULES.REDACT_CPF,
+    regex: /\b\d{3}\.\d{3}\.\d{3}-\d{2}\b|\b\d{11}\b/g,
+    replacement: match => (/^\d{11}$/.test(match) && !isValidCpf(match) ? match : '[cpf]')
+  },
+  {
+    // +55 11 98765-4321, (11) 3456-7890, 11 98765-4321 ou 98765-4321
+    rule: RULES.REDACT_PHONE,
+    regex: /\+55[\s-]?\(?\d{2}\)?[\s-]?(?:9\d{4}|[2-5]\d{3})[\s-]?\d{4}\b|\(\d{2}\)[\s-]?(?:9\d{4}|[2-5]\d{3})[\s-]?\d{4}\b|\b\d{2}[\s-]?(?:9\d{4}|[2-5]\d{3})[\s-]\d{4}\b|\b9\d{4}[\s-]\d{4}\b/g,
+    replacement: '[telefone]'
+  }
+];
+
+// Regras que indicam que o IP já foi anonimizado
+const IP_RULES = [RULES.IP_TRUNCATE, RULES.IP_HASH];
+
+// Campos tratados no corpo bruto de um evento (formatos da API e do LoggerClient)
+const PAYLOAD_URL_FIELDS = ['pageUrl', 'url', 'referrer'];
+const PAYLOAD_DATA_FIELDS = ['eventData', 'data'];
+
+// Profundidade máxima percorrida no eventData
+const MAX_DEPTH = 10;
+
+// Segredo usado quando PRIVACY_SALT_SECRET não é definido (válido só para este processo)
+let fallbackSecret = null;
+
+/**
+ * Obtém a configuração atual do pipeline
+ *
+ * @returns {Object} Configuração
+ */
+function getConfig() {
+  const extraParams = (process.env.PRIVACY_URL_PARAMS || '')
+    .split(',')
+    .map(param => param.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    ipMode: process.env.PRIVACY_IP_MODE || 'truncate',
+    saltRotationHours: parseInt(process.env.PRIVACY_SALT_ROTATION_HOURS, 10) || 24,
+    redactEventData: process.env.PRIVACY_REDACT_EVENT_DATA !== 'false',
+    urlParams: new Set([...DEFAULT_URL_PARAMS, ...extraParams])
+  };
+}
+
+/**
+ * Obtém o segredo usado para derivar o salt do hash de IP
+ *
+ * @returns {String} Segredo
+ * @private
+ */
+function getSaltSecret() {
+  if (process.env.PRIVACY_SALT_SECRET) return process.env.PRIVACY_SALT_SECRET;
+
+  if (!fallbackSecret) {
+    console.warn('⚠️ PRIVACY_SALT_SECRET não definido: usando um segredo aleatório (hashes de IP não serão comparáveis entre instâncias)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+}
+
+/**
+ * Trunca um endereço IP (IPv4: último octeto; IPv6: mantém o prefixo /48)
+ *
+ * @param {String} ip - Endereço IP
+ * @returns {String} Endereço truncado
+ */
+function truncateIp(ip) {
+  // IPv4 mapeado em IPv6 (ex: ::ffff:192.168.0.10)
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return truncateIp(mapped[1]);
+
+  if (net.isIPv4(ip)) {
+    return ip.split('.').slice(0, 3).concat('0').join('.');
+  }
+
+  if (net.isIPv6(ip)) {
+    // Expande o "::" para obter os grupos completos
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups];
+
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+
+  return '';
+}
+
+/**
+ * Gera o hash de um IP com um salt que muda a cada período de rotação
+ *
+ * O mesmo IP gera o mesmo hash dentro de um período (permitindo contar
+ * visitantes únicos), mas hashes de períodos diferentes não são comparáveis.
+ *
+ * @param {String} ip - Endereço IP
+ * @param {Number} rotationHours - Período de rotação do salt, em horas
+ * @param {Date} now - Data de referência
+ * @returns {String} Hash do IP
+ */
+function hashIp(ip, rotationHours, now = new Date()) {
+  const period = Math.floor(now.getTime() / (rotationHours * 60 * 60 * 1000));
+  const salt = crypto.createHmac('sha256', getSaltSecret()).update(String(period)).digest('hex');
+
+  return crypto.createHash('sha256').update(salt + ip).digest('hex').slice(0, 32);
+}
+
+/**
+ * Remove parâmetros sensíveis da query string (e do fragmento) de uma URL
+ *
+ * URLs relativas são preservadas como relativas.
+ *
+ * @param {String} value - URL original
+ * @param {Set<String>} params - Nomes de parâmetros a remover
+ * @returns {String} URL sem os parâmetros sensíveis
+ */
+function stripUrlParams(value, params) {
+  if (!value || typeof value !== 'string') return value;
+
+  let url;
+  try {
+    url = new URL(value, 'http://relative.invalid');
+  } catch (error) {
+    return value;
+  }
+
+  let removed = false;
+  const clean = searchParams => {
+    [...searchParams.keys()].forEach(key => {
+      if (params.has(key.toLowerCase())) {
+        searchParams.delete(key);
+        removed = true;
+      }
+    });
+  };
+
+  clean(url.searchParams);
+
+  // Fluxos OAuth costumam enviar tokens no fragmento (#access_token=...)
+  if (url.hash.includes('=')) {
+    const hashParams = new URLSearchParams(url.hash.slice(1));
+    clean(hashParams);
+    const hash = hashParams.toString();
+    url.hash = hash ? `#${hash}` : '';
+  }
+
+  // Sem parâmetros removidos, a URL original é mantida sem normalização
+  if (!removed) return value;
+
+  return url.origin === 'http://relative.invalid'
+    ? `${url.pathname}${url.search}${url.hash}`
+    : url.toString();
+}
+
+/**
+ * Mascara dados pessoais em um valor do eventData (recursivamente)
+ *
+ * @param {*} value - Valor a ser tratado
+ * @param {Set<String>} applied - Conjunto onde as regras aplicadas são registradas
+ * @param {Number} depth - Profundidade atual
+ * @returns {*} Valor com os dados pessoais mascarados
+ */
+function redactValue(value, applied, depth = 0) {
+  if (depth > MAX_DEPTH || value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    return PATTERNS.reduce((text, { rule, regex, replacement }) => {
+      const replaced = text.replace(regex, replacement);
+      if (replaced !== text) applied.add(rule);
+      return replaced;
+    }, value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, applied, depth + 1));
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.entries(value).reduce((result, [key, nested]) => {
+      const sensitiveRule = SENSITIVE_KEYS[key.toLowerCase()];
+
+      if (sensitiveRule && nested !== null && nested !== undefined && nested !== '') {
+        applied.add(sensitiveRule);
+        result[key] = `[${sensitiveRule.replace('redact_', '')}]`;
+      } else {
+        result[key] = redactValue(nested, applied, depth + 1);
+      }
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+/**
+ * Anonimiza um endereço IP conforme o modo configurado
+ *
+ * @param {String} ip - Endereço IP
+ * @param {Object} config - Configuração (getConfig)
+ * @param {Set<String>} applied - Conjunto onde as regras aplicadas são registradas
+ * @param {Date} now - Data de referência
+ * @returns {String} Endereço tratado
+ * @private
+ */
+function anonymizeIp(ip, config, applied, now) {
+  if (ip && config.ipMode === 'truncate') {
+    applied.add(RULES.IP_TRUNCATE);
+    return truncateIp(ip);
+  }
+
+  if (ip && config.ipMode === 'hash') {
+    applied.add(RULES.IP_HASH);
+    return hashIp(ip, config.saltRotationHours, now);
+  }
+
+  return ip;
+}
+
+/**
+ * Remove os parâmetros sensíveis das URLs de um objeto
+ *
+ * @param {Object} result - Objeto a ser tratado (alterado)
+ * @param {Array<String>} fields - Campos com URLs
+ * @param {Object} config - Configuração (getConfig)
+ * @param {Set<String>} applied - Conjunto onde as regras aplicadas são registradas
+ * @private
+ */
+function stripUrlFields(result, fields, config, applied) {
+  fields.forEach(field => {
+    const stripped = stripUrlParams(result[field], config.urlParams);
+    if (stripped !== result[field]) {
+      result[field] = stripped;
+      applied.add(RULES.URL_STRIP_PARAMS);
+    }
+  });
+}
+
+/**
+ * Aplica o pipeline de privacidade aos campos de um evento
+ *
+ * @param {Object} fields - Campos do evento (ipAddress, pageUrl, referrer, eventData)
+ * @param {Date} now - Data de referência (usada na rotação do salt)
+ * @returns {Object} Campos tratados e a lista de regras aplicadas (privacyRules)
+ */
+function applyPrivacy(fields, now = new Date()) {
+  const config = getConfig();
+  const applied = new Set();
+  const result = { ...fields };
+
+  // Endereço IP
+  result.ipAddress = anonymizeIp(result.ipAddress, config, applied, now);
+
+  // URLs da página e de origem
+  stripUrlFields(result, ['pageUrl', 'referrer'], config, applied);
+
+  // Dados pessoais no eventData
+  if (config.redactEventData && result.eventData) {
+    result.eventData = redactValue(result.eventData, applied);
+  }
+
+  return {
+    ...result,
+    privacyRules: [...applied]
+  };
+}
+
+/**
+ * Aplica o pipeline de privacidade ao corpo bruto de um evento e ao IP da requisição
+ *
+ * Usado nos eventos rejeitados, que são guardados como recebidos. Trata os
+ * mesmos campos da ingestão, nos dois formatos aceitos (eventData ou data,
+ * pageUrl ou url, referrer); os demais campos são mantidos. Corpos que não
+ * são objetos são mascarados por inteiro.
+ *
+ * @param {*} payload - Corpo do evento como recebido
+ * @param {String} ipAddress - IP da requisição
+ * @param {Date} now - Data de referência (usada na rotação do salt)
+ * @returns {Object} Corpo e IP tratados e a lista de regras aplicadas ({ payload, ipAddress, privacyRules })
+ */
+function applyPrivacyToPayload(payload, ipAddress, now = new Date()) {
+  const config = getConfig();
+  const applied = new Set();
+  let result = payload;
+
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    result = { ...payload };
+    stripUrlFields(result, PAYLOAD_URL_FIELDS, config, applied);
+
+    if (config.redactEventData) {
+      PAYLOAD_DATA_FIELDS.forEach(field => {
+        if (result[field]) result[field] = redactValue(result[field], applied);
+      });
+    }
+  } else if (config.redactEventData) {
+    result = redactValue(payload, applied);
+  }
+
+  return {
+    payload: result,
+    ipAddress: anonymizeIp(ipAddress, config, applied, now),
+    privacyRules: [...applied]
+  };
+}
+
+/**
+ * Indica se as regras aplicadas incluem a anonimização do IP
+ *
+ * @param {Array<String>} rules - Regras aplicadas (privacyRules)
+ * @returns {Boolean} Verdadeiro se o IP foi truncado ou substituído pelo hash
+ */
+function isIpAnonymized(rules) {
+  return (rules || []).some(rule => IP_RULES.includes(rule));
+}
+
+module.exports = {
+  RULES,
+  applyPrivacy,
+  applyPrivacyToPayload,
+  isIpAnonymized,
+  truncateIp,
+  hashIp,
+  isValidCpf,
+  stripUrlParams,
+  redactValue
+};
@@ -0,0 +1,131 @@
+/**
+ * Limitador de taxa em memória (token bucket)
+ *
+ * Cada chave (ex: um IP ou um sessionId) tem um balde com capacidade
+ * máxima de fichas, reabastecido continuamente a uma taxa fixa. Cada
+ * requisição consome fichas; sem fichas suficientes, ela é recusada.
+ * A capacidade define a rajada tolerada e a taxa, o limite sustentado.
+ *
+ * Os baldes ficam na memória do processo: com várias instâncias, cada
+ * uma aplica o limite de forma independente. A quantidade de baldes é
+ * limitada: com o limite atingido (ex: muitas chaves distintas em poucos
+ * segundos), o balde usado há mais tempo é descartado; a chave descartada
+ * volta com o balde cheio se aparecer de novo.
+ *
+ * @module logs/rateLimiter
+ */
+
+// Intervalo da limpeza de baldes ociosos
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Quantidade máxima padrão de baldes em memória
+const DEFAULT_MAX_KEYS = 100000;
+
+/**
+ * Cria um limitador de taxa
+ *
+ * @param {Object} options - Opções
+ * @param {Number} options.capacity - Quantidade máxima de fichas (rajada)
+ * @param {Number} options.refillPerMinute - Fichas repostas por minuto
+ * @param {Number} [options.maxKeys] - Quantidade máxima de baldes em memória (padrão: 100000)
+ * @returns {Object} Limitador ({ consume, size, evictions, reset })
+ */
+function createRateLimiter({ capacity, refillPerMinute, maxKeys = DEFAULT_MAX_KEYS }) {
+  const refillPerMs = refillPerMinute / (60 * 1000);
+  // Baldes na ordem do último uso (o primeiro é o usado há mais tempo)
+  const buckets = new Map();
+  let evictions = 0;
+
+  /**
+   * Atualiza as fichas de um balde conforme o tempo decorrido
+   *
+   * @param {Object} bucket - Balde ({ tokens, updatedAt })
+   * @param {Number} now - Horário atual em milissegundos
+   * @private
+   */
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  };
+
+  // Remove baldes cheios (chaves ociosas) para limitar o uso de memória
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    /**
+     * Consome fichas do balde de uma chave
+     *
+     * @param {String} key - Chave limitada
+     * @param {Number} cost - Fichas a consumir (padrão: 1)
+     * @returns {Object} Resultado ({ allowed, remaining, retryAfter em segundos })
+     */
+    consume(key, cost = 1) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket) {
+        // Limite atingido: descarta o balde usado há mais tempo
+        if (buckets.size >= maxKeys) {
+          buckets.delete(buckets.keys().next().value);
+          evictions += 1;
+        }
+        bucket = { tokens: capacity, updatedAt: now };
+      } else {
+        refill(bucket, now);
+        buckets.delete(key);
+      }
+
+      // Reinsere no final para manter a ordem do último uso
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+      }
+
+      // Custos acima da capacidade nunca serão atendidos de uma vez
+      const missing = Math.min(cost, capacity) - bucket.tokens;
+      return {
+        allowed: false,
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: Math.max(1, Math.ceil(missing / refillPerMs / 1000))
+      };
+    },
+
+    /**
+     * Quantidade de chaves acompanhadas
+     *
+     * @returns {Number} Número de baldes em memória
+     */
+    size() {
+      return buckets.size;
+    },
+
+    /**
+     * Quantidade de baldes descartados por causa do limite de chaves
+     *
+     * @returns {Number} Baldes descartados desde a criação do limitador
+     */
+    evictions() {
+      return evictions;
+    },
+
+    /**
+     * Remove todos os baldes
+     */
+    reset() {
+      buckets.clear();
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
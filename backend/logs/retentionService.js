@@ -0,0 +1,347 @@
+/**
+ * Serviço de retenção e arquivamento de logs
+ *
+ * Aplica as políticas de retenção às coleções `events` (por tipo de evento)
+ * e `http_logs` (logs HTTP gravados pelo Winston). Antes de serem removidos
+ * do MongoDB, os documentos expirados são gravados em arquivos NDJSON
+ * compactados com gzip no disco local, e podem ser restaurados depois
+ * por intervalo de datas.
+ *
+ * Os documentos são serializados em Extended JSON (EJSON) para preservar
+ * tipos como ObjectId e Date na restauração.
+ *
+ * @module logs/retentionService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Diretório onde os arquivos de arquivamento são gravados
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '../archive');
+
+// Arquivo de índice com a descrição de cada arquivo gerado
+const MANIFEST_FILE = 'manifest.json';
+
+// Quantidade de documentos por arquivo (e por operação de remoção)
+const CHUNK_SIZE = 10000;
+
+// Quantidade de documentos por inserção na restauração
+const RESTORE_BATCH_SIZE = 1000;
+
+// Código de erro do MongoDB para violação de índice único
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Políticas de retenção padrão (em dias; null mantém para sempre)
+ *
+ * Podem ser sobrescritas pela variável de ambiente RETENTION_POLICIES,
+ * com um JSON no mesmo formato, por exemplo:
+ * {"events":{"eventTypes":{"page_view":30}},"http_logs":{"defaultDays":7}}
+ */
+const DEFAULT_POLICIES = {
+  events: {
+    defaultDays: 365,
+    eventTypes: {
+      page_view: 90,
+      product_view: 180,
+      error: 90,
+      checkout_complete: null
+    }
+  },
+  http_logs: {
+    defaultDays: 30
+  }
+};
+
+/**
+ * Obtém as políticas de retenção efetivas
+ *
+ * @returns {Object} Políticas padrão combinadas com as da variável de ambiente
+ */
+function getPolicies() {
+  if (!process.env.RETENTION_POLICIES) return DEFAULT_POLICIES;
+
+  const overrides = JSON.parse(process.env.RETENTION_POLICIES);
+
+  return Object.keys({ ...DEFAULT_POLICIES, ...overrides }).reduce((policies, collection) => {
+    const base = DEFAULT_POLICIES[collection] || {};
+    const override = overrides[collection] || {};
+
+    policies[collection] = {
+      ...base,
+      ...override,
+      eventTypes: { ...(base.eventTypes || {}), ...(override.eventTypes || {}) }
+    };
+    return policies;
+  }, {});
+}
+
+/**
+ * Monta as regras de expiração (filtro + data de corte) de uma coleção
+ *
+ * Tipos de evento com política própria recebem uma regra cada; os demais
+ * usam a retenção padrão da coleção.
+ *
+ * @param {String} collection - Nome da coleção
+ * @param {Object} policy - Política da coleção
+ * @param {Date} now - Data de referência
+ * @returns {Array<Object>} Regras ({ label, eventType, days, filter })
+ * @private
+ */
+function buildRules(collection, policy, now) {
+  const cutoff = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const eventTypes = policy.eventTypes || {};
+  const rules = [];
+
+  Object.entries(eventTypes).forEach(([eventType, days]) => {
+    if (days === null || days === undefined) return; // Mantido para sempre
+
+    rules.push({
+      label: `${collection}/${eventType}`,
+      eventType,
+      days,
+      filter: { eventType, timestamp: { $lt: cutoff(days) } }
+    });
+  });
+
+  if (policy.defaultDays !== null && policy.defaultDays !== undefined) {
+    const filter = { timestamp: { $lt: cutoff(policy.defaultDays) } };
+
+    // Os tipos com política própria (inclusive os mantidos para sempre) ficam de fora
+    const listedTypes = Object.keys(eventTypes);
+    if (listedTypes.length > 0) {
+      filter.eventType = { $nin: listedTypes };
+    }
+
+    rules.push({
+      label: `${collection}/*`,
+      eventType: null,
+      days: policy.defaultDays,
+      filter
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Lê o índice de arquivos arquivados
+ *
+ * @returns {Array<Object>} Entradas do índice
+ */
+function readManifest() {
+  const manifestPath = path.join(ARCHIVE_DIR, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return [];
+
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Adiciona uma entrada ao índice de arquivos arquivados
+ *
+ * @param {Object} entry - Descrição do arquivo gerado
+ * @private
+ */
+function appendManifest(entry) {
+  const manifest = readManifest();
+  manifest.push(entry);
+
+  const manifestPath = path.join(ARCHIVE_DIR, MANIFEST_FILE);
+  const tempPath = `${manifestPath}.tmp`;
+
+  // Grava em arquivo temporário e renomeia para não corromper o índice
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Grava um bloco de documentos em um arquivo NDJSON compactado
+ *
+ * @param {Array<Object>} docs - Documentos a gravar
+ * @param {String} filePath - Caminho do arquivo
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeArchiveFile(docs, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const lines = docs.map(doc => EJSON.stringify(doc, { relaxed: false }) + '\n');
+  await pipeline(
+    Readable.from(lines),
+    zlib.createGzip(),
+    fs.createWriteStream(filePath)
+  );
+}
+
+/**
+ * Arquiva e remove os documentos de uma regra em blocos
+ *
+ * Cada bloco só é removido do MongoDB depois que o arquivo correspondente
+ * foi gravado por completo e registrado no índice.
+ *
+ * @param {String} collection - Nome da coleção
+ * @param {Object} rule - Regra de expiração
+ * @param {Object} options - Opções (dryRun)
+ * @returns {Promise<Object>} Resumo ({ rule, archived, files })
+ * @private
+ */
+async function archiveRule(collection, rule, options) {
+  const nativeCollection = mongoose.connection.collection(collection);
+
+  if (options.dryRun) {
+    const count = await nativeCollection.countDocuments(rule.filter);
+    return { rule: rule.label, days: rule.days, archived: count, files: 0 };
+  }
+
+  let archived = 0;
+  let files = 0;
+
+  // Cada iteração busca o próximo bloco, já que o anterior foi removido
+  for (;;) {
+    const docs = await nativeCollection.find(rule.filter)
+      .sort({ timestamp: 1 })
+      .limit(CHUNK_SIZE)
+      .toArray();
+
+    if (docs.length === 0) break;
+
+    const timestamps = docs.map(doc => new Date(doc.timestamp).getTime());
+    const from = new Date(Math.min(...timestamps));
+    const to = new Date(Math.max(...timestamps));
+    const fileName = `${from.toISOString().slice(0, 10)}_${Date.now()}_${files}.ndjson.gz`;
+    const relativePath = path.join(collection, rule.eventType || '_default', fileName);
+
+    await writeArchiveFile(docs, path.join(ARCHIVE_DIR, relativePath));
+
+    appendManifest({
+      collection,
+      eventType: rule.eventType,
+      file: relativePath,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: docs.length,
+      archivedAt: new Date().toISOString()
+    });
+
+    await nativeCollection.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+    archived += docs.length;
+    files += 1;
+  }
+
+  return { rule: rule.label, days: rule.days, archived, files };
+}
+
+/**
+ * Arquiva e remove todos os documentos expirados
+ *
+ * @param {Object} options - Opções
+ * @param {Boolean} options.dryRun - Apenas conta os documentos expirados
+ * @param {Date} options.now - Data de referência (padrão: agora)
+ * @returns {Promise<Array<Object>>} Resumo por regra
+ */
+async function archiveExpired(options = {}) {
+  const now = options.now || new Date();
+  const policies = getPolicies();
+  const summary = [];
+
+  for (const [collection, policy] of Object.entries(policies)) {
+    for (const rule of buildRules(collection, policy, now)) {
+      summary.push(await archiveRule(collection, rule, options));
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Insere documentos restaurados ignorando os que já existem
+ *
+ * @param {Object} nativeCollection - Coleção do driver do MongoDB
+ * @param {Array<Object>} docs - Documentos a inserir
+ * @returns {Promise<Number>} Quantidade de documentos inseridos
+ * @private
+ */
+async function insertRestored(nativeCollection, docs) {
+  try {
+    const result = await nativeCollection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+      throw error;
+    }
+    return docs.length - writeErrors.length;
+  }
+}
+
+/**
+ * Restaura no MongoDB os documentos arquivados em um intervalo de datas
+ *
+ * @param {Object} options - Opções
+ * @param {Date} options.from - Data inicial (inclusive)
+ * @param {Date} options.to - Data final (inclusive)
+ * @param {String} [options.collection] - Restringe a uma coleção (events ou http_logs)
+ * @param {String} [options.eventType] - Restringe a um tipo de evento
+ * @param {Boolean} [options.dryRun] - Apenas conta os documentos encontrados
+ * @returns {Promise<Object>} Resumo ({ files, matched, restored })
+ */
+async function restoreRange(options) {
+  const { from, to, collection, eventType, dryRun } = options;
+
+  // Seleciona pelo índice apenas os arquivos que se sobrepõem ao intervalo
+  const entries = readManifest().filter(entry => {
+    if (collection && entry.collection !== collection) return false;
+    if (eventType && entry.eventType !== eventType && entry.eventType !== null) return false;
+    return new Date(entry.from) <= to && new Date(entry.to) >= from;
+  });
+
+  let matched = 0;
+  let restored = 0;
+
+  for (const entry of entries) {
+    const nativeCollection = mongoose.connection.collection(entry.collection);
+    const input = fs.createReadStream(path.join(ARCHIVE_DIR, entry.file)).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let batch = [];
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const doc = EJSON.parse(line, { relaxed: false });
+      if (doc.timestamp < from || doc.timestamp > to) continue;
+      if (eventType && doc.eventType !== eventType) continue;
+
+      matched += 1;
+      if (dryRun) continue;
+
+      batch.push(doc);
+      if (batch.length >= RESTORE_BATCH_SIZE) {
+        restored += await insertRestored(nativeCollection, batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      restored += await insertRestored(nativeCollection, batch);
+    }
+  }
+
+  return { files: entries.length, matched, restored };
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  DEFAULT_POLICIES,
+  getPolicies,
+  readManifest,
+  archiveExpired,
+  restoreRange
+};
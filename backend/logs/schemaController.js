@@ -0,0 +1,126 @@
+/**
+ * Controlador para gerenciamento dos schemas de eventos
+ *
+ * Este controlador permite que administradores consultem e atualizem
+ * os JSON Schemas usados para validar o eventData na ingestão.
+ *
+ * @module controllers/schemaController
+ */
+
+const schemaRegistry = require('./schemaRegistry');
+const { normalizeEventType } = require('./eventTaxonomy');
+
+/**
+ * Objeto que contém os métodos do controlador de schemas
+ */
+const schemaController = {
+  /**
+   * Lista a versão mais recente do schema de cada tipo de evento
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com os schemas ou mensagem de erro
+   */
+  listSchemas: async (req, res) => {
+    try {
+      const schemas = schemaRegistry.listSchemas();
+
+      return res.status(200).json({
+        success: true,
+        count: schemas.length,
+        schemas
+      });
+    } catch (error) {
+      console.error('Erro ao listar schemas:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao listar schemas',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Obtém todas as versões do schema de um tipo de evento
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com as versões do schema ou mensagem de erro
+   */
+  getSchema: async (req, res) => {
+    try {
+      const eventType = normalizeEventType(req.params.eventType);
+      const versions = schemaRegistry.listSchemas(eventType);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Nenhum schema registrado para ${eventType}`
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        eventType,
+        latestVersion: versions[0].version,
+        versions
+      });
+    } catch (error) {
+      console.error('Erro ao buscar schema:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao buscar schema',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Cria uma nova versão do schema de um tipo de evento
+   *
+   * @param {Object} req - Objeto de requisição Express
+   * @param {Object} res - Objeto de resposta Express
+   * @returns {Object} Resposta com a versão criada ou mensagem de erro
+   */
+  updateSchema: async (req, res) => {
+    try {
+      const eventType = normalizeEventType(req.params.eventType);
+      const { schema, onInvalid, description } = req.body;
+
+      if (onInvalid && !['reject', 'quarantine'].includes(onInvalid)) {
+        return res.status(400).json({
+          success: false,
+          message: 'onInvalid deve ser "reject" ou "quarantine"'
+        });
+      }
+
+      const created = await schemaRegistry.saveSchema(eventType, schema, {
+        onInvalid,
+        description,
+        createdBy: req.user ? req.user.id : null
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Nova versão do schema registrada com sucesso',
+        schema: created
+      });
+    } catch (error) {
+      if (error.isValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Erro ao atualizar schema:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro ao atualizar schema',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = schemaController;
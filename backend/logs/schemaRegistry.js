@@ -0,0 +1,456 @@
+/**
+ * Registro de schemas de eventData
+ *
+ * Este módulo mantém em memória os JSON Schemas (por tipo de evento e versão)
+ * usados para validar o campo eventData na ingestão. As definições ficam na
+ * coleção `event_schemas`; os schemas padrão definidos neste arquivo
+ * correspondem à versão 1 de cada tipo.
+ *
+ * @module logs/schemaRegistry
+ */
+
+const Ajv = require('ajv');
+const EventSchemaDefinition = require('../models/eventSchemaModel');
+
+/**
+ * Cria uma instância do validador (allErrors para informar todos os problemas de uma vez)
+ *
+ * Cada schema é compilado em uma instância própria: o Ajv guarda no cache
+ * interno todo schema compilado (e recusa um `$id` repetido), então uma
+ * instância compartilhada cresceria a cada recarga.
+ *
+ * @returns {Ajv} Nova instância
+ * @private
+ */
+const createAjv = () => new Ajv({ allErrors: true, strict: false });
+
+// Intervalo para recarregar os schemas do banco (para múltiplas instâncias)
+const REFRESH_INTERVAL = parseInt(process.env.SCHEMA_REFRESH_INTERVAL_MS, 10) || 60 * 1000;
+
+/**
+ * Schemas padrão (versão 1) dos principais eventos
+ *
+ * Os campos não listados continuam permitidos; apenas os campos usados
+ * nas estatísticas têm tipo e obrigatoriedade verificados.
+ */
+const DEFAULT_SCHEMAS = {
+  page_view: {
+    type: 'object',
+    properties: {
+      pageTitle: { type: 'string' }
+    }
+  },
+  product_view: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      productName: { type: 'string' },
+      category: { type: 'string' }
+    }
+  },
+  product_customize: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      productName: { type: 'string' },
+      customizations: { type: 'object' }
+    }
+  },
+  model_3d_view: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      productName: { type: 'string' }
+    }
+  },
+  model_3d_rotate: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 }
+    }
+  },
+  model_3d_zoom: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      zoomLevel: { type: 'number', exclusiveMinimum: 0 }
+    }
+  },
+  model_3d_ar_launch: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 }
+    }
+  },
+  model_3d_time_spent: {
+    type: 'object',
+    required: ['productId', 'durationSeconds'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      durationSeconds: { type: 'number', minimum: 0 },
+      rotations: { type: 'integer', minimum: 0 },
+      zooms: { type: 'integer', minimum: 0 }
+    }
+  },
+  cart_add: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      productName: { type: 'string' },
+      quantity: { type: 'integer', minimum: 1 },
+      price: { type: 'number', minimum: 0 }
+    }
+  },
+  cart_remove: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: { type: 'string', minLength: 1 },
+      quantity: { type: 'integer', minimum: 1 }
+    }
+  },
+  checkout_start: {
+    type: 'object',
+    properties: {
+      items: { type: 'array' },
+      total: { type: 'number', minimum: 0 }
+    }
+  },
+  checkout_complete: {
+    type: 'object',
+    required: ['total'],
+    properties: {
+      orderId: { type: 'string' },
+      items: { type: 'array' },
+      total: { type: 'number', minimum: 0 }
+    }
+  },
+  web_vital: {
+    type: 'object',
+    required: ['name', 'value'],
+    properties: {
+      name: { type: 'string', enum: ['LCP', 'CLS', 'INP', 'FCP', 'TTFB', 'FID'] },
+      value: { type: 'number', minimum: 0 },
+      rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'] },
+      page: { type: 'string' }
+    }
+  },
+  error: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Cache dos schemas compilados
+ *
+ * Estrutura: { [eventType]: { latest: Number, versions: { [version]: entry } } }
+ * onde entry = { version, schema, onInvalid, description, validate }
+ */
+let registry = {};
+
+/**
+ * Funções de validação já compiladas
+ *
+ * Chave: `eventType@version`; valor: { source, validate }, onde source é o
+ * schema serializado. As recargas só compilam versões novas ou alteradas.
+ */
+const compiledValidators = new Map();
+
+// Timer de recarga automática
+let refreshTimer = null;
+
+/**
+ * Obtém a função de validação de uma definição, compilando apenas se necessário
+ *
+ * @param {Object} definition - Definição (eventType, version, schema)
+ * @returns {Function} Função de validação do Ajv
+ * @private
+ */
+function getValidator(definition) {
+  const key = `${definition.eventType}@${definition.version}`;
+  const source = JSON.stringify(definition.schema);
+  const cached = compiledValidators.get(key);
+
+  if (cached && cached.source === source) {
+    return cached.validate;
+  }
+
+  const validate = createAjv().compile(definition.schema);
+  compiledValidators.set(key, { source, validate });
+  return validate;
+}
+
+/**
+ * Descarta as funções de validação de versões que saíram do registro
+ *
+ * @param {Object} target - Registro em uso
+ * @private
+ */
+function pruneValidators(target) {
+  compiledValidators.forEach((cached, key) => {
+    const separator = key.lastIndexOf('@');
+    const typeEntry = target[key.slice(0, separator)];
+
+    if (!typeEntry || !typeEntry.versions[key.slice(separator + 1)]) {
+      compiledValidators.delete(key);
+    }
+  });
+}
+
+/**
+ * Compila um schema e cria a entrada usada no cache
+ *
+ * @param {Object} definition - Definição (eventType, version, schema, onInvalid, description)
+ * @returns {Object} Entrada do cache com a função de validação
+ * @private
+ */
+function compileEntry(definition) {
+  return {
+    eventType: definition.eventType,
+    version: definition.version,
+    schema: definition.schema,
+    onInvalid: definition.onInvalid || 'quarantine',
+    description: definition.description || '',
+    createdAt: definition.createdAt || null,
+    isDefault: !!definition.isDefault,
+    validate: getValidator(definition)
+  };
+}
+
+/**
+ * Adiciona uma entrada compilada ao registro informado
+ *
+ * @param {Object} target - Registro a ser atualizado
+ * @param {Object} entry - Entrada compilada
+ * @private
+ */
+function addEntry(target, entry) {
+  if (!target[entry.eventType]) {
+    target[entry.eventType] = { latest: 0, versions: {} };
+  }
+
+  const typeEntry = target[entry.eventType];
+  typeEntry.versions[entry.version] = entry;
+  typeEntry.latest = Math.max(typeEntry.latest, entry.version);
+}
+
+/**
+ * Monta um registro contendo apenas os schemas padrão
+ *
+ * @returns {Object} Registro com os schemas padrão compilados
+ * @private
+ */
+function buildDefaultRegistry() {
+  const target = {};
+  Object.entries(DEFAULT_SCHEMAS).forEach(([eventType, schema]) => {
+    addEntry(target, compileEntry({
+      eventType,
+      version: 1,
+      schema,
+      description: 'Schema padrão',
+      isDefault: true
+    }));
+  });
+  return target;
+}
+
+// Os schemas padrão ficam disponíveis mesmo antes da primeira carga do banco
+registry = buildDefaultRegistry();
+
+/**
+ * Formata os erros do Ajv em mensagens legíveis
+ *
+ * @param {Array} errors - Erros retornados pelo Ajv
+ * @returns {Array<String>} Lista de mensagens
+ * @private
+ */
+function formatErrors(errors = []) {
+  return errors.map(error => `eventData${error.instancePath || ''} ${error.message}`);
+}
+
+/**
+ * Carrega (ou recarrega) os schemas salvos no banco de dados
+ *
+ * Os schemas padrão continuam disponíveis como versão 1 de cada tipo.
+ * Schemas salvos que não compilam são ignorados com um aviso no console.
+ *
+ * @returns {Promise<Object>} Registro atualizado
+ */
+async function loadSchemas() {
+  const definitions = await EventSchemaDefinition.find().lean();
+
+  // Começa pelos padrões (versão 1); versões salvas no banco os sobrescrevem
+  const next = buildDefaultRegistry();
+
+  definitions.forEach(definition => {
+    try {
+      addEntry(next, compileEntry(definition));
+    } catch (error) {
+      console.warn(`⚠️ Schema inválido ignorado (${definition.eventType} v${definition.version}):`, error.message);
+    }
+  });
+
+  registry = next;
+  pruneValidators(registry);
+  return registry;
+}
+
+/**
+ * Inicia a recarga periódica dos schemas
+ *
+ * Necessário quando há mais de uma instância do servidor, já que uma
+ * atualização feita em uma instância só atualiza o cache local dela.
+ */
+function startAutoRefresh() {
+  if (refreshTimer) return;
+
+  refreshTimer = setInterval(() => {
+    loadSchemas().catch(error => {
+      console.error('Erro ao recarregar schemas de eventos:', error);
+    });
+  }, REFRESH_INTERVAL);
+
+  // Não impede o encerramento do processo
+  refreshTimer.unref();
+}
+
+/**
+ * Valida o eventData de um evento com o schema do seu tipo
+ *
+ * Quando o cliente informa uma versão, ela é usada; caso contrário é usada
+ * a versão mais recente. Tipos sem schema registrado são aceitos sem validação.
+ *
+ * @param {String} eventType - Tipo do evento (nome canônico)
+ * @param {Object} eventData - Dados do evento
+ * @param {Number} [requestedVersion] - Versão do schema informada pelo cliente
+ * @returns {Object} Resultado ({ valid, schemaVersion, errors, onInvalid })
+ */
+function validateEventData(eventType, eventData, requestedVersion) {
+  const typeEntry = registry[eventType];
+
+  // Sem schema registrado: aceito sem validação
+  if (!typeEntry) {
+    return { valid: true, schemaVersion: null, errors: [] };
+  }
+
+  const version = requestedVersion ? parseInt(requestedVersion, 10) : typeEntry.latest;
+  const entry = typeEntry.versions[version];
+
+  if (!entry) {
+    return {
+      valid: false,
+      schemaVersion: null,
+      errors: [`Versão de schema desconhecida para ${eventType}: ${requestedVersion}`],
+      onInvalid: 'reject'
+    };
+  }
+
+  const valid = entry.validate(eventData);
+
+  return {
+    valid,
+    schemaVersion: entry.version,
+    errors: valid ? [] : formatErrors(entry.validate.errors),
+    onInvalid: entry.onInvalid
+  };
+}
+
+/**
+ * Remove a função de validação de uma entrada para exibição na API
+ *
+ * @param {Object} entry - Entrada do cache
+ * @returns {Object} Dados públicos da versão do schema
+ * @private
+ */
+function toPublicEntry(entry) {
+  const { validate, ...publicEntry } = entry;
+  return publicEntry;
+}
+
+/**
+ * Lista os schemas registrados
+ *
+ * @param {String} [eventType] - Se informado, retorna todas as versões deste tipo
+ * @returns {Array<Object>} Versões mais recentes de cada tipo ou todas as versões do tipo
+ */
+function listSchemas(eventType) {
+  if (eventType) {
+    const typeEntry = registry[eventType];
+    if (!typeEntry) return [];
+
+    return Object.values(typeEntry.versions)
+      .sort((a, b) => b.version - a.version)
+      .map(toPublicEntry);
+  }
+
+  return Object.values(registry)
+    .map(typeEntry => toPublicEntry(typeEntry.versions[typeEntry.latest]))
+    .sort((a, b) => a.eventType.localeCompare(b.eventType));
+}
+
+/**
+ * Salva uma nova versão do schema de um tipo de evento
+ *
+ * O schema é compilado (em uma instância descartável do validador) antes
+ * de ser salvo; um schema inválido gera erro
+ * com a propriedade `isValidationError` para que a API responda com 400.
+ *
+ * @param {String} eventType - Tipo do evento (nome canônico)
+ * @param {Object} schema - JSON Schema do eventData
+ * @param {Object} options - Opções (onInvalid, description, createdBy)
+ * @returns {Promise<Object>} Versão criada
+ */
+async function saveSchema(eventType, schema, options = {}) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    const error = new Error('O schema deve ser um objeto JSON Schema');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  try {
+    createAjv().compile(schema);
+  } catch (compileError) {
+    const error = new Error(`JSON Schema inválido: ${compileError.message}`);
+    error.isValidationError = true;
+    throw error;
+  }
+
+  // A numeração continua a partir da última versão salva (ou do padrão)
+  const lastStored = await EventSchemaDefinition.findOne({ eventType }).sort({ version: -1 });
+  const currentLatest = registry[eventType] ? registry[eventType].latest : 0;
+  const version = Math.max(lastStored ? lastStored.version : 0, currentLatest) + 1;
+
+  const definition = await EventSchemaDefinition.create({
+    eventType,
+    version,
+    schema,
+    onInvalid: options.onInvalid,
+    description: options.description,
+    createdBy: options.createdBy
+  });
+
+  // Recarrega o cache para incluir a nova versão
+  await loadSchemas();
+
+  return toPublicEntry(compileEntry(definition.toObject()));
+}
+
+module.exports = {
+  DEFAULT_SCHEMAS,
+  loadSchemas,
+  startAutoRefresh,
+  validateEventData,
+  listSchemas,
+  saveSchema
+};
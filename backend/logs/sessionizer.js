@@ -0,0 +1,276 @@
+/**
+ * Sessionização dos eventos
+ *
+ * Agrupa os eventos de cada sessionId em ordem cronológica e gera os
+ * documentos da coleção `sessions` (ver models/sessionModel). Um intervalo
+ * sem eventos maior que o tempo de inatividade encerra a sessão; o próximo
+ * evento do mesmo sessionId inicia uma nova.
+ *
+ * O processamento é incremental: cada execução busca os eventos gravados
+ * desde a anterior (pelo _id, que acompanha a ordem de gravação, e não pelo
+ * timestamp enviado pelo cliente) e recalcula por completo as sessões dos
+ * sessionIds afetados. Eventos enviados com atraso, como os reenviados
+ * pela fila offline do cliente, também entram na sessão correta.
+ *
+ * O _id é gerado quando o evento entra no buffer de gravação, e a gravação
+ * pode demorar (ex: novas tentativas com o banco indisponível). No servidor,
+ * a execução não passa do _id do evento mais antigo ainda no buffer.
+ *
+ * Eventos de robôs não geram sessões.
+ *
+ * Configuração (variáveis de ambiente):
+ * - SESSION_TIMEOUT_MINUTES: tempo de inatividade que encerra a sessão (padrão: 30)
+ * - SESSIONIZE_INTERVAL_MINUTES: intervalo da execução automática no servidor
+ *   (padrão: 15; 0 desativa e o job passa a ser agendado pelo comando utils/sessionize.js)
+ *
+ * @module logs/sessionizer
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Session = require('../models/sessionModel');
+const { getEventNames } = require('./eventTaxonomy');
+
+// Tempo de inatividade que encerra uma sessão
+const SESSION_TIMEOUT_MS = (parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+
+// Intervalo da execução automática (0 desativa)
+const SESSIONIZE_INTERVAL_MS = process.env.SESSIONIZE_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.SESSIONIZE_INTERVAL_MINUTES, 10) * 60 * 1000
+  : 15 * 60 * 1000;
+
+// Eventos gravados no último minuto ficam para a próxima execução: o _id é
+// gerado antes da gravação, e um evento ainda em trânsito poderia ter um
+// _id menor que a marca d'água e nunca ser processado
+const INGESTION_LAG_MS = 60 * 1000;
+
+// Margem entre a geração do _id e a entrada do evento no buffer de gravação
+const PENDING_MARGIN_MS = 1000;
+
+// Quantidade de sessionIds recalculados por vez
+const BATCH_SIZE = 500;
+
+// Campos dos eventos usados na sessionização
+const EVENT_FIELDS = 'eventType userId anonymousId sessionId sourceId pageUrl eventData.total device browser os geo timestamp';
+
+const PAGE_VIEW_TYPES = getEventNames('page_view');
+const PURCHASE_TYPES = getEventNames('checkout_complete');
+
+// Evita execuções simultâneas nesta instância
+let running = false;
+let timer = null;
+
+/**
+ * Gera as sessões de um sessionId a partir de seus eventos
+ *
+ * @param {Array<Object>} events - Eventos de um mesmo sessionId, em ordem cronológica
+ * @param {Number} [timeoutMs] - Tempo de inatividade que encerra a sessão
+ * @returns {Array<Object>} Documentos de sessão
+ */
+function buildSessions(events, timeoutMs = SESSION_TIMEOUT_MS) {
+  const groups = [];
+
+  events.forEach((event, index) => {
+    const previous = events[index - 1];
+    if (!previous || event.timestamp - previous.timestamp > timeoutMs) {
+      groups.push([]);
+    }
+    groups[groups.length - 1].push(event);
+  });
+
+  return groups.map(group => {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const pages = group.filter(event => event.pageUrl);
+    const pageViews = group.filter(event => PAGE_VIEW_TYPES.includes(event.eventType));
+    const purchases = group.filter(event => PURCHASE_TYPES.includes(event.eventType));
+    const identified = group.filter(event => event.userId && event.userId !== 'anonymous');
+
+    const eventCounts = {};
+    group.forEach(event => {
+      eventCounts[event.eventType] = (eventCounts[event.eventType] || 0) + 1;
+    });
+
+    const revenue = purchases.reduce((total, event) => {
+      const value = Number(event.eventData && event.eventData.total);
+      return total + (isNaN(value) ? 0 : value);
+    }, 0);
+
+    return {
+      sessionKey: `${first.sessionId}:${first.timestamp.getTime()}`,
+      sessionId: first.sessionId,
+      userId: identified.length > 0 ? identified[identified.length - 1].userId : 'anonymous',
+      anonymousId: (group.find(event => event.anonymousId) || {}).anonymousId,
+      sourceId: first.sourceId,
+      startedAt: first.timestamp,
+      endedAt: last.timestamp,
+      durationSeconds: Math.round((last.timestamp - first.timestamp) / 1000),
+      // A entrada é a primeira página visualizada; sem page_view, a primeira URL registrada
+      entryPage: (pageViews.find(event => event.pageUrl) || pages[0] || {}).pageUrl,
+      exitPage: pages.length > 0 ? pages[pages.length - 1].pageUrl : undefined,
+      eventCount: group.length,
+      pageViews: pageViews.length,
+      eventCounts,
+      isBounce: group.length === 1,
+      converted: purchases.length > 0,
+      revenue: parseFloat(revenue.toFixed(2)),
+      device: first.device,
+      browser: first.browser,
+      os: first.os,
+      geo: first.geo,
+      lastEventRef: group.reduce((maxId, event) => (String(event._id) > String(maxId) ? event._id : maxId), first._id),
+      processedAt: new Date()
+    };
+  });
+}
+
+/**
+ * Obtém a marca d'água da última execução (maior _id de evento já processado)
+ *
+ * @returns {Promise<ObjectId|null>} _id do último evento processado
+ * @private
+ */
+async function getWatermark() {
+  const latest = await Session.findOne({ lastEventRef: { $ne: null } })
+    .sort({ lastEventRef: -1 })
+    .select('lastEventRef')
+    .lean();
+
+  return latest ? latest.lastEventRef : null;
+}
+
+/**
+ * Calcula o maior _id de evento considerado em uma execução
+ *
+ * @param {Number|null} [pendingSince] - Momento (ms) em que entrou no buffer o evento mais antigo ainda não gravado
+ * @returns {ObjectId} Limite superior dos _id processados
+ * @private
+ */
+function getUpperBound(pendingSince) {
+  let limit = Date.now() - INGESTION_LAG_MS;
+
+  // Um evento ainda no buffer será gravado com um _id anterior ao limite
+  if (pendingSince) {
+    limit = Math.min(limit, pendingSince - PENDING_MARGIN_MS);
+  }
+
+  return mongoose.Types.ObjectId.createFromTime(Math.floor(limit / 1000));
+}
+
+/**
+ * Recalcula as sessões de um lote de sessionIds
+ *
+ * @param {Array<String>} sessionIds - IDs de sessão
+ * @param {ObjectId} upperBound - Maior _id de evento considerado nesta execução
+ * @param {Object} options - Opções (dryRun, timeoutMs)
+ * @returns {Promise<Number>} Quantidade de sessões geradas
+ * @private
+ */
+async function processBatch(sessionIds, upperBound, options) {
+  const events = await Event.find({
+    sessionId: { $in: sessionIds },
+    isBot: { $ne: true },
+    _id: { $lte: upperBound }
+  })
+    .select(EVENT_FIELDS)
+    .sort({ sessionId: 1, timestamp: 1 })
+    .lean();
+
+  const bySession = new Map();
+  events.forEach(event => {
+    if (!bySession.has(event.sessionId)) bySession.set(event.sessionId, []);
+    bySession.get(event.sessionId).push(event);
+  });
+
+  const sessions = [];
+  bySession.forEach(sessionEvents => {
+    sessions.push(...buildSessions(sessionEvents, options.timeoutMs));
+  });
+
+  if (!options.dryRun && sessionIds.length > 0) {
+    // Substitui as sessões anteriores dos sessionIds (a divisão por inatividade pode mudar)
+    await Session.bulkWrite([
+      { deleteMany: { filter: { sessionId: { $in: sessionIds } } } },
+      ...sessions.map(session => ({ insertOne: { document: session } }))
+    ], { ordered: true });
+  }
+
+  return sessions.length;
+}
+
+/**
+ * Gera as sessões dos eventos gravados desde a última execução
+ *
+ * @param {Object} options - Opções
+ * @param {Boolean} [options.full] - Ignora a marca d'água e recalcula todas as sessões
+ * @param {Boolean} [options.dryRun] - Apenas calcula, sem gravar
+ * @param {Number} [options.timeoutMs] - Tempo de inatividade que encerra a sessão
+ * @param {Number|null} [options.pendingSince] - Momento (ms) do evento mais antigo ainda não gravado
+ * @returns {Promise<Object>} Resumo ({ sessionIds, sessions, skipped })
+ */
+async function sessionize(options = {}) {
+  if (running) return { skipped: true, sessionIds: 0, sessions: 0 };
+  running = true;
+
+  try {
+    const watermark = options.full ? null : await getWatermark();
+    const upperBound = getUpperBound(options.pendingSince);
+
+    const match = { isBot: { $ne: true }, _id: { $lte: upperBound } };
+    if (watermark) match._id.$gt = watermark;
+
+    // sessionIds com eventos novos, lidos em cursor para não carregar todos de uma vez
+    const cursor = Event.aggregate([
+      { $match: match },
+      { $group: { _id: '$sessionId' } }
+    ]).allowDiskUse(true).cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    let sessionIds = 0;
+    let sessions = 0;
+
+    for await (const { _id: sessionId } of cursor) {
+      batch.push(sessionId);
+      if (batch.length >= BATCH_SIZE) {
+        sessions += await processBatch(batch, upperBound, options);
+        sessionIds += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      sessions += await processBatch(batch, upperBound, options);
+      sessionIds += batch.length;
+    }
+
+    return { skipped: false, sessionIds, sessions };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Inicia a execução periódica da sessionização no servidor
+ *
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.getPendingSince] - Retorna o momento (ms) do evento mais antigo ainda não gravado
+ */
+function startScheduler(options = {}) {
+  if (timer || SESSIONIZE_INTERVAL_MS <= 0) return;
+
+  timer = setInterval(() => {
+    const pendingSince = options.getPendingSince ? options.getPendingSince() : null;
+
+    sessionize({ pendingSince }).catch(error => {
+      console.error('Erro ao gerar sessões:', error);
+    });
+  }, SESSIONIZE_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  SESSION_TIMEOUT_MS,
+  buildSessions,
+  sessionize,
+  startScheduler
+};
@@ -0,0 +1,102 @@
+/**
+ * Resolução das chaves de escrita das fontes de eventos
+ *
+ * As requisições de ingestão informam uma chave de escrita; para não
+ * consultar o MongoDB a cada evento, o resultado de cada chave (inclusive
+ * chaves desconhecidas) fica em cache por um curto período. Alterações
+ * feitas pela API administrativa limpam o cache imediatamente nesta
+ * instância; as demais instâncias percebem a mudança quando o cache expira.
+ *
+ * Configuração (variáveis de ambiente):
+ * - REQUIRE_WRITE_KEY: "true" recusa eventos sem chave (padrão: aceitos, sem sourceId)
+ * - WRITE_KEY_CACHE_TTL_MS: validade do cache de chaves (padrão: 60000)
+ *
+ * Implantação: enquanto REQUIRE_WRITE_KEY não estiver ativado, eventos sem
+ * chave continuam aceitos e chaves informadas são validadas (chave inválida
+ * recebe 401). Para exigir as chaves, cadastre as lojas em
+ * /api/admin/sources, configure REACT_APP_LOGGER_WRITE_KEY (ou a opção
+ * writeKey do LoggerClient) em todos os frontends, publique-os e só então
+ * defina REQUIRE_WRITE_KEY=true no backend.
+ *
+ * @module logs/sourceRegistry
+ */
+
+const Source = require('../models/sourceModel');
+
+// Validade de cada entrada do cache
+const CACHE_TTL_MS = parseInt(process.env.WRITE_KEY_CACHE_TTL_MS, 10) || 60 * 1000;
+
+// Quantidade máxima de chaves em cache (limita chaves inventadas)
+const MAX_CACHE_SIZE = 10000;
+
+// Chave → { source, cachedAt }
+const cache = new Map();
+
+/**
+ * Indica se a ingestão exige uma chave de escrita
+ *
+ * @returns {Boolean} Verdadeiro se eventos sem chave devem ser recusados
+ */
+function isKeyRequired() {
+  return process.env.REQUIRE_WRITE_KEY === 'true';
+}
+
+/**
+ * Obtém a chave de escrita enviada na requisição
+ *
+ * O cabeçalho X-Write-Key é o formato padrão; o parâmetro writeKey na
+ * URL existe para o navigator.sendBeacon, que não permite cabeçalhos.
+ *
+ * @param {Object} req - Objeto de requisição Express
+ * @returns {String|null} Chave de escrita
+ */
+function getRequestKey(req) {
+  const key = req.get('X-Write-Key') || req.query.writeKey;
+  return typeof key === 'string' && key ? key : null;
+}
+
+/**
+ * Busca a fonte de uma chave de escrita
+ *
+ * @param {String} key - Chave de escrita
+ * @returns {Promise<Object|null>} Fonte ({ id, name, environment }) ou null se a chave não for aceita
+ */
+async function resolveWriteKey(key) {
+  const now = Date.now();
+  const cached = cache.get(key);
+
+  if (cached && now - cached.cachedAt < CACHE_TTL_MS) {
+    // A chave pode ter expirado (fim da transição de rotação) depois de entrar no cache
+    if (cached.source && cached.expiresAt && cached.expiresAt.getTime() <= now) return null;
+    return cached.source;
+  }
+
+  const source = await Source.findOne({ 'writeKeys.key': key }).lean();
+  const writeKey = source && source.writeKeys.find(item => item.key === key);
+  const usable = !!(source && source.isActive && writeKey && Source.isKeyUsable(writeKey));
+
+  const entry = {
+    source: usable ? { id: source._id, name: source.name, environment: source.environment } : null,
+    expiresAt: usable ? writeKey.expiresAt : null,
+    cachedAt: now
+  };
+
+  if (cache.size >= MAX_CACHE_SIZE) cache.clear();
+  cache.set(key, entry);
+
+  return entry.source;
+}
+
+/**
+ * Limpa o cache de chaves (usado após alterações pela API administrativa)
+ */
+function invalidate() {
+  cache.clear();
+}
+
+module.exports = {
+  isKeyRequired,
+  getRequestKey,
+  resolveWriteKey,
+  invalidate
+};
@@ -0,0 +1,96 @@
+/**
+ * Interpretação de user agents
+ *
+ * Converte a string de user agent recebida na ingestão em campos
+ * estruturados de dispositivo, navegador e sistema operacional, e
+ * identifica robôs conhecidos (buscadores, monitores, clientes HTTP).
+ *
+ * @module logs/userAgentParser
+ */
+
+const UAParser = require('ua-parser-js');
+
+// Tipos de dispositivo registrados nos eventos
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'smarttv', 'console', 'wearable', 'bot', 'unknown'];
+
+// Robôs conhecidos: buscadores, redes sociais, monitores, ferramentas e navegadores automatizados
+const BOT_PATTERN = new RegExp([
+  '\\bbot\\b', 'bot/', 'bot-', 'bot;', 'crawler', 'spider', 'slurp', 'crawling',
+  'facebookexternalhit', 'facebookcatalog', 'embedly', 'whatsapp', 'telegrambot', 'discordbot',
+  'pingdom', 'uptimerobot', 'statuscake', 'site24x7', 'newrelicpinger', 'datadog',
+  'lighthouse', 'pagespeed', 'gtmetrix', 'headlesschrome', 'phantomjs', 'puppeteer', 'playwright', 'selenium',
+  'curl/', 'wget/', 'python-requests', 'python-urllib', 'aiohttp', 'go-http-client', 'java/',
+  'okhttp', 'axios/', 'node-fetch', 'postmanruntime', 'insomnia', 'httpclient', 'libwww-perl', 'scrapy'
+].join('|'), 'i');
+
+/**
+ * Verifica se o user agent pertence a um robô conhecido
+ *
+ * @param {String} userAgent - User agent recebido
+ * @returns {Boolean} Verdadeiro se for um robô
+ */
+function isBotUserAgent(userAgent) {
+  return BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Define o tipo do dispositivo a partir do resultado do parser
+ *
+ * O parser não informa tipo para computadores; user agents sem tipo e
+ * com sistema operacional de desktop são classificados como desktop.
+ *
+ * @param {Object} result - Resultado do UAParser
+ * @returns {String} Tipo do dispositivo
+ * @private
+ */
+function resolveDeviceType(result) {
+  const type = result.device.type;
+
+  if (type === 'embedded') return 'unknown';
+  if (type) return type;
+
+  return result.os.name || result.browser.name ? 'desktop' : 'unknown';
+}
+
+/**
+ * Converte um user agent em campos estruturados
+ *
+ * @param {String} userAgent - User agent recebido
+ * @returns {Object} Campos estruturados ({ device, browser, os, isBot })
+ */
+function parseUserAgent(userAgent) {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return {
+      device: { type: 'unknown', vendor: null, model: null },
+      browser: { name: null, version: null },
+      os: { name: null, version: null },
+      isBot: false
+    };
+  }
+
+  const result = new UAParser(userAgent).getResult();
+  const isBot = isBotUserAgent(userAgent);
+
+  return {
+    device: {
+      type: isBot ? 'bot' : resolveDeviceType(result),
+      vendor: result.device.vendor || null,
+      model: result.device.model || null
+    },
+    browser: {
+      name: result.browser.name || null,
+      version: result.browser.version || null
+    },
+    os: {
+      name: result.os.name || null,
+      version: result.os.version || null
+    },
+    isBot
+  };
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  isBotUserAgent,
+  parseUserAgent
+};
@@ -0,0 +1,279 @@
+/**
+ * Buffer de escrita em memória (write-behind)
+ *
+ * Acumula documentos e os entrega em lotes a uma função de gravação
+ * (ex: insertMany), quando o lote atinge o tamanho configurado ou após o
+ * intervalo máximo de espera. Com o buffer cheio, novos documentos são
+ * recusados, para que a API responda 429 (backpressure) em vez de acumular
+ * memória enquanto o banco não acompanha o ritmo.
+ *
+ * Se a gravação falhar (ex: banco indisponível), o lote volta para o
+ * início do buffer e a gravação é repetida com espera exponencial. Os
+ * documentos ficam na memória do processo: no encerramento, drain() grava
+ * o que estiver pendente antes de desligar o servidor, e takePending()
+ * entrega o que não pôde ser gravado dentro do prazo.
+ *
+ * @module logs/writeBuffer
+ */
+
+// Espera máxima entre tentativas de gravação após falhas
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Cria um buffer de escrita
+ *
+ * @param {Object} options - Opções
+ * @param {Function} options.write - Grava um lote (recebe a lista de itens; deve rejeitar a promessa
+ *   apenas em falhas que justifiquem nova tentativa do lote inteiro)
+ * @param {Number} options.maxSize - Quantidade máxima de itens em espera
+ * @param {Number} options.flushSize - Itens por lote gravado
+ * @param {Number} options.flushIntervalMs - Espera máxima de um item antes da gravação (em ms)
+ * @param {String} [options.name] - Nome usado nas mensagens de erro
+ * @returns {Object} Buffer ({ push, available, retryAfter, isDraining, flush, drain, takePending, getMetrics })
+ */
+function createWriteBuffer({ write, maxSize, flushSize, flushIntervalMs, name = 'buffer' }) {
+  // Itens em espera ({ value, enqueuedAt }), do mais antigo ao mais recente
+  let items = [];
+  // Itens do lote sendo gravado (contam no limite do buffer)
+  let inFlight = [];
+  let flushing = null;
+  let timer = null;
+  let draining = false;
+  let retryAttempt = 0;
+  let nextRetryAt = 0;
+
+  const metrics = {
+    enqueued: 0,
+    written: 0,
+    rejected: 0,
+    flushes: 0,
+    failedFlushes: 0,
+    highWaterMark: 0,
+    lastFlushAt: null,
+    lastFlushDurationMs: null,
+    lastError: null
+  };
+
+  /**
+   * Agenda a próxima gravação (após o intervalo ou a espera de uma falha)
+   *
+   * @param {Number} delay - Espera em milissegundos
+   * @private
+   */
+  const schedule = (delay) => {
+    if (timer || draining) return;
+
+    timer = setTimeout(() => {
+      timer = null;
+      flush().catch(() => {});
+    }, delay);
+    timer.unref();
+  };
+
+  /**
+   * Grava os lotes em espera até esvaziar o buffer ou ocorrer uma falha
+   *
+   * @returns {Promise<Boolean>} Verdadeiro se o buffer foi esvaziado
+   * @private
+   */
+  const writeAll = async () => {
+    while (items.length > 0) {
+      const batch = items.splice(0, flushSize);
+      const startedAt = Date.now();
+      inFlight = batch;
+
+      try {
+        await write(batch.map(item => item.value));
+      } catch (error) {
+        // Lote já entregue por takePending() (prazo do encerramento esgotado)
+        if (inFlight !== batch) return false;
+        inFlight = [];
+
+        // Devolve o lote ao início do buffer e tenta de novo mais tarde
+        items = batch.concat(items);
+        metrics.failedFlushes += 1;
+        metrics.lastError = error.message;
+
+        const delay = Math.min(flushIntervalMs * Math.pow(2, retryAttempt), MAX_RETRY_DELAY_MS);
+        retryAttempt += 1;
+        nextRetryAt = Date.now() + delay;
+        console.error(`Erro ao gravar o ${name} (nova tentativa em ${delay} ms):`, error.message);
+        return false;
+      }
+
+      inFlight = [];
+      retryAttempt = 0;
+      nextRetryAt = 0;
+      metrics.written += batch.length;
+      metrics.flushes += 1;
+      metrics.lastFlushAt = new Date();
+      metrics.lastFlushDurationMs = Date.now() - startedAt;
+    }
+
+    return true;
+  };
+
+  /**
+   * Grava imediatamente os itens em espera (uma gravação por vez)
+   *
+   * @returns {Promise<Boolean>} Verdadeiro se o buffer foi esvaziado
+   */
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    if (!flushing) {
+      flushing = writeAll().finally(() => {
+        flushing = null;
+
+        // Itens que chegaram durante a gravação (ou que voltaram após uma falha)
+        if (items.length > 0) {
+          schedule(nextRetryAt > Date.now() ? nextRetryAt - Date.now() : flushIntervalMs);
+        }
+      });
+    }
+
+    return flushing;
+  };
+
+  /**
+   * Quantidade de itens no buffer, inclusive os do lote sendo gravado
+   *
+   * @returns {Number} Itens pendentes
+   * @private
+   */
+  const depth = () => items.length + inFlight.length;
+
+  return {
+    /**
+     * Adiciona itens ao buffer, até o limite de espaço disponível
+     *
+     * @param {Array} newItems - Itens a gravar
+     * @returns {Number} Quantidade de itens aceitos (os primeiros da lista)
+     */
+    push(newItems) {
+      const accepted = draining ? [] : newItems.slice(0, Math.max(maxSize - depth(), 0));
+
+      metrics.rejected += newItems.length - accepted.length;
+      if (accepted.length === 0) return 0;
+
+      const enqueuedAt = Date.now();
+      accepted.forEach(value => items.push({ value, enqueuedAt }));
+      metrics.enqueued += accepted.length;
+      metrics.highWaterMark = Math.max(metrics.highWaterMark, depth());
+
+      // Lote completo: grava já (exceto durante a espera após uma falha)
+      if (items.length >= flushSize && !flushing && Date.now() >= nextRetryAt) {
+        flush().catch(() => {});
+      } else {
+        schedule(Math.max(flushIntervalMs, nextRetryAt - Date.now()));
+      }
+
+      return accepted.length;
+    },
+
+    /**
+     * Espaço disponível no buffer
+     *
+     * @returns {Number} Quantidade de itens que ainda podem ser aceitos (0 durante o encerramento)
+     */
+    available() {
+      return draining ? 0 : Math.max(maxSize - depth(), 0);
+    },
+
+    /**
+     * Tempo sugerido para o cliente tentar de novo quando o buffer está cheio
+     *
+     * @returns {Number} Espera em segundos
+     */
+    retryAfter() {
+      const wait = Math.max(flushIntervalMs, nextRetryAt - Date.now());
+      return Math.max(1, Math.ceil(wait / 1000));
+    },
+
+    /**
+     * Indica se o buffer está sendo encerrado (não aceita novos itens)
+     *
+     * @returns {Boolean} Verdadeiro durante o drain()
+     */
+    isDraining() {
+      return draining;
+    },
+
+    flush,
+
+    /**
+     * Recusa novos itens e grava os pendentes (usado no encerramento do servidor)
+     *
+     * @param {Number} timeoutMs - Tempo máximo de espera
+     * @returns {Promise<Number>} Quantidade de itens que não puderam ser gravados
+     */
+    async drain(timeoutMs) {
+      draining = true;
+      const deadline = Date.now() + timeoutMs;
+
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      // Mantém o processo ativo até o prazo (a gravação pendente pode não fazê-lo)
+      const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+
+      while (depth() > 0 && Date.now() < deadline) {
+        // Uma gravação travada (ex: banco sem resposta) não pode segurar o encerramento
+        await Promise.race([flush(), sleep(deadline - Date.now())]);
+        if (items.length === 0 || Date.now() >= deadline) break;
+
+        // Aguarda a espera após a falha, sem ultrapassar o prazo
+        await sleep(Math.min(nextRetryAt - Date.now(), deadline - Date.now()));
+      }
+
+      return depth();
+    },
+
+    /**
+     * Retira do buffer os itens que não foram gravados (após um drain() que excedeu o prazo)
+     *
+     * Inclui o lote sendo gravado: se essa gravação ainda terminar, os itens
+     * podem ser gravados também pelo destino dos pendentes.
+     *
+     * @returns {Array} Itens pendentes, do mais antigo ao mais recente
+     */
+    takePending() {
+      const pending = inFlight.concat(items).map(item => item.value);
+      inFlight = [];
+      items = [];
+      return pending;
+    },
+
+    /**
+     * Obtém as métricas do buffer
+     *
+     * @returns {Object} Ocupação atual, limites e contadores desde o início do processo
+     */
+    getMetrics() {
+      // O lote sendo gravado é sempre anterior aos itens em espera
+      const oldest = inFlight[0] || items[0];
+
+      return {
+        depth: depth(),
+        capacity: maxSize,
+        utilization: parseFloat((depth() / maxSize * 100).toFixed(2)),
+        oldestItemAgeMs: oldest ? Date.now() - oldest.enqueuedAt : 0,
+        flushSize,
+        flushIntervalMs,
+        flushing: !!flushing,
+        draining,
+        retrying: nextRetryAt > Date.now(),
+        ...metrics
+      };
+    }
+  };
+}
+
+module.exports = {
+  createWriteBuffer
+};
@@ -0,0 +1,40 @@
+/**
+ * Middleware de proteção contra abuso da ingestão de eventos
+ *
+ * Recusa tráfego de robôs e aplica o limite de taxa por IP antes de a
+ * requisição chegar ao controlador. Os limites por evento (sessionId e
+ * tamanho do eventData) são aplicados no próprio controlador.
+ *
+ * @module middleware/abuseMiddleware
+ */
+
+const abuseGuard = require('../logs/abuseGuard');
+
+/**
+ * Middleware para proteger os endpoints públicos de ingestão
+ *
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Function} next - Função para passar para o próximo middleware
+ * @returns {void}
+ */
+const protectIngestion = (req, res, next) => {
+  const blocked = abuseGuard.checkRequest(req);
+  if (!blocked) return next();
+
+  abuseGuard.recordBlocked(blocked.reason, req.baseUrl + req.path);
+
+  if (blocked.retryAfter) {
+    res.set('Retry-After', String(blocked.retryAfter));
+  }
+
+  return res.status(blocked.status).json({
+    success: false,
+    message: blocked.message,
+    reason: blocked.reason
+  });
+};
+
+module.exports = {
+  protectIngestion
+};
@@ -9,6 +9,10 @@
 
 const jwt = require('jsonwebtoken');
 
+// Escopo e validade dos tokens de streaming de eventos
+const STREAM_TOKEN_SCOPE = 'log_stream';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
 /**
  * Middleware para verificar se o usuário está autenticado
  * 
@@ -71,7 +75,66 @@ const isAdmin = (req, res, next) => {
   });
 };
 
+/**
+ * Gera um token de curta duração para o streaming de eventos
+ * 
+ * O EventSource do navegador não envia cabeçalhos, então o token segue na
+ * URL (?token=). Por isso ele vale apenas para abrir a conexão de streaming,
+ * não contém o papel do usuário (é recusado pelo isAdmin) e expira em
+ * STREAM_TOKEN_TTL_SECONDS.
+ * 
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @returns {Object} Token e validade em segundos ({ token, expiresIn })
+ */
+const createStreamToken = (user) => {
+  const token = jwt.sign(
+    { id: user.id, scope: STREAM_TOKEN_SCOPE },
+    process.env.JWT_SECRET || 'seu_jwt_secret',
+    { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+  );
+  
+  return { token, expiresIn: STREAM_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Middleware para verificar o token de streaming (parâmetro token da URL)
+ * 
+ * O token é verificado apenas na abertura da conexão; conexões abertas
+ * continuam ativas após a expiração.
+ * 
+ * @param {Object} req - Objeto de requisição Express
+ * @param {Object} res - Objeto de resposta Express
+ * @param {Function} next - Função para passar para o próximo middleware
+ * @returns {void}
+ */
+const hasStreamToken = (req, res, next) => {
+  const { token } = req.query;
+  if (typeof token !== 'string' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Acesso não autorizado. Token de streaming não fornecido.'
+    });
+  }
+  
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'seu_jwt_secret');
+    if (decoded.scope !== STREAM_TOKEN_SCOPE) {
+      throw new Error('Escopo do token inválido');
+    }
+    
+    req.user = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Acesso não autorizado. Token de streaming inválido ou expirado.'
+    });
+  }
+};
+
 module.exports = {
   isAuthenticated,
-  isAdmin
+  isAdmin,
+  createStreamToken,
+  hasStreamToken
 };
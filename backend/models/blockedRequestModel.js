@@ -0,0 +1,61 @@
+/**
+ * Modelo para métricas de requisições bloqueadas
+ *
+ * A proteção contra abuso da ingestão (limite de taxa, tamanho do
+ * eventData e tráfego de robôs) não grava cada requisição recusada:
+ * os bloqueios são agregados por hora, motivo e rota.
+ *
+ * @module models/blockedRequestModel
+ */
+
+const mongoose = require('mongoose');
+
+// Motivos de bloqueio registrados
+const BLOCK_REASONS = ['ip_rate_limit', 'session_rate_limit', 'payload_too_large', 'bot'];
+
+/**
+ * Schema para a contagem de bloqueios
+ */
+const blockedRequestSchema = new mongoose.Schema({
+  // Início da hora em que os bloqueios ocorreram
+  period: {
+    type: Date,
+    required: true
+  },
+
+  // Motivo do bloqueio
+  reason: {
+    type: String,
+    enum: BLOCK_REASONS,
+    required: true
+  },
+
+  // Rota da ingestão (ex: /api/logs/event)
+  route: {
+    type: String,
+    required: true
+  },
+
+  // Quantidade de requisições (ou eventos de um lote) bloqueadas
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Último bloqueio registrado no período
+  lastBlockedAt: {
+    type: Date
+  }
+}, {
+  collection: 'blocked_requests'
+});
+
+// Uma contagem por hora, motivo e rota; removida automaticamente após 90 dias
+blockedRequestSchema.index({ period: 1, reason: 1, route: 1 }, { unique: true });
+blockedRequestSchema.index({ period: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Criação do modelo a partir do schema
+const BlockedRequest = mongoose.model('BlockedRequest', blockedRequestSchema);
+
+module.exports = BlockedRequest;
+module.exports.BLOCK_REASONS = BLOCK_REASONS;
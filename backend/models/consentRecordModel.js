@@ -0,0 +1,110 @@
+/**
+ * Modelo para o histórico de consentimento (LGPD)
+ *
+ * Cada alteração de consentimento feita na loja gera um novo registro;
+ * os registros nunca são alterados, para que o histórico sirva como
+ * comprovação de quando e como cada titular consentiu ou revogou.
+ *
+ * @module models/consentRecordModel
+ */
+
+const mongoose = require('mongoose');
+
+// Categorias de consentimento (necessary é sempre concedida)
+const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+/**
+ * Schema para um registro de consentimento
+ */
+const consentRecordSchema = new mongoose.Schema({
+  // Sessão e usuário em que o consentimento foi registrado
+  sessionId: {
+    type: String,
+    required: true,
+    maxlength: 100,
+    index: true
+  },
+
+  userId: {
+    type: String,
+    default: 'anonymous',
+    index: true
+  },
+
+  anonymousId: {
+    type: String,
+    maxlength: 100,
+    index: true
+  },
+
+  // Loja de origem, identificada pela chave de escrita
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source'
+  },
+
+  // Situação de cada categoria após a alteração
+  consent: {
+    necessary: {
+      type: Boolean,
+      default: true
+    },
+    analytics: {
+      type: Boolean,
+      required: true
+    },
+    marketing: {
+      type: Boolean,
+      required: true
+    }
+  },
+
+  // Navegador com Do-Not-Track (ou Global Privacy Control) ativo
+  doNotTrack: {
+    type: Boolean,
+    default: false
+  },
+
+  // Versão da política de privacidade apresentada ao titular
+  policyVersion: {
+    type: String,
+    maxlength: 50
+  },
+
+  // Onde o consentimento foi coletado (ex: banner, preferencias)
+  collectedVia: {
+    type: String,
+    maxlength: 50
+  },
+
+  // Endereço IP anonimizado (ver logs/privacyPipeline) e navegador
+  ipAddress: String,
+  userAgent: String,
+
+  // Data do registro no servidor
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'consent_records'
+});
+
+// Registros são imutáveis: alterações geram um novo registro
+consentRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Registros de consentimento não podem ser alterados'));
+  }
+  next();
+});
+
+consentRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Registros de consentimento não podem ser alterados'));
+});
+
+// Criação do modelo a partir do schema
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+module.exports = ConsentRecord;
+module.exports.CONSENT_CATEGORIES = CONSENT_CATEGORIES;
@@ -0,0 +1,138 @@
+/**
+ * Modelo para eventos rejeitados (dead-letter)
+ *
+ * Eventos recusados na validação ou que falharam ao serem gravados são
+ * guardados aqui com o corpo original (após o pipeline de privacidade), o
+ * motivo da falha e os metadados da requisição, para que possam ser
+ * corrigidos e reprocessados depois que o schema ou o código forem
+ * ajustados (ver logs/deadLetterController).
+ *
+ * @module models/deadLetterEventModel
+ */
+
+const mongoose = require('mongoose');
+
+// Etapas em que o evento pode falhar
+const DEAD_LETTER_STAGES = ['validation', 'save'];
+
+// Situações de um evento rejeitado
+const DEAD_LETTER_STATUSES = ['pending', 'resolved'];
+
+// Dias até a remoção automática (o corpo original pode conter dados pessoais)
+const TTL_DAYS = parseInt(process.env.DEAD_LETTER_TTL_DAYS, 10) || 30;
+
+/**
+ * Schema para um evento rejeitado
+ */
+const deadLetterEventSchema = new mongoose.Schema({
+  // Corpo do evento como recebido (editável antes do reprocessamento)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Tipo e ID informados pelo cliente (para filtros e busca)
+  eventType: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  eventId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Etapa da falha: validação (dados ou schema) ou gravação no banco
+  stage: {
+    type: String,
+    enum: DEAD_LETTER_STAGES,
+    required: true
+  },
+
+  // Motivo da falha e detalhes (ex: erros de schema)
+  reason: {
+    type: String,
+    required: true
+  },
+
+  details: [{
+    type: String
+  }],
+
+  // Metadados da requisição original, reutilizados no reprocessamento.
+  // O IP é guardado já anonimizado (logs/privacyPipeline); a localização é
+  // consultada antes, com o IP completo (null se não encontrada).
+  context: {
+    userAgent: String,
+    ipAddress: String,
+    geo: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    // Regras de privacidade já aplicadas ao corpo e ao IP
+    privacyRules: {
+      type: [String],
+      default: []
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Source'
+    },
+    endpoint: String
+  },
+
+  // Situação: pendente ou resolvido pelo reprocessamento
+  status: {
+    type: String,
+    enum: DEAD_LETTER_STATUSES,
+    default: 'pending',
+    index: true
+  },
+
+  // Resultado do reprocessamento que resolveu o evento
+  resolution: {
+    type: String,
+    enum: ['accepted', 'duplicate', 'quarantined', null],
+    default: null
+  },
+
+  // Tentativas de reprocessamento
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastAttemptAt: Date,
+  resolvedAt: Date,
+
+  // Última edição do corpo pelo painel administrativo
+  editedBy: {
+    type: String,
+    default: null
+  },
+
+  editedAt: Date,
+
+  // Data em que o evento foi recebido
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'dead_letter_events',
+  // Mantém objetos vazios do corpo original (ex: eventData: {})
+  minimize: false
+});
+
+// Listagem dos mais recentes; remoção automática após TTL_DAYS
+deadLetterEventSchema.index({ status: 1, receivedAt: -1 });
+deadLetterEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+
+// Criação do modelo a partir do schema
+const DeadLetterEvent = mongoose.model('DeadLetterEvent', deadLetterEventSchema);
+
+module.exports = DeadLetterEvent;
+module.exports.DEAD_LETTER_STAGES = DEAD_LETTER_STAGES;
+module.exports.DEAD_LETTER_STATUSES = DEAD_LETTER_STATUSES;
@@ -8,6 +8,47 @@
  */
 
 const mongoose = require('mongoose');
+const { getEventNames } = require('../logs/eventTaxonomy');
+const { DEVICE_TYPES } = require('../logs/userAgentParser');
+
+// Peso de cada evento nas contagens: um evento gravado com taxa de amostragem
+// 0.1 representa 10 eventos (eventos sem sampleRate valem 1)
+const SAMPLE_WEIGHT = { $divide: [1, { $ifNull: ['$sampleRate', 1] }] };
+
+// Eventos de interação com o visualizador 3D (ver logs/eventTaxonomy)
+const MODEL_3D_EVENT_TYPES = ['model_3d_view', 'model_3d_rotate', 'model_3d_zoom', 'model_3d_ar_launch', 'model_3d_time_spent'];
+
+// Razão entre os limites de faixas vizinhas do histograma das métricas de
+// desempenho: cada faixa cobre 5% de variação do valor
+const WEB_VITAL_BUCKET_GROWTH = 1.05;
+
+/**
+ * Calcula os percentis de um grupo a partir do histograma de valores
+ *
+ * Usa o método do posto mais próximo sobre as faixas; o valor de cada
+ * faixa é a média dos valores recebidos nela.
+ *
+ * @param {Object} row - Grupo agregado ({ samples, buckets: [{ count, value }], ... })
+ * @returns {Object} Grupo com p50, p75 e p95 no lugar das faixas
+ * @private
+ */
+function histogramPercentiles({ buckets, ...row }) {
+  const sorted = [...buckets].sort((a, b) => a.value - b.value);
+
+  const percentile = p => {
+    const rank = Math.max(Math.ceil(p * row.samples), 1);
+    let seen = 0;
+    const bucket = sorted.find(item => (seen += item.count) >= rank);
+    return bucket ? bucket.value : 0;
+  };
+
+  return {
+    ...row,
+    p50: percentile(0.5),
+    p75: percentile(0.75),
+    p95: percentile(0.95)
+  };
+}
 
 /**
  * Schema para eventos de interação do usuário
@@ -16,7 +57,23 @@ const mongoose = require('mongoose');
  * visualizar um produto, personalizar um item, adicionar ao carrinho, etc.
  */
 const eventSchema = new mongoose.Schema({
-  // Tipo do evento (ex: product_view, product_customize, cart_add)
+  // ID único gerado pelo cliente, usado para descartar reenvios do mesmo evento
+  // (sparse: eventos antigos ou enviados sem eventId não participam do índice)
+  eventId: {
+    type: String,
+    maxlength: 100,
+    unique: true,
+    sparse: true
+  },
+  
+  // Loja de origem, identificada pela chave de escrita (ver models/sourceModel)
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source',
+    index: true
+  },
+  
+  // Tipo do evento em seu nome canônico (ver logs/eventTaxonomy)
   eventType: {
     type: String,
     required: true,
@@ -39,7 +96,23 @@ const eventSchema = new mongoose.Schema({
   // ID da sessão para rastrear usuários anônimos
   sessionId: {
     type: String,
-    required: true
+    required: true,
+    index: true // Indexado para a jornada do usuário (sessões anteriores ao login)
+  },
+  
+  // ID anônimo persistente do navegador (ligado ao userId no identify)
+  anonymousId: {
+    type: String,
+    maxlength: 100,
+    index: true
+  },
+  
+  // Severidade do evento (info, warning, error)
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'error'],
+    default: 'info',
+    index: true
   },
   
   // Dados específicos do evento (varia conforme o tipo)
@@ -49,12 +122,64 @@ const eventSchema = new mongoose.Schema({
     required: true
   },
   
+  // Versão do schema usada para validar o eventData (nula se o tipo não tem schema)
+  schemaVersion: {
+    type: Number,
+    default: null
+  },
+  
+  // Taxa de amostragem aplicada pelo cliente ao tipo do evento (ver logs/loggerConfig)
+  // Usada pelas estatísticas para estimar o total de eventos ocorridos
+  sampleRate: {
+    type: Number,
+    min: 0.0001,
+    max: 1,
+    default: 1
+  },
+  
   // Informações do dispositivo e navegador
   userAgent: {
     type: String
   },
   
-  // Endereço IP (armazenado de forma segura)
+  // Dispositivo, navegador e sistema extraídos do userAgent na ingestão
+  device: {
+    type: {
+      type: String,
+      enum: DEVICE_TYPES,
+      default: 'unknown',
+      index: true
+    },
+    vendor: String,
+    model: String
+  },
+  
+  browser: {
+    name: String,
+    version: String
+  },
+  
+  os: {
+    name: String,
+    version: String
+  },
+  
+  // Indica se o userAgent pertence a um robô conhecido (excluído das métricas)
+  isBot: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
+  // Localização obtida do IP completo na ingestão, antes da anonimização
+  geo: {
+    country: String, // Código ISO do país (ex: BR)
+    state: String, // Código do estado (ex: SP)
+    stateName: String,
+    city: String
+  },
+  
+  // Endereço IP anonimizado (truncado ou hash, conforme logs/privacyPipeline)
   ipAddress: {
     type: String
   },
@@ -69,6 +194,12 @@ const eventSchema = new mongoose.Schema({
     type: String
   },
   
+  // Regras de privacidade aplicadas na ingestão (ex: ip_truncate, redact_email)
+  privacyRules: {
+    type: [String],
+    default: []
+  },
+  
   // Data e hora do evento
   timestamp: {
     type: Date,
@@ -77,6 +208,12 @@ const eventSchema = new mongoose.Schema({
   }
 });
 
+// Índice para a consulta paginada por cursor (ordenação por data com desempate por _id)
+eventSchema.index({ timestamp: -1, _id: -1 });
+
+// Índice para a distribuição regional (país e estado por período)
+eventSchema.index({ 'geo.country': 1, 'geo.state': 1, timestamp: -1 });
+
 /**
  * Métodos estáticos para consultas comuns
  */
@@ -84,14 +221,14 @@ eventSchema.statics = {
   /**
    * Encontra eventos por tipo em um período específico
    * 
-   * @param {String} eventType - Tipo do evento a ser buscado
+   * @param {String|Array<String>} eventType - Tipo (ou lista de tipos) do evento a ser buscado
    * @param {Date} startDate - Data inicial do período
    * @param {Date} endDate - Data final do período
    * @returns {Promise<Array>} Lista de eventos encontrados
    */
   findByTypeAndPeriod: function(eventType, startDate, endDate) {
     return this.find({
-      eventType,
+      eventType: Array.isArray(eventType) ? { $in: eventType } : eventType,
       timestamp: {
         $gte: startDate,
         $lte: endDate || new Date()
@@ -99,61 +236,521 @@ eventSchema.statics = {
     }).sort({ timestamp: -1 });
   },
   
+  /**
+   * Conta os eventos de um filtro considerando a taxa de amostragem
+   * 
+   * Equivale ao countDocuments, mas cada evento amostrado conta como
+   * 1/sampleRate eventos. O resultado é arredondado para inteiro.
+   * 
+   * @param {Object} filter - Filtro da consulta
+   * @returns {Promise<Number>} Quantidade estimada de eventos
+   */
+  countWeighted: async function(filter = {}) {
+    const [result] = await this.aggregate([
+      { $match: filter },
+      { $group: { _id: null, count: { $sum: SAMPLE_WEIGHT } } }
+    ]);
+    
+    return result ? Math.round(result.count) : 0;
+  },
+  
+  /**
+   * Calcula as estatísticas gerais de um período em uma única agregação
+   * 
+   * As contagens de eventos consideram a taxa de amostragem de cada evento;
+   * sessões e usuários são contados pelos valores distintos registrados.
+   * Eventos de robôs não são contados.
+   *
+   * O filtro por categoria considera o eventData.category dos eventos de
+   * produto e a categoria dos itens (eventData.items) do checkout; eventos
+   * sem categoria (ex: page_view) ficam de fora quando ele é usado.
+   * 
+   * @param {Object} options - Filtros
+   * @param {Date} options.startDate - Data inicial do período
+   * @param {Date} options.endDate - Data final do período
+   * @param {ObjectId} [options.sourceId] - Restringe a uma loja de origem
+   * @param {String} [options.deviceType] - Restringe a um tipo de dispositivo
+   * @param {String} [options.category] - Restringe a uma categoria de produto
+   * @returns {Promise<Object>} Contagens por etapa do funil, sessões e usuários identificados
+   */
+  getOverview: async function({ startDate, endDate, sourceId, deviceType, category }) {
+    const match = {
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      },
+      isBot: { $ne: true }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    if (deviceType) match['device.type'] = deviceType;
+    if (category) match.$or = [{ 'eventData.category': category }, { 'eventData.items.category': category }];
+    
+    const countType = canonical => ({
+      $sum: { $cond: [{ $in: ['$eventType', getEventNames(canonical)] }, SAMPLE_WEIGHT, 0] }
+    });
+    
+    const [result] = await this.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          events: [
+            {
+              $group: {
+                _id: null,
+                totalEvents: { $sum: SAMPLE_WEIGHT },
+                productViews: countType('product_view'),
+                productCustomizations: countType('product_customize'),
+                cartAdds: countType('cart_add'),
+                checkoutStarts: countType('checkout_start'),
+                checkoutCompletes: countType('checkout_complete')
+              }
+            }
+          ],
+          sessions: [
+            { $group: { _id: '$sessionId' } },
+            { $count: 'count' }
+          ],
+          users: [
+            { $match: { isAuthenticated: true } },
+            { $group: { _id: '$userId' } },
+            { $count: 'count' }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+    
+    const events = result.events[0] || {};
+    const count = field => Math.round(events[field] || 0);
+    
+    return {
+      totalEvents: count('totalEvents'),
+      productViews: count('productViews'),
+      productCustomizations: count('productCustomizations'),
+      cartAdds: count('cartAdds'),
+      checkoutStarts: count('checkoutStarts'),
+      checkoutCompletes: count('checkoutCompletes'),
+      sessions: result.sessions[0] ? result.sessions[0].count : 0,
+      users: result.users[0] ? result.users[0].count : 0
+    };
+  },
+  
   /**
    * Conta eventos agrupados por tipo em um período
    * 
+   * As contagens consideram a taxa de amostragem de cada evento.
+   * 
    * @param {Date} startDate - Data inicial do período
    * @param {Date} endDate - Data final do período
+   * @param {ObjectId} [sourceId] - Restringe a uma loja de origem
    * @returns {Promise<Array>} Contagem de eventos por tipo
    */
-  countByType: function(startDate, endDate) {
+  countByType: function(startDate, endDate, sourceId) {
+    const match = {
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    
     return this.aggregate([
+      { $match: match },
       {
-        $match: {
-          timestamp: {
-            $gte: startDate,
-            $lte: endDate || new Date()
+        $group: {
+          _id: '$eventType',
+          count: { $sum: SAMPLE_WEIGHT }
+        }
+      },
+      {
+        $set: { count: { $round: ['$count', 0] } }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+  },
+  
+  /**
+   * Conta as sessões por tipo de dispositivo em um período
+   * 
+   * Eventos de robôs não entram na contagem.
+   * 
+   * @param {Date} startDate - Data inicial do período
+   * @param {Date} endDate - Data final do período
+   * @param {ObjectId} [sourceId] - Restringe a uma loja de origem
+   * @returns {Promise<Array>} Quantidade de sessões por tipo de dispositivo
+   */
+  countSessionsByDevice: function(startDate, endDate, sourceId) {
+    const match = {
+      isBot: { $ne: true },
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    
+    return this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            sessionId: '$sessionId',
+            deviceType: { $ifNull: ['$device.type', 'unknown'] }
           }
         }
       },
       {
         $group: {
-          _id: '$eventType',
-          count: { $sum: 1 }
+          _id: '$_id.deviceType',
+          sessions: { $sum: 1 }
         }
       },
       {
-        $sort: { count: -1 }
+        $sort: { sessions: -1 }
       }
     ]);
   },
   
   /**
-   * Encontra os produtos mais visualizados
+   * Conta eventos, visualizações e compras por região em um período
    * 
-   * @param {Number} limit - Número máximo de resultados
+   * Eventos de robôs e sem localização não entram na contagem. As contagens
+   * de eventos e a receita consideram a taxa de amostragem (sessões não).
+   * 
+   * @param {String} groupBy - Nível de agrupamento (country, state ou city)
    * @param {Date} startDate - Data inicial do período
    * @param {Date} endDate - Data final do período
-   * @returns {Promise<Array>} Lista dos produtos mais visualizados
+   * @param {String} [country] - Restringe a um país (código ISO)
+   * @param {ObjectId} [sourceId] - Restringe a uma loja de origem
+   * @returns {Promise<Array>} Contagens por região
    */
-  findMostViewedProducts: function(limit = 10, startDate, endDate) {
+  countByRegion: function(groupBy, startDate, endDate, country, sourceId) {
+    const match = {
+      isBot: { $ne: true },
+      'geo.country': country ? country : { $ne: null },
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    
+    // Cada nível inclui os anteriores (cidades homônimas em estados diferentes)
+    const groupKeys = {
+      country: { country: '$geo.country' },
+      state: { country: '$geo.country', state: '$geo.state', stateName: '$geo.stateName' },
+      city: { country: '$geo.country', state: '$geo.state', city: '$geo.city' }
+    };
+    
+    const isType = canonical => ({ $in: ['$eventType', getEventNames(canonical)] });
+    
     return this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupKeys[groupBy] || groupKeys.state,
+          events: { $sum: SAMPLE_WEIGHT },
+          sessions: { $addToSet: '$sessionId' },
+          productViews: { $sum: { $cond: [isType('product_view'), SAMPLE_WEIGHT, 0] } },
+          purchases: { $sum: { $cond: [isType('checkout_complete'), SAMPLE_WEIGHT, 0] } },
+          revenue: {
+            $sum: {
+              $cond: [
+                isType('checkout_complete'),
+                { $multiply: [{ $convert: { input: '$eventData.total', to: 'double', onError: 0, onNull: 0 } }, SAMPLE_WEIGHT] },
+                0
+              ]
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          region: '$_id',
+          events: { $round: ['$events', 0] },
+          sessions: { $size: '$sessions' },
+          productViews: { $round: ['$productViews', 0] },
+          purchases: { $round: ['$purchases', 0] },
+          revenue: 1
+        }
+      },
+      {
+        $sort: { purchases: -1, productViews: -1 }
+      }
+    ]);
+  },
+  
+  /**
+   * Calcula os percentis (p50, p75 e p95) das métricas de desempenho (web_vital)
+   * 
+   * Os valores são agrupados em um histograma de faixas logarítmicas (5%
+   * de largura) e os percentis usam o método do posto mais próximo sobre
+   * as faixas, para que a memória da agregação não cresça com o volume de
+   * eventos. A amostragem é por sessão, então não altera a distribuição.
+   * Eventos de robôs não entram no cálculo.
+   * 
+   * @param {Object} options - Filtros
+   * @param {Date} options.startDate - Data inicial do período
+   * @param {Date} options.endDate - Data final do período
+   * @param {Array<String>} [options.metrics] - Métricas consideradas (ex: ['LCP', 'INP'])
+   * @param {String} [options.deviceType] - Restringe a um tipo de dispositivo
+   * @param {ObjectId} [options.sourceId] - Restringe a uma loja de origem
+   * @param {Number} [options.rowLimit] - Máximo de combinações página × dispositivo (padrão: 100)
+   * @returns {Promise<Object>} Percentis por métrica (summary), por dispositivo e por página e dispositivo
+   */
+  getWebVitals: async function({ startDate, endDate, metrics, deviceType, sourceId, rowLimit = 100 }) {
+    const match = {
+      eventType: { $in: getEventNames('web_vital') },
+      isBot: { $ne: true },
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (metrics && metrics.length > 0) match['eventData.name'] = { $in: metrics };
+    if (deviceType) match['device.type'] = deviceType;
+    if (sourceId) match.sourceId = sourceId;
+    
+    const ratingCount = rating => ({ $sum: { $cond: [{ $eq: ['$rating', rating] }, 1, 0] } });
+    
+    // Contagem por faixa do histograma e, depois, as faixas de cada grupo
+    const histogram = groupId => [
+      {
+        $group: {
+          _id: { key: groupId, bucket: '$bucket' },
+          count: { $sum: 1 },
+          value: { $avg: '$value' },
+          good: ratingCount('good'),
+          needsImprovement: ratingCount('needs-improvement'),
+          poor: ratingCount('poor')
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.key',
+          samples: { $sum: '$count' },
+          buckets: { $push: { count: '$count', value: '$value' } },
+          good: { $sum: '$good' },
+          needsImprovement: { $sum: '$needsImprovement' },
+          poor: { $sum: '$poor' }
+        }
+      }
+    ];
+    
+    const [result] = await this.aggregate([
+      { $match: match },
+      {
+        $project: {
+          metric: '$eventData.name',
+          value: { $convert: { input: '$eventData.value', to: 'double', onError: null, onNull: null } },
+          rating: '$eventData.rating',
+          // Caminho informado pelo cliente ou a URL sem os parâmetros
+          page: {
+            $ifNull: ['$eventData.page', { $arrayElemAt: [{ $split: [{ $ifNull: ['$pageUrl', ''] }, '?'] }, 0] }]
+          },
+          deviceType: { $ifNull: ['$device.type', 'unknown'] }
+        }
+      },
+      { $match: { value: { $gte: 0 } } },
+      {
+        $set: {
+          // Faixa logarítmica do valor (zero fica em uma faixa própria)
+          bucket: {
+            $cond: [
+              { $gt: ['$value', 0] },
+              { $floor: { $divide: [{ $ln: '$value' }, Math.log(WEB_VITAL_BUCKET_GROWTH)] } },
+              null
+            ]
+          }
+        }
+      },
+      {
+        $facet: {
+          summary: [
+            ...histogram('$metric'),
+            { $sort: { _id: 1 } }
+          ],
+          byDevice: [
+            ...histogram({ metric: '$metric', deviceType: '$deviceType' }),
+            { $sort: { '_id.metric': 1, samples: -1 } }
+          ],
+          byPage: [
+            ...histogram({ metric: '$metric', page: '$page', deviceType: '$deviceType' }),
+            { $sort: { samples: -1 } },
+            { $limit: rowLimit }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+    
+    return {
+      summary: result.summary.map(histogramPercentiles),
+      byDevice: result.byDevice.map(histogramPercentiles),
+      byPage: result.byPage.map(histogramPercentiles)
+    };
+  },
+  
+  /**
+   * Calcula o engajamento com os modelos 3D e a conversão por produto
+   * 
+   * Cada sessão que visualizou o produto ou abriu seu modelo 3D é
+   * classificada como "com 3D" (qualquer evento do visualizador) ou
+   * "sem 3D"; a conversão é a compra do produto na mesma sessão (pelos
+   * itens de checkout_complete). As contagens de interações consideram a
+   * taxa de amostragem; as de sessões, não. Eventos de robôs não entram.
+   * 
+   * @param {Object} options - Filtros
+   * @param {Date} options.startDate - Data inicial do período
+   * @param {Date} options.endDate - Data final do período
+   * @param {String} [options.productId] - Restringe a um produto
+   * @param {ObjectId} [options.sourceId] - Restringe a uma loja de origem
+   * @param {Number} [options.limit] - Máximo de produtos (padrão: 50)
+   * @returns {Promise<Object>} Totais por produto (products) e do período (summary)
+   */
+  get3dEngagement: async function({ startDate, endDate, productId, sourceId, limit = 50 }) {
+    const trackedTypes = [...MODEL_3D_EVENT_TYPES, 'product_view', 'cart_add', 'checkout_complete'];
+    
+    const match = {
+      eventType: { $in: trackedTypes.flatMap(getEventNames) },
+      isBot: { $ne: true },
+      sessionId: { $ne: null },
+      timestamp: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    
+    const isType = canonical => ({ $eq: ['$type', canonical] });
+    const weightIf = canonical => ({ $sum: { $cond: [isType(canonical), '$weight', 0] } });
+    const flagIf = canonical => ({ $max: { $cond: [isType(canonical), 1, 0] } });
+    const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+    
+    // Totais de engajamento e conversão (por produto ou no período)
+    const totals = {
+      sessions: { $sum: 1 },
+      sessions3d: { $sum: '$interacted3d' },
+      arSessions: sumIf({ $gt: ['$arLaunches', 0] }, 1),
+      opens: { $sum: '$opens' },
+      rotations: { $sum: '$rotations' },
+      zooms: { $sum: '$zooms' },
+      arLaunches: { $sum: '$arLaunches' },
+      timeSpent: { $sum: '$timeSpent' },
+      timeSpentSamples: { $sum: '$timeSpentSamples' },
+      cartAdds3d: sumIf({ $eq: ['$interacted3d', 1] }, '$addedToCart'),
+      purchases3d: sumIf({ $eq: ['$interacted3d', 1] }, '$purchased'),
+      cartAddsWithout3d: sumIf({ $eq: ['$interacted3d', 0] }, '$addedToCart'),
+      purchasesWithout3d: sumIf({ $eq: ['$interacted3d', 0] }, '$purchased')
+    };
+    
+    const [result] = await this.aggregate([
+      { $match: match },
       {
-        $match: {
-          eventType: 'product_view',
-          timestamp: {
-            $gte: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 dias atrás por padrão
-            $lte: endDate || new Date()
+        $project: {
+          sessionId: 1,
+          weight: SAMPLE_WEIGHT,
+          type: {
+            $switch: {
+              branches: trackedTypes.map(canonical => ({
+                case: { $in: ['$eventType', getEventNames(canonical)] },
+                then: canonical
+              })),
+              default: null
+            }
+          },
+          productName: '$eventData.productName',
+          durationSeconds: { $convert: { input: '$eventData.durationSeconds', to: 'double', onError: 0, onNull: 0 } },
+          // Compras podem ter vários produtos (itens); os demais eventos, um
+          productIds: {
+            $cond: [
+              { $in: ['$eventType', getEventNames('checkout_complete')] },
+              {
+                $setUnion: [
+                  { $map: { input: { $cond: [{ $isArray: '$eventData.items' }, '$eventData.items', []] }, in: '$$this.productId' } },
+                  ['$eventData.productId']
+                ]
+              },
+              ['$eventData.productId']
+            ]
           }
         }
       },
+      { $unwind: '$productIds' },
+      { $match: { productIds: productId ? productId : { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { sessionId: '$sessionId', productId: '$productIds' },
+          productName: { $max: '$productName' },
+          viewed: flagIf('product_view'),
+          addedToCart: flagIf('cart_add'),
+          purchased: flagIf('checkout_complete'),
+          opens: weightIf('model_3d_view'),
+          rotations: weightIf('model_3d_rotate'),
+          zooms: weightIf('model_3d_zoom'),
+          arLaunches: weightIf('model_3d_ar_launch'),
+          timeSpent: { $sum: { $cond: [isType('model_3d_time_spent'), { $multiply: ['$durationSeconds', '$weight'] }, 0] } },
+          timeSpentSamples: weightIf('model_3d_time_spent'),
+          interacted3d: { $max: { $cond: [{ $in: ['$type', MODEL_3D_EVENT_TYPES] }, 1, 0] } }
+        }
+      },
+      // Apenas sessões que viram o produto (na página ou em 3D)
+      { $match: { $or: [{ viewed: 1 }, { interacted3d: 1 }] } },
+      {
+        $facet: {
+          products: [
+            { $group: { _id: '$_id.productId', productName: { $max: '$productName' }, ...totals } },
+            { $match: { sessions3d: { $gt: 0 } } },
+            { $sort: { sessions3d: -1, sessions: -1 } },
+            { $limit: limit }
+          ],
+          summary: [
+            { $group: { _id: null, ...totals } }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+    
+    return {
+      products: result.products,
+      summary: result.summary[0] || null
+    };
+  },
+  
+  /**
+   * Encontra os produtos mais visualizados
+   * 
+   * As visualizações consideram a taxa de amostragem de cada evento.
+   * 
+   * @param {Number} limit - Número máximo de resultados
+   * @param {Date} startDate - Data inicial do período
+   * @param {Date} endDate - Data final do período
+   * @param {ObjectId} [sourceId] - Restringe a uma loja de origem
+   * @returns {Promise<Array>} Lista dos produtos mais visualizados
+   */
+  findMostViewedProducts: function(limit = 10, startDate, endDate, sourceId) {
+    const match = {
+      eventType: { $in: getEventNames('product_view') },
+      timestamp: {
+        $gte: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 dias atrás por padrão
+        $lte: endDate || new Date()
+      }
+    };
+    if (sourceId) match.sourceId = sourceId;
+    
+    return this.aggregate([
+      { $match: match },
       {
         $group: {
           _id: '$eventData.productId',
           productName: { $first: '$eventData.productName' },
-          views: { $sum: 1 }
+          views: { $sum: SAMPLE_WEIGHT }
         }
       },
+      {
+        $set: { views: { $round: ['$views', 0] } }
+      },
       {
         $sort: { views: -1 }
       },
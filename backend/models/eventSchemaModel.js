@@ -0,0 +1,74 @@
+/**
+ * Modelo para os schemas de dados dos eventos
+ *
+ * Este modelo armazena as versões do JSON Schema usado para validar
+ * o campo eventData de cada tipo de evento durante a ingestão.
+ *
+ * @module models/eventSchemaModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Schema para as definições de eventData
+ *
+ * Cada documento representa uma versão do schema de um tipo de evento.
+ * Novas versões são criadas a cada atualização; as anteriores são mantidas
+ * para validar clientes que ainda enviam a versão antiga.
+ */
+const eventSchemaDefinitionSchema = new mongoose.Schema({
+  // Tipo do evento (nome canônico) ao qual o schema se aplica
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Número da versão do schema (sequencial por tipo de evento)
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // JSON Schema usado para validar o eventData
+  schema: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // O que fazer com eventos inválidos: rejeitar ou enviar para quarentena
+  onInvalid: {
+    type: String,
+    enum: ['reject', 'quarantine'],
+    default: 'quarantine'
+  },
+
+  // Descrição da versão (ex: motivo da alteração)
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Usuário que criou a versão
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  // Data de criação da versão
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'event_schemas'
+});
+
+// Garante uma única definição por versão de cada tipo de evento
+eventSchemaDefinitionSchema.index({ eventType: 1, version: 1 }, { unique: true });
+
+// Criação do modelo a partir do schema
+const EventSchemaDefinition = mongoose.model('EventSchemaDefinition', eventSchemaDefinitionSchema);
+
+module.exports = EventSchemaDefinition;
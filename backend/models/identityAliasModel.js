@@ -0,0 +1,65 @@
+/**
+ * Modelo para o grafo de identidades
+ *
+ * Cada documento é uma aresta do grafo: liga um identificador anônimo
+ * (sessionId ou anonymousId do navegador) ao userId informado no login.
+ * Com essas ligações, os eventos feitos antes do login passam a fazer
+ * parte da jornada do cliente.
+ *
+ * @module models/identityAliasModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Schema para uma ligação entre identificador anônimo e usuário
+ */
+const identityAliasSchema = new mongoose.Schema({
+  // Usuário identificado
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Tipo do identificador anônimo
+  aliasType: {
+    type: String,
+    enum: ['session', 'anonymous'],
+    required: true
+  },
+
+  // Valor do identificador (sessionId ou anonymousId)
+  aliasId: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+
+  // Loja onde a identificação ocorreu
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source'
+  },
+
+  // Primeira e última identificação com esta ligação
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'identity_aliases'
+});
+
+// Uma ligação por par identificador/usuário (um navegador pode ser usado por mais de um cliente)
+identityAliasSchema.index({ aliasType: 1, aliasId: 1, userId: 1 }, { unique: true });
+
+// Criação do modelo a partir do schema
+const IdentityAlias = mongoose.model('IdentityAlias', identityAliasSchema);
+
+module.exports = IdentityAlias;
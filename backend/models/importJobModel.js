@@ -0,0 +1,112 @@
+/**
+ * Modelo para as importações de arquivos de eventos
+ *
+ * Cada envio de arquivo pelo painel administrativo gera uma importação,
+ * processada em segundo plano. A posição do último registro processado é
+ * gravada a cada lote, para que uma importação interrompida continue de
+ * onde parou (ver logs/eventImporter).
+ *
+ * @module models/importJobModel
+ */
+
+const mongoose = require('mongoose');
+
+// Situações de uma importação
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed', 'interrupted'];
+
+/**
+ * Schema para uma importação
+ */
+const importJobSchema = new mongoose.Schema({
+  // Nome original do arquivo enviado
+  fileName: {
+    type: String,
+    required: true
+  },
+
+  // Caminho do arquivo no servidor (removido ao concluir)
+  filePath: {
+    type: String,
+    required: true
+  },
+
+  // Formato do arquivo
+  format: {
+    type: String,
+    enum: ['ndjson', 'json', 'csv'],
+    required: true
+  },
+
+  // Opções da importação (ver eventImporter.importEvents)
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  eventTypeMap: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  delimiter: {
+    type: String,
+    default: null
+  },
+
+  // Loja de origem atribuída aos eventos importados
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source',
+    default: null
+  },
+
+  // Apenas valida o arquivo, sem gravar eventos
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+
+  // Situação da importação
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'queued',
+    index: true
+  },
+
+  // Registros já processados (ponto de retomada)
+  position: {
+    type: Number,
+    default: 0
+  },
+
+  // Relatório parcial ou final (contagens e erros)
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Motivo da falha (quando status = failed)
+  error: {
+    type: String,
+    default: null
+  },
+
+  // Usuário que enviou o arquivo
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  collection: 'import_jobs',
+  timestamps: true
+});
+
+// Criação do modelo a partir do schema
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
+module.exports.IMPORT_STATUSES = IMPORT_STATUSES;
@@ -0,0 +1,102 @@
+/**
+ * Modelo para a configuração remota do LoggerClient
+ *
+ * Guarda as taxas de amostragem, os limites de eventos por sessão e os
+ * intervalos de envio que o LoggerClient baixa de /api/logs/config.
+ * Existe um único documento (key: 'default').
+ *
+ * @module models/loggerConfigModel
+ */
+
+const mongoose = require('mongoose');
+
+// Chave do documento de configuração
+const DEFAULT_CONFIG_KEY = 'default';
+
+/**
+ * Schema para a configuração do LoggerClient
+ */
+const loggerConfigSchema = new mongoose.Schema({
+  // Identificador do documento (há apenas uma configuração)
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: DEFAULT_CONFIG_KEY
+  },
+
+  // Taxa de amostragem por tipo de evento (nome canônico), entre 0 e 1
+  // (0 desativa o envio do tipo; tipos não listados usam defaultSampleRate)
+  sampleRates: {
+    type: Map,
+    of: {
+      type: Number,
+      min: [0, 'A taxa de amostragem deve estar entre 0 e 1'],
+      max: [1, 'A taxa de amostragem deve estar entre 0 e 1']
+    },
+    default: {}
+  },
+
+  // Taxa de amostragem dos tipos sem taxa própria
+  defaultSampleRate: {
+    type: Number,
+    min: [0, 'A taxa de amostragem deve estar entre 0 e 1'],
+    max: [1, 'A taxa de amostragem deve estar entre 0 e 1'],
+    default: 1
+  },
+
+  // Máximo de eventos enviados por sessão (0: sem limite)
+  maxEventsPerSession: {
+    type: Number,
+    min: [0, 'O limite por sessão não pode ser negativo'],
+    default: 0
+  },
+
+  // Máximo de eventos por sessão para tipos específicos (nome canônico)
+  eventTypeCaps: {
+    type: Map,
+    of: {
+      type: Number,
+      min: [0, 'O limite por sessão não pode ser negativo']
+    },
+    default: {}
+  },
+
+  // Intervalo entre os envios automáticos da fila (em ms)
+  flushIntervalMs: {
+    type: Number,
+    min: [1000, 'O intervalo de envio deve ser de pelo menos 1000 ms'],
+    max: [10 * 60 * 1000, 'O intervalo de envio deve ser de no máximo 10 minutos'],
+    default: 10000
+  },
+
+  // Quantidade de eventos enviados por requisição
+  batchSize: {
+    type: Number,
+    min: [1, 'O tamanho do lote deve estar entre 1 e 500'],
+    max: [500, 'O tamanho do lote deve estar entre 1 e 500'],
+    default: 100
+  },
+
+  // Tempo que o LoggerClient mantém a configuração em cache (em segundos)
+  cacheTtlSeconds: {
+    type: Number,
+    min: [30, 'O cache deve durar pelo menos 30 segundos'],
+    default: 300
+  },
+
+  // Usuário que fez a última alteração
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  collection: 'logger_config',
+  timestamps: true
+});
+
+// Criação do modelo a partir do schema
+const LoggerConfig = mongoose.model('LoggerConfig', loggerConfigSchema);
+
+module.exports = LoggerConfig;
+module.exports.DEFAULT_CONFIG_KEY = DEFAULT_CONFIG_KEY;
@@ -0,0 +1,60 @@
+/**
+ * Modelo para eventos em quarentena
+ *
+ * Eventos cujo eventData não corresponde ao schema registrado para o seu
+ * tipo (e cujo schema está configurado para quarentena) são armazenados
+ * aqui, fora da coleção de eventos, para que não afetem as estatísticas.
+ *
+ * @module models/quarantinedEventModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Schema para eventos em quarentena
+ */
+const quarantinedEventSchema = new mongoose.Schema({
+  // ID gerado pelo cliente (evita duplicar a quarentena em reenvios)
+  eventId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Tipo do evento (nome canônico)
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Versão do schema usada na validação
+  schemaVersion: {
+    type: Number
+  },
+
+  // Evento completo, como seria gravado na coleção de eventos
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Erros de validação encontrados
+  validationErrors: [{
+    type: String
+  }],
+
+  // Data em que o evento foi recebido
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'quarantined_events'
+});
+
+// Criação do modelo a partir do schema
+const QuarantinedEvent = mongoose.model('QuarantinedEvent', quarantinedEventSchema);
+
+module.exports = QuarantinedEvent;
@@ -0,0 +1,220 @@
+/**
+ * Modelo para sessões de navegação
+ *
+ * As sessões são geradas a partir dos eventos pelo job de sessionização
+ * (ver logs/sessionizer): os eventos de um mesmo sessionId são agrupados
+ * em ordem cronológica, e um intervalo de inatividade maior que o limite
+ * configurado inicia uma nova sessão.
+ *
+ * @module models/sessionModel
+ */
+
+const mongoose = require('mongoose');
+const { DEVICE_TYPES } = require('../logs/userAgentParser');
+
+/**
+ * Schema para uma sessão de navegação
+ */
+const sessionSchema = new mongoose.Schema({
+  // Identificador da sessão: sessionId do cliente + início da sessão
+  // (um mesmo sessionId pode gerar várias sessões após períodos de inatividade)
+  sessionKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // ID de sessão enviado pelo cliente
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Último usuário identificado na sessão (ou "anonymous")
+  userId: {
+    type: String,
+    default: 'anonymous'
+  },
+
+  anonymousId: String,
+
+  // Loja de origem dos eventos
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source'
+  },
+
+  // Primeiro e último evento da sessão
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  endedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Tempo entre o primeiro e o último evento (em segundos)
+  durationSeconds: {
+    type: Number,
+    default: 0
+  },
+
+  // Páginas de entrada e de saída
+  entryPage: String,
+  exitPage: String,
+
+  // Quantidade de eventos, de visualizações de página e de eventos por tipo
+  eventCount: {
+    type: Number,
+    default: 0
+  },
+
+  pageViews: {
+    type: Number,
+    default: 0
+  },
+
+  eventCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  // Sessão com um único evento
+  isBounce: {
+    type: Boolean,
+    default: false
+  },
+
+  // Sessão com compra finalizada e o valor das compras
+  converted: {
+    type: Boolean,
+    default: false
+  },
+
+  revenue: {
+    type: Number,
+    default: 0
+  },
+
+  // Dispositivo, navegador e localização do primeiro evento
+  device: {
+    type: {
+      type: String,
+      enum: DEVICE_TYPES,
+      default: 'unknown'
+    },
+    vendor: String,
+    model: String
+  },
+
+  browser: {
+    name: String,
+    version: String
+  },
+
+  os: {
+    name: String,
+    version: String
+  },
+
+  geo: {
+    country: String,
+    state: String,
+    stateName: String,
+    city: String
+  },
+
+  // Maior _id entre os eventos da sessão (marca d'água do processamento incremental)
+  lastEventRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  // Data do processamento que gerou a sessão
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'sessions'
+});
+
+// Índices para as métricas por período, dispositivo e loja
+sessionSchema.index({ startedAt: -1 });
+sessionSchema.index({ 'device.type': 1, startedAt: -1 });
+sessionSchema.index({ sourceId: 1, startedAt: -1 });
+
+/**
+ * Métodos estáticos para consultas comuns
+ */
+sessionSchema.statics = {
+  /**
+   * Calcula as métricas de engajamento das sessões que começaram no período
+   *
+   * @param {Object} filters - Filtros
+   * @param {Date} filters.startDate - Data inicial do período
+   * @param {Date} filters.endDate - Data final do período
+   * @param {String} [filters.deviceType] - Restringe a um tipo de dispositivo
+   * @param {ObjectId} [filters.sourceId] - Restringe a uma loja de origem
+   * @param {Number} [filters.pageLimit] - Quantidade de páginas de entrada e saída
+   * @returns {Promise<Object>} Métricas ({ summary, byDevice, entryPages, exitPages })
+   */
+  getMetrics: async function({ startDate, endDate, deviceType, sourceId, pageLimit = 10 }) {
+    const match = {
+      startedAt: {
+        $gte: startDate,
+        $lte: endDate || new Date()
+      }
+    };
+    if (deviceType) match['device.type'] = deviceType;
+    if (sourceId) match.sourceId = sourceId;
+
+    const totals = {
+      sessions: { $sum: 1 },
+      totalDuration: { $sum: '$durationSeconds' },
+      totalPageViews: { $sum: '$pageViews' },
+      totalEvents: { $sum: '$eventCount' },
+      bounces: { $sum: { $cond: ['$isBounce', 1, 0] } },
+      conversions: { $sum: { $cond: ['$converted', 1, 0] } },
+      revenue: { $sum: '$revenue' }
+    };
+
+    const topPages = field => [
+      { $match: { [field]: { $ne: null } } },
+      { $group: { _id: `$${field}`, sessions: { $sum: 1 }, bounces: { $sum: { $cond: ['$isBounce', 1, 0] } } } },
+      { $sort: { sessions: -1 } },
+      { $limit: pageLimit }
+    ];
+
+    const [result] = await this.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          summary: [{ $group: { _id: null, ...totals } }],
+          byDevice: [
+            { $group: { _id: '$device.type', ...totals } },
+            { $sort: { sessions: -1 } }
+          ],
+          entryPages: topPages('entryPage'),
+          exitPages: topPages('exitPage')
+        }
+      }
+    ]);
+
+    return {
+      summary: result.summary[0] || null,
+      byDevice: result.byDevice,
+      entryPages: result.entryPages,
+      exitPages: result.exitPages
+    };
+  }
+};
+
+// Criação do modelo a partir do schema
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
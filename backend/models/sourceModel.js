@@ -0,0 +1,115 @@
+/**
+ * Modelo para fontes de eventos (lojas que enviam eventos)
+ *
+ * Cada loja (inclusive as de homologação) é cadastrada como uma fonte
+ * com chaves de escrita próprias. As chaves são publicáveis: ficam no
+ * código do frontend e apenas identificam a origem dos eventos, não dão
+ * acesso a nenhuma leitura.
+ *
+ * @module models/sourceModel
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Prefixo das chaves de escrita (facilita identificá-las em logs e configurações)
+const WRITE_KEY_PREFIX = 'wk_';
+
+/**
+ * Schema para uma chave de escrita
+ */
+const writeKeySchema = new mongoose.Schema({
+  // Valor da chave enviado pelo LoggerClient
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Data de criação da chave
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Fim do período de transição após uma rotação (null: sem expiração)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Data da revogação (null: chave não revogada)
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * Schema para fontes de eventos
+ */
+const sourceSchema = new mongoose.Schema({
+  // Nome da loja (ex: Loja Principal, Homologação)
+  name: {
+    type: String,
+    required: [true, 'Nome da fonte é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome não pode ter mais de 100 caracteres']
+  },
+
+  // Ambiente da loja
+  environment: {
+    type: String,
+    enum: ['production', 'staging', 'development'],
+    default: 'production'
+  },
+
+  // Descrição opcional
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Fontes inativas têm todas as chaves recusadas
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Chaves de escrita (a mais recente é a atual)
+  writeKeys: [writeKeySchema],
+
+  // Usuário que cadastrou a fonte
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Busca da fonte pela chave recebida na ingestão
+sourceSchema.index({ 'writeKeys.key': 1 }, { unique: true, sparse: true });
+
+/**
+ * Gera uma nova chave de escrita
+ *
+ * @returns {String} Chave de escrita
+ */
+sourceSchema.statics.generateWriteKey = function() {
+  return WRITE_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+};
+
+/**
+ * Verifica se uma chave ainda é aceita
+ *
+ * @param {Object} writeKey - Chave de escrita
+ * @param {Date} now - Data de referência
+ * @returns {Boolean} Verdadeiro se a chave não foi revogada nem expirou
+ */
+sourceSchema.statics.isKeyUsable = function(writeKey, now = new Date()) {
+  return !writeKey.revokedAt && (!writeKey.expiresAt || writeKey.expiresAt > now);
+};
+
+// Criação do modelo a partir do schema
+const Source = mongoose.model('Source', sourceSchema);
+
+module.exports = Source;
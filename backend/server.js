@@ -13,14 +13,34 @@ const expressWinston = require('express-winston'); // Middleware Winston para Ex
 const logRoutes = require('./api/routes/logRoutes');
 const statsRoutes = require('./api/routes/statsRoutes');
 const adminRoutes = require('./admin/routes/adminRoutes');
+const schemaRegistry = require('./logs/schemaRegistry');
+const geoIp = require('./logs/geoIp');
+const sessionizer = require('./logs/sessionizer');
+const logController = require('./logs/logController');
+const abuseGuard = require('./logs/abuseGuard');
 
 // Inicialização do app Express
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Tempo máximo para gravar os eventos pendentes no encerramento do servidor
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// Atrás de um proxy reverso, o IP do cliente vem do X-Forwarded-For
+// (necessário para o limite de taxa por IP da ingestão de eventos).
+// Aceita a quantidade de proxies (ex: 1), "true" ou uma lista de endereços.
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  if (/^\d+$/.test(TRUST_PROXY)) {
+    app.set('trust proxy', parseInt(TRUST_PROXY, 10));
+  } else {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+  }
+}
+
 // Middlewares básicos
 app.use(cors()); // Permite requisições cross-origin (do frontend para o backend)
-app.use(express.json()); // Parse de JSON no corpo das requisições
+app.use(express.json({ limit: '1mb' })); // Parse de JSON no corpo das requisições (lotes de eventos podem ser grandes)
 app.use(express.urlencoded({ extended: true })); // Parse de dados de formulário
 
 /**
@@ -66,12 +86,27 @@ app.use(expressWinston.logger({
   colorize: false, // Não coloriza logs que vão para o MongoDB
 }));
 
+// Base local de geolocalização de IPs (opcional)
+geoIp.loadDatabase();
+
 // Conexão com o MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs', {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('📊 Conectado ao MongoDB'))
+.then(async () => {
+  console.log('📊 Conectado ao MongoDB');
+  
+  // Carrega os schemas de eventData e mantém o cache atualizado
+  await schemaRegistry.loadSchemas();
+  schemaRegistry.startAutoRefresh();
+  
+  // Gera periodicamente as sessões a partir dos eventos novos
+  // (sem passar dos eventos que ainda aguardam no buffer de gravação)
+  sessionizer.startScheduler({
+    getPendingSince: logController.getOldestPendingEventTime
+  });
+})
 .catch(err => {
   console.error('❌ Erro ao conectar ao MongoDB:', err);
   process.exit(1); // Encerra o processo em caso de falha na conexão
@@ -106,10 +141,44 @@ app.use((req, res) => {
 });
 
 // Inicialização do servidor
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
   console.log(`📈 Dashboard disponível em http://localhost:${PORT}/api/stats`);
   console.log(`🔐 Painel Admin disponível em http://localhost:${PORT}/api/admin`);
 });
 
+/**
+ * Encerramento gracioso
+ * 
+ * Deixa de aceitar conexões, grava os eventos que ainda estão no buffer de
+ * gravação (e as contagens de bloqueio pendentes) e só então desconecta do
+ * MongoDB. Eventos recebidos durante o encerramento recebem 503 com Retry-After.
+ */
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} recebido, encerrando o servidor...`);
+  
+  server.close();
+  
+  try {
+    // Eventos não gravados no prazo vão para o dead-letter
+    const lost = await logController.drainEventBuffer(SHUTDOWN_TIMEOUT_MS);
+    if (lost > 0) {
+      console.error(`❌ ${lost} evento(s) não foram gravados nem guardados no dead-letter antes do encerramento`);
+    }
+    
+    await abuseGuard.flushBlocked();
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('❌ Erro no encerramento do servidor:', error);
+  }
+  
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = app; // Exporta o app para testes
@@ -0,0 +1,59 @@
+/**
+ * Testes da consulta do histórico de consentimento
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const ConsentRecord = require('../models/consentRecordModel');
+const logRoutes = require('../api/routes/logRoutes');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const adminToken = jwt.sign({ id: 'admin_1', role: 'admin' }, process.env.JWT_SECRET || 'seu_jwt_secret');
+
+const app = express();
+app.use(express.json());
+app.use('/api/logs', logRoutes);
+
+const getHistory = (query) => request(app)
+  .get('/api/logs/consent')
+  .query(query)
+  .set('User-Agent', BROWSER_USER_AGENT)
+  .set('Authorization', `Bearer ${adminToken}`);
+
+// Registros do mais antigo ao mais recente
+const records = Array.from({ length: 3 }, (_, index) => ({
+  sessionId: 'sessao_1',
+  consent: { analytics: index % 2 === 0, marketing: false },
+  recordedAt: new Date(Date.UTC(2025, 4, 1, 12, index))
+}));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/logs/consent', () => {
+  test('busca os registros mais recentes e os devolve em ordem cronológica', async () => {
+    let sort;
+    jest.spyOn(ConsentRecord, 'find').mockImplementation(() => ({
+      select: () => ({
+        sort: (order) => {
+          sort = order;
+          return { limit: (limit) => ({ lean: async () => records.slice().reverse().slice(0, limit) }) };
+        }
+      })
+    }));
+
+    const response = await getHistory({ sessionId: 'sessao_1' });
+
+    expect(sort).toEqual({ recordedAt: -1, _id: -1 });
+    expect(response.body.history.map(record => record.recordedAt))
+      .toEqual(records.map(record => record.recordedAt.toISOString()));
+    expect(response.body.current).toEqual(records[2].consent);
+  });
+
+  test('exige sessionId, userId ou anonymousId', async () => {
+    expect((await getHistory({})).status).toBe(400);
+  });
+});
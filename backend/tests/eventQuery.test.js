@@ -0,0 +1,232 @@
+/**
+ * Testes da interpretação de filtros e da paginação por cursor
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const eventQuery = require('../logs/eventQuery');
+const logRoutes = require('../api/routes/logRoutes');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const adminToken = jwt.sign({ id: 'admin_1', role: 'admin' }, process.env.JWT_SECRET || 'seu_jwt_secret');
+
+const app = express();
+app.use(express.json());
+app.use('/api/logs', logRoutes);
+
+const queryLogs = (query, token = adminToken) => {
+  const req = request(app)
+    .get('/api/logs')
+    .query(query)
+    .set('User-Agent', BROWSER_USER_AGENT);
+
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+const buildEvent = (seconds) => ({
+  _id: new mongoose.Types.ObjectId(),
+  eventType: 'page_view',
+  sessionId: 'sessao_1',
+  timestamp: new Date(Date.UTC(2025, 4, 1, 12, 0, seconds))
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseEventQuery', () => {
+  test('normaliza datas, listas e filtros de eventData', () => {
+    const criteria = eventQuery.parseEventQuery({
+      startDate: '2025-05-01',
+      endDate: '2025-05-31',
+      eventType: 'page_view,product_view',
+      severity: 'info,error',
+      productId: 'prod_1',
+      'eventData.category': 'Calçados'
+    });
+
+    expect(criteria.startDate.toISOString()).toBe('2025-05-01T00:00:00.000Z');
+    expect(criteria.endDate.toISOString()).toBe('2025-05-31T23:59:59.999Z');
+    expect(criteria.eventTypes).toEqual(['page_view', 'product_view']);
+    expect(criteria.severity).toEqual(['info', 'error']);
+    expect(criteria.dataFilters).toEqual({ category: 'Calçados', productId: 'prod_1' });
+  });
+
+  test('rejeita datas, severidades e caminhos de eventData inválidos', () => {
+    expect(() => eventQuery.parseEventQuery({ startDate: 'ontem' })).toThrow(/Data inválida/);
+    expect(() => eventQuery.parseEventQuery({ severity: 'debug' })).toThrow(/Severidade inválida/);
+    expect(() => eventQuery.parseEventQuery({ eventData: { $where: '1' } })).toThrow(/eventData inválido/);
+    expect(() => eventQuery.parseEventQuery({ sourceId: 'loja' })).toThrow(/sourceId inválido/);
+  });
+
+  test('aceita apenas texto em userId, sessionId, sourceId e productId', () => {
+    ['userId', 'sessionId', 'sourceId', 'productId'].forEach(name => {
+      let error;
+      try {
+        eventQuery.parseEventQuery({ [name]: { $ne: 'x' } });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.isValidationError).toBe(true);
+      expect(() => eventQuery.parseEventQuery({ [name]: ['a', 'b'] })).toThrow(name);
+    });
+  });
+
+  test('converte os critérios em filtro do MongoDB', () => {
+    const criteria = eventQuery.parseEventQuery({ sessionId: 'sessao_1', 'eventData.quantity': '2' });
+
+    expect(eventQuery.toMongoFilter(criteria)).toEqual({
+      sessionId: 'sessao_1',
+      'eventData.quantity': { $in: ['2', 2] }
+    });
+  });
+
+  test('testa eventos em memória com os mesmos critérios', () => {
+    const criteria = eventQuery.parseEventQuery({ eventType: 'page_view', 'eventData.quantity': '2' });
+
+    expect(eventQuery.matchesEvent(criteria, { ...buildEvent(0), eventData: { quantity: 2 } })).toBe(true);
+    expect(eventQuery.matchesEvent(criteria, { ...buildEvent(0), eventData: { quantity: 3 } })).toBe(false);
+  });
+});
+
+describe('parsePagination', () => {
+  test('usa -timestamp e 50 itens por padrão, com limite máximo de 500', () => {
+    expect(eventQuery.parsePagination({})).toEqual({ sortField: 'timestamp', sortOrder: -1, limit: 50, cursor: null });
+    expect(eventQuery.parsePagination({ sort: 'eventType', limit: '9999' })).toMatchObject({ sortOrder: 1, limit: 500 });
+  });
+
+  test('rejeita campos de ordenação desconhecidos ou repetidos', () => {
+    expect(() => eventQuery.parsePagination({ sort: 'eventData' })).toThrow(/Ordenação não suportada/);
+    expect(() => eventQuery.parsePagination({ sort: ['timestamp', 'userId'] })).toThrow(/sort/);
+  });
+
+  test('o cursor preserva a ordenação e desempata pelo _id', () => {
+    const event = buildEvent(30);
+    const pagination = eventQuery.parsePagination({});
+    const cursor = eventQuery.encodeCursor(event, pagination);
+
+    const next = eventQuery.parsePagination({ cursor });
+    expect(next.cursor).toEqual({ field: 'timestamp', order: -1, value: event.timestamp, id: event._id });
+
+    expect(eventQuery.cursorFilter(next.cursor)).toEqual({
+      $or: [
+        { timestamp: { $lt: event.timestamp } },
+        { timestamp: event.timestamp, _id: { $lt: event._id } }
+      ]
+    });
+  });
+
+  test('rejeita cursores malformados ou de outra ordenação', () => {
+    const cursor = eventQuery.encodeCursor(buildEvent(0), eventQuery.parsePagination({}));
+
+    expect(() => eventQuery.parsePagination({ cursor: 'nao-e-um-cursor' })).toThrow(/Cursor de paginação inválido/);
+    expect(() => eventQuery.parsePagination({ cursor, sort: 'timestamp' })).toThrow(/outra ordenação/);
+  });
+
+  test('rejeita cursores cujo valor não é texto, número ou data válida', () => {
+    const craft = (payload) => Buffer.from(JSON.stringify({
+      field: 'userId',
+      order: -1,
+      id: String(new mongoose.Types.ObjectId()),
+      ...payload
+    })).toString('base64url');
+
+    [
+      { value: { $ne: null } },
+      { value: ['a'] },
+      { value: null },
+      { value: 'ontem', isDate: true },
+      { value: { $gt: 0 }, isDate: true }
+    ].forEach(payload => {
+      expect(() => eventQuery.parsePagination({ cursor: craft(payload), sort: '-userId' }))
+        .toThrow(/Cursor de paginação inválido/);
+    });
+
+    expect(eventQuery.parsePagination({ cursor: craft({ value: 'user_1' }), sort: '-userId' }).cursor.value).toBe('user_1');
+  });
+});
+
+describe('GET /api/logs', () => {
+  const mockFind = (events) => jest.spyOn(Event, 'find').mockImplementation(() => ({
+    sort: () => ({
+      limit: (limit) => ({ lean: async () => events.slice(0, limit) })
+    })
+  }));
+
+  test('exige o token de um administrador', async () => {
+    mockFind([]);
+
+    expect((await queryLogs({})).status).toBe(200);
+    expect((await queryLogs({}, null)).status).toBe(401);
+    expect((await queryLogs({}, jwt.sign({ id: 'cliente', role: 'customer' }, process.env.JWT_SECRET || 'seu_jwt_secret'))).status).toBe(403);
+  });
+
+  test('responde 400 para operadores em userId e ordenações repetidas', async () => {
+    const find = mockFind([]);
+
+    expect((await queryLogs('userId[$ne]=x')).status).toBe(400);
+    expect((await queryLogs('sessionId[$gt]=')).status).toBe(400);
+    expect((await queryLogs('sort=timestamp&sort=userId')).status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('pagina com nextCursor até a última página', async () => {
+    const events = [buildEvent(3), buildEvent(2), buildEvent(1)];
+    mockFind(events);
+
+    const first = await queryLogs({ limit: 2 });
+    expect(first.body).toMatchObject({ count: 2, hasMore: true });
+
+    const cursor = eventQuery.parsePagination({ cursor: first.body.nextCursor }).cursor;
+    expect(cursor.id).toEqual(events[1]._id);
+
+    Event.find.mockRestore();
+    mockFind(events.slice(2));
+
+    const second = await queryLogs({ limit: 2, cursor: first.body.nextCursor });
+    expect(second.body).toMatchObject({ count: 1, hasMore: false, nextCursor: null });
+    expect(Event.find.mock.calls[0][0].$and).toHaveLength(2);
+  });
+});
+
+describe('GET /api/logs/stream', () => {
+  const getStreamToken = (token = adminToken) => {
+    const req = request(app)
+      .get('/api/logs/stream-token')
+      .set('User-Agent', BROWSER_USER_AGENT);
+
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const openStream = (query) => request(app)
+    .get('/api/logs/stream')
+    .query(query)
+    .set('User-Agent', BROWSER_USER_AGENT);
+
+  test('o token de streaming é emitido apenas para administradores', async () => {
+    expect((await getStreamToken(null)).status).toBe(401);
+
+    const response = await getStreamToken();
+    expect(response.status).toBe(200);
+    expect(response.body.expiresIn).toBe(60);
+  });
+
+  test('recusa conexões sem token de streaming ou com o token de login', async () => {
+    expect((await openStream({})).status).toBe(401);
+    expect((await openStream({ token: adminToken })).status).toBe(401);
+    expect((await openStream({ token: ['a', 'b'] })).status).toBe(401);
+  });
+
+  test('aceita o token de streaming, que não vale para as demais rotas', async () => {
+    const { token } = (await getStreamToken()).body;
+
+    // Filtro inválido: a resposta 400 mostra que a autenticação foi aceita
+    expect((await openStream({ token, severity: 'debug' })).status).toBe(400);
+    expect((await queryLogs({}, token)).status).toBe(403);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Testes do pipeline de privacidade (anonimização de IP, URLs e eventData)
+ */
+
+const privacyPipeline = require('../logs/privacyPipeline');
+
+const { RULES } = privacyPipeline;
+
+const redact = (value) => {
+  const applied = new Set();
+  return { value: privacyPipeline.redactValue(value, applied), rules: [...applied] };
+};
+
+beforeEach(() => {
+  delete process.env.PRIVACY_IP_MODE;
+  delete process.env.PRIVACY_REDACT_EVENT_DATA;
+  delete process.env.PRIVACY_URL_PARAMS;
+  process.env.PRIVACY_SALT_SECRET = 'segredo_de_teste';
+});
+
+describe('redactValue', () => {
+  test('mascara emails e campos sensíveis pelo nome', () => {
+    expect(redact({ contato: 'Fale com ana@exemplo.com.br', cpf: '123', telefone: '' })).toEqual({
+      value: { contato: 'Fale com [email]', cpf: '[cpf]', telefone: '' },
+      rules: [RULES.REDACT_EMAIL, RULES.REDACT_CPF]
+    });
+  });
+
+  test('mascara CPFs formatados ou com dígitos verificadores válidos', () => {
+    expect(redact('CPF 529.982.247-25').value).toBe('CPF [cpf]');
+    expect(redact('CPF 52998224725').value).toBe('CPF [cpf]');
+    expect(privacyPipeline.isValidCpf('529.982.247-25')).toBe(true);
+    expect(privacyPipeline.isValidCpf('111.111.111-11')).toBe(false);
+  });
+
+  test('mascara telefones com DDD entre parênteses, +55 ou separador', () => {
+    [
+      'ligue (11) 98765-4321',
+      'ligue +55 11 98765-4321',
+      'ligue +5511987654321',
+      'ligue 11 3456-7890',
+      'ligue 98765-4321'
+    ].forEach(text => {
+      expect(redact(text)).toEqual({ value: 'ligue [telefone]', rules: [RULES.REDACT_PHONE] });
+    });
+  });
+
+  test('não mascara IDs numéricos, timestamps e intervalos de anos', () => {
+    [
+      'pedido 52998224726',
+      'pedido 12345678901',
+      'produto 1198765432',
+      'sku 11987654321',
+      'timestamp 1717171717123',
+      'coleção 2024-2025'
+    ].forEach(text => {
+      expect(redact(text)).toEqual({ value: text, rules: [] });
+    });
+
+    expect(redact({ orderId: 52998224726, items: [{ productId: '1198765432' }] }).rules).toEqual([]);
+  });
+
+  test('percorre objetos e listas aninhados', () => {
+    expect(redact({ items: [{ note: 'cpf 529.982.247-25' }] }).value).toEqual({ items: [{ note: 'cpf [cpf]' }] });
+  });
+});
+
+describe('applyPrivacy', () => {
+  test('trunca o IP e remove parâmetros sensíveis das URLs', () => {
+    const result = privacyPipeline.applyPrivacy({
+      ipAddress: '200.147.10.33',
+      pageUrl: 'https://loja.com/checkout?token=abc&step=2#access_token=xyz',
+      referrer: '/busca?q=tenis',
+      eventData: { email: 'ana@exemplo.com' }
+    });
+
+    expect(result.ipAddress).toBe('200.147.10.0');
+    expect(result.pageUrl).toBe('https://loja.com/checkout?step=2');
+    expect(result.referrer).toBe('/busca?q=tenis');
+    expect(result.eventData).toEqual({ email: '[email]' });
+    expect(result.privacyRules).toEqual([RULES.IP_TRUNCATE, RULES.URL_STRIP_PARAMS, RULES.REDACT_EMAIL]);
+  });
+
+  test('gera o mesmo hash de IP dentro do período de rotação', () => {
+    process.env.PRIVACY_IP_MODE = 'hash';
+    const now = new Date('2025-05-01T10:00:00Z');
+
+    const first = privacyPipeline.applyPrivacy({ ipAddress: '200.147.10.33' }, now);
+    const second = privacyPipeline.applyPrivacy({ ipAddress: '200.147.10.33' }, new Date('2025-05-01T11:00:00Z'));
+    const nextDay = privacyPipeline.applyPrivacy({ ipAddress: '200.147.10.33' }, new Date('2025-05-02T10:00:00Z'));
+
+    expect(first.ipAddress).toHaveLength(32);
+    expect(first.ipAddress).toBe(second.ipAddress);
+    expect(first.ipAddress).not.toBe(nextDay.ipAddress);
+    expect(first.privacyRules).toEqual([RULES.IP_HASH]);
+  });
+
+  test('respeita PRIVACY_REDACT_EVENT_DATA=false e PRIVACY_IP_MODE=none', () => {
+    process.env.PRIVACY_REDACT_EVENT_DATA = 'false';
+    process.env.PRIVACY_IP_MODE = 'none';
+
+    const result = privacyPipeline.applyPrivacy({ ipAddress: '200.147.10.33', eventData: { email: 'ana@exemplo.com' } });
+
+    expect(result.ipAddress).toBe('200.147.10.33');
+    expect(result.eventData).toEqual({ email: 'ana@exemplo.com' });
+    expect(result.privacyRules).toEqual([]);
+  });
+
+  test('trunca IPv6 e IPv4 mapeado em IPv6', () => {
+    expect(privacyPipeline.truncateIp('2001:db8:85a3::8a2e:370:7334')).toBe('2001:db8:85a3::');
+    expect(privacyPipeline.truncateIp('::ffff:192.168.0.10')).toBe('192.168.0.0');
+  });
+});
+
+describe('applyPrivacyToPayload', () => {
+  test('trata os campos do corpo bruto nos dois formatos aceitos', () => {
+    const result = privacyPipeline.applyPrivacyToPayload({
+      eventType: 'checkout_start',
+      url: 'https://loja.com/?senha=123',
+      data: { note: 'tel (11) 98765-4321' }
+    }, '200.147.10.33');
+
+    expect(result.payload).toEqual({
+      eventType: 'checkout_start',
+      url: 'https://loja.com/',
+      data: { note: 'tel [telefone]' }
+    });
+    expect(result.ipAddress).toBe('200.147.10.0');
+    expect(privacyPipeline.isIpAnonymized(result.privacyRules)).toBe(true);
+  });
+
+  test('mascara corpos que não são objetos', () => {
+    expect(privacyPipeline.applyPrivacyToPayload('contato ana@exemplo.com', null).payload).toBe('contato [email]');
+    expect(privacyPipeline.isIpAnonymized([])).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Testes do registro de schemas e da validação do eventData
+ */
+
+const Ajv = require('ajv');
+const EventSchemaDefinition = require('../models/eventSchemaModel');
+const schemaRegistry = require('../logs/schemaRegistry');
+
+const mockStoredSchemas = (definitions) => {
+  jest.spyOn(EventSchemaDefinition, 'find').mockImplementation(() => ({
+    lean: async () => definitions
+  }));
+};
+
+afterEach(async () => {
+  // Volta aos schemas padrão
+  mockStoredSchemas([]);
+  await schemaRegistry.loadSchemas();
+  jest.restoreAllMocks();
+});
+
+describe('validateEventData', () => {
+  test('valida o eventData com o schema padrão do tipo', () => {
+    expect(schemaRegistry.validateEventData('product_view', { productId: 'p1' })).toEqual({
+      valid: true,
+      schemaVersion: 1,
+      errors: [],
+      onInvalid: 'quarantine'
+    });
+
+    const result = schemaRegistry.validateEventData('cart_add', { quantity: 0 });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      "eventData must have required property 'productId'",
+      'eventData/quantity must be >= 1'
+    ]));
+  });
+
+  test('aceita tipos sem schema registrado', () => {
+    expect(schemaRegistry.validateEventData('evento_customizado', { qualquer: true })).toEqual({
+      valid: true,
+      schemaVersion: null,
+      errors: []
+    });
+  });
+
+  test('recusa versões de schema desconhecidas', () => {
+    const result = schemaRegistry.validateEventData('product_view', { productId: 'p1' }, '7');
+
+    expect(result).toMatchObject({ valid: false, schemaVersion: null, onInvalid: 'reject' });
+    expect(result.errors[0]).toMatch(/Versão de schema desconhecida/);
+  });
+});
+
+describe('loadSchemas', () => {
+  test('usa a versão mais recente e mantém as anteriores para clientes que a informam', async () => {
+    mockStoredSchemas([{
+      eventType: 'product_view',
+      version: 2,
+      onInvalid: 'reject',
+      schema: { type: 'object', required: ['productId', 'sku'] }
+    }]);
+    await schemaRegistry.loadSchemas();
+
+    expect(schemaRegistry.validateEventData('product_view', { productId: 'p1' })).toMatchObject({
+      valid: false,
+      schemaVersion: 2,
+      onInvalid: 'reject'
+    });
+    expect(schemaRegistry.validateEventData('product_view', { productId: 'p1' }, 1).valid).toBe(true);
+    expect(schemaRegistry.listSchemas('product_view').map(entry => entry.version)).toEqual([2, 1]);
+  });
+
+  test('recargas seguidas não recompilam os schemas já carregados', async () => {
+    const compile = jest.spyOn(Ajv.prototype, 'compile');
+    mockStoredSchemas([{ eventType: 'cart_add', version: 2, schema: { type: 'object', required: ['sku'] } }]);
+
+    await schemaRegistry.loadSchemas();
+    compile.mockClear();
+    await schemaRegistry.loadSchemas();
+    await schemaRegistry.loadSchemas();
+
+    expect(compile).not.toHaveBeenCalled();
+    expect(schemaRegistry.validateEventData('cart_add', {}).schemaVersion).toBe(2);
+  });
+
+  test('mantém schemas com $id após várias recargas', async () => {
+    const schema = { $id: 'https://loja.com/schemas/cart_add', type: 'object', required: ['sku'] };
+    mockStoredSchemas([
+      { eventType: 'cart_add', version: 2, schema },
+      { eventType: 'cart_add', version: 3, schema: { ...schema, required: ['sku', 'price'] } }
+    ]);
+
+    await schemaRegistry.loadSchemas();
+    await schemaRegistry.loadSchemas();
+
+    expect(schemaRegistry.listSchemas('cart_add').map(entry => entry.version)).toEqual([3, 2, 1]);
+    expect(schemaRegistry.validateEventData('cart_add', { sku: 'a' }, 2).valid).toBe(true);
+    expect(schemaRegistry.validateEventData('cart_add', { sku: 'a' }).valid).toBe(false);
+  });
+
+  test('ignora schemas salvos que não compilam', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockStoredSchemas([{ eventType: 'cart_add', version: 2, schema: { type: 'tipo_inexistente' } }]);
+    await schemaRegistry.loadSchemas();
+
+    expect(schemaRegistry.validateEventData('cart_add', { productId: 'p1' }).schemaVersion).toBe(1);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('saveSchema', () => {
+  test('recusa schemas inválidos com erro de validação', async () => {
+    await expect(schemaRegistry.saveSchema('cart_add', [])).rejects.toMatchObject({ isValidationError: true });
+    await expect(schemaRegistry.saveSchema('cart_add', { type: 'tipo_inexistente' }))
+      .rejects.toMatchObject({ isValidationError: true, message: expect.stringMatching(/JSON Schema inválido/) });
+  });
+
+  test('salva schemas com $id sem erro e os mantém nas recargas', async () => {
+    const schema = { $id: 'https://loja.com/schemas/checkout_complete', type: 'object', required: ['orderId'] };
+    const stored = [];
+
+    jest.spyOn(EventSchemaDefinition, 'findOne').mockImplementation(() => ({ sort: async () => null }));
+    jest.spyOn(EventSchemaDefinition, 'create').mockImplementation(async definition => {
+      stored.push(definition);
+      return { toObject: () => definition };
+    });
+    mockStoredSchemas(stored);
+
+    await expect(schemaRegistry.saveSchema('checkout_complete', schema)).resolves.toMatchObject({ version: 2 });
+    await schemaRegistry.loadSchemas();
+
+    expect(schemaRegistry.validateEventData('checkout_complete', { total: 10 })).toMatchObject({
+      valid: false,
+      schemaVersion: 2
+    });
+  });
+
+  test('numera a nova versão a partir da última salva', async () => {
+    const schema = { type: 'object', required: ['productId', 'price'] };
+    const stored = [];
+
+    jest.spyOn(EventSchemaDefinition, 'findOne').mockImplementation(() => ({
+      sort: async () => ({ version: 3 })
+    }));
+    jest.spyOn(EventSchemaDefinition, 'create').mockImplementation(async definition => {
+      stored.push(definition);
+      return { toObject: () => definition };
+    });
+    mockStoredSchemas(stored);
+
+    const created = await schemaRegistry.saveSchema('cart_add', schema, { onInvalid: 'reject' });
+
+    expect(created).toMatchObject({ eventType: 'cart_add', version: 4, onInvalid: 'reject' });
+    expect(created.validate).toBeUndefined();
+    expect(schemaRegistry.validateEventData('cart_add', { productId: 'p1' })).toMatchObject({
+      valid: false,
+      schemaVersion: 4
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Testes da sessionização incremental (limite dos eventos processados)
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Session = require('../models/sessionModel');
+const sessionizer = require('../logs/sessionizer');
+
+// Executa a sessionização sem eventos novos e devolve o filtro usado na busca
+const runWithMatch = async (options) => {
+  jest.spyOn(Session, 'findOne').mockImplementation(() => ({
+    sort: () => ({ select: () => ({ lean: async () => null }) })
+  }));
+  const aggregate = jest.spyOn(Event, 'aggregate').mockImplementation(() => ({
+    allowDiskUse: () => ({ cursor: () => [] })
+  }));
+
+  await sessionizer.sessionize(options);
+  return aggregate.mock.calls[0][0][0].$match;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sessionize', () => {
+  test('ignora os eventos gravados no último minuto', async () => {
+    const match = await runWithMatch({});
+    const secondsAgo = (Date.now() - match._id.$lte.getTimestamp().getTime()) / 1000;
+
+    expect(secondsAgo).toBeGreaterThanOrEqual(60);
+    expect(secondsAgo).toBeLessThan(62);
+  });
+
+  test('não passa do _id do evento mais antigo ainda no buffer de gravação', async () => {
+    const pendingSince = Date.now() - 5 * 60 * 1000;
+    // O _id é gerado pouco antes de o evento entrar no buffer
+    const pendingEventId = new mongoose.Types.ObjectId(Math.floor((pendingSince - 500) / 1000));
+
+    const match = await runWithMatch({ pendingSince });
+
+    expect(match._id.$lte.getTimestamp().getTime()).toBeLessThan(pendingSince);
+    expect(pendingEventId.toHexString() > match._id.$lte.toHexString()).toBe(true);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Testes da autenticação por chave de escrita na ingestão de eventos
+ */
+
+const express = require('express');
+const request = require('supertest');
+const Event = require('../models/eventModel');
+const Source = require('../models/sourceModel');
+const sourceRegistry = require('../logs/sourceRegistry');
+const logController = require('../logs/logController');
+const logRoutes = require('../api/routes/logRoutes');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const VALID_KEY = 'wk_valida';
+const REVOKED_KEY = 'wk_revogada';
+
+const source = {
+  _id: '650000000000000000000001',
+  name: 'Loja principal',
+  environment: 'production',
+  isActive: true,
+  writeKeys: [
+    { key: VALID_KEY, revokedAt: null, expiresAt: null },
+    { key: REVOKED_KEY, revokedAt: new Date('2025-01-01'), expiresAt: null }
+  ]
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/logs', logRoutes);
+
+const sendEvent = (headers = {}) => request(app)
+  .post('/api/logs/event')
+  .set('User-Agent', BROWSER_USER_AGENT)
+  .set(headers)
+  .send({ eventType: 'page_view', sessionId: 'sessao_1', eventData: { pageTitle: 'Início' } });
+
+beforeEach(() => {
+  delete process.env.REQUIRE_WRITE_KEY;
+  sourceRegistry.invalidate();
+  // Os eventos aceitos vão para o buffer de gravação, sem banco nos testes
+  jest.spyOn(Event, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(Source, 'findOne').mockImplementation(filter => ({
+    lean: async () => (filter['writeKeys.key'] === VALID_KEY || filter['writeKeys.key'] === REVOKED_KEY ? source : null)
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Grava os eventos ainda no buffer para não deixar gravações pendentes
+  jest.spyOn(Event, 'insertMany').mockResolvedValue([]);
+  await logController.drainEventBuffer(1000);
+  jest.restoreAllMocks();
+});
+
+describe('sourceRegistry', () => {
+  test('a chave é opcional, a menos que REQUIRE_WRITE_KEY seja "true"', () => {
+    expect(sourceRegistry.isKeyRequired()).toBe(false);
+
+    process.env.REQUIRE_WRITE_KEY = 'false';
+    expect(sourceRegistry.isKeyRequired()).toBe(false);
+
+    process.env.REQUIRE_WRITE_KEY = 'true';
+    expect(sourceRegistry.isKeyRequired()).toBe(true);
+  });
+
+  test('lê a chave do cabeçalho ou do parâmetro writeKey', () => {
+    const req = (header, query = {}) => ({ get: () => header, query });
+
+    expect(sourceRegistry.getRequestKey(req(VALID_KEY))).toBe(VALID_KEY);
+    expect(sourceRegistry.getRequestKey(req(undefined, { writeKey: VALID_KEY }))).toBe(VALID_KEY);
+    expect(sourceRegistry.getRequestKey(req(undefined, { writeKey: ['a', 'b'] }))).toBeNull();
+  });
+
+  test('aceita apenas chaves ativas e guarda o resultado em cache', async () => {
+    await expect(sourceRegistry.resolveWriteKey(VALID_KEY)).resolves.toMatchObject({ name: 'Loja principal' });
+    await expect(sourceRegistry.resolveWriteKey(REVOKED_KEY)).resolves.toBeNull();
+    await expect(sourceRegistry.resolveWriteKey('wk_desconhecida')).resolves.toBeNull();
+
+    await sourceRegistry.resolveWriteKey(VALID_KEY);
+    expect(Source.findOne).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('POST /api/logs/event', () => {
+  test('aceita eventos sem chave quando ela não é obrigatória', async () => {
+    const response = await sendEvent();
+
+    expect(response.status).toBe(202);
+    expect(response.body.success).toBe(true);
+  });
+
+  test('recusa eventos sem chave com REQUIRE_WRITE_KEY=true', async () => {
+    process.env.REQUIRE_WRITE_KEY = 'true';
+
+    const response = await sendEvent();
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toMatch(/X-Write-Key/);
+  });
+
+  test('recusa chaves desconhecidas ou revogadas mesmo sem REQUIRE_WRITE_KEY', async () => {
+    expect((await sendEvent({ 'X-Write-Key': 'wk_desconhecida' })).status).toBe(401);
+    expect((await sendEvent({ 'X-Write-Key': REVOKED_KEY })).status).toBe(401);
+  });
+
+  test('aceita eventos com chave válida', async () => {
+    process.env.REQUIRE_WRITE_KEY = 'true';
+
+    const response = await sendEvent({ 'X-Write-Key': VALID_KEY });
+
+    expect(response.status).toBe(202);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Testes dos filtros das estatísticas
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const Event = require('../models/eventModel');
+const statsRoutes = require('../api/routes/statsRoutes');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const adminToken = jwt.sign({ id: 'admin_1', role: 'admin' }, process.env.JWT_SECRET || 'seu_jwt_secret');
+
+const app = express();
+app.use(express.json());
+app.use('/api/stats', statsRoutes);
+
+const getStats = (path, query) => request(app)
+  .get(`/api/stats${path}`)
+  .query(query)
+  .set('User-Agent', BROWSER_USER_AGENT)
+  .set('Authorization', `Bearer ${adminToken}`);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/stats/geo', () => {
+  test('usa o país informado ou BR para estados e cidades', async () => {
+    const countByRegion = jest.spyOn(Event, 'countByRegion').mockResolvedValue([]);
+
+    expect((await getStats('/geo', { country: 'ar' })).body.country).toBe('AR');
+    expect((await getStats('/geo', {})).body.country).toBe('BR');
+    expect(countByRegion.mock.calls.map(call => call[3])).toEqual(['AR', 'BR']);
+  });
+
+  test('responde 400 quando country não é um único texto', async () => {
+    const countByRegion = jest.spyOn(Event, 'countByRegion').mockResolvedValue([]);
+
+    expect((await getStats('/geo', 'country[]=BR')).status).toBe(400);
+    expect((await getStats('/geo', 'country=BR&country=US')).status).toBe(400);
+    expect((await getStats('/geo', 'groupBy=country&country[$ne]=BR')).status).toBe(400);
+    expect(countByRegion).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/stats/dashboard', () => {
+  const SOURCE_ID = '650000000000000000000001';
+
+  test('aplica o sourceId a todas as estatísticas do dashboard', async () => {
+    const aggregate = jest.spyOn(Event, 'aggregate').mockResolvedValue([]);
+
+    const response = await getStats('/dashboard', { sourceId: SOURCE_ID });
+
+    expect(response.status).toBe(200);
+    expect(aggregate).toHaveBeenCalledTimes(3);
+    aggregate.mock.calls.forEach(([pipeline]) => {
+      expect(String(pipeline[0].$match.sourceId)).toBe(SOURCE_ID);
+    });
+  });
+
+  test('sem sourceId, considera todas as lojas', async () => {
+    const aggregate = jest.spyOn(Event, 'aggregate').mockResolvedValue([]);
+
+    await getStats('/dashboard', {});
+
+    aggregate.mock.calls.forEach(([pipeline]) => {
+      expect(pipeline[0].$match).not.toHaveProperty('sourceId');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Testes do buffer de escrita (gravação em lote, backpressure e encerramento)
+ */
+
+const { createWriteBuffer } = require('../logs/writeBuffer');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const createBuffer = (write, options = {}) => createWriteBuffer({
+  name: 'buffer de teste',
+  maxSize: 10,
+  flushSize: 3,
+  flushIntervalMs: 20,
+  write,
+  ...options
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createWriteBuffer', () => {
+  test('grava assim que o lote fica completo, na ordem de chegada', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const buffer = createBuffer(write);
+
+    buffer.push([1, 2]);
+    expect(write).not.toHaveBeenCalled();
+
+    buffer.push([3, 4]);
+    await buffer.flush();
+
+    expect(write.mock.calls).toEqual([[[1, 2, 3]], [[4]]]);
+    expect(buffer.getMetrics()).toMatchObject({ depth: 0, enqueued: 4, written: 4, flushes: 2 });
+  });
+
+  test('grava lotes incompletos após o intervalo', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const buffer = createBuffer(write);
+
+    buffer.push(['a']);
+    await wait(60);
+
+    expect(write).toHaveBeenCalledWith(['a']);
+  });
+
+  test('recusa itens acima da capacidade (backpressure)', async () => {
+    const buffer = createBuffer(() => new Promise(() => {}), { flushSize: 100 });
+
+    expect(buffer.push(Array.from({ length: 8 }, (_, i) => i))).toBe(8);
+    expect(buffer.available()).toBe(2);
+    expect(buffer.push([8, 9, 10, 11])).toBe(2);
+    expect(buffer.available()).toBe(0);
+    expect(buffer.getMetrics()).toMatchObject({ depth: 10, rejected: 2, utilization: 100 });
+    expect(buffer.retryAfter()).toBeGreaterThanOrEqual(1);
+  });
+
+  test('a idade do item mais antigo inclui o lote sendo gravado', async () => {
+    const buffer = createBuffer(() => new Promise(() => {}));
+
+    buffer.push([1, 2, 3]);
+    await wait(30);
+
+    expect(buffer.getMetrics()).toMatchObject({ depth: 3, flushing: true });
+    expect(buffer.getMetrics().oldestItemAgeMs).toBeGreaterThanOrEqual(25);
+  });
+
+  test('devolve o lote ao buffer após uma falha e tenta de novo', async () => {
+    const write = jest.fn()
+      .mockRejectedValueOnce(new Error('banco indisponível'))
+      .mockResolvedValue();
+    const buffer = createBuffer(write);
+
+    buffer.push([1, 2, 3]);
+    await wait(0);
+
+    expect(await buffer.flush()).toBe(true);
+    expect(write.mock.calls).toEqual([[[1, 2, 3]], [[1, 2, 3]]]);
+    expect(buffer.getMetrics()).toMatchObject({ failedFlushes: 1, written: 3, lastError: 'banco indisponível' });
+  });
+
+  test('drain grava os pendentes e deixa de aceitar novos itens', async () => {
+    const write = jest.fn().mockResolvedValue();
+    const buffer = createBuffer(write);
+
+    buffer.push([1, 2]);
+
+    await expect(buffer.drain(1000)).resolves.toBe(0);
+    expect(write).toHaveBeenCalledWith([1, 2]);
+    expect(buffer.isDraining()).toBe(true);
+    expect(buffer.available()).toBe(0);
+    expect(buffer.push([3])).toBe(0);
+  });
+
+  test('drain respeita o prazo e takePending entrega os itens não gravados', async () => {
+    const buffer = createBuffer(() => new Promise(() => {}));
+
+    buffer.push([1, 2, 3, 4]);
+
+    const startedAt = Date.now();
+    await expect(buffer.drain(50)).resolves.toBe(4);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+
+    // Inclui o lote que estava sendo gravado
+    expect(buffer.takePending()).toEqual([1, 2, 3, 4]);
+    expect(buffer.getMetrics().depth).toBe(0);
+  });
+});
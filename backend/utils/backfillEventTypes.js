@@ -0,0 +1,87 @@
+/**
+ * Backfill de nomes de eventos para a taxonomia canônica
+ *
+ * Este script percorre os tipos de evento já armazenados na coleção `events`
+ * e reescreve os que usam apelidos (ex: add_to_cart, purchase) para o nome
+ * canônico definido em logs/eventTaxonomy.
+ *
+ * Uso:
+ *   node utils/backfillEventTypes.js            # aplica as alterações
+ *   node utils/backfillEventTypes.js --dry-run  # apenas exibe o que seria alterado
+ *
+ * @author Sistema de Pós-Vendas
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const { normalizeEventType } = require('../logs/eventTaxonomy');
+
+/**
+ * Reescreve os tipos de evento não canônicos
+ *
+ * @param {Boolean} dryRun - Se verdadeiro, não altera o banco de dados
+ * @returns {Promise<Array>} Lista com as alterações (de, para, quantidade)
+ */
+async function backfillEventTypes(dryRun = false) {
+  const storedTypes = await Event.distinct('eventType');
+  const changes = [];
+
+  for (const storedType of storedTypes) {
+    const canonical = normalizeEventType(storedType);
+
+    // Tipo já está no formato canônico
+    if (canonical === storedType) continue;
+
+    let count;
+    if (dryRun) {
+      count = await Event.countDocuments({ eventType: storedType });
+    } else {
+      const result = await Event.updateMany(
+        { eventType: storedType },
+        { $set: { eventType: canonical } }
+      );
+      count = result.modifiedCount;
+    }
+
+    changes.push({ from: storedType, to: canonical, count });
+  }
+
+  return changes;
+}
+
+/**
+ * Executa o backfill a partir da linha de comando
+ */
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs');
+  console.log('📊 Conectado ao MongoDB');
+
+  const changes = await backfillEventTypes(dryRun);
+
+  if (changes.length === 0) {
+    console.log('✅ Todos os eventos já usam nomes canônicos');
+  } else {
+    changes.forEach(({ from, to, count }) => {
+      console.log(`${dryRun ? '🔎' : '✅'} ${from} → ${to}: ${count} evento(s)`);
+    });
+    if (dryRun) {
+      console.log('\nNenhuma alteração aplicada (--dry-run)');
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+// Executa somente quando chamado diretamente (permite importar a função)
+if (require.main === module) {
+  run().catch(error => {
+    console.error('❌ Erro ao executar backfill:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { backfillEventTypes };
@@ -0,0 +1,103 @@
+/**
+ * Backfill dos campos de dispositivo, navegador e sistema operacional
+ *
+ * Este script percorre os eventos da coleção `events` que ainda não têm
+ * o campo device.type e preenche device, browser, os e isBot a partir do
+ * userAgent armazenado, usando o mesmo parser da ingestão (logs/userAgentParser).
+ *
+ * Uso:
+ *   node utils/backfillUserAgents.js            # aplica as alterações
+ *   node utils/backfillUserAgents.js --dry-run  # apenas conta os eventos pendentes
+ *
+ * @author Sistema de Pós-Vendas
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const { parseUserAgent } = require('../logs/userAgentParser');
+
+// Quantidade de atualizações enviadas por operação
+const BATCH_SIZE = 1000;
+
+/**
+ * Preenche os campos estruturados dos eventos sem device.type
+ *
+ * @param {Boolean} dryRun - Se verdadeiro, não altera o banco de dados
+ * @returns {Promise<Object>} Resumo ({ pending, updated, bots })
+ */
+async function backfillUserAgents(dryRun = false) {
+  const filter = { 'device.type': { $exists: false } };
+  const pending = await Event.countDocuments(filter);
+
+  if (dryRun) {
+    return { pending, updated: 0, bots: 0 };
+  }
+
+  let updated = 0;
+  let bots = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Event.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = Event.find(filter).select('_id userAgent').lean().cursor();
+
+  for await (const event of cursor) {
+    const fields = parseUserAgent(event.userAgent);
+    if (fields.isBot) bots += 1;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: event._id },
+        update: { $set: fields }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return { pending, updated, bots };
+}
+
+/**
+ * Executa o backfill a partir da linha de comando
+ */
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs');
+  console.log('📊 Conectado ao MongoDB');
+
+  const { pending, updated, bots } = await backfillUserAgents(dryRun);
+
+  if (pending === 0) {
+    console.log('✅ Todos os eventos já possuem dados de dispositivo');
+  } else if (dryRun) {
+    console.log(`🔎 ${pending} evento(s) sem dados de dispositivo`);
+    console.log('\nNenhuma alteração aplicada (--dry-run)');
+  } else {
+    console.log(`✅ ${updated} evento(s) atualizado(s), ${bots} de robô(s)`);
+  }
+
+  await mongoose.disconnect();
+}
+
+// Executa somente quando chamado diretamente (permite importar a função)
+if (require.main === module) {
+  run().catch(error => {
+    console.error('❌ Erro ao executar backfill:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { backfillUserAgents };
@@ -363,10 +363,10 @@ function saveGeneratedData() {
   console.log('✅ Eventos de log gerados com sucesso!');
   
   console.log(`\nArquivos salvos em: ${outputDir}`);
-  console.log('\nPara usar estes dados:');
-  console.log('1. Copie os arquivos para o diretório do backend');
-  console.log('2. Modifique os controladores para carregar estes arquivos em vez de acessar o banco de dados');
-  console.log('3. Reinicie o servidor backend');
+  console.log('\nPara exibir os dados do dashboard, inicie o servidor com DEMO_MODE=true');
+  console.log('\nPara importar os eventos no MongoDB:');
+  console.log('  node utils/importEvents.js utils/data/logs.json --map device=metadata.device,browser=metadata.browser,os=metadata.os');
+  console.log('  (use --dry-run para apenas validar o arquivo)');
 }
 
 // Executa a geração de dados
@@ -0,0 +1,158 @@
+/**
+ * Comando de importação de arquivos de eventos
+ *
+ * Importa para o MongoDB eventos gerados (utils/data/logs.json) ou históricos
+ * (NDJSON, lista JSON ou CSV exportados de outras ferramentas), aplicando o
+ * mapeamento de campos, a normalização dos nomes de eventos e as mesmas
+ * validações da ingestão (ver logs/eventImporter).
+ *
+ * Uso:
+ *   node utils/importEvents.js <arquivo> [--format ndjson|json|csv] [--map destino=origem,...]
+ *     [--event-map antigo=novo,...] [--delimiter ";"] [--source <sourceId>]
+ *     [--batch-size 500] [--dry-run] [--resume] [--report relatorio.json]
+ *
+ * Exemplo (dados gerados por utils/generateMockData.js):
+ *   node utils/importEvents.js utils/data/logs.json --map device=metadata.device,browser=metadata.browser,os=metadata.os --dry-run
+ *
+ * O progresso é gravado em <arquivo>.import-progress.json a cada lote; se a
+ * importação for interrompida, execute novamente com --resume para continuar
+ * do último lote gravado. O arquivo de progresso é removido ao concluir.
+ *
+ * @author Sistema de Pós-Vendas
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const eventImporter = require('../logs/eventImporter');
+
+/**
+ * Lê o valor de uma opção da linha de comando (ex: --format csv)
+ *
+ * @param {String} name - Nome da opção sem os hífens
+ * @returns {String|null} Valor da opção
+ */
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+/**
+ * Lê o progresso gravado de uma importação anterior do mesmo arquivo
+ *
+ * @param {String} progressFile - Caminho do arquivo de progresso
+ * @returns {Object|null} Progresso ({ position, report }) ou null se não houver
+ */
+function readProgress(progressFile) {
+  if (!fs.existsSync(progressFile)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+}
+
+/**
+ * Exibe o resumo do relatório da importação
+ *
+ * @param {Object} report - Relatório retornado por eventImporter.importEvents
+ */
+function printReport(report) {
+  const action = report.dryRun ? 'válido(s) para importação' : 'importado(s)';
+
+  console.log(`\n${report.dryRun ? '🔎' : '✅'} ${report.imported} evento(s) ${action} de ${report.processed} registro(s) processado(s)`);
+  console.log(`   Duplicados (ignorados): ${report.duplicates}`);
+  console.log(`   Em quarentena (fora do schema): ${report.quarantined}`);
+  console.log(`   Rejeitados: ${report.rejected}`);
+
+  Object.entries(report.renamedEventTypes).forEach(([rename, count]) => {
+    console.log(`🔁 ${count} evento(s) renomeado(s): ${rename}`);
+  });
+
+  Object.entries(report.unknownEventTypes).forEach(([eventType, count]) => {
+    console.log(`⚠️  ${count} evento(s) "${eventType}" fora da taxonomia (use --event-map para renomear)`);
+  });
+
+  report.errors.slice(0, 10).forEach(error => {
+    const where = error.line ? `linha ${error.line}` : `registro ${error.record}`;
+    console.log(`❌ ${where}: ${error.error}`);
+  });
+
+  if (report.errors.length > 10) {
+    console.log(`   ... e mais ${report.errors.length - 10} erro(s) (use --report para ver todos)`);
+  }
+}
+
+/**
+ * Executa a importação
+ */
+async function run() {
+  const filePath = process.argv[2];
+
+  if (!filePath || filePath.startsWith('--')) {
+    console.log('Uso: node utils/importEvents.js <arquivo> [--format ndjson|json|csv] [--map destino=origem,...] [--event-map antigo=novo,...] [--delimiter ";"] [--source <sourceId>] [--batch-size 500] [--dry-run] [--resume] [--report relatorio.json]');
+    process.exit(1);
+  }
+
+  const absolutePath = path.resolve(filePath);
+  const progressFile = `${absolutePath}.import-progress.json`;
+  const dryRun = process.argv.includes('--dry-run');
+  const progress = process.argv.includes('--resume') ? readProgress(progressFile) : null;
+
+  if (process.argv.includes('--resume') && !progress) {
+    console.log('ℹ️  Nenhum progresso gravado para este arquivo; a importação começará do início');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs');
+  console.log('📊 Conectado ao MongoDB');
+
+  if (progress) {
+    console.log(`⏩ Retomando a partir do registro ${progress.position + 1}`);
+  }
+
+  const report = await eventImporter.importEvents({
+    filePath: absolutePath,
+    format: getOption('format'),
+    mapping: getOption('map'),
+    eventTypeMap: getOption('event-map'),
+    delimiter: getOption('delimiter'),
+    sourceId: getOption('source'),
+    batchSize: getOption('batch-size'),
+    dryRun,
+    resumeFrom: progress ? progress.position : 0,
+    previousReport: progress ? progress.report : null,
+    onProgress: partial => {
+      process.stdout.write(`\r📥 ${partial.position} registro(s) processado(s)...`);
+
+      // O dry-run não grava eventos, então não há o que retomar
+      if (!dryRun) {
+        fs.writeFileSync(progressFile, JSON.stringify({ position: partial.position, report: partial }));
+      }
+    }
+  });
+
+  if (fs.existsSync(progressFile)) {
+    fs.unlinkSync(progressFile);
+  }
+
+  printReport(report);
+
+  const reportFile = getOption('report');
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`📝 Relatório completo salvo em: ${reportFile}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  if (error.isValidationError) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error('\n❌ Erro ao importar eventos:', error);
+    console.error('   Execute novamente com --resume para continuar do último lote gravado');
+  }
+  process.exit(1);
+});
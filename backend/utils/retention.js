@@ -0,0 +1,115 @@
+/**
+ * Comando de retenção, arquivamento e restauração de logs
+ *
+ * Aplica as políticas de retenção definidas em logs/retentionService,
+ * arquivando os documentos expirados em NDJSON compactado antes de removê-los,
+ * e permite restaurar no MongoDB um intervalo de datas já arquivado.
+ *
+ * Uso:
+ *   node utils/retention.js policies
+ *   node utils/retention.js archive [--dry-run]
+ *   node utils/retention.js restore --from 2025-01-01 --to 2025-01-31 [--collection events] [--event-type page_view] [--dry-run]
+ *   node utils/retention.js list
+ *
+ * Para execução periódica, agende o comando "archive" (ex: cron diário).
+ *
+ * @author Sistema de Pós-Vendas
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const retentionService = require('../logs/retentionService');
+
+/**
+ * Lê o valor de uma opção da linha de comando (ex: --from 2025-01-01)
+ *
+ * @param {String} name - Nome da opção sem os hífens
+ * @returns {String|null} Valor da opção
+ */
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+/**
+ * Converte uma opção de data, encerrando o processo se for inválida
+ *
+ * @param {String} name - Nome da opção
+ * @param {Boolean} endOfDay - Ajusta datas sem horário para o fim do dia
+ * @returns {Date} Data convertida
+ */
+function getDateOption(name, endOfDay = false) {
+  const value = getOption(name);
+  const date = value ? new Date(value) : null;
+
+  if (!date || isNaN(date.getTime())) {
+    console.error(`❌ Informe uma data válida em --${name} (formato ISO)`);
+    process.exit(1);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date;
+}
+
+/**
+ * Executa o comando informado
+ */
+async function run() {
+  const command = process.argv[2];
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (command === 'policies') {
+    console.log(JSON.stringify(retentionService.getPolicies(), null, 2));
+    return;
+  }
+
+  if (command === 'list') {
+    const manifest = retentionService.readManifest();
+    manifest.forEach(entry => {
+      console.log(`${entry.collection}/${entry.eventType || '*'}  ${entry.from} → ${entry.to}  ${entry.count} doc(s)  ${entry.file}`);
+    });
+    console.log(`\n${manifest.length} arquivo(s) em ${retentionService.ARCHIVE_DIR}`);
+    return;
+  }
+
+  if (command !== 'archive' && command !== 'restore') {
+    console.log('Uso: node utils/retention.js <policies|archive|restore|list> [opções]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs');
+  console.log('📊 Conectado ao MongoDB');
+
+  if (command === 'archive') {
+    const summary = await retentionService.archiveExpired({ dryRun });
+
+    summary.forEach(({ rule, days, archived, files }) => {
+      const action = dryRun ? 'expirado(s)' : `arquivado(s) em ${files} arquivo(s)`;
+      console.log(`${dryRun ? '🔎' : '✅'} ${rule} (${days} dias): ${archived} documento(s) ${action}`);
+    });
+  } else {
+    const result = await retentionService.restoreRange({
+      from: getDateOption('from'),
+      to: getDateOption('to', true),
+      collection: getOption('collection'),
+      eventType: getOption('event-type'),
+      dryRun
+    });
+
+    console.log(`${dryRun ? '🔎' : '✅'} ${result.matched} documento(s) encontrado(s) em ${result.files} arquivo(s)`);
+    if (!dryRun) {
+      console.log(`✅ ${result.restored} documento(s) restaurado(s) (os já existentes foram ignorados)`);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Erro ao executar o comando de retenção:', error);
+  process.exit(1);
+});
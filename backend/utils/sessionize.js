@@ -0,0 +1,64 @@
+/**
+ * Comando de sessionização dos eventos
+ *
+ * Gera as sessões (coleção `sessions`) dos eventos gravados desde a última
+ * execução, usando as regras de logs/sessionizer. Com --full, recalcula as
+ * sessões de todos os eventos (útil após alterar SESSION_TIMEOUT_MINUTES).
+ *
+ * Uso:
+ *   node utils/sessionize.js [--full] [--dry-run] [--timeout-minutes 30]
+ *
+ * O servidor já executa a sessionização periodicamente; para agendá-la
+ * externamente (ex: cron), inicie o servidor com SESSIONIZE_INTERVAL_MINUTES=0.
+ *
+ * @author Sistema de Pós-Vendas
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const sessionizer = require('../logs/sessionizer');
+
+/**
+ * Lê o valor de uma opção da linha de comando (ex: --timeout-minutes 30)
+ *
+ * @param {String} name - Nome da opção sem os hífens
+ * @returns {String|null} Valor da opção
+ */
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+/**
+ * Executa a sessionização
+ */
+async function run() {
+  const full = process.argv.includes('--full');
+  const dryRun = process.argv.includes('--dry-run');
+  const timeoutMinutes = getOption('timeout-minutes');
+
+  if (timeoutMinutes !== null && !(parseInt(timeoutMinutes, 10) > 0)) {
+    console.error('❌ --timeout-minutes deve ser um número maior que zero');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce-logs');
+  console.log('📊 Conectado ao MongoDB');
+
+  const summary = await sessionizer.sessionize({
+    full,
+    dryRun,
+    timeoutMs: timeoutMinutes !== null ? parseInt(timeoutMinutes, 10) * 60 * 1000 : undefined
+  });
+
+  const action = dryRun ? 'calculada(s)' : 'gravada(s)';
+  console.log(`${dryRun ? '🔎' : '✅'} ${summary.sessions} sessão(ões) ${action} a partir de ${summary.sessionIds} sessionId(s)`);
+
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Erro ao gerar sessões:', error);
+  process.exit(1);
+});
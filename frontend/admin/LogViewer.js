@@ -91,6 +91,17 @@ const LogViewer = () => {
     return format(date, "dd 'de' MMMM 'de' yyyy, HH:mm:ss", { locale: ptBR });
   };
   
+  /**
+   * Monta um resumo legível do evento a partir do eventData
+   * 
+   * @param {Object} log - Evento retornado pela API
+   * @returns {String} Resumo do evento
+   */
+  const describeLog = (log) => {
+    const data = log.eventData || {};
+    return data.message || data.productName || data.pageTitle || log.pageUrl || '';
+  };
+  
   /**
    * Obtém a classe CSS com base na severidade do log
    * 
@@ -127,10 +138,10 @@ const LogViewer = () => {
       log._id,
       log.eventType,
       log.userId || 'N/A',
-      log.productId || 'N/A',
+      log.eventData?.productId || 'N/A',
       log.severity,
-      log.message,
-      log.createdAt
+      describeLog(log),
+      log.timestamp
     ]);
     
     // Combina cabeçalhos e linhas
@@ -192,9 +203,9 @@ const LogViewer = () => {
                 <option value="">Todos</option>
                 <option value="page_view">Visualização de Página</option>
                 <option value="product_view">Visualização de Produto</option>
-                <option value="add_to_cart">Adição ao Carrinho</option>
-                <option value="checkout">Checkout</option>
-                <option value="purchase">Compra</option>
+                <option value="cart_add">Adição ao Carrinho</option>
+                <option value="checkout_start">Checkout</option>
+                <option value="checkout_complete">Compra</option>
                 <option value="login">Login</option>
                 <option value="signup">Cadastro</option>
                 <option value="error">Erro</option>
@@ -285,14 +296,14 @@ const LogViewer = () => {
                 <tr key={log._id} className={getSeverityClass(log.severity)}>
                   <td>{log.eventType}</td>
                   <td>{log.userId || 'N/A'}</td>
-                  <td>{log.productId || 'N/A'}</td>
+                  <td>{log.eventData?.productId || 'N/A'}</td>
                   <td>
                     <span className={`severity-badge ${log.severity}`}>
                       {log.severity}
                     </span>
                   </td>
-                  <td>{log.message}</td>
-                  <td>{formatDate(log.createdAt)}</td>
+                  <td>{describeLog(log)}</td>
+                  <td>{formatDate(log.timestamp)}</td>
                 </tr>
               ))}
             </tbody>
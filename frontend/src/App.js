@@ -3,8 +3,17 @@ import { BrowserRouter as Router, Routes, Route, Link, Navigate } from 'react-ro
 import Dashboard from './admin/Dashboard';
 import AdminPanel from './admin/AdminPanel';
 import LogViewer from './admin/LogViewer';
+import { useLogger, useTrackPageView } from './utils/loggerReact';
 import './App.css';
 
+/**
+ * Registra uma visualização de página a cada mudança de rota
+ */
+function PageViewTracker() {
+  useTrackPageView();
+  return null;
+}
+
 /**
  * Componente principal da aplicação
  * 
@@ -13,6 +22,7 @@ import './App.css';
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
+  const logger = useLogger();
 
   // Simula autenticação
   useEffect(() => {
@@ -29,6 +39,15 @@ function App() {
     checkAuth();
   }, []);
 
+  // Liga os eventos da sessão ao usuário logado
+  useEffect(() => {
+    if (user) {
+      logger.identify(user.id).catch(() => {});
+    } else {
+      logger.setUserId(null);
+    }
+  }, [logger, user]);
+
   const handleLogin = () => {
     setIsAuthenticated(true);
     setUser({
@@ -45,6 +64,7 @@ function App() {
 
   return (
     <Router>
+      <PageViewTracker />
       <div className="app-container">
         <header className="app-header">
           <div className="logo">
@@ -21,6 +21,7 @@ import {
 } from 'chart.js';
 import { Line, Bar, Pie } from 'react-chartjs-2';
 import axios from 'axios';
+import { getAuthHeaders } from '../utils/adminAuth';
 
 ChartJS.register(
   CategoryScale,
@@ -34,11 +35,26 @@ ChartJS.register(
   Legend
 );
 
+// Avaliação das métricas de desempenho (calculada no servidor a partir do p75)
+const VITAL_RATING_LABELS = {
+  good: 'Bom',
+  'needs-improvement': 'Precisa melhorar',
+  poor: 'Ruim'
+};
+
+// CLS não tem unidade; as demais métricas são em milissegundos
+const formatVital = (metric, value) => (
+  metric === 'CLS' ? value.toFixed(3) : `${value.toLocaleString('pt-BR')} ms`
+);
+
 const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dashboardData, setDashboardData] = useState(null);
   const [dateRange, setDateRange] = useState('30d');
+  const [geoRegions, setGeoRegions] = useState([]);
+  const [performance, setPerformance] = useState(null);
+  const [vitalMetric, setVitalMetric] = useState('LCP');
 
   
 
@@ -106,14 +122,59 @@ useEffect(() => {
   fetchDashboardData();
 }, [fetchDashboardData]); 
 
+// Distribuição por estado (visualizações, compras e conversão)
+const fetchGeoData = useCallback(async () => {
+  try {
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    
+    const response = await axios.get(`${apiUrl}/api/stats/geo`, {
+      params: { groupBy: 'state', period: dateRange },
+      headers: getAuthHeaders()
+    });
+    setGeoRegions(response.data.regions || []);
+  } catch (err) {
+    console.error('Erro ao buscar dados regionais:', err);
+    setGeoRegions([]);
+  }
+}, [dateRange]);
+
+useEffect(() => {
+  fetchGeoData();
+}, [fetchGeoData]);
+
+// Percentis das métricas de desempenho (Core Web Vitals) por página e dispositivo
+const fetchPerformanceData = useCallback(async () => {
+  try {
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    
+    const response = await axios.get(`${apiUrl}/api/stats/performance`, {
+      params: { period: dateRange },
+      headers: getAuthHeaders()
+    });
+    setPerformance(response.data);
+  } catch (err) {
+    console.error('Erro ao buscar dados de desempenho:', err);
+    setPerformance(null);
+  }
+}, [dateRange]);
+
+useEffect(() => {
+  fetchPerformanceData();
+}, [fetchPerformanceData]);
+
 
 
   const handlePeriodChange = (e) => {
     setDateRange(e.target.value);
   };
 
+  // Métricas sem fonte nos eventos registrados chegam como null
+  const formatCurrency = (value) => (value == null
+    ? '—'
+    : `R$ ${parseFloat(value).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`);
+
   const prepareSalesChartData = () => {
-    if (!dashboardData?.dailySales) return null;
+    if (!dashboardData?.dailySales?.length) return null;
     const labels = dashboardData.dailySales.map((item) => item.date);
     const salesData = dashboardData.dailySales.map((item) => item.amount);
     return {
@@ -131,7 +192,7 @@ useEffect(() => {
   };
 
   const prepareCategoryChartData = () => {
-    if (!dashboardData?.salesByCategory) return null;
+    if (!dashboardData?.salesByCategory?.length) return null;
     const labels = dashboardData.salesByCategory.map((item) => item.category);
     const salesData = dashboardData.salesByCategory.map((item) => item.sales);
     const backgroundColors = [
@@ -155,7 +216,7 @@ useEffect(() => {
   };
 
   const prepareDeviceChartData = () => {
-    if (!dashboardData?.deviceUsage) return null;
+    if (!dashboardData?.deviceUsage?.length) return null;
     const labels = dashboardData.deviceUsage.map((item) => item.device);
     const data = dashboardData.deviceUsage.map((item) => item.percentage);
     return {
@@ -167,11 +228,19 @@ useEffect(() => {
             'rgba(54, 162, 235, 0.6)',
             'rgba(255, 99, 132, 0.6)',
             'rgba(255, 206, 86, 0.6)',
+            'rgba(75, 192, 192, 0.6)',
+            'rgba(153, 102, 255, 0.6)',
+            'rgba(255, 159, 64, 0.6)',
+            'rgba(201, 203, 207, 0.6)',
           ],
           borderColor: [
             'rgb(54, 162, 235)',
             'rgb(255, 99, 132)',
             'rgb(255, 206, 86)',
+            'rgb(75, 192, 192)',
+            'rgb(153, 102, 255)',
+            'rgb(255, 159, 64)',
+            'rgb(201, 203, 207)',
           ],
           borderWidth: 1,
         },
@@ -188,6 +257,11 @@ useEffect(() => {
     },
   };
 
+  // Métrica exibida na tabela (a primeira disponível se a escolhida não tiver dados)
+  const selectedVital = performance?.summary?.some((item) => item.metric === vitalMetric)
+    ? vitalMetric
+    : performance?.summary?.[0]?.metric;
+
   if (loading) {
     return (
       <div className="dashboard-loading">
@@ -227,26 +301,30 @@ useEffect(() => {
           <div className="metrics-cards">
             <div className="metric-card">
               <h3>Receita Total</h3>
-              <p className="metric-value">R$ {parseFloat(dashboardData.metrics.totalRevenue).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</p>
+              <p className="metric-value">{formatCurrency(dashboardData.metrics.totalRevenue)}</p>
             </div>
             <div className="metric-card">
               <h3>Valor Médio do Pedido</h3>
-              <p className="metric-value">R$ {parseFloat(dashboardData.metrics.averageOrderValue).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</p>
+              <p className="metric-value">{formatCurrency(dashboardData.metrics.averageOrderValue)}</p>
             </div>
             <div className="metric-card">
               <h3>Taxa de Devolução</h3>
-              <p className="metric-value">{dashboardData.metrics.returnRate}%</p>
+              <p className="metric-value">{dashboardData.metrics.returnRate == null ? '—' : `${dashboardData.metrics.returnRate}%`}</p>
             </div>
             <div className="metric-card">
               <h3>Satisfação do Cliente</h3>
-              <p className="metric-value">{dashboardData.metrics.customerSatisfaction}/5</p>
+              <p className="metric-value">{dashboardData.metrics.customerSatisfaction == null ? '—' : `${dashboardData.metrics.customerSatisfaction}/5`}</p>
             </div>
           </div>
 
           <div className="chart-container">
             <h2>Vendas Diárias</h2>
             <div className="chart">
-              {prepareSalesChartData() && <Line data={prepareSalesChartData()} options={chartOptions} height={300} />}
+              {prepareSalesChartData() ? (
+                <Line data={prepareSalesChartData()} options={chartOptions} height={300} />
+              ) : (
+                <p className="chart-empty">Nenhuma venda registrada no período.</p>
+              )}
             </div>
           </div>
 
@@ -254,38 +332,137 @@ useEffect(() => {
             <div className="chart-container half-width">
               <h2>Vendas por Categoria</h2>
               <div className="chart">
-                {prepareCategoryChartData() && <Bar data={prepareCategoryChartData()} options={chartOptions} height={300} />}
+                {prepareCategoryChartData() ? (
+                  <Bar data={prepareCategoryChartData()} options={chartOptions} height={300} />
+                ) : (
+                  <p className="chart-empty">Nenhuma venda registrada no período.</p>
+                )}
               </div>
             </div>
 
             <div className="chart-container half-width">
               <h2>Uso por Dispositivo</h2>
               <div className="chart">
-                {prepareDeviceChartData() && <Pie data={prepareDeviceChartData()} options={chartOptions} height={300} />}
+                {prepareDeviceChartData() ? (
+                  <Pie data={prepareDeviceChartData()} options={chartOptions} height={300} />
+                ) : (
+                  <p className="chart-empty">Nenhuma sessão registrada no período.</p>
+                )}
               </div>
             </div>
           </div>
 
+          <div className="table-container">
+            <h2>Vendas por Estado</h2>
+            {geoRegions.length === 0 ? (
+              <p className="chart-empty">Nenhum evento com localização no período.</p>
+            ) : (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Estado</th>
+                    <th>Sessões</th>
+                    <th>Visualizações</th>
+                    <th>Compras</th>
+                    <th>Conversão</th>
+                    <th>Receita</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {geoRegions.map((region) => (
+                    <tr key={`${region.country}-${region.state}`}>
+                      <td>{region.stateName || region.state || 'Não identificado'}</td>
+                      <td>{region.sessions}</td>
+                      <td>{region.productViews}</td>
+                      <td>{region.purchases}</td>
+                      <td>{region.conversionRate}%</td>
+                      <td>R$ {region.revenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="table-container">
+            <h2>Desempenho da Loja (Core Web Vitals)</h2>
+            {!performance?.summary?.length ? (
+              <p className="chart-empty">Nenhuma métrica de desempenho registrada no período.</p>
+            ) : (
+              <>
+                <div className="metrics-cards">
+                  {performance.summary.map((item) => (
+                    <div key={item.metric} className={`metric-card vital-${item.rating}`}>
+                      <h3>{item.metric} (p75)</h3>
+                      <p className="metric-value">{formatVital(item.metric, item.p75)}</p>
+                      <p className="metric-label">{VITAL_RATING_LABELS[item.rating]} · {item.samples} amostras</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="period-selector">
+                  <label htmlFor="vital-metric">Métrica: </label>
+                  <select id="vital-metric" value={selectedVital} onChange={(e) => setVitalMetric(e.target.value)}>
+                    {performance.summary.map((item) => (
+                      <option key={item.metric} value={item.metric}>{item.metric}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Página</th>
+                      <th>Dispositivo</th>
+                      <th>p50</th>
+                      <th>p75</th>
+                      <th>p95</th>
+                      <th>Amostras</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {performance.byPage
+                      .filter((row) => row.metric === selectedVital)
+                      .map((row) => (
+                        <tr key={`${row.page}-${row.deviceType}`}>
+                          <td>{row.page || 'Não identificada'}</td>
+                          <td>{row.label}</td>
+                          <td>{formatVital(row.metric, row.p50)}</td>
+                          <td className={`vital-${row.rating}`}>{formatVital(row.metric, row.p75)}</td>
+                          <td>{formatVital(row.metric, row.p95)}</td>
+                          <td>{row.samples}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+
           <div className="table-container">
             <h2>Personalizações Mais Populares</h2>
-            <table className="data-table">
-              <thead>
-                <tr>
-                  <th>Tipo</th>
-                  <th>Valor</th>
-                  <th>Contagem</th>
-                </tr>
-              </thead>
-              <tbody>
-                {dashboardData.popularCustomizations.map((item, index) => (
-                  <tr key={index}>
-                    <td>{item.type}</td>
-                    <td>{item.value}</td>
-                    <td>{item.count}</td>
+            {dashboardData.popularCustomizations.length === 0 ? (
+              <p className="chart-empty">Nenhuma personalização registrada no período.</p>
+            ) : (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Tipo</th>
+                    <th>Valor</th>
+                    <th>Contagem</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {dashboardData.popularCustomizations.map((item, index) => (
+                    <tr key={index}>
+                      <td>{item.type}</td>
+                      <td>{item.value}</td>
+                      <td>{item.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
         </>
       )}
@@ -7,10 +7,17 @@
  * @module frontend/admin/LogViewer
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { format } from 'date-fns';
 import { ptBR } from 'date-fns/locale';
+import { getAuthHeaders } from '../utils/adminAuth';
+
+// Quantidade máxima de eventos mantidos em memória no modo ao vivo
+const MAX_LIVE_LOGS = 500;
+
+// Espera antes de abrir uma nova conexão de streaming recusada pelo servidor
+const LIVE_RECONNECT_DELAY_MS = 3000;
 
 /**
  * Visualizador de Logs
@@ -21,7 +28,9 @@ const LogViewer = () => {
   // Estados para armazenar os dados e filtros
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
   const [filters, setFilters] = useState({
     startDate: format(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), 'yyyy-MM-dd'), // 7 dias atrás
     endDate: format(new Date(), 'yyyy-MM-dd'),
@@ -31,6 +40,29 @@ const LogViewer = () => {
     severity: ''
   });
   
+  // Estados do modo ao vivo (streaming de eventos)
+  const [liveMode, setLiveMode] = useState(false);
+  const [livePaused, setLivePaused] = useState(false);
+  const [liveParams, setLiveParams] = useState({});
+  const [liveLogs, setLiveLogs] = useState([]);
+  const [liveStatus, setLiveStatus] = useState('disconnected');
+  const [pendingCount, setPendingCount] = useState(0);
+  
+  // Eventos recebidos enquanto o modo ao vivo está pausado
+  const pausedRef = useRef(false);
+  const pendingLogsRef = useRef([]);
+  
+  /**
+   * Remove os filtros vazios antes de enviar para a API
+   * 
+   * @returns {Object} Parâmetros de consulta
+   */
+  const buildParams = () => {
+    return Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value !== '')
+    );
+  };
+  
   /**
    * Busca os logs da API com base nos filtros
    */
@@ -42,10 +74,14 @@ const LogViewer = () => {
       const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
       
       // Faz a requisição para a API
-      const response = await axios.get(`${apiUrl}/api/logs`, { params: filters });
+      const response = await axios.get(`${apiUrl}/api/logs`, {
+        params: buildParams(),
+        headers: getAuthHeaders()
+      });
       
       // Atualiza o estado com os logs recebidos
       setLogs(response.data.logs || []);
+      setNextCursor(response.data.nextCursor || null);
       setError(null);
     } catch (err) {
       console.error('Erro ao buscar logs:', err);
@@ -56,43 +92,180 @@ const LogViewer = () => {
           _id: '1',
           eventType: 'page_view',
           userId: 'user_123',
-          productId: null,
           severity: 'info',
-          message: 'Usuário visualizou a página inicial',
-          createdAt: new Date().toISOString()
+          eventData: { pageTitle: 'Página inicial' },
+          timestamp: new Date().toISOString()
         },
         {
           _id: '2',
           eventType: 'product_view',
           userId: 'user_123',
-          productId: 'prod_456',
           severity: 'info',
-          message: 'Usuário visualizou produto: Tênis Esportivo',
-          createdAt: new Date(Date.now() - 3600000).toISOString()
+          eventData: { productId: 'prod_456', productName: 'Tênis Esportivo' },
+          timestamp: new Date(Date.now() - 3600000).toISOString()
         },
         {
           _id: '3',
           eventType: 'error',
           userId: 'user_789',
-          productId: null,
           severity: 'error',
-          message: 'Erro ao processar pagamento',
-          createdAt: new Date(Date.now() - 7200000).toISOString()
+          eventData: { message: 'Erro ao processar pagamento' },
+          timestamp: new Date(Date.now() - 7200000).toISOString()
         }
       ];
       
       setLogs(mockLogs);
+      setNextCursor(null);
       setError('Usando dados simulados - API de logs não disponível no momento.');
     } finally {
       setLoading(false);
     }
   };
   
+  /**
+   * Busca a próxima página de logs usando o cursor retornado pela API
+   */
+  const fetchMoreLogs = async () => {
+    if (!nextCursor) return;
+    
+    try {
+      setLoadingMore(true);
+      
+      const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+      const response = await axios.get(`${apiUrl}/api/logs`, {
+        params: { ...buildParams(), cursor: nextCursor },
+        headers: getAuthHeaders()
+      });
+      
+      setLogs(prevLogs => [...prevLogs, ...(response.data.logs || [])]);
+      setNextCursor(response.data.nextCursor || null);
+    } catch (err) {
+      console.error('Erro ao buscar mais logs:', err);
+      alert('Não foi possível carregar mais logs.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+  
   // Efeito para buscar os logs quando o componente é montado ou os filtros mudam
   useEffect(() => {
     fetchLogs();
   }, []);
   
+  // Efeito que mantém a conexão de streaming enquanto o modo ao vivo está ativo
+  useEffect(() => {
+    if (!liveMode) return undefined;
+    
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    let source = null;
+    let retryTimer = null;
+    let closed = false;
+    
+    const handleLog = (e) => {
+      const log = JSON.parse(e.data);
+      
+      // Pausado: guarda o evento sem atualizar a tabela
+      if (pausedRef.current) {
+        pendingLogsRef.current = [log, ...pendingLogsRef.current].slice(0, MAX_LIVE_LOGS);
+        setPendingCount(pendingLogsRef.current.length);
+        return;
+      }
+      
+      setLiveLogs(prevLogs => [log, ...prevLogs].slice(0, MAX_LIVE_LOGS));
+    };
+    
+    // O EventSource não envia cabeçalhos: cada conexão usa um token de curta duração na URL
+    const connect = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/logs/stream-token`, { headers: getAuthHeaders() });
+        if (closed) return;
+        
+        const query = new URLSearchParams({ ...liveParams, token: response.data.token }).toString();
+        source = new EventSource(`${apiUrl}/api/logs/stream?${query}`);
+      } catch (err) {
+        console.error('Erro ao obter token de streaming:', err);
+        if (!closed) {
+          setLiveStatus('reconnecting');
+          retryTimer = setTimeout(connect, LIVE_RECONNECT_DELAY_MS);
+        }
+        return;
+      }
+      
+      source.onopen = () => setLiveStatus('connected');
+      source.onerror = () => {
+        setLiveStatus('reconnecting');
+        
+        // Quedas de rede: o EventSource reconecta sozinho com o mesmo token.
+        // Conexão recusada (ex: token expirado): abre outra com um novo token.
+        if (source.readyState === EventSource.CLOSED) {
+          source.close();
+          retryTimer = setTimeout(connect, LIVE_RECONNECT_DELAY_MS);
+        }
+      };
+      source.addEventListener('log', handleLog);
+    };
+    
+    setLiveStatus('connecting');
+    connect();
+    
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      setLiveStatus('disconnected');
+    };
+  }, [liveMode, liveParams]);
+  
+  /**
+   * Monta os filtros usados no streaming (o período não se aplica)
+   * 
+   * @returns {Object} Parâmetros de consulta do streaming
+   */
+  const buildLiveParams = () => {
+    const { startDate, endDate, ...params } = buildParams();
+    return params;
+  };
+  
+  /**
+   * Limpa os eventos recebidos no modo ao vivo
+   */
+  const clearLiveBuffer = () => {
+    setLiveLogs([]);
+    pendingLogsRef.current = [];
+    setPendingCount(0);
+  };
+  
+  /**
+   * Ativa ou desativa o modo ao vivo
+   */
+  const toggleLiveMode = () => {
+    if (!liveMode) {
+      clearLiveBuffer();
+      setLiveParams(buildLiveParams());
+    }
+    
+    pausedRef.current = false;
+    setLivePaused(false);
+    setLiveMode(!liveMode);
+  };
+  
+  /**
+   * Pausa ou retoma a atualização da tabela no modo ao vivo
+   * 
+   * Ao retomar, os eventos recebidos durante a pausa são exibidos.
+   */
+  const toggleLivePause = () => {
+    if (livePaused) {
+      const pending = pendingLogsRef.current;
+      setLiveLogs(prevLogs => [...pending, ...prevLogs].slice(0, MAX_LIVE_LOGS));
+      pendingLogsRef.current = [];
+      setPendingCount(0);
+    }
+    
+    pausedRef.current = !livePaused;
+    setLivePaused(!livePaused);
+  };
+  
   /**
    * Manipula a mudança nos filtros
    * 
@@ -113,6 +286,14 @@ const LogViewer = () => {
    */
   const handleSubmit = (e) => {
     e.preventDefault();
+    
+    // No modo ao vivo, reconecta o streaming com os novos filtros
+    if (liveMode) {
+      clearLiveBuffer();
+      setLiveParams(buildLiveParams());
+      return;
+    }
+    
     fetchLogs();
   };
   
@@ -127,6 +308,17 @@ const LogViewer = () => {
     return format(date, "dd 'de' MMMM 'de' yyyy, HH:mm:ss", { locale: ptBR });
   };
   
+  /**
+   * Monta um resumo legível do evento a partir do eventData
+   * 
+   * @param {Object} log - Evento retornado pela API
+   * @returns {String} Resumo do evento
+   */
+  const describeLog = (log) => {
+    const data = log.eventData || {};
+    return data.message || data.productName || data.pageTitle || log.pageUrl || '';
+  };
+  
   /**
    * Obtém a classe CSS com base na severidade do log
    * 
@@ -146,11 +338,14 @@ const LogViewer = () => {
     }
   };
   
+  // No modo ao vivo a tabela mostra os eventos recebidos pelo streaming
+  const displayedLogs = liveMode ? liveLogs : logs;
+  
   /**
    * Exporta os logs para CSV
    */
   const exportToCSV = () => {
-    if (logs.length === 0) {
+    if (displayedLogs.length === 0) {
       alert('Não há logs para exportar.');
       return;
     }
@@ -159,14 +354,14 @@ const LogViewer = () => {
     const headers = ['ID', 'Tipo de Evento', 'Usuário', 'Produto', 'Severidade', 'Mensagem', 'Data'];
     
     // Linhas do CSV
-    const rows = logs.map(log => [
+    const rows = displayedLogs.map(log => [
       log._id,
       log.eventType,
       log.userId || 'N/A',
-      log.productId || 'N/A',
+      log.eventData?.productId || 'N/A',
       log.severity,
-      log.message,
-      log.createdAt
+      describeLog(log),
+      log.timestamp
     ]);
     
     // Combina cabeçalhos e linhas
@@ -228,9 +423,9 @@ const LogViewer = () => {
                 <option value="">Todos</option>
                 <option value="page_view">Visualização de Página</option>
                 <option value="product_view">Visualização de Produto</option>
-                <option value="add_to_cart">Adição ao Carrinho</option>
-                <option value="checkout">Checkout</option>
-                <option value="purchase">Compra</option>
+                <option value="cart_add">Adição ao Carrinho</option>
+                <option value="checkout_start">Checkout</option>
+                <option value="checkout_complete">Compra</option>
                 <option value="login">Login</option>
                 <option value="signup">Cadastro</option>
                 <option value="error">Erro</option>
@@ -284,25 +479,54 @@ const LogViewer = () => {
             <button type="button" className="btn-secondary" onClick={exportToCSV}>
               Exportar para CSV
             </button>
+            <button
+              type="button"
+              className={liveMode ? 'btn-danger' : 'btn-secondary'}
+              onClick={toggleLiveMode}
+            >
+              {liveMode ? 'Parar ao vivo' : 'Ao vivo'}
+            </button>
           </div>
         </form>
       </div>
       
+      {/* Controles do modo ao vivo */}
+      {liveMode && (
+        <div className="logs-live-bar">
+          <span className={`live-status ${liveStatus}`}>
+            {liveStatus === 'connected' ? 'Conectado' : liveStatus === 'reconnecting' ? 'Reconectando...' : 'Conectando...'}
+          </span>
+          <span className="live-count">
+            {liveLogs.length} evento(s) exibido(s) (máximo {MAX_LIVE_LOGS})
+          </span>
+          <button type="button" className="btn-secondary" onClick={toggleLivePause}>
+            {livePaused ? `Retomar (${pendingCount} novo(s))` : 'Pausar'}
+          </button>
+          <button type="button" className="btn-secondary" onClick={clearLiveBuffer}>
+            Limpar
+          </button>
+        </div>
+      )}
+      
       {/* Exibição dos logs */}
       <div className="logs-container">
-        {loading ? (
+        {loading && !liveMode ? (
           <div className="logs-loading">
             <div className="spinner"></div>
             <p>Carregando logs...</p>
           </div>
-        ) : error ? (
+        ) : error && !liveMode ? (
           <div className="logs-error">
             <p>{error}</p>
             <button onClick={fetchLogs}>Tentar novamente</button>
           </div>
-        ) : logs.length === 0 ? (
+        ) : displayedLogs.length === 0 ? (
           <div className="logs-empty">
-            <p>Nenhum log encontrado para os filtros selecionados.</p>
+            <p>
+              {liveMode
+                ? 'Aguardando novos eventos...'
+                : 'Nenhum log encontrado para os filtros selecionados.'}
+            </p>
           </div>
         ) : (
           <table className="logs-table">
@@ -317,23 +541,32 @@ const LogViewer = () => {
               </tr>
             </thead>
             <tbody>
-              {logs.map(log => (
+              {displayedLogs.map(log => (
                 <tr key={log._id} className={getSeverityClass(log.severity)}>
                   <td>{log.eventType}</td>
                   <td>{log.userId || 'N/A'}</td>
-                  <td>{log.productId || 'N/A'}</td>
+                  <td>{log.eventData?.productId || 'N/A'}</td>
                   <td>
                     <span className={`severity-badge ${log.severity}`}>
                       {log.severity}
                     </span>
                   </td>
-                  <td>{log.message}</td>
-                  <td>{formatDate(log.createdAt)}</td>
+                  <td>{describeLog(log)}</td>
+                  <td>{formatDate(log.timestamp)}</td>
                 </tr>
               ))}
             </tbody>
           </table>
         )}
+        
+        {/* Paginação por cursor */}
+        {!loading && !liveMode && nextCursor && (
+          <div className="logs-pagination">
+            <button className="btn-secondary" onClick={fetchMoreLogs} disabled={loadingMore}>
+              {loadingMore ? 'Carregando...' : 'Carregar mais'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,16 +2,27 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { LoggerProvider } from './utils/loggerReact';
+import LoggerClient from './utils/loggerClient';
 import reportWebVitals from './reportWebVitals';
 
+// LoggerClient compartilhado pelo LoggerProvider e pela coleta de desempenho: as páginas
+// são registradas pelas rotas (useTrackPageView no App) e a captura automática fica
+// com os cliques em [data-track] e os erros.
+// Painel interno: o uso pelos administradores é registrado sem banner de consentimento.
+const logger = new LoggerClient({
+  autoCapture: { pageViews: false },
+  defaultConsent: { analytics: true }
+});
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <LoggerProvider client={logger}>
+      <App />
+    </LoggerProvider>
   </React.StrictMode>
 );
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Métricas de desempenho (LCP, CLS, INP, FCP e TTFB) enviadas como eventos web_vital
+reportWebVitals(metric => logger.logWebVital(metric));
@@ -1,11 +1,22 @@
+/**
+ * Coleta das métricas de desempenho da página (Core Web Vitals)
+ *
+ * Cada métrica (LCP, CLS, INP, FCP e TTFB) é informada ao callback quando
+ * o valor é definido; CLS e INP podem ser informados apenas quando a página
+ * deixa de ser exibida.
+ *
+ * Exemplo: reportWebVitals(metric => logger.logWebVital(metric));
+ *
+ * @param {Function} onPerfEntry - Recebe cada métrica ({ name, value, rating, delta, id, navigationType })
+ */
 const reportWebVitals = (onPerfEntry) => {
   if (onPerfEntry && typeof onPerfEntry === 'function') {
-    import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-      getCLS(onPerfEntry);
-      getFID(onPerfEntry);
-      getFCP(onPerfEntry);
-      getLCP(onPerfEntry);
-      getTTFB(onPerfEntry);
+    import('web-vitals').then(({ onCLS, onINP, onFCP, onLCP, onTTFB }) => {
+      onCLS(onPerfEntry);
+      onINP(onPerfEntry);
+      onFCP(onPerfEntry);
+      onLCP(onPerfEntry);
+      onTTFB(onPerfEntry);
     });
   }
 };
@@ -0,0 +1,58 @@
+/**
+ * Autenticação das requisições do painel administrativo
+ *
+ * Os endpoints de estatísticas e de consulta de eventos exigem o token JWT
+ * de um administrador (retornado por POST /api/admin/users/login). O token
+ * é salvo no sessionStorage após o login; em implantações internas, pode
+ * ser definido em REACT_APP_ADMIN_TOKEN.
+ *
+ * @module utils/adminAuth
+ */
+
+// Chave do token salvo no sessionStorage
+const ADMIN_TOKEN_STORAGE_KEY = 'admin_token';
+
+/**
+ * Obtém o token do administrador
+ *
+ * @returns {String|null} Token JWT ou null se não houver login
+ */
+export function getAdminToken() {
+  try {
+    const stored = window.sessionStorage.getItem(ADMIN_TOKEN_STORAGE_KEY);
+    if (stored) {
+      return stored;
+    }
+  } catch (error) {
+    // Sem sessionStorage: usa apenas o token da configuração
+  }
+
+  return process.env.REACT_APP_ADMIN_TOKEN || null;
+}
+
+/**
+ * Salva o token retornado pelo login (ou remove, com null)
+ *
+ * @param {String|null} token - Token JWT
+ */
+export function setAdminToken(token) {
+  try {
+    if (token) {
+      window.sessionStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, token);
+    } else {
+      window.sessionStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Sem sessionStorage: o token não é mantido
+  }
+}
+
+/**
+ * Cabeçalhos de autenticação para as requisições ao backend
+ *
+ * @returns {Object} Cabeçalho Authorization (vazio sem token)
+ */
+export function getAuthHeaders() {
+  const token = getAdminToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -0,0 +1,225 @@
+/**
+ * Captura automática de eventos do LoggerClient
+ *
+ * Registra, sem chamadas manuais:
+ * - visualizações de página no carregamento e a cada navegação pela
+ *   History API (pushState, replaceState e botões voltar/avançar), o que
+ *   inclui as rotas do react-router;
+ * - cliques em elementos com o atributo data-track, com os demais
+ *   atributos data-* do elemento como dados do evento;
+ * - erros não tratados e promessas rejeitadas sem tratamento.
+ *
+ * Exemplo de elemento rastreado:
+ *   <button data-track="banner_cta" data-product-id="prod_456">Comprar</button>
+ *   → evento "click" com { track: 'banner_cta', productId: 'prod_456', ... }
+ *
+ * @module utils/autoCapture
+ */
+
+// Recursos capturados quando a captura automática é ativada sem opções
+export const DEFAULT_AUTO_CAPTURE = {
+  pageViews: true,
+  clicks: true,
+  errors: true
+};
+
+// Tamanho máximo do texto do elemento clicado incluído no evento
+const MAX_ELEMENT_TEXT_LENGTH = 100;
+
+// Limite de erros capturados por página (evita inundar a fila com um erro em loop)
+const MAX_CAPTURED_ERRORS = 50;
+
+/**
+ * Obtém o caminho da página atual (sem o domínio e sem a âncora)
+ *
+ * @returns {String} Caminho com a query string
+ * @private
+ */
+function currentPath() {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * Ativa a captura de visualizações de página
+ *
+ * @param {LoggerClient} logger - Cliente de logging
+ * @returns {Function} Função que desativa a captura
+ * @private
+ */
+function capturePageViews(logger) {
+  let lastPath = null;
+
+  const logNavigation = navigationType => {
+    const path = currentPath();
+    if (path === lastPath) {
+      return;
+    }
+
+    const previousPath = lastPath;
+    lastPath = path;
+
+    logger.logPageView(document.title, {
+      path,
+      previousPath,
+      navigationType
+    });
+  };
+
+  // O react-router atualiza a tela (e o título) depois do pushState
+  const logAfterRender = navigationType => {
+    setTimeout(() => logNavigation(navigationType), 0);
+  };
+
+  const originalPushState = window.history.pushState;
+  const originalReplaceState = window.history.replaceState;
+
+  const patchedPushState = function(...args) {
+    const result = originalPushState.apply(this, args);
+    logAfterRender('push');
+    return result;
+  };
+
+  const patchedReplaceState = function(...args) {
+    const result = originalReplaceState.apply(this, args);
+    logAfterRender('replace');
+    return result;
+  };
+
+  const handlePopState = () => logAfterRender('pop');
+
+  window.history.pushState = patchedPushState;
+  window.history.replaceState = patchedReplaceState;
+  window.addEventListener('popstate', handlePopState);
+
+  logNavigation('load');
+
+  return () => {
+    // Só restaura se nenhuma outra biblioteca substituiu as funções depois
+    if (window.history.pushState === patchedPushState) {
+      window.history.pushState = originalPushState;
+    }
+    if (window.history.replaceState === patchedReplaceState) {
+      window.history.replaceState = originalReplaceState;
+    }
+    window.removeEventListener('popstate', handlePopState);
+  };
+}
+
+/**
+ * Ativa a captura de cliques em elementos com data-track
+ *
+ * @param {LoggerClient} logger - Cliente de logging
+ * @returns {Function} Função que desativa a captura
+ * @private
+ */
+function captureClicks(logger) {
+  const handleClick = event => {
+    const element = event.target && event.target.closest
+      ? event.target.closest('[data-track]')
+      : null;
+
+    if (!element) {
+      return;
+    }
+
+    const text = (element.innerText || element.textContent || '').trim();
+
+    logger.logEvent('click', {
+      ...element.dataset,
+      elementTag: element.tagName.toLowerCase(),
+      elementText: text.substring(0, MAX_ELEMENT_TEXT_LENGTH),
+      path: currentPath()
+    });
+  };
+
+  // Fase de captura: o clique é registrado mesmo se a aplicação chamar stopPropagation
+  document.addEventListener('click', handleClick, true);
+
+  return () => {
+    document.removeEventListener('click', handleClick, true);
+  };
+}
+
+/**
+ * Ativa a captura de erros não tratados e promessas rejeitadas
+ *
+ * @param {LoggerClient} logger - Cliente de logging
+ * @returns {Function} Função que desativa a captura
+ * @private
+ */
+function captureErrors(logger) {
+  let capturedErrors = 0;
+
+  const canCapture = () => {
+    capturedErrors += 1;
+    return capturedErrors <= MAX_CAPTURED_ERRORS;
+  };
+
+  const handleError = event => {
+    if (!canCapture()) {
+      return;
+    }
+
+    const { error } = event;
+    logger.logError(event.message || (error && error.message) || 'Erro desconhecido', {
+      errorName: error && error.name,
+      errorStack: error && error.stack,
+      source: event.filename,
+      line: event.lineno,
+      column: event.colno,
+      captureType: 'uncaught_error',
+      path: currentPath()
+    });
+  };
+
+  const handleRejection = event => {
+    if (!canCapture()) {
+      return;
+    }
+
+    const { reason } = event;
+    const isError = reason instanceof Error;
+
+    logger.logError(isError ? reason.message : String(reason), {
+      errorName: isError ? reason.name : undefined,
+      errorStack: isError ? reason.stack : undefined,
+      captureType: 'unhandled_rejection',
+      path: currentPath()
+    });
+  };
+
+  window.addEventListener('error', handleError);
+  window.addEventListener('unhandledrejection', handleRejection);
+
+  return () => {
+    window.removeEventListener('error', handleError);
+    window.removeEventListener('unhandledrejection', handleRejection);
+  };
+}
+
+/**
+ * Ativa a captura automática de eventos
+ *
+ * @param {LoggerClient} logger - Cliente de logging
+ * @param {Object} options - Recursos a capturar ({ pageViews, clicks, errors })
+ * @returns {Function} Função que desativa toda a captura ativada
+ */
+export function installAutoCapture(logger, options = DEFAULT_AUTO_CAPTURE) {
+  const uninstallers = [];
+
+  if (options.pageViews) {
+    uninstallers.push(capturePageViews(logger));
+  }
+
+  if (options.clicks) {
+    uninstallers.push(captureClicks(logger));
+  }
+
+  if (options.errors) {
+    uninstallers.push(captureErrors(logger));
+  }
+
+  return () => {
+    uninstallers.forEach(uninstall => uninstall());
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Consentimento para rastreamento (LGPD)
+ *
+ * Define as categorias de consentimento, a categoria de cada tipo de
+ * evento e a leitura do sinal Do-Not-Track do navegador. O LoggerClient
+ * usa estas regras para decidir se um evento é enviado, mantido em espera
+ * até a decisão do titular ou descartado.
+ *
+ * Categorias:
+ * - necessary: eventos indispensáveis ao funcionamento (ex: erros); sempre permitidos
+ * - analytics: navegação, produtos, carrinho e compras
+ * - marketing: recomendações e campanhas
+ *
+ * @module utils/consent
+ */
+
+// Categorias de consentimento
+export const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+// Chave do consentimento salvo no localStorage
+const CONSENT_STORAGE_KEY = 'logger_consent';
+
+// Categoria dos tipos de evento (os não listados são analytics)
+export const EVENT_CATEGORIES = {
+  error: 'necessary',
+  recommendation_click: 'marketing',
+  campaign_click: 'marketing',
+  ad_click: 'marketing'
+};
+
+/**
+ * Indica se o navegador pede para não ser rastreado
+ *
+ * Considera o Do-Not-Track (nas variações dos navegadores) e o
+ * Global Privacy Control.
+ *
+ * @returns {Boolean} Verdadeiro se o rastreamento não deve ocorrer
+ */
+export function isDoNotTrackEnabled() {
+  if (typeof navigator === 'undefined') {
+    return false;
+  }
+
+  const signal = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return signal === '1' || signal === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Carrega o consentimento salvo em visitas anteriores
+ *
+ * @returns {Object|null} Consentimento ({ analytics, marketing }) ou null se não houver
+ */
+export function loadConsent() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CONSENT_STORAGE_KEY));
+    if (stored && typeof stored.analytics === 'boolean' && typeof stored.marketing === 'boolean') {
+      return { analytics: stored.analytics, marketing: stored.marketing };
+    }
+  } catch (error) {
+    // Sem localStorage ou registro ilegível: consentimento ainda não decidido
+  }
+
+  return null;
+}
+
+/**
+ * Salva o consentimento para as próximas visitas
+ *
+ * @param {Object} consent - Consentimento ({ analytics, marketing })
+ */
+export function saveConsent(consent) {
+  try {
+    window.localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({
+      analytics: consent.analytics,
+      marketing: consent.marketing,
+      updatedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    // Sem localStorage: o consentimento vale apenas para esta página
+  }
+}
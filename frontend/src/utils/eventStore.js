@@ -0,0 +1,293 @@
+/**
+ * Armazenamento persistente da fila de eventos do LoggerClient
+ *
+ * Guarda a fila no IndexedDB para que os eventos ainda não enviados
+ * sobrevivam ao fechamento da aba ou à queda da conexão. Quando o
+ * IndexedDB não está disponível (navegadores antigos, alguns modos
+ * privados), usa o localStorage; sem nenhum dos dois, mantém a fila
+ * apenas em memória.
+ *
+ * Cada evento é gravado em um registro próprio (identificado pelo
+ * eventId), e cada gravação inclui ou remove apenas os eventos que
+ * mudaram. Assim, várias abas abertas ao mesmo tempo não sobrescrevem a
+ * fila umas das outras. Uma aba restaura também os eventos pendentes das
+ * demais; se as duas os enviarem, o servidor descarta os repetidos pelo
+ * eventId.
+ *
+ * @module utils/eventStore
+ */
+
+// Banco e object store do IndexedDB (registros com a chave [chave da fila, eventId])
+const DB_NAME = 'logger_client';
+const DB_VERSION = 2;
+const STORE_NAME = 'queued_events';
+
+// Object store da versão 1, que guardava a fila inteira em um único registro
+const LEGACY_STORE_NAME = 'queues';
+
+/**
+ * Armazenamento da fila de eventos
+ *
+ * Os eventos são gravados um a um, agrupados pela chave informada.
+ */
+class EventStore {
+  /**
+   * Cria o armazenamento da fila
+   *
+   * @param {String} key - Chave do registro da fila
+   */
+  constructor(key) {
+    this.key = key;
+
+    // Escolha do tipo de armazenamento (indexeddb, localstorage ou memory), feita uma única vez
+    this.backend = null;
+
+    // Conexão com o IndexedDB (aberta uma única vez)
+    this.db = null;
+
+    // Gravações encadeadas, para que uma gravação antiga não sobrescreva uma nova
+    this.pendingWrite = Promise.resolve();
+
+    // IDs dos eventos gravados por esta instância (ou restaurados por ela)
+    this.storedIds = new Set();
+  }
+
+  /**
+   * Escolhe o tipo de armazenamento disponível no navegador
+   *
+   * @returns {Promise<String>} Tipo de armazenamento
+   * @private
+   */
+  _init() {
+    if (!this.backend) {
+      this.backend = this._openDatabase()
+        .then(db => {
+          this.db = db;
+          return 'indexeddb';
+        })
+        .catch(() => (this._hasLocalStorage() ? 'localstorage' : 'memory'));
+    }
+
+    return this.backend;
+  }
+
+  /**
+   * Abre (ou cria) o banco do IndexedDB
+   *
+   * @returns {Promise<IDBDatabase>} Conexão com o banco
+   * @private
+   */
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB indisponível'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(STORE_NAME);
+
+        // Versão 1: converte cada fila gravada em registros por evento
+        if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+          const legacy = request.transaction.objectStore(LEGACY_STORE_NAME);
+          legacy.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) {
+              db.deleteObjectStore(LEGACY_STORE_NAME);
+              return;
+            }
+
+            (Array.isArray(cursor.value) ? cursor.value : [])
+              .filter(event => event && event.eventId)
+              .forEach(event => store.put(event, [cursor.key, event.eventId]));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB bloqueado'));
+    });
+  }
+
+  /**
+   * Verifica se o localStorage pode ser usado
+   *
+   * @returns {Boolean} Verdadeiro se o localStorage aceita gravações
+   * @private
+   */
+  _hasLocalStorage() {
+    try {
+      const testKey = `${this.key}__test`;
+      window.localStorage.setItem(testKey, '1');
+      window.localStorage.removeItem(testKey);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Chave de um evento no localStorage
+   *
+   * @param {String} eventId - ID do evento
+   * @returns {String} Chave do registro
+   * @private
+   */
+  _storageKey(eventId) {
+    return `${this.key}:${eventId}`;
+  }
+
+  /**
+   * Executa uma operação no object store do IndexedDB
+   *
+   * @param {String} mode - Modo da transação (readonly ou readwrite)
+   * @param {Function} operation - Recebe o object store e retorna a requisição (opcional)
+   * @returns {Promise<*>} Resultado da requisição
+   * @private
+   */
+  _withStore(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Carrega a fila gravada
+   *
+   * As gravações feitas durante o carregamento aguardam a leitura, para
+   * não sobrescrever a fila gravada antes de ela ser lida.
+   *
+   * @returns {Promise<Array>} Eventos gravados (lista vazia se não houver)
+   */
+  load() {
+    const loading = this._read();
+    this.pendingWrite = loading.then(() => {}, () => {});
+    return loading;
+  }
+
+  /**
+   * Lê os eventos gravados (inclusive os de outras abas), do mais antigo ao mais recente
+   *
+   * @returns {Promise<Array>} Eventos gravados
+   * @private
+   */
+  async _read() {
+    const backend = await this._init();
+    let events = [];
+
+    try {
+      if (backend === 'indexeddb') {
+        const range = IDBKeyRange.bound([this.key], [this.key, []]);
+        events = await this._withStore('readonly', store => store.getAll(range));
+      } else if (backend === 'localstorage') {
+        events = this._readLocalStorage();
+      }
+    } catch (error) {
+      // Armazenamento ilegível: começa com a fila vazia
+    }
+
+    events = events
+      .filter(event => event && event.eventId)
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    events.forEach(event => this.storedIds.add(event.eventId));
+
+    return events;
+  }
+
+  /**
+   * Lê os eventos gravados no localStorage
+   *
+   * A fila gravada pela versão anterior (um único registro) é convertida
+   * em registros por evento.
+   *
+   * @returns {Array} Eventos gravados
+   * @private
+   */
+  _readLocalStorage() {
+    const storage = window.localStorage;
+    const legacy = storage.getItem(this.key);
+
+    if (legacy !== null) {
+      try {
+        const events = JSON.parse(legacy);
+        (Array.isArray(events) ? events : [])
+          .filter(event => event && event.eventId)
+          .forEach(event => storage.setItem(this._storageKey(event.eventId), JSON.stringify(event)));
+      } catch (error) {
+        // Fila anterior corrompida: é descartada
+      }
+      storage.removeItem(this.key);
+    }
+
+    const prefix = this._storageKey('');
+    const events = [];
+
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (!key || !key.startsWith(prefix)) continue;
+
+      try {
+        events.push(JSON.parse(storage.getItem(key)));
+      } catch (error) {
+        // Registro corrompido: ignorado
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Grava a fila
+   *
+   * Grava os eventos novos e remove os que saíram da fila; eventos
+   * gravados por outras abas não são alterados. Falhas de gravação (ex:
+   * cota excedida) são ignoradas: a fila continua em memória e é gravada
+   * novamente na próxima alteração.
+   *
+   * @param {Array} events - Eventos da fila
+   * @returns {Promise} Promessa resolvida quando a gravação termina
+   */
+  save(events) {
+    const snapshot = new Map(events
+      .filter(event => event && event.eventId)
+      .map(event => [event.eventId, event]));
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const backend = await this._init();
+      const added = [...snapshot.values()].filter(event => !this.storedIds.has(event.eventId));
+      const removed = [...this.storedIds].filter(eventId => !snapshot.has(eventId));
+
+      if (added.length === 0 && removed.length === 0) return;
+
+      try {
+        if (backend === 'indexeddb') {
+          await this._withStore('readwrite', store => {
+            added.forEach(event => store.put(event, [this.key, event.eventId]));
+            removed.forEach(eventId => store.delete([this.key, eventId]));
+          });
+        } else if (backend === 'localstorage') {
+          added.forEach(event => window.localStorage.setItem(this._storageKey(event.eventId), JSON.stringify(event)));
+          removed.forEach(eventId => window.localStorage.removeItem(this._storageKey(eventId)));
+        } else {
+          return;
+        }
+
+        added.forEach(event => this.storedIds.add(event.eventId));
+        removed.forEach(eventId => this.storedIds.delete(eventId));
+      } catch (error) {
+        // Mantém apenas em memória até a próxima gravação
+      }
+    });
+
+    return this.pendingWrite;
+  }
+}
+
+export default EventStore;
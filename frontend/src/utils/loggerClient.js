@@ -0,0 +1,1345 @@
+/**
+ * Utilitário para integração de logs no e-commerce
+ * 
+ * Este módulo fornece funções para registrar eventos e logs
+ * do e-commerce, facilitando a análise de comportamento do usuário.
+ * 
+ * @module utils/loggerClient
+ */
+
+import EventStore from './eventStore';
+import { DEFAULT_AUTO_CAPTURE, installAutoCapture } from './autoCapture';
+import { EVENT_CATEGORIES, isDoNotTrackEnabled, loadConsent, saveConsent } from './consent';
+import { DEFAULT_REMOTE_CONFIG, getSampleRate, isSampledIn, loadRemoteConfig, saveRemoteConfig } from './remoteConfig';
+
+// Chave do ID anônimo persistente no localStorage
+const ANONYMOUS_ID_STORAGE_KEY = 'logger_anonymous_id';
+
+// Chave da fila de eventos no armazenamento persistente
+const QUEUE_STORAGE_KEY = 'logger_event_queue';
+
+// Máximo de eventos por requisição aceito pelo servidor (POST /api/logs/batch)
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Cliente de logging para o e-commerce
+ * 
+ * Esta classe fornece métodos para registrar diferentes tipos de eventos
+ * que ocorrem durante a navegação e uso do e-commerce.
+ * 
+ * Cada evento pertence a uma categoria de consentimento (ver utils/consent):
+ * enquanto o titular não decide, os eventos de analytics e marketing ficam
+ * em espera na memória; com o consentimento negado ou com Do-Not-Track
+ * ativo, são descartados.
+ * 
+ * Os eventos ficam em uma fila persistente (IndexedDB ou localStorage) até
+ * serem aceitos pelo servidor. Em caso de falha, o envio é repetido com
+ * espera exponencial e variação aleatória (jitter); se a fila atingir o
+ * limite, os eventos mais antigos são descartados.
+ * 
+ * A configuração remota (GET /api/logs/config, ver utils/remoteConfig)
+ * define a amostragem por tipo de evento e os limites por sessão: eventos
+ * fora da amostra ou acima do limite não são enviados, e os enviados
+ * informam sua taxa em sampleRate para que as estatísticas estimem o total.
+ */
+class LoggerClient {
+  /**
+   * Cria uma instância do cliente de logging
+   * 
+   * @param {Object} options - Opções de configuração
+   * @param {String} options.apiUrl - URL base da API de logs
+   * @param {String} options.writeKey - Chave de escrita da loja (cadastrada em /api/admin/sources)
+   * @param {Boolean} options.debug - Ativa o modo de depuração
+   * @param {Function} options.errorHandler - Função para tratamento de erros
+   * @param {Number} options.flushInterval - Intervalo do envio automático (em ms)
+   * @param {Number} options.maxQueueSize - Máximo de eventos na fila (padrão: 1000)
+   * @param {Number} options.batchSize - Máximo de eventos por envio (padrão: 100)
+   * @param {Number} options.retryBaseDelay - Espera inicial após uma falha (em ms, padrão: 2000)
+   * @param {Number} options.retryMaxDelay - Espera máxima entre tentativas (em ms, padrão: 5 minutos)
+   * @param {Boolean|Object} options.autoCapture - Ativa a captura automática de eventos
+   *   (true para todos os recursos ou { pageViews, clicks, errors }; padrão: desativada)
+   * @param {Object} options.defaultConsent - Consentimento antes da decisão do titular
+   *   ({ analytics, marketing }; padrão: ambos pendentes)
+   * @param {Boolean} options.respectDoNotTrack - Descarta analytics e marketing com Do-Not-Track (padrão: true)
+   * @param {String} options.policyVersion - Versão da política de privacidade enviada com o consentimento
+   * @param {Object} options.eventCategories - Categoria de consentimento de tipos de evento adicionais
+   * @param {Boolean} options.remoteConfig - Usa a configuração de /api/logs/config (padrão: true);
+   *   quando recebida, seu intervalo e tamanho de lote substituem flushInterval e batchSize
+   */
+  constructor(options = {}) {
+    // URL base da API de logs a partir das variáveis de ambiente
+    const baseApiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.apiUrl = options.apiUrl || `${baseApiUrl}/api/logs`;
+    
+    // Chave de escrita que identifica a loja de origem dos eventos
+    this.writeKey = options.writeKey || process.env.REACT_APP_LOGGER_WRITE_KEY || null;
+    
+    // Modo de depuração
+    this.debug = options.debug || false;
+    
+    // Função para tratamento de erros
+    this.errorHandler = options.errorHandler || console.error;
+    
+    // Informações da sessão
+    this.sessionId = this._generateSessionId();
+    
+    // ID anônimo persistente do navegador (liga as visitas anteriores ao login)
+    this.anonymousId = this._loadAnonymousId();
+    
+    // Informações do usuário
+    this.userId = null;
+    
+    // Fila de eventos para envio em lote
+    this.eventQueue = [];
+    
+    // Limites da fila e de cada envio
+    this.maxQueueSize = options.maxQueueSize || 1000;
+    this.batchSize = Math.min(options.batchSize || 100, MAX_BATCH_SIZE);
+    
+    // Espera entre tentativas após falhas (exponencial, com jitter)
+    this.retryBaseDelay = options.retryBaseDelay || 2000;
+    this.retryMaxDelay = options.retryMaxDelay || 5 * 60 * 1000;
+    this.retryAttempt = 0;
+    this.nextRetryAt = 0;
+    this.retryTimer = null;
+    
+    // Envio em andamento (evita enviar os mesmos eventos duas vezes)
+    this.sending = null;
+    
+    // Contadores de eventos enviados, reenviados e descartados
+    this.stats = {
+      sent: 0,
+      retried: 0,
+      dropped: 0,
+      blockedByConsent: 0,
+      sampledOut: 0,
+      throttled: 0
+    };
+    
+    // Consentimento: o salvo em visitas anteriores prevalece sobre o padrão
+    // (null indica categoria ainda não decidida pelo titular)
+    const defaultConsent = options.defaultConsent || {};
+    this.consent = loadConsent() || {
+      analytics: typeof defaultConsent.analytics === 'boolean' ? defaultConsent.analytics : null,
+      marketing: typeof defaultConsent.marketing === 'boolean' ? defaultConsent.marketing : null
+    };
+    this.doNotTrack = options.respectDoNotTrack !== false && isDoNotTrackEnabled();
+    this.policyVersion = options.policyVersion || null;
+    this.eventCategories = { ...EVENT_CATEGORIES, ...(options.eventCategories || {}) };
+    
+    // Eventos aguardando a decisão de consentimento (apenas em memória)
+    this.pendingConsentEvents = [];
+    
+    // Fila persistente: os eventos gravados em visitas anteriores entram
+    // antes dos registrados enquanto o armazenamento é carregado
+    this.store = new EventStore(QUEUE_STORAGE_KEY);
+    this.ready = this.store.load().then(storedEvents => {
+      const queuedIds = new Set(this.eventQueue.map(event => event.eventId));
+      const restored = storedEvents.filter(event => !queuedIds.has(event.eventId));
+      
+      this.eventQueue = [...restored, ...this.eventQueue];
+      this._enforceQueueLimit();
+      this._persistQueue();
+      
+      if (this.debug && restored.length > 0) {
+        console.log(`${restored.length} eventos pendentes restaurados`);
+      }
+    });
+    
+    // Intervalo para envio automático de eventos (em ms)
+    this.flushInterval = options.flushInterval || 10000; // 10 segundos
+    this.flushTimer = null;
+    
+    // Configuração remota: a salva em visitas anteriores vale até a próxima atualização
+    this.remoteConfigEnabled = options.remoteConfig !== false;
+    this.remoteConfig = { ...DEFAULT_REMOTE_CONFIG, flushIntervalMs: this.flushInterval, batchSize: this.batchSize };
+    this.remoteConfigFetchedAt = 0;
+    this.refreshingConfig = null;
+    
+    // Eventos desta sessão, para os limites da configuração remota
+    this.sessionEventCounts = { total: 0, byType: {} };
+    
+    // Visualizadores 3D abertos por produto (início e interações, para o tempo de uso)
+    this.model3dViews = {};
+    
+    const storedConfig = this.remoteConfigEnabled ? loadRemoteConfig() : null;
+    if (storedConfig) {
+      this._applyRemoteConfig(storedConfig.config);
+      this.remoteConfigFetchedAt = storedConfig.fetchedAt;
+    }
+    
+    // Inicia o envio automático de eventos
+    this._startAutoFlush();
+    
+    if (this._isRemoteConfigStale()) {
+      this.refreshRemoteConfig().catch(() => {});
+    }
+    
+    // Captura automática de páginas, cliques e erros (opcional)
+    this.uninstallAutoCapture = null;
+    if (options.autoCapture) {
+      this.enableAutoCapture(options.autoCapture === true ? {} : options.autoCapture);
+    }
+    
+    // Log de inicialização
+    if (this.debug) {
+      console.log('LoggerClient inicializado', {
+        sessionId: this.sessionId,
+        anonymousId: this.anonymousId,
+        consent: this.getConsent(),
+        apiUrl: this.apiUrl
+      });
+    }
+  }
+  
+  /**
+   * Gera um ID de sessão único
+   * 
+   * @returns {String} ID de sessão
+   * @private
+   */
+  _generateSessionId() {
+    return 'sess_' + Math.random().toString(36).substring(2, 15) + 
+           Math.random().toString(36).substring(2, 15);
+  }
+  
+  /**
+   * Obtém o ID anônimo do navegador, gerando e salvando um novo na primeira visita
+   * 
+   * Se o localStorage não estiver disponível (modo privado, bloqueado),
+   * o ID vale apenas para esta página.
+   * 
+   * @returns {String} ID anônimo
+   * @private
+   */
+  _loadAnonymousId() {
+    try {
+      const storedId = window.localStorage.getItem(ANONYMOUS_ID_STORAGE_KEY);
+      if (storedId) {
+        return storedId;
+      }
+      
+      const anonymousId = 'anon_' + this._generateEventId().substring(4);
+      window.localStorage.setItem(ANONYMOUS_ID_STORAGE_KEY, anonymousId);
+      return anonymousId;
+    } catch (error) {
+      return 'anon_' + this._generateEventId().substring(4);
+    }
+  }
+  
+  /**
+   * Gera um ID único para cada evento
+   * 
+   * O servidor usa este ID para descartar eventos reenviados após uma
+   * falha de rede, evitando contagens duplicadas.
+   * 
+   * @returns {String} ID do evento
+   * @private
+   */
+  _generateEventId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return 'evt_' + crypto.randomUUID();
+    }
+    
+    return 'evt_' + Date.now().toString(36) + '_' +
+           Math.random().toString(36).substring(2, 15) +
+           Math.random().toString(36).substring(2, 15);
+  }
+  
+  /**
+   * Inicia o envio automático de eventos em intervalos regulares
+   * 
+   * @private
+   */
+  _startAutoFlush() {
+    this._scheduleAutoFlush();
+    
+    // Também envia eventos quando o usuário sai da página
+    window.addEventListener('beforeunload', () => {
+      this._closeModel3dViews();
+      this.flush(true);
+    });
+    
+    // Ao recuperar a conexão, tenta enviar imediatamente
+    window.addEventListener('online', () => {
+      this._resetRetry();
+      this.flush().catch(() => {});
+    });
+  }
+  
+  /**
+   * (Re)inicia o timer do envio automático com o intervalo atual
+   * 
+   * A cada envio automático, a configuração remota é atualizada se o
+   * cache tiver expirado.
+   * 
+   * @private
+   */
+  _scheduleAutoFlush() {
+    clearInterval(this.flushTimer);
+    
+    this.flushTimer = setInterval(() => {
+      // Durante a espera após uma falha, o envio fica com o timer de nova tentativa
+      if (Date.now() >= this.nextRetryAt) {
+        this.flush().catch(() => {});
+      }
+      
+      if (this._isRemoteConfigStale()) {
+        this.refreshRemoteConfig().catch(() => {});
+      }
+    }, this.flushInterval);
+  }
+  
+  /**
+   * Baixa a configuração remota e passa a usá-la
+   * 
+   * Em caso de falha, a configuração atual continua valendo.
+   * 
+   * @returns {Promise<Object>} Configuração em uso
+   */
+  async refreshRemoteConfig() {
+    // Uma atualização por vez
+    if (!this.refreshingConfig) {
+      this.refreshingConfig = this._fetchRemoteConfig().finally(() => {
+        this.refreshingConfig = null;
+      });
+    }
+    
+    return this.refreshingConfig;
+  }
+  
+  /**
+   * Busca a configuração em GET /api/logs/config
+   * 
+   * @returns {Promise<Object>} Configuração em uso
+   * @private
+   */
+  async _fetchRemoteConfig() {
+    const requestOptions = { headers: {} };
+    if (this.writeKey) {
+      requestOptions.headers['X-Write-Key'] = this.writeKey;
+    }
+    
+    try {
+      const response = await fetch(this.apiUrl + '/config', requestOptions);
+      if (!response.ok) {
+        throw new Error(`Erro na requisição /config: ${response.status}`);
+      }
+      
+      const body = await response.json();
+      const fetchedAt = Date.now();
+      
+      saveRemoteConfig(body.config, fetchedAt);
+      this._applyRemoteConfig(body.config);
+      this.remoteConfigFetchedAt = fetchedAt;
+      
+      if (this.debug) {
+        console.log('Configuração remota atualizada:', this.remoteConfig);
+      }
+    } catch (error) {
+      // Evita repetir a requisição a cada envio enquanto o servidor estiver fora
+      this.remoteConfigFetchedAt = Date.now();
+      this.errorHandler('Erro ao buscar configuração do logger:', error);
+      throw error;
+    }
+    
+    return this.remoteConfig;
+  }
+  
+  /**
+   * Passa a usar uma configuração remota
+   * 
+   * @param {Object} config - Configuração recebida do servidor
+   * @private
+   */
+  _applyRemoteConfig(config = {}) {
+    this.remoteConfig = { ...DEFAULT_REMOTE_CONFIG, ...config };
+    
+    if (this.remoteConfig.batchSize > 0) {
+      this.batchSize = Math.min(this.remoteConfig.batchSize, MAX_BATCH_SIZE);
+    }
+    
+    // Com o timer já iniciado, um novo intervalo o reinicia
+    if (this.remoteConfig.flushIntervalMs > 0 && this.remoteConfig.flushIntervalMs !== this.flushInterval) {
+      this.flushInterval = this.remoteConfig.flushIntervalMs;
+      if (this.flushTimer) {
+        this._scheduleAutoFlush();
+      }
+    }
+  }
+  
+  /**
+   * Indica se a configuração remota precisa ser atualizada
+   * 
+   * @returns {Boolean} Verdadeiro se o cache expirou
+   * @private
+   */
+  _isRemoteConfigStale() {
+    if (!this.remoteConfigEnabled) {
+      return false;
+    }
+    
+    const ttl = (this.remoteConfig.cacheTtlSeconds || DEFAULT_REMOTE_CONFIG.cacheTtlSeconds) * 1000;
+    return Date.now() - this.remoteConfigFetchedAt >= ttl;
+  }
+  
+  /**
+   * Aplica a amostragem e os limites por sessão a um novo evento
+   * 
+   * @param {String} eventType - Tipo do evento
+   * @returns {Number|null} Taxa de amostragem do evento ou null se ele não deve ser enviado
+   * @private
+   */
+  _sampleEvent(eventType) {
+    const rate = getSampleRate(this.remoteConfig, eventType);
+    
+    if (!isSampledIn(this.sessionId, eventType, rate)) {
+      this.stats.sampledOut += 1;
+      return null;
+    }
+    
+    const { maxEventsPerSession, eventTypeCaps } = this.remoteConfig;
+    const typeCount = this.sessionEventCounts.byType[eventType] || 0;
+    const typeCap = eventTypeCaps ? eventTypeCaps[eventType] : undefined;
+    
+    if ((maxEventsPerSession > 0 && this.sessionEventCounts.total >= maxEventsPerSession) ||
+        (typeof typeCap === 'number' && typeCount >= typeCap)) {
+      this.stats.throttled += 1;
+      return null;
+    }
+    
+    this.sessionEventCounts.total += 1;
+    this.sessionEventCounts.byType[eventType] = typeCount + 1;
+    
+    return rate;
+  }
+  
+  /**
+   * Adiciona um evento à fila e grava a fila no armazenamento persistente
+   * 
+   * @param {Object} event - Evento
+   * @private
+   */
+  _enqueue(event) {
+    this.eventQueue.push(event);
+    this._enforceQueueLimit();
+    this._persistQueue();
+  }
+  
+  /**
+   * Descarta os eventos mais antigos quando a fila passa do limite
+   * 
+   * @private
+   */
+  _enforceQueueLimit() {
+    const excess = this.eventQueue.length - this.maxQueueSize;
+    if (excess <= 0) {
+      return;
+    }
+    
+    this.eventQueue.splice(0, excess);
+    this.stats.dropped += excess;
+    
+    if (this.debug) {
+      console.log(`${excess} eventos antigos descartados (fila cheia)`);
+    }
+  }
+  
+  /**
+   * Grava a fila atual no armazenamento persistente
+   * 
+   * @returns {Promise} Promessa resolvida quando a gravação termina
+   * @private
+   */
+  _persistQueue() {
+    return this.store.save(this.eventQueue);
+  }
+  
+  /**
+   * Remove da fila os eventos já resolvidos pelo servidor
+   * 
+   * @param {Set<String>} eventIds - IDs dos eventos a remover
+   * @private
+   */
+  _removeFromQueue(eventIds) {
+    this.eventQueue = this.eventQueue.filter(event => !eventIds.has(event.eventId));
+    this._persistQueue();
+  }
+  
+  /**
+   * Agenda uma nova tentativa de envio com espera exponencial e jitter
+   * 
+   * @param {Number} [retryAfterSeconds] - Espera indicada pelo servidor (Retry-After)
+   * @private
+   */
+  _scheduleRetry(retryAfterSeconds) {
+    const exponentialDelay = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, this.retryAttempt));
+    
+    // Metade fixa e metade aleatória, para que clientes que falharam juntos não voltem juntos
+    let delay = exponentialDelay / 2 + Math.random() * exponentialDelay / 2;
+    if (retryAfterSeconds > 0) {
+      delay = Math.max(delay, retryAfterSeconds * 1000);
+    }
+    
+    this.retryAttempt += 1;
+    this.nextRetryAt = Date.now() + delay;
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.flush().catch(() => {});
+    }, delay);
+    
+    if (this.debug) {
+      console.log(`Nova tentativa de envio em ${Math.round(delay / 1000)}s (tentativa ${this.retryAttempt})`);
+    }
+  }
+  
+  /**
+   * Encerra a espera entre tentativas após um envio bem-sucedido
+   * 
+   * @private
+   */
+  _resetRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryAttempt = 0;
+    this.nextRetryAt = 0;
+  }
+  
+  /**
+   * Obtém os contadores da fila de eventos
+   * 
+   * @returns {Object} Eventos enviados, reenviados, descartados (inclusive por falta de consentimento,
+   *   fora da amostra e acima do limite da sessão) e na fila
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.eventQueue.length,
+      pendingConsent: this.pendingConsentEvents.length
+    };
+  }
+  
+  /**
+   * Ativa a captura automática de eventos
+   * 
+   * Registra visualizações de página a cada navegação (History API e
+   * react-router), cliques em elementos com data-track e erros não tratados.
+   * 
+   * @param {Object} options - Recursos a capturar (padrão: todos)
+   * @param {Boolean} options.pageViews - Visualizações de página
+   * @param {Boolean} options.clicks - Cliques em elementos com data-track
+   * @param {Boolean} options.errors - Erros não tratados e promessas rejeitadas
+   */
+  enableAutoCapture(options = {}) {
+    this.disableAutoCapture();
+    
+    const captureOptions = { ...DEFAULT_AUTO_CAPTURE, ...options };
+    this.uninstallAutoCapture = installAutoCapture(this, captureOptions);
+    
+    if (this.debug) {
+      console.log('Captura automática ativada', captureOptions);
+    }
+  }
+  
+  /**
+   * Desativa a captura automática de eventos
+   */
+  disableAutoCapture() {
+    if (this.uninstallAutoCapture) {
+      this.uninstallAutoCapture();
+      this.uninstallAutoCapture = null;
+    }
+  }
+  
+  /**
+   * Define o ID do usuário atual
+   * 
+   * @param {String} userId - ID do usuário
+   */
+  setUserId(userId) {
+    this.userId = userId;
+    
+    if (this.debug) {
+      console.log('ID do usuário definido:', userId);
+    }
+  }
+  
+  /**
+   * Identifica o usuário após o login
+   * 
+   * Define o ID do usuário e liga a sessão atual e o ID anônimo do
+   * navegador a ele, para que os eventos feitos antes do login passem
+   * a fazer parte da jornada do usuário.
+   * 
+   * A ligação só é enviada com consentimento de analytics.
+   * 
+   * @param {String} userId - ID do usuário
+   * @returns {Promise} Promessa resolvida com a resposta do servidor (null sem consentimento)
+   */
+  async identify(userId) {
+    this.setUserId(userId);
+    
+    if (this._getConsentDecision('analytics') !== true) {
+      return null;
+    }
+    
+    try {
+      return await this._postJson('/identify', {
+        userId,
+        sessionId: this.sessionId,
+        anonymousId: this.anonymousId
+      });
+    } catch (error) {
+      this.errorHandler('Erro ao identificar usuário:', error);
+      return Promise.reject(error);
+    }
+  }
+  
+  /**
+   * Define o consentimento do titular e o registra no servidor
+   * 
+   * Os eventos em espera das categorias concedidas entram na fila de envio;
+   * os das categorias negadas (em espera ou ainda na fila) são descartados.
+   * 
+   * @param {Object} consent - Categorias alteradas ({ analytics, marketing })
+   * @param {Object} options - Opções
+   * @param {String} options.collectedVia - Onde o consentimento foi coletado (ex: banner)
+   * @returns {Promise} Promessa resolvida com a resposta do servidor
+   */
+  async setConsent(consent = {}, options = {}) {
+    const hadAnalytics = this._getConsentDecision('analytics') === true;
+    
+    ['analytics', 'marketing'].forEach(category => {
+      if (typeof consent[category] === 'boolean') {
+        this.consent[category] = consent[category];
+      }
+    });
+    
+    // Categorias não informadas na primeira decisão são consideradas negadas
+    this.consent = {
+      analytics: this.consent.analytics === true,
+      marketing: this.consent.marketing === true
+    };
+    saveConsent(this.consent);
+    this._applyConsent();
+    
+    if (this.debug) {
+      console.log('Consentimento atualizado:', this.getConsent());
+    }
+    
+    // Usuário identificado antes do consentimento: envia a ligação pendente
+    if (this.userId && !hadAnalytics && this._getConsentDecision('analytics') === true) {
+      this.identify(this.userId).catch(() => {});
+    }
+    
+    try {
+      return await this._postJson('/consent', {
+        sessionId: this.sessionId,
+        userId: this.userId,
+        anonymousId: this.anonymousId,
+        consent: this.consent,
+        doNotTrack: this.doNotTrack,
+        policyVersion: this.policyVersion,
+        collectedVia: options.collectedVia
+      });
+    } catch (error) {
+      this.errorHandler('Erro ao registrar consentimento:', error);
+      return Promise.reject(error);
+    }
+  }
+  
+  /**
+   * Obtém o consentimento atual
+   * 
+   * @returns {Object} Situação de cada categoria (null se pendente) e o Do-Not-Track
+   */
+  getConsent() {
+    return {
+      necessary: true,
+      analytics: this.consent.analytics,
+      marketing: this.consent.marketing,
+      doNotTrack: this.doNotTrack
+    };
+  }
+  
+  /**
+   * Obtém a categoria de consentimento de um tipo de evento
+   * 
+   * @param {String} eventType - Tipo do evento
+   * @returns {String} Categoria (necessary, analytics ou marketing)
+   * @private
+   */
+  _getEventCategory(eventType) {
+    return this.eventCategories[eventType] || 'analytics';
+  }
+  
+  /**
+   * Decide se uma categoria pode ser rastreada
+   * 
+   * @param {String} category - Categoria de consentimento
+   * @returns {Boolean|null} true (permitida), false (negada) ou null (pendente)
+   * @private
+   */
+  _getConsentDecision(category) {
+    if (category === 'necessary') {
+      return true;
+    }
+    
+    if (this.doNotTrack) {
+      return false;
+    }
+    
+    return this.consent[category] === undefined ? null : this.consent[category];
+  }
+  
+  /**
+   * Aplica o consentimento atual aos eventos em espera e à fila de envio
+   * 
+   * @private
+   */
+  _applyConsent() {
+    const pending = this.pendingConsentEvents;
+    this.pendingConsentEvents = [];
+    
+    pending.forEach(event => {
+      const decision = this._getConsentDecision(this._getEventCategory(event.eventType));
+      if (decision === true) {
+        this._enqueue(event);
+      } else if (decision === false) {
+        this.stats.blockedByConsent += 1;
+      } else {
+        this.pendingConsentEvents.push(event);
+      }
+    });
+    
+    // Revogação: eventos ainda não enviados das categorias negadas saem da fila
+    const revoked = new Set(this.eventQueue
+      .filter(event => this._getConsentDecision(this._getEventCategory(event.eventType)) === false)
+      .map(event => event.eventId));
+    
+    if (revoked.size > 0) {
+      this.stats.blockedByConsent += revoked.size;
+      this._removeFromQueue(revoked);
+    }
+  }
+  
+  /**
+   * Envia um JSON para um endpoint da API de logs com a chave de escrita
+   * 
+   * @param {String} path - Caminho do endpoint (ex: /identify)
+   * @param {Object} body - Corpo da requisição
+   * @returns {Promise<Object>} Resposta do servidor
+   * @private
+   */
+  async _postJson(path, body) {
+    const requestOptions = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    };
+    
+    if (this.writeKey) {
+      requestOptions.headers['X-Write-Key'] = this.writeKey;
+    }
+    
+    const response = await fetch(this.apiUrl + path, requestOptions);
+    
+    if (!response.ok) {
+      throw new Error(`Erro na requisição ${path}: ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Registra um evento genérico
+   * 
+   * @param {String} eventType - Tipo do evento
+   * @param {Object} data - Dados adicionais do evento
+   * @param {String} severity - Severidade do evento (info, warning, error)
+   */
+  logEvent(eventType, data = {}, severity = 'info') {
+    // Cria o objeto de evento
+    const event = {
+      eventId: this._generateEventId(),
+      eventType,
+      sessionId: this.sessionId,
+      anonymousId: this.anonymousId,
+      userId: this.userId,
+      timestamp: new Date().toISOString(),
+      severity,
+      data,
+      url: window.location.href,
+      userAgent: navigator.userAgent
+    };
+    
+    // Aplica o consentimento da categoria do evento
+    const decision = this._getConsentDecision(this._getEventCategory(eventType));
+    
+    if (decision === false) {
+      this.stats.blockedByConsent += 1;
+      return;
+    }
+    
+    // Amostragem e limites por sessão da configuração remota
+    const sampleRate = this._sampleEvent(eventType);
+    if (sampleRate === null) {
+      return;
+    }
+    event.sampleRate = sampleRate;
+    
+    if (decision === null) {
+      // Aguarda a decisão do titular, descartando os mais antigos acima do limite
+      this.pendingConsentEvents.push(event);
+      if (this.pendingConsentEvents.length > this.maxQueueSize) {
+        this.pendingConsentEvents.shift();
+        this.stats.dropped += 1;
+      }
+      return;
+    }
+    
+    // Adiciona à fila de eventos
+    this._enqueue(event);
+    
+    if (this.debug) {
+      console.log('Evento registrado:', event);
+    }
+    
+    // Se for um erro, envia imediatamente (exceto durante a espera após uma falha)
+    if (severity === 'error' && Date.now() >= this.nextRetryAt) {
+      this.flush().catch(() => {});
+    }
+  }
+  
+  /**
+   * Registra visualização de página
+   * 
+   * @param {String} pageTitle - Título da página
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logPageView(pageTitle, additionalData = {}) {
+    this.logEvent('page_view', {
+      pageTitle,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra visualização de produto
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logProductView(productId, productName, additionalData = {}) {
+    this.logEvent('product_view', {
+      productId,
+      productName,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra impressão de produto (produto exibido na tela, ex: em uma listagem)
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Object} additionalData - Dados adicionais (ex: list, position)
+   */
+  logProductImpression(productId, productName, additionalData = {}) {
+    this.logEvent('product_impression', {
+      productId,
+      productName,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra adição de produto ao carrinho
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Number} quantity - Quantidade
+   * @param {Number} price - Preço
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logAddToCart(productId, productName, quantity, price, additionalData = {}) {
+    this.logEvent('add_to_cart', {
+      productId,
+      productName,
+      quantity,
+      price,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra remoção de produto do carrinho
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Number} quantity - Quantidade
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logRemoveFromCart(productId, productName, quantity, additionalData = {}) {
+    this.logEvent('remove_from_cart', {
+      productId,
+      productName,
+      quantity,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra início de checkout
+   * 
+   * @param {Array} items - Itens no carrinho
+   * @param {Number} total - Valor total
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logCheckout(items, total, additionalData = {}) {
+    this.logEvent('checkout', {
+      items,
+      total,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra compra finalizada
+   * 
+   * @param {String} orderId - ID do pedido
+   * @param {Array} items - Itens comprados
+   * @param {Number} total - Valor total
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logPurchase(orderId, items, total, additionalData = {}) {
+    this.logEvent('purchase', {
+      orderId,
+      items,
+      total,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra personalização de produto
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Object} customizations - Personalizações aplicadas
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logCustomization(productId, productName, customizations, additionalData = {}) {
+    this.logEvent('customization', {
+      productId,
+      productName,
+      customizations,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra uma métrica de desempenho da página (Core Web Vitals)
+   * 
+   * Recebe a métrica no formato da biblioteca web-vitals. CLS e INP costumam
+   * ser informados quando a página deixa de ser exibida; nesse caso o envio
+   * é imediato (sendBeacon), já que a página pode não voltar a ser exibida.
+   * 
+   * @param {Object} metric - Métrica ({ name, value, rating, delta, id, navigationType })
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logWebVital(metric, additionalData = {}) {
+    this.logEvent('web_vital', {
+      name: metric.name,
+      value: metric.value,
+      rating: metric.rating,
+      delta: metric.delta,
+      metricId: metric.id,
+      navigationType: metric.navigationType,
+      page: window.location.pathname,
+      ...additionalData
+    });
+    
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+      this.flush(true).catch(() => {});
+    }
+  }
+  
+  /**
+   * Registra a abertura do visualizador 3D de um produto
+   * 
+   * Inicia a contagem do tempo de uso, informado por logModel3dTimeSpent
+   * (ou automaticamente ao sair da página, se o visualizador continuar aberto).
+   * 
+   * @param {String} productId - ID do produto
+   * @param {String} productName - Nome do produto
+   * @param {Object} additionalData - Dados adicionais (ex: modelUrl)
+   */
+  logModel3dOpen(productId, productName, additionalData = {}) {
+    this.model3dViews[productId] = {
+      productName,
+      openedAt: Date.now(),
+      rotations: 0,
+      zooms: 0
+    };
+    
+    this.logEvent('model_3d_view', {
+      productId,
+      productName,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra a rotação do modelo 3D
+   * 
+   * Deve ser chamado ao final do gesto (e não a cada quadro da animação).
+   * 
+   * @param {String} productId - ID do produto
+   * @param {Object} additionalData - Dados adicionais (ex: degrees)
+   */
+  logModel3dRotate(productId, additionalData = {}) {
+    if (this.model3dViews[productId]) {
+      this.model3dViews[productId].rotations += 1;
+    }
+    
+    this.logEvent('model_3d_rotate', {
+      productId,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra o zoom no modelo 3D
+   * 
+   * Deve ser chamado ao final do gesto, com o nível de zoom resultante.
+   * 
+   * @param {String} productId - ID do produto
+   * @param {Number} zoomLevel - Nível de zoom (1 = tamanho original)
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logModel3dZoom(productId, zoomLevel, additionalData = {}) {
+    if (this.model3dViews[productId]) {
+      this.model3dViews[productId].zooms += 1;
+    }
+    
+    this.logEvent('model_3d_zoom', {
+      productId,
+      zoomLevel,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra a abertura do produto em realidade aumentada (AR)
+   * 
+   * @param {String} productId - ID do produto
+   * @param {Object} additionalData - Dados adicionais (ex: mode: 'webxr', 'scene-viewer', 'quick-look')
+   */
+  logArLaunch(productId, additionalData = {}) {
+    this.logEvent('model_3d_ar_launch', {
+      productId,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra o tempo de uso do visualizador 3D (ao fechá-lo)
+   * 
+   * Sem durationSeconds, o tempo é calculado desde logModel3dOpen. As
+   * rotações e zooms registrados desde a abertura são enviados junto.
+   * 
+   * @param {String} productId - ID do produto
+   * @param {Number} [durationSeconds] - Tempo de uso em segundos
+   * @param {Object} additionalData - Dados adicionais
+   */
+  logModel3dTimeSpent(productId, durationSeconds, additionalData = {}) {
+    const view = this.model3dViews[productId];
+    delete this.model3dViews[productId];
+    
+    let duration = durationSeconds;
+    if (typeof duration !== 'number') {
+      if (!view) {
+        return;
+      }
+      duration = (Date.now() - view.openedAt) / 1000;
+    }
+    
+    this.logEvent('model_3d_time_spent', {
+      productId,
+      productName: view ? view.productName : undefined,
+      durationSeconds: Math.round(Math.max(duration, 0) * 10) / 10,
+      rotations: view ? view.rotations : undefined,
+      zooms: view ? view.zooms : undefined,
+      ...additionalData
+    });
+  }
+  
+  /**
+   * Registra o tempo de uso dos visualizadores 3D ainda abertos
+   * 
+   * @private
+   */
+  _closeModel3dViews() {
+    Object.keys(this.model3dViews).forEach(productId => {
+      this.logModel3dTimeSpent(productId);
+    });
+  }
+  
+  /**
+   * Registra erro na aplicação
+   * 
+   * @param {String} errorMessage - Mensagem de erro
+   * @param {Object} errorDetails - Detalhes do erro
+   */
+  logError(errorMessage, errorDetails = {}) {
+    this.logEvent('error', {
+      message: errorMessage,
+      ...errorDetails
+    }, 'error');
+  }
+  
+  /**
+   * Envia os eventos da fila para o servidor
+   * 
+   * Os eventos só saem da fila depois da resposta do servidor. Os recusados
+   * por limite de taxa (rate_limited) continuam na fila para a próxima
+   * tentativa; falhas de rede, 408, 429 e erros 5xx mantêm o lote
+   * inteiro e agendam uma nova tentativa com espera exponencial. Um 401
+   * (chave de escrita ausente ou inválida) descarta o lote: reenviar com a
+   * mesma chave não mudaria o resultado.
+   * 
+   * @param {Boolean} sync - Se verdadeiro, usa sendBeacon (para beforeunload)
+   * @returns {Promise} Promessa resolvida com a última resposta do servidor
+   */
+  async flush(sync = false) {
+    // Se for síncrono (para beforeunload)
+    if (sync && navigator.sendBeacon) {
+      return this._sendBeacon();
+    }
+    
+    // Um envio por vez: chamadas durante o envio aguardam o mesmo resultado
+    if (!this.sending) {
+      this.sending = this._sendQueue(sync).finally(() => {
+        this.sending = null;
+      });
+    }
+    
+    return this.sending;
+  }
+  
+  /**
+   * Envia a fila em lotes até esvaziá-la ou até a primeira falha
+   * 
+   * @param {Boolean} keepalive - Mantém a requisição mesmo se a página for fechada
+   * @returns {Promise<Object|null>} Última resposta do servidor
+   * @private
+   */
+  async _sendQueue(keepalive) {
+    await this.ready;
+    
+    let lastResponse = null;
+    
+    while (this.eventQueue.length > 0) {
+      // Sem conexão, aguarda o evento online
+      if (navigator.onLine === false) {
+        return lastResponse;
+      }
+      
+      const events = this.eventQueue.slice(0, this.batchSize);
+      const body = await this._postBatch(events, keepalive);
+      lastResponse = body;
+      
+      // Com eventos recusados por limite de taxa, o restante espera a próxima tentativa
+      if (this.retryAttempt > 0) {
+        break;
+      }
+    }
+    
+    return lastResponse;
+  }
+  
+  /**
+   * Envia um lote de eventos e atualiza a fila conforme o resultado de cada um
+   * 
+   * @param {Array} events - Eventos do lote (os primeiros da fila)
+   * @param {Boolean} keepalive - Mantém a requisição mesmo se a página for fechada
+   * @returns {Promise<Object>} Resposta do servidor
+   * @private
+   */
+  async _postBatch(events, keepalive) {
+    // Configuração da requisição
+    const requestOptions = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ events }),
+      keepalive
+    };
+    
+    if (this.writeKey) {
+      requestOptions.headers['X-Write-Key'] = this.writeKey;
+    }
+    
+    const batchIds = new Set(events.map(event => event.eventId));
+    let response;
+    
+    try {
+      response = await fetch(this.apiUrl + '/batch', requestOptions);
+    } catch (error) {
+      // Falha de rede: o lote continua na fila
+      this.stats.retried += events.length;
+      this._scheduleRetry();
+      this.errorHandler('Erro ao enviar eventos:', error);
+      throw error;
+    }
+    
+    if (!response.ok) {
+      const error = new Error(`Erro ao enviar eventos: ${response.status}`);
+      const retryable = [408, 429].includes(response.status) || response.status >= 500;
+      
+      if (retryable) {
+        this.stats.retried += events.length;
+        this._scheduleRetry(parseInt(response.headers.get('Retry-After'), 10));
+      } else {
+        // Lote recusado por completo (ex: JSON inválido ou chave de escrita recusada):
+        // reenviar não mudaria o resultado
+        this.stats.dropped += events.length;
+        this._removeFromQueue(batchIds);
+      }
+      
+      this.errorHandler('Erro ao enviar eventos:', error);
+      throw error;
+    }
+    
+    const body = await response.json();
+    const results = Array.isArray(body.results) ? body.results : [];
+    
+    // Eventos recusados por limite de taxa continuam na fila
+    const rateLimited = results.filter(result => result.status === 'rate_limited');
+    rateLimited.forEach(result => {
+      const event = events[result.index];
+      if (event) {
+        batchIds.delete(event.eventId);
+      }
+    });
+    
+    const rejected = results.filter(result => result.status === 'rejected').length;
+    this.stats.dropped += rejected;
+    this.stats.sent += batchIds.size - rejected;
+    this._removeFromQueue(batchIds);
+    
+    if (rateLimited.length > 0) {
+      this.stats.retried += rateLimited.length;
+      this._scheduleRetry(Math.max(...rateLimited.map(result => result.retryAfter || 0)));
+    } else {
+      this._resetRetry();
+    }
+    
+    if (this.debug) {
+      console.log(`${batchIds.size} eventos enviados (${rejected} rejeitados, ${rateLimited.length} aguardando nova tentativa)`);
+    }
+    
+    return body;
+  }
+  
+  /**
+   * Envia a fila com navigator.sendBeacon ao sair ou ocultar a página
+   * 
+   * O sendBeacon não informa a resposta do servidor, mas o navegador
+   * entrega a requisição mesmo que a página seja fechada. Por isso, os
+   * eventos aceitos pelo navegador saem da fila: novos beacons (ex: a cada
+   * troca de aba) e os envios normais não os reenviam. Se a gravação da
+   * fila não terminar antes do fechamento, eles são reenviados na próxima
+   * visita e o servidor descarta os repetidos pelo eventId.
+   * 
+   * @returns {Boolean} Verdadeiro se o navegador aceitou o envio
+   * @private
+   */
+  _sendBeacon() {
+    // Um envio normal em andamento já inclui os primeiros eventos da fila
+    if (this.eventQueue.length === 0 || this.sending) {
+      return false;
+    }
+    
+    const events = this.eventQueue.slice(0, this.batchSize);
+    
+    // O Blob usa text/plain para não exigir preflight CORS no sendBeacon,
+    // e a chave vai na URL porque o sendBeacon não permite cabeçalhos
+    const blob = new Blob([JSON.stringify({ events })], {
+      type: 'text/plain;charset=UTF-8'
+    });
+    const beaconUrl = this.writeKey
+      ? `${this.apiUrl}/batch?writeKey=${encodeURIComponent(this.writeKey)}`
+      : `${this.apiUrl}/batch`;
+    
+    const accepted = navigator.sendBeacon(beaconUrl, blob);
+    if (accepted) {
+      this.stats.sent += events.length;
+      this._removeFromQueue(new Set(events.map(event => event.eventId)));
+    }
+    
+    return accepted;
+  }
+}
+
+// Exporta o cliente de logging
+export default LoggerClient;
+
+/**
+ * Exemplo de uso:
+ * 
+ * // Importa o cliente de logging
+ * import LoggerClient from './utils/loggerClient';
+ * 
+ * // Cria uma instância
+ * const logger = new LoggerClient({
+ *   apiUrl: 'https://seu-ecommerce.com/api/logs',
+ *   writeKey: 'wk_...', // ou REACT_APP_LOGGER_WRITE_KEY
+ *   autoCapture: true, // páginas, cliques em [data-track] e erros não tratados
+ *   debug: true
+ * });
+ * 
+ * // Registra a decisão do banner de consentimento (LGPD)
+ * logger.setConsent({ analytics: true, marketing: false }, { collectedVia: 'banner' });
+ * 
+ * // Identifica o usuário quando ele fizer login (liga as visitas anônimas anteriores)
+ * logger.identify('user_123');
+ * 
+ * // Registra visualização de página (sem autoCapture; com ele, é registrada a cada navegação)
+ * logger.logPageView('Página Inicial');
+ * 
+ * // Registra visualização de produto
+ * logger.logProductView('prod_456', 'Tênis Esportivo');
+ * 
+ * // Registra adição ao carrinho
+ * logger.logAddToCart('prod_456', 'Tênis Esportivo', 1, 199.90);
+ * 
+ * // Registra personalização
+ * logger.logCustomization('prod_456', 'Tênis Esportivo', {
+ *   color: 'Azul',
+ *   size: '42',
+ *   material: 'Couro'
+ * });
+ * 
+ * // Envia as métricas de desempenho (ver reportWebVitals.js)
+ * reportWebVitals(metric => logger.logWebVital(metric));
+ * 
+ * // Contadores da fila (enviados, reenviados, descartados e pendentes)
+ * console.log(logger.getStats());
+ * 
+ * // Registra erro
+ * try {
+ *   // Alguma operação que pode falhar
+ * } catch (error) {
+ *   logger.logError('Falha ao processar operação', {
+ *     errorName: error.name,
+ *     errorStack: error.stack
+ *   });
+ * }
+ */
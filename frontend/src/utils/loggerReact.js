@@ -0,0 +1,214 @@
+/**
+ * Integração do LoggerClient com React
+ *
+ * Disponibiliza uma instância do LoggerClient para toda a árvore de
+ * componentes e oferece hooks e componentes para os rastreamentos mais
+ * comuns, evitando chamadas manuais em cada tela.
+ *
+ * Exemplo:
+ *   <LoggerProvider options={{ writeKey: 'wk_...' }}>
+ *     <App />
+ *   </LoggerProvider>
+ *
+ *   const logger = useLogger();
+ *   const ref = useTrackImpression(product.id, product.name, { list: 'vitrine' });
+ *   <Track event="banner_click" data={{ bannerId: 'verao' }}><a href="/promo">Promoção</a></Track>
+ *
+ * @module utils/loggerReact
+ */
+
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import LoggerClient from './loggerClient';
+
+// Contexto com a instância do LoggerClient
+const LoggerContext = createContext(null);
+
+/**
+ * Provedor do LoggerClient
+ *
+ * Usa o cliente recebido em client ou cria um com as opções informadas.
+ * O cliente criado pelo provedor é mantido durante toda a vida da página.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {LoggerClient} [props.client] - Instância já criada do LoggerClient
+ * @param {Object} [props.options] - Opções para criar o LoggerClient
+ * @param {React.ReactNode} props.children - Componentes filhos
+ */
+export function LoggerProvider({ client, options, children }) {
+  // Criado uma única vez, mesmo com as renderizações duplas do StrictMode
+  const [logger] = useState(() => client || new LoggerClient(options));
+
+  return (
+    <LoggerContext.Provider value={logger}>
+      {children}
+    </LoggerContext.Provider>
+  );
+}
+
+/**
+ * Obtém o LoggerClient do LoggerProvider mais próximo
+ *
+ * @returns {LoggerClient} Cliente de logging
+ */
+export function useLogger() {
+  const logger = useContext(LoggerContext);
+
+  if (!logger) {
+    throw new Error('useLogger deve ser usado dentro de um LoggerProvider');
+  }
+
+  return logger;
+}
+
+/**
+ * Registra uma visualização de página a cada mudança de rota (React Router v6)
+ *
+ * Deve ser usado dentro do Router. Mudanças apenas na âncora (#) não
+ * geram uma nova visualização.
+ *
+ * @param {String} [pageTitle] - Título da página (padrão: document.title)
+ * @param {Object} [additionalData] - Dados adicionais do evento
+ */
+export function useTrackPageView(pageTitle, additionalData = {}) {
+  const logger = useLogger();
+  const location = useLocation();
+  const path = location.pathname + location.search;
+
+  // Último caminho registrado (evita duplicar o registro no StrictMode)
+  const lastPathRef = useRef(null);
+
+  // Dados mais recentes, sem que um novo objeto a cada renderização gere novos registros
+  const dataRef = useRef(additionalData);
+  dataRef.current = additionalData;
+
+  useEffect(() => {
+    if (lastPathRef.current === path) {
+      return;
+    }
+
+    const previousPath = lastPathRef.current;
+    lastPathRef.current = path;
+
+    logger.logPageView(pageTitle || document.title, {
+      path,
+      previousPath,
+      ...dataRef.current
+    });
+  }, [logger, path, pageTitle]);
+}
+
+/**
+ * Registra a impressão de um produto quando ele fica visível na tela
+ *
+ * Usa o IntersectionObserver: a impressão é registrada quando a fração
+ * visível do elemento atinge threshold e permanece assim por minVisibleMs.
+ * Em navegadores sem IntersectionObserver, nenhuma impressão é registrada.
+ *
+ * @param {String} productId - ID do produto
+ * @param {String} productName - Nome do produto
+ * @param {Object} [additionalData] - Dados adicionais (ex: list, position)
+ * @param {Object} [options] - Opções
+ * @param {Number} [options.threshold] - Fração visível mínima (padrão: 0.5)
+ * @param {Number} [options.minVisibleMs] - Tempo mínimo visível (em ms, padrão: 1000)
+ * @param {Boolean} [options.once] - Registra apenas a primeira impressão (padrão: true)
+ * @returns {Object} Ref a ser associada ao elemento do produto
+ */
+export function useTrackImpression(productId, productName, additionalData = {}, options = {}) {
+  const { threshold = 0.5, minVisibleMs = 1000, once = true } = options;
+  const logger = useLogger();
+  const elementRef = useRef(null);
+
+  const dataRef = useRef(additionalData);
+  dataRef.current = additionalData;
+
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element || !productId || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    let visibleTimer = null;
+
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        const visible = entry.isIntersecting && entry.intersectionRatio >= threshold;
+
+        if (!visible) {
+          clearTimeout(visibleTimer);
+          visibleTimer = null;
+          return;
+        }
+
+        if (visibleTimer) {
+          return;
+        }
+
+        visibleTimer = setTimeout(() => {
+          visibleTimer = null;
+          logger.logProductImpression(productId, productName, dataRef.current);
+
+          if (once) {
+            observer.disconnect();
+          }
+        }, minVisibleMs);
+      });
+    }, { threshold: [threshold] });
+
+    observer.observe(element);
+
+    return () => {
+      clearTimeout(visibleTimer);
+      observer.disconnect();
+    };
+  }, [logger, productId, productName, threshold, minVisibleMs, once]);
+
+  return elementRef;
+}
+
+/**
+ * Registra um evento ao clicar no elemento filho ou ao montar o componente
+ *
+ * Com on="click" (padrão), o filho deve ser um único elemento; o onClick
+ * original dele continua sendo chamado.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {String} props.event - Tipo do evento
+ * @param {Object} [props.data] - Dados do evento
+ * @param {String} [props.on] - Quando registrar: click ou mount
+ * @param {React.ReactNode} props.children - Elemento rastreado
+ */
+export function Track({ event, data = {}, on = 'click', children }) {
+  const logger = useLogger();
+
+  // Evento de montagem já registrado (evita duplicar no StrictMode)
+  const mountedRef = useRef(false);
+
+  const dataRef = useRef(data);
+  dataRef.current = data;
+
+  useEffect(() => {
+    if (on !== 'mount' || mountedRef.current) {
+      return;
+    }
+
+    mountedRef.current = true;
+    logger.logEvent(event, dataRef.current);
+  }, [logger, event, on]);
+
+  if (on !== 'click') {
+    return children;
+  }
+
+  const child = React.Children.only(children);
+
+  return React.cloneElement(child, {
+    onClick: clickEvent => {
+      logger.logEvent(event, dataRef.current);
+
+      if (child.props.onClick) {
+        child.props.onClick(clickEvent);
+      }
+    }
+  });
+}
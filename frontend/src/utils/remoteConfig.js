@@ -0,0 +1,105 @@
+/**
+ * Configuração remota de amostragem e limites do LoggerClient
+ *
+ * O LoggerClient baixa de /api/logs/config a taxa de amostragem de cada
+ * tipo de evento, os limites de eventos por sessão e o intervalo/tamanho
+ * dos envios, e guarda a configuração no localStorage para usá-la desde o
+ * início das próximas visitas.
+ *
+ * A amostragem é decidida por sessão: com taxa 0.25 para page_view, cerca
+ * de um quarto das sessões envia todas as suas visualizações de página e
+ * as demais não enviam nenhuma, mantendo coerente a navegação registrada.
+ *
+ * @module utils/remoteConfig
+ */
+
+// Chave da configuração salva no localStorage
+const REMOTE_CONFIG_STORAGE_KEY = 'logger_remote_config';
+
+// Configuração usada antes da primeira resposta do servidor (sem amostragem nem limites)
+export const DEFAULT_REMOTE_CONFIG = {
+  version: 0,
+  sampleRates: {},
+  defaultSampleRate: 1,
+  maxEventsPerSession: 0,
+  eventTypeCaps: {},
+  flushIntervalMs: 10000,
+  batchSize: 100,
+  cacheTtlSeconds: 300
+};
+
+/**
+ * Carrega a configuração salva em visitas anteriores
+ *
+ * @returns {Object|null} Configuração ({ config, fetchedAt }) ou null se não houver
+ */
+export function loadRemoteConfig() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(REMOTE_CONFIG_STORAGE_KEY));
+    if (stored && stored.config && typeof stored.fetchedAt === 'number') {
+      return stored;
+    }
+  } catch (error) {
+    // Sem localStorage ou registro ilegível: usa a configuração padrão
+  }
+
+  return null;
+}
+
+/**
+ * Salva a configuração recebida do servidor
+ *
+ * @param {Object} config - Configuração recebida
+ * @param {Number} fetchedAt - Momento do recebimento (em ms)
+ */
+export function saveRemoteConfig(config, fetchedAt) {
+  try {
+    window.localStorage.setItem(REMOTE_CONFIG_STORAGE_KEY, JSON.stringify({ config, fetchedAt }));
+  } catch (error) {
+    // Sem localStorage: a configuração vale apenas para esta página
+  }
+}
+
+/**
+ * Obtém a taxa de amostragem de um tipo de evento
+ *
+ * @param {Object} config - Configuração atual
+ * @param {String} eventType - Tipo do evento
+ * @returns {Number} Taxa entre 0 e 1 (valores inválidos contam como 1)
+ */
+export function getSampleRate(config, eventType) {
+  const rate = Object.prototype.hasOwnProperty.call(config.sampleRates || {}, eventType)
+    ? config.sampleRates[eventType]
+    : config.defaultSampleRate;
+
+  return typeof rate === 'number' && rate >= 0 && rate <= 1 ? rate : 1;
+}
+
+/**
+ * Decide se os eventos de um tipo entram na amostra da sessão
+ *
+ * Usa um hash (FNV-1a) da sessão e do tipo do evento, para que a decisão
+ * seja a mesma em todos os eventos do tipo na sessão.
+ *
+ * @param {String} sessionId - ID da sessão
+ * @param {String} eventType - Tipo do evento
+ * @param {Number} rate - Taxa de amostragem
+ * @returns {Boolean} Verdadeiro se o evento deve ser enviado
+ */
+export function isSampledIn(sessionId, eventType, rate) {
+  if (rate >= 1) {
+    return true;
+  }
+  if (rate <= 0) {
+    return false;
+  }
+
+  const key = `${sessionId}:${eventType}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) / 0x100000000 < rate;
+}